@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const net = require('net');
+
+// ==========================================
+// ALERT RULES
+// ==========================================
+// A rule is { ruleId, name, type, params, departments, employeeIds, webhookUrls, emails, isActive }.
+// Empty departments and employeeIds apply the rule to everyone (as for geofences).
+//   silent          - clocked in but no location for params.minutes
+//   geofence-exit   - left an assigned geofence during the shift
+//   late-clockin    - not clocked in params.minutes after shift start (late, or absent so far)
+//   speed           - a point faster than params.speedKmh
+
+const ALERT_TYPES = {
+    silent: { minutes: { min: 1, max: 1440, default: 30 } },
+    'geofence-exit': {},
+    'late-clockin': { minutes: { min: 0, max: 720, default: 15 } },
+    speed: { speedKmh: { min: 1, max: 1000, default: 100 } }
+};
+
+const ALERT_STATUSES = ['open', 'acknowledged'];
+
+// Webhooks and email addresses one rule may notify, each
+const MAX_CHANNELS = 10;
+
+// Webhook receivers must be on the public internet: rules are written by managers of any
+// organisation, and the server would otherwise POST employee data to its own network (cloud
+// metadata at 169.254.169.254, admin ports on localhost, ...). Hosts listed in
+// ALERT_WEBHOOK_ALLOWED_HOSTS (comma separated) are exempt, for receivers deliberately run inside it.
+const ALLOWED_WEBHOOK_HOSTS = (process.env.ALERT_WEBHOOK_ALLOWED_HOSTS || '')
+    .split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+
+// Loopback, private, link-local, CGNAT, benchmarking, multicast and reserved ranges. BlockList
+// matches IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) against the IPv4 ranges too.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]]
+    .forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4'));
+[['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+    .forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6'));
+
+// URL hostnames keep IPv6 brackets
+const bareHost = (hostname) => hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+const isAllowedWebhookHost = (hostname) => ALLOWED_WEBHOOK_HOSTS.includes(bareHost(hostname));
+
+// True for an IP address the server must not send webhooks to (false for names)
+const isBlockedAddress = (address) => {
+    const family = net.isIP(address);
+    return family !== 0 && BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// Problem with a webhook URL as written, or null. Names are resolved again before every delivery
+// (see services/notifier.js), since DNS can point anywhere.
+const webhookUrlProblem = (value) => {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        return 'webhookUrls must be http(s) URLs';
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) return 'webhookUrls must be http(s) URLs';
+    if (isAllowedWebhookHost(url.hostname)) return null;
+
+    const host = bareHost(url.hostname);
+    if (host === 'localhost' || host.endsWith('.localhost') || isBlockedAddress(host)) {
+        return 'webhookUrls must not point at loopback, private or link-local addresses';
+    }
+    return null;
+};
+
+// Fills defaults and range-checks the numeric parameters of `type`
+const validateParams = (type, raw, errors) => {
+    const params = {};
+    Object.entries(ALERT_TYPES[type]).forEach(([name, { min, max, default: fallback }]) => {
+        const value = raw[name] === undefined ? fallback : Number(raw[name]);
+        if (!Number.isFinite(value) || value < min || value > max) {
+            errors.push({ field: `params.${name}`, message: `params.${name} must be between ${min} and ${max}` });
+        } else {
+            params[name] = value;
+        }
+    });
+    return params;
+};
+
+const RULE_FIELDS = ['name', 'type', 'departments', 'employeeIds', 'webhookUrls', 'emails', 'isActive'];
+
+// Picks the fields of a create/update body whose types routes/alerts.js has already checked, and
+// checks what depends on the rest: params against the rule's type, webhook hosts. With `partial`,
+// params are only checked when params or type are supplied (the caller merges the current rule first).
+// Returns { fields, errors } with errors as [{ field, message }].
+const validateRule = (body, { partial = false } = {}) => {
+    const has = (key) => body[key] !== undefined;
+    const fields = Object.fromEntries(RULE_FIELDS.filter(has).map(name => [name, body[name]]));
+    const errors = [];
+
+    if (!partial || has('params') || has('type')) fields.params = validateParams(body.type, body.params || {}, errors);
+
+    (fields.webhookUrls || []).forEach((url, index) => {
+        const problem = webhookUrlProblem(url);
+        if (problem) errors.push({ field: `webhookUrls[${index}]`, message: problem });
+    });
+
+    return { fields, errors };
+};
+
+// A rule with no departments and no employeeIds applies to everyone
+const ruleAppliesTo = (rule, employee) => {
+    if (rule.isActive === false) return false;
+    const departments = rule.departments || [];
+    const employeeIds = rule.employeeIds || [];
+    if (!departments.length && !employeeIds.length) return true;
+    return employeeIds.includes(employee.employeeId) ||
+        (Boolean(employee.department) && departments.includes(employee.department));
+};
+
+// Alert ids derive from what the alert is about, so the same condition raises one alert however
+// often it is evaluated (and from however many instances): rule + employee + occurrence key.
+const alertIdFor = (ruleId, employeeId, occurrence) =>
+    crypto.createHash('sha256').update(`${ruleId}|${employeeId}|${occurrence}`).digest('hex').slice(0, 32);
+
+// Reported speed is m/s (as the device APIs report it)
+const fastestPoint = (points, speedKmh) => points
+    .filter(point => point.speed * 3.6 > speedKmh)
+    .sort((a, b) => b.speed - a.speed)[0] || null;
+
+// ==========================================
+// NOTIFICATIONS
+// ==========================================
+
+// X-Alert-Signature: sha256=HMAC(secret, "<timestamp>.<body>"); receivers recompute it and reject
+// stale timestamps to stop replays
+const signPayload = (secret, timestamp, body) =>
+    `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// Exponential backoff with jitter: base * 2^(attempt-1), capped
+const backoffDelay = (attempt, { baseMs, maxMs }) => {
+    const delay = Math.min(maxMs, baseMs * 2 ** (attempt - 1));
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+module.exports = {
+    ALERT_TYPES,
+    ALERT_STATUSES,
+    MAX_CHANNELS,
+    validateRule,
+    ruleAppliesTo,
+    alertIdFor,
+    fastestPoint,
+    signPayload,
+    backoffDelay,
+    isAllowedWebhookHost,
+    isBlockedAddress,
+    webhookUrlProblem
+};
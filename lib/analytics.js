@@ -0,0 +1,132 @@
+const { toRadians } = require('./geo');
+
+// ==========================================
+// DASHBOARD ANALYTICS AGGREGATES
+// ==========================================
+// Pure roll-ups over attendance report rows (lib/attendanceReport.js), location points and
+// geofence events. Loading the data and caching the results is services/analytics.js.
+
+const METERS_PER_DEGREE_LATITUDE = 111320;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// One entry per date: employees expected at work, present (clocked in), absent, late and on leave
+const attendanceTrend = (rowsByDate) => Object.entries(rowsByDate).map(([date, rows]) => ({
+    date,
+    expected: rows.filter(row => row.status !== 'off').length,
+    present: rows.filter(row => row.clockIn).length,
+    absent: rows.filter(row => row.status === 'absent').length,
+    late: rows.filter(row => row.lateMinutes).length,
+    onLeave: rows.filter(row => row.status === 'leave').length
+}));
+
+// Average worked hours per completed employee-day (clocked out, manually or automatically),
+// by department. Days still in progress are left out.
+const hoursByDepartment = (rows) => {
+    const departments = {};
+    rows.filter(row => row.clockIn && row.clockOut).forEach(row => {
+        const total = departments[row.department] = departments[row.department] || {
+            department: row.department,
+            employees: new Set(),
+            days: 0,
+            totalHours: 0
+        };
+        total.employees.add(row.employeeId);
+        total.days++;
+        total.totalHours += row.workedHours;
+    });
+
+    return Object.values(departments)
+        .map(total => ({
+            department: total.department,
+            employees: total.employees.size,
+            days: total.days,
+            totalHours: round2(total.totalHours),
+            averageHours: round2(total.totalHours / total.days)
+        }))
+        .sort((a, b) => b.averageHours - a.averageHours || a.department.localeCompare(b.department));
+};
+
+// Square-ish cells of `cellMeters`: rows are fixed bands of latitude, and each band's longitude
+// step is widened by 1/cos(latitude) so cells keep roughly the same ground size.
+const cellOf = (point, cellMeters) => {
+    const latitudeStep = cellMeters / METERS_PER_DEGREE_LATITUDE;
+    const row = Math.floor(point.latitude / latitudeStep);
+    const latitude = (row + 0.5) * latitudeStep;
+    const longitudeStep = latitudeStep / Math.max(Math.cos(toRadians(latitude)), 0.01);
+    const column = Math.floor(point.longitude / longitudeStep);
+    return { key: `${row}:${column}`, latitude, longitude: (column + 0.5) * longitudeStep };
+};
+
+// Point density grid for heatmaps. add() takes points as they are loaded (a day at a time);
+// result() returns cells ordered by count with their centre coordinates.
+const densityGrid = (cellMeters) => {
+    const cells = new Map();
+    let points = 0;
+
+    const add = (items) => items.forEach(point => {
+        const { key, latitude, longitude } = cellOf(point, cellMeters);
+        const cell = cells.get(key) || { latitude, longitude, count: 0, employees: new Set() };
+        cell.count++;
+        cell.employees.add(point.employeeId);
+        cells.set(key, cell);
+        points++;
+    });
+
+    const result = () => {
+        const list = [...cells.values()]
+            .map(cell => ({
+                latitude: Math.round(cell.latitude * 1e6) / 1e6,
+                longitude: Math.round(cell.longitude * 1e6) / 1e6,
+                count: cell.count,
+                employees: cell.employees.size
+            }))
+            .sort((a, b) => b.count - a.count);
+        return { cellMeters, points, maxCount: list.length ? list[0].count : 0, cells: list };
+    };
+
+    return { add, result };
+};
+
+// Visits per geofence from enter/exit events (any order, any number of employees). A visit is an
+// enter; its dwell time counts once the matching exit is seen.
+const geofenceVisits = (events) => {
+    const fences = {};
+    const openVisits = {};
+    const ordered = [...events].sort((a, b) => Number(a.timestamp) - Number(b.timestamp));
+
+    ordered.forEach(event => {
+        const fence = fences[event.geofenceId] = fences[event.geofenceId] || {
+            geofenceId: event.geofenceId,
+            name: event.geofenceName || '',
+            site: event.site || '',
+            visits: 0,
+            visitors: new Set(),
+            completedVisits: 0,
+            dwellMinutes: 0
+        };
+        const visitKey = `${event.employeeId}#${event.geofenceId}`;
+
+        if (event.type === 'enter') {
+            fence.visits++;
+            fence.visitors.add(event.employeeId);
+            openVisits[visitKey] = Number(event.timestamp);
+        } else if (event.type === 'exit' && openVisits[visitKey] !== undefined) {
+            fence.completedVisits++;
+            fence.dwellMinutes += (Number(event.timestamp) - openVisits[visitKey]) / 60000;
+            delete openVisits[visitKey];
+        }
+    });
+
+    return Object.values(fences)
+        .filter(fence => fence.visits)
+        .map(({ visitors, completedVisits, dwellMinutes, ...fence }) => ({
+            ...fence,
+            visitors: visitors.size,
+            totalDwellMinutes: Math.round(dwellMinutes),
+            averageDwellMinutes: completedVisits ? Math.round(dwellMinutes / completedVisits) : null
+        }))
+        .sort((a, b) => b.visits - a.visits || a.name.localeCompare(b.name));
+};
+
+module.exports = { attendanceTrend, hoursByDepartment, densityGrid, geofenceVisits };
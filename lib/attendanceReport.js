@@ -0,0 +1,142 @@
+const { getDateString, getDayRange, parseTimestamp } = require('./time');
+const { isWorkingDay, shiftWindow } = require('./shifts');
+const { sessionsOf, summarizeSessions } = require('./attendanceSessions');
+
+// ==========================================
+// ATTENDANCE REPORT CALCULATIONS
+// ==========================================
+// clockInTime/clockOutTime are ISO timestamps with offset (legacy rows: IST wall-clock strings)
+// marking the first clock-in and the final clock-out. Worked time excludes breaks and the gaps
+// between sessions. Lateness and early departure are measured against the shift window in the
+// employee's time zone.
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const minutesBetween = (fromMs, toMs) => Math.round((toMs - fromMs) / 60000);
+
+// One row per employee per shift date. `now` (epoch ms) decides whether an open session is still
+// in progress; `leave` is the approved leave request covering this date, if any.
+const buildDailyRow = (employee, date, record, { shift, timeZone, now, leave }) => {
+    const row = {
+        date,
+        employeeId: employee.employeeId,
+        name: employee.name || '',
+        department: employee.department || '',
+        clockIn: '',
+        clockOut: '',
+        workedHours: 0,
+        breakMinutes: 0,
+        sessions: 0,
+        status: isWorkingDay(date, shift) ? 'absent' : 'off',
+        leaveType: '',
+        lateMinutes: 0,
+        earlyDepartureMinutes: 0
+    };
+
+    if (leave && row.status === 'absent') {
+        row.leaveType = leave.halfDay ? `${leave.type} (half day)` : leave.type;
+        // A half-day leave still expects attendance for the other half
+        if (!leave.halfDay) row.status = 'leave';
+    }
+
+    const clockIn = record && parseTimestamp(record.clockInTime);
+    if (!clockIn) return row;
+
+    const clockOut = parseTimestamp(record.clockOutTime);
+    const window = shiftWindow(shift, date, timeZone);
+    row.clockIn = record.clockInTime;
+    row.clockOut = record.clockOutTime || '';
+    row.sessions = sessionsOf(record).length;
+
+    const lateBy = minutesBetween(window.start, clockIn);
+    if (lateBy > shift.graceMinutes) row.lateMinutes = lateBy;
+
+    if (clockOut && clockOut > clockIn) {
+        const { workedMinutes, breakMinutes } = summarizeSessions(sessionsOf(record));
+        // Sessions closed by the auto clock-out job still count as a missed clock-out
+        row.status = record.autoClockedOut ? 'missed-clockout' : 'present';
+        row.workedHours = round2(workedMinutes / 60);
+        row.breakMinutes = breakMinutes;
+        const earlyBy = minutesBetween(clockOut, window.end);
+        if (earlyBy > shift.graceMinutes) row.earlyDepartureMinutes = earlyBy;
+    } else {
+        // Open sessions count as in progress until the end of the local day the shift finishes on
+        const endOfShiftDay = getDayRange(getDateString(new Date(window.end), timeZone), timeZone).to;
+        row.status = now > endOfShiftDay ? 'missed-clockout' : 'working';
+    }
+    return row;
+};
+
+// Rolls daily rows up to one total per employee
+const buildMonthlyTotals = (dailyRows) => {
+    const totals = {};
+    dailyRows.forEach(row => {
+        const total = totals[row.employeeId] = totals[row.employeeId] || {
+            employeeId: row.employeeId,
+            name: row.name,
+            department: row.department,
+            workingDays: 0,
+            daysPresent: 0,
+            daysAbsent: 0,
+            daysOnLeave: 0,
+            totalWorkedHours: 0,
+            averageWorkedHours: 0,
+            lateArrivals: 0,
+            earlyDepartures: 0,
+            missedClockOuts: 0
+        };
+
+        if (row.status !== 'off') total.workingDays++;
+        if (row.status === 'absent') total.daysAbsent++;
+        if (row.status === 'leave') total.daysOnLeave++;
+        if (row.clockIn) total.daysPresent++;
+        if (row.status === 'missed-clockout') total.missedClockOuts++;
+        if (row.lateMinutes) total.lateArrivals++;
+        if (row.earlyDepartureMinutes) total.earlyDepartures++;
+        total.totalWorkedHours += row.workedHours;
+    });
+
+    return Object.values(totals).map(total => ({
+        ...total,
+        totalWorkedHours: round2(total.totalWorkedHours),
+        averageWorkedHours: total.daysPresent ? round2(total.totalWorkedHours / total.daysPresent) : 0
+    }));
+};
+
+const DAILY_COLUMNS = [
+    { key: 'date', header: 'Date' },
+    { key: 'employeeId', header: 'Employee ID' },
+    { key: 'name', header: 'Name' },
+    { key: 'department', header: 'Department' },
+    { key: 'status', header: 'Status' },
+    { key: 'leaveType', header: 'Leave Type' },
+    { key: 'clockIn', header: 'Clock In' },
+    { key: 'clockOut', header: 'Clock Out' },
+    { key: 'workedHours', header: 'Worked Hours' },
+    { key: 'breakMinutes', header: 'Breaks (min)' },
+    { key: 'sessions', header: 'Sessions' },
+    { key: 'lateMinutes', header: 'Late (min)' },
+    { key: 'earlyDepartureMinutes', header: 'Early Departure (min)' }
+];
+
+const MONTHLY_COLUMNS = [
+    { key: 'employeeId', header: 'Employee ID' },
+    { key: 'name', header: 'Name' },
+    { key: 'department', header: 'Department' },
+    { key: 'workingDays', header: 'Working Days' },
+    { key: 'daysPresent', header: 'Days Present' },
+    { key: 'daysAbsent', header: 'Days Absent' },
+    { key: 'daysOnLeave', header: 'Days On Leave' },
+    { key: 'totalWorkedHours', header: 'Total Worked Hours' },
+    { key: 'averageWorkedHours', header: 'Average Worked Hours' },
+    { key: 'lateArrivals', header: 'Late Arrivals' },
+    { key: 'earlyDepartures', header: 'Early Departures' },
+    { key: 'missedClockOuts', header: 'Missed Clock-outs' }
+];
+
+module.exports = {
+    DAILY_COLUMNS,
+    MONTHLY_COLUMNS,
+    buildDailyRow,
+    buildMonthlyTotals
+};
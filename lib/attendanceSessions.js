@@ -0,0 +1,184 @@
+const { parseTimestamp, toZonedISOString } = require('./time');
+
+// ==========================================
+// ATTENDANCE LIFECYCLE
+// ==========================================
+// One attendance record per employee per shift date holds every session of that shift:
+//   sessions: [{ clockIn, clockOut, breaks: [{ start, end }] }]   (ISO timestamps with offset)
+// and a `state` driven by the transitions below. clockInTime/clockOutTime mirror the first
+// clock-in and the final clock-out so day-level consumers (reports, stats) keep working.
+
+const STATES = {
+    CLOCKED_IN: 'clocked-in',
+    ON_BREAK: 'on-break',
+    CLOCKED_OUT: 'clocked-out'
+};
+
+// action -> states it may start from (null: no record yet) and the resulting state
+const TRANSITIONS = {
+    clockIn: { from: [null, STATES.CLOCKED_OUT], to: STATES.CLOCKED_IN },
+    breakStart: { from: [STATES.CLOCKED_IN], to: STATES.ON_BREAK },
+    breakEnd: { from: [STATES.ON_BREAK], to: STATES.CLOCKED_IN },
+    clockOut: { from: [STATES.CLOCKED_IN, STATES.ON_BREAK], to: STATES.CLOCKED_OUT }
+};
+
+const TRANSITION_ERRORS = {
+    clockIn: 'Already clocked in',
+    breakStart: 'Not clocked in or already on a break',
+    breakEnd: 'Not on a break',
+    clockOut: 'Not clocked in'
+};
+
+const MAX_SESSIONS_PER_DAY = 20;
+const MAX_BREAKS_PER_SESSION = 20;
+
+// Records written before the lifecycle existed only carry clockInTime/clockOutTime
+const sessionsOf = (record) => {
+    if (!record) return [];
+    if (Array.isArray(record.sessions)) return record.sessions;
+    if (!record.clockInTime) return [];
+    return [{ clockIn: record.clockInTime, clockOut: record.clockOutTime || null, breaks: [] }];
+};
+
+const stateOf = (record) => {
+    if (!record) return null;
+    if (record.state) return record.state;
+    if (!record.clockInTime) return null;
+    return record.clockOutTime ? STATES.CLOCKED_OUT : STATES.CLOCKED_IN;
+};
+
+const isOpen = (record) => [STATES.CLOCKED_IN, STATES.ON_BREAK].includes(stateOf(record));
+
+// Returns an error message when `action` is not allowed from the record's current state
+const checkTransition = (record, action) => {
+    const transition = TRANSITIONS[action];
+    if (!transition.from.includes(stateOf(record))) return TRANSITION_ERRORS[action];
+
+    const sessions = sessionsOf(record);
+    if (action === 'clockIn' && sessions.length >= MAX_SESSIONS_PER_DAY) {
+        return `At most ${MAX_SESSIONS_PER_DAY} sessions per day`;
+    }
+    if (action === 'breakStart' && sessions[sessions.length - 1].breaks.length >= MAX_BREAKS_PER_SESSION) {
+        return `At most ${MAX_BREAKS_PER_SESSION} breaks per session`;
+    }
+    return null;
+};
+
+// Pure: the sessions array after applying `action` at `at` (ISO string). `details` (location,
+// site, autoClockedOut, ...) is attached to the session being opened or closed.
+const applyTransition = (record, action, at, details = {}) => {
+    const sessions = sessionsOf(record).map(session => ({ ...session, breaks: [...(session.breaks || [])] }));
+    const last = sessions[sessions.length - 1];
+
+    if (action === 'clockIn') {
+        sessions.push({ clockIn: at, clockOut: null, breaks: [], ...details });
+    } else if (action === 'breakStart') {
+        last.breaks.push({ start: at, end: null });
+    } else if (action === 'breakEnd') {
+        last.breaks[last.breaks.length - 1] = { ...last.breaks[last.breaks.length - 1], end: at };
+    } else if (action === 'clockOut') {
+        const openBreak = last.breaks[last.breaks.length - 1];
+        if (openBreak && !openBreak.end) last.breaks[last.breaks.length - 1] = { ...openBreak, end: at };
+        Object.assign(last, { clockOut: at, ...details });
+    }
+    return { sessions, state: TRANSITIONS[action].to };
+};
+
+const minutesBetween = (from, to) => Math.max(0, Math.round((to - from) / 60000));
+
+// { workedMinutes, breakMinutes }; open sessions/breaks are counted up to `nowMs`
+const summarizeSessions = (sessions, nowMs = Date.now()) => {
+    let workedMinutes = 0;
+    let breakMinutes = 0;
+    sessions.forEach(session => {
+        const start = parseTimestamp(session.clockIn);
+        const end = parseTimestamp(session.clockOut) || nowMs;
+        const breaks = (session.breaks || []).reduce((total, item) =>
+            total + minutesBetween(parseTimestamp(item.start), parseTimestamp(item.end) || end), 0);
+        breakMinutes += breaks;
+        workedMinutes += Math.max(0, minutesBetween(start, end) - breaks);
+    });
+    return { workedMinutes, breakMinutes };
+};
+
+// Day-level { set, remove } derived from the sessions, ready for attendance.update
+const recordChanges = (sessions, state, nowMs = Date.now()) => {
+    const last = sessions[sessions.length - 1];
+    const set = {
+        state,
+        sessions,
+        status: 'present',
+        clockInTime: sessions[0].clockIn,
+        ...summarizeSessions(sessions, nowMs),
+        lastUpdated: new Date(nowMs).toISOString()
+    };
+    const remove = [];
+    if (state === STATES.CLOCKED_OUT) set.clockOutTime = last.clockOut;
+    else remove.push('clockOutTime');
+    return { set, remove };
+};
+
+// Validates manager-supplied sessions for a regularization: closed, ordered, non-overlapping,
+// breaks inside their session. Timestamps must carry an offset and are re-written in `timeZone`.
+// Returns { sessions, errors }.
+const validateSessions = (input, timeZone) => {
+    const errors = [];
+    if (!Array.isArray(input) || !input.length || input.length > MAX_SESSIONS_PER_DAY) {
+        return { errors: [`sessions must be an array of 1 to ${MAX_SESSIONS_PER_DAY} items`] };
+    }
+
+    const parse = (value, label) => {
+        const hasOffset = typeof value === 'string' && /(Z|[+-]\d{2}:?\d{2})$/i.test(value.trim());
+        const ms = hasOffset ? parseTimestamp(value) : null;
+        if (ms === null) errors.push(`${label} must be an ISO timestamp with offset`);
+        return ms;
+    };
+
+    let previousEnd = -Infinity;
+    const sessions = input.map((session, i) => {
+        const label = `sessions[${i}]`;
+        const clockIn = parse(session && session.clockIn, `${label}.clockIn`);
+        const clockOut = parse(session && session.clockOut, `${label}.clockOut`);
+        if (clockIn === null || clockOut === null) return null;
+        if (clockOut <= clockIn) errors.push(`${label}.clockOut must be after clockIn`);
+        if (clockIn < previousEnd) errors.push(`${label} overlaps the previous session`);
+        previousEnd = clockOut;
+
+        const rawBreaks = session.breaks === undefined ? [] : session.breaks;
+        if (!Array.isArray(rawBreaks) || rawBreaks.length > MAX_BREAKS_PER_SESSION) {
+            errors.push(`${label}.breaks must be an array of at most ${MAX_BREAKS_PER_SESSION} items`);
+            return null;
+        }
+        let breakEnd = clockIn;
+        const breaks = rawBreaks.map((item, j) => {
+            const start = parse(item && item.start, `${label}.breaks[${j}].start`);
+            const end = parse(item && item.end, `${label}.breaks[${j}].end`);
+            if (start === null || end === null) return null;
+            if (start < breakEnd || end <= start || end > clockOut) {
+                errors.push(`${label}.breaks[${j}] must be ordered and inside its session`);
+            }
+            breakEnd = end;
+            return { start: toZonedISOString(start, timeZone), end: toZonedISOString(end, timeZone) };
+        });
+
+        return {
+            clockIn: toZonedISOString(clockIn, timeZone),
+            clockOut: toZonedISOString(clockOut, timeZone),
+            breaks
+        };
+    });
+
+    return errors.length ? { errors } : { sessions, errors };
+};
+
+module.exports = {
+    STATES,
+    sessionsOf,
+    stateOf,
+    isOpen,
+    checkTransition,
+    applyTransition,
+    summarizeSessions,
+    recordChanges,
+    validateSessions
+};
@@ -0,0 +1,37 @@
+// ==========================================
+// AUDIT TRAIL HELPERS
+// ==========================================
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Never copied into an entry, whatever record is being diffed
+const REDACTED_FIELDS = ['password', 'webhookSecret', 'resetTokenHash', 'resetTokenExpiresAt', 'failedLoginAttempts', 'refreshToken', 'accessToken'];
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Field-level changes between two versions of a record: { field: { before, after } }.
+// Either side may be null (created / deleted); redacted fields appear only as "changed".
+const diffRecords = (before, after) => {
+    const changes = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    fields.forEach(field => {
+        const from = before ? before[field] : undefined;
+        const to = after ? after[field] : undefined;
+        if (isEqual(from, to)) return;
+        changes[field] = REDACTED_FIELDS.includes(field)
+            ? { redacted: true }
+            : { before: from === undefined ? null : from, after: to === undefined ? null : to };
+    });
+    return changes;
+};
+
+// ?actorId=&targetId=&targetType=&outcome= match exactly; ?action= also matches a prefix ending in "."
+// (action=employee. -> employee.create, employee.update, ...)
+const matchesFilter = (entry, { actorId, action, targetId, targetType, outcome } = {}) =>
+    (!actorId || entry.actorId === actorId) &&
+    (!targetId || entry.targetId === targetId) &&
+    (!targetType || entry.targetType === targetType) &&
+    (!outcome || entry.outcome === outcome) &&
+    (!action || entry.action === action || (action.endsWith('.') && entry.action.startsWith(action)));
+
+module.exports = { MUTATING_METHODS, REDACTED_FIELDS, diffRecords, matchesFilter };
@@ -0,0 +1,143 @@
+const { isValidTimeZone } = require('./time');
+
+// ==========================================
+// EMPLOYEE PROFILE FIELDS
+// ==========================================
+
+const ROLES = ['employee', 'manager', 'hr', 'admin'];
+const EMPLOYEE_STATUSES = ['active', 'inactive'];
+
+const EMPLOYEE_ID_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[0-9 ()-]{6,20}$/;
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_.:-]{1,128}$/;
+
+// Profile fields an admin/HR may edit after creation (credentials and status have their own endpoints)
+const EDITABLE_FIELDS = ['name', 'email', 'phone', 'department', 'role', 'managerId', 'timezone', 'shiftId'];
+
+const text = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+// Validates a create/update body. With `partial`, only the supplied fields are checked.
+// Empty optional strings clear the field; managerId/timezone/shiftId of null or '' are returned
+// in `clear`. Returns { fields, clear, errors }. References (managerId, shiftId) are only
+// checked for shape here; callers confirm they exist.
+const validateEmployee = (body, { partial = false } = {}) => {
+    const errors = [];
+    const fields = {};
+    const clear = [];
+    const has = (key) => body[key] !== undefined;
+
+    if (!partial) {
+        if (!EMPLOYEE_ID_PATTERN.test(text(body.employeeId))) {
+            errors.push('employeeId is required (letters, digits, "_", "-", "." only)');
+        } else {
+            fields.employeeId = text(body.employeeId);
+        }
+    }
+
+    if (!partial || has('name')) {
+        if (!text(body.name)) errors.push('name is required');
+        else fields.name = text(body.name).slice(0, 200);
+    }
+
+    if (has('email')) {
+        const email = text(body.email).toLowerCase();
+        if (email && !EMAIL_PATTERN.test(email)) errors.push('email is not a valid address');
+        else fields.email = email;
+    }
+    if (has('phone')) {
+        const phone = text(body.phone);
+        if (phone && !PHONE_PATTERN.test(phone)) errors.push('phone is not a valid number');
+        else fields.phone = phone;
+    }
+    if (has('department')) fields.department = text(body.department).slice(0, 100);
+
+    if (has('role')) {
+        if (!ROLES.includes(text(body.role))) errors.push(`role must be one of: ${ROLES.join(', ')}`);
+        else fields.role = text(body.role);
+    }
+
+    if (has('managerId')) {
+        if (!text(body.managerId)) clear.push('managerId');
+        else if (!EMPLOYEE_ID_PATTERN.test(text(body.managerId))) errors.push('managerId is not a valid employee ID');
+        else fields.managerId = text(body.managerId);
+    }
+    if (has('timezone')) {
+        if (!text(body.timezone)) clear.push('timezone');
+        else if (!isValidTimeZone(text(body.timezone))) errors.push('timezone must be an IANA time zone name (e.g. "Asia/Kolkata")');
+        else fields.timezone = text(body.timezone);
+    }
+    if (has('shiftId')) {
+        if (!text(body.shiftId)) clear.push('shiftId');
+        else fields.shiftId = text(body.shiftId);
+    }
+
+    // Registered device at creation; changed later only through the device re-bind endpoint
+    if (!partial && has('deviceId') && text(body.deviceId) && !DEVICE_ID_PATTERN.test(text(body.deviceId))) {
+        errors.push('deviceId must be 1-128 characters of letters, digits, _ . : -');
+    }
+
+    if (fields.managerId && fields.employeeId && fields.managerId === fields.employeeId) {
+        errors.push('An employee cannot be their own manager');
+    }
+
+    return { fields, clear, errors };
+};
+
+// True if making `managerId` the manager of `employeeId` would create a reporting loop
+const createsCycle = (employeesById, employeeId, managerId) => {
+    const seen = new Set();
+    for (let current = managerId; current; current = employeesById[current] && employeesById[current].managerId) {
+        if (current === employeeId) return true;
+        if (seen.has(current)) return false;
+        seen.add(current);
+    }
+    return false;
+};
+
+// Direct reports of `managerId`, or the whole subtree with `recursive`
+const teamOf = (employees, managerId, { recursive = false } = {}) => {
+    const team = [];
+    const queue = [managerId];
+    const seen = new Set(queue);
+    while (queue.length) {
+        const current = queue.shift();
+        employees
+            .filter(employee => employee.managerId === current && !seen.has(employee.employeeId))
+            .forEach(employee => {
+                seen.add(employee.employeeId);
+                team.push(employee);
+                if (recursive) queue.push(employee.employeeId);
+            });
+    }
+    return team;
+};
+
+const statusOf = (employee) => (employee.isActive === false ? 'inactive' : 'active');
+
+// ?department=&role=&status=&managerId=&q= (q: case-insensitive match on id, name or email)
+const filterEmployees = (employees, { department, role, status, managerId, q } = {}) => {
+    const needle = q ? String(q).toLowerCase() : '';
+    return employees.filter(employee =>
+        (!department || employee.department === department) &&
+        (!role || (employee.role || 'employee') === role) &&
+        (!status || statusOf(employee) === status) &&
+        (!managerId || employee.managerId === managerId) &&
+        (!needle || [employee.employeeId, employee.name, employee.email]
+            .some(value => String(value || '').toLowerCase().includes(needle)))
+    );
+};
+
+module.exports = {
+    ROLES,
+    EMPLOYEE_STATUSES,
+    EDITABLE_FIELDS,
+    EMPLOYEE_ID_PATTERN,
+    DEVICE_ID_PATTERN,
+    EMAIL_PATTERN,
+    validateEmployee,
+    createsCycle,
+    teamOf,
+    statusOf,
+    filterEmployees
+};
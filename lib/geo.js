@@ -0,0 +1,36 @@
+// ==========================================
+// GEOMETRY HELPERS (WGS84 lat/lng in degrees, distances in metres)
+// ==========================================
+
+const EARTH_RADIUS_M = 6371008.8;
+
+const toRadians = (deg) => (deg * Math.PI) / 180;
+
+// Great-circle distance between two { latitude, longitude } points
+const haversineDistance = (a, b) => {
+    const dLat = toRadians(b.latitude - a.latitude);
+    const dLng = toRadians(b.longitude - a.longitude);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+// Ray casting on raw coordinates; accurate enough for site-sized polygons
+const pointInPolygon = (point, vertices) => {
+    let inside = false;
+    for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+        const a = vertices[i];
+        const b = vertices[j];
+        const crosses = (a.latitude > point.latitude) !== (b.latitude > point.latitude) &&
+            point.longitude < ((b.longitude - a.longitude) * (point.latitude - a.latitude)) / (b.latitude - a.latitude) + a.longitude;
+        if (crosses) inside = !inside;
+    }
+    return inside;
+};
+
+const isValidCoordinate = (point) =>
+    Boolean(point) &&
+    Number.isFinite(point.latitude) && point.latitude >= -90 && point.latitude <= 90 &&
+    Number.isFinite(point.longitude) && point.longitude >= -180 && point.longitude <= 180;
+
+module.exports = { EARTH_RADIUS_M, toRadians, haversineDistance, pointInPolygon, isValidCoordinate };
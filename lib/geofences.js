@@ -0,0 +1,72 @@
+const { haversineDistance, pointInPolygon } = require('./geo');
+
+// ==========================================
+// GEOFENCE DEFINITIONS
+// ==========================================
+
+const GEOFENCE_TYPES = ['circle', 'polygon'];
+const MAX_POLYGON_VERTICES = 200;
+
+const SHAPE_FIELDS = { circle: ['center', 'radiusMeters'], polygon: ['vertices'] };
+const OTHER_FIELDS = ['name', 'type', 'site', 'departments', 'employeeIds', 'isActive'];
+
+// Picks the fields of a create/update body whose types routes/geofences.js has already checked,
+// and checks the geometry its type needs (a circle: center and radiusMeters, a polygon: vertices).
+// With `partial`, geometry is only required when some of it is supplied.
+// Returns { fields, errors } with errors as [{ field, message }].
+const validateGeofence = (body, { partial = false } = {}) => {
+    const has = (key) => body[key] !== undefined;
+    const fields = Object.fromEntries(OTHER_FIELDS.filter(has).map(name => [name, body[name]]));
+    const errors = [];
+
+    const shape = SHAPE_FIELDS[body.type] || [];
+    if (!partial || shape.some(has)) {
+        shape.forEach(name => {
+            if (has(name)) fields[name] = body[name];
+            else errors.push({ field: name, message: `${name} is required for a ${body.type}` });
+        });
+    }
+    return { fields, errors };
+};
+
+// ==========================================
+// EVALUATION
+// ==========================================
+
+const containsPoint = (fence, point) => {
+    if (fence.type === 'circle') return haversineDistance(fence.center, point) <= fence.radiusMeters;
+    if (fence.type === 'polygon') return pointInPolygon(point, fence.vertices);
+    return false;
+};
+
+// A fence with no departments and no employeeIds applies to everyone
+const appliesTo = (fence, employee) => {
+    if (fence.isActive === false) return false;
+    const departments = fence.departments || [];
+    const employeeIds = fence.employeeIds || [];
+    if (!departments.length && !employeeIds.length) return true;
+    return employeeIds.includes(employee.employeeId) ||
+        (Boolean(employee.department) && departments.includes(employee.department));
+};
+
+const assignedFences = (fences, employee) => fences.filter(fence => appliesTo(fence, employee));
+
+// Fences (from `fences`) containing the point
+const matchingFences = (fences, point) => fences.filter(fence => containsPoint(fence, point));
+
+// Enter/exit transitions between the previously-inside set and the fences containing `point`
+const diffMembership = (previousIds, currentIds) => ({
+    entered: currentIds.filter(id => !previousIds.includes(id)),
+    exited: previousIds.filter(id => !currentIds.includes(id))
+});
+
+module.exports = {
+    GEOFENCE_TYPES,
+    MAX_POLYGON_VERTICES,
+    validateGeofence,
+    containsPoint,
+    appliesTo,
+    assignedFences,
+    matchingFences,
+    diffMembership
+};
@@ -0,0 +1,66 @@
+const { isWorkingDay } = require('./shifts');
+
+// ==========================================
+// LEAVE TYPES & DAY COUNTING
+// ==========================================
+
+// Yearly allowance per type in days; null means unlimited (no balance tracking).
+// Override with LEAVE_TYPES='{"casual":10,"sick":8,"unpaid":null}'.
+const LEAVE_TYPES = process.env.LEAVE_TYPES
+    ? JSON.parse(process.env.LEAVE_TYPES)
+    : { casual: 12, sick: 12, earned: 15, unpaid: null };
+
+const LEAVE_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+// Statuses that hold days against the balance and block overlapping requests
+const ACTIVE_STATUSES = ['pending', 'approved'];
+
+const eachDate = (from, to) => {
+    const dates = [];
+    for (let d = new Date(`${from}T00:00:00Z`); d <= new Date(`${to}T00:00:00Z`); d.setUTCDate(d.getUTCDate() + 1)) {
+        dates.push(d.toISOString().split('T')[0]);
+    }
+    return dates;
+};
+
+// Working dates covered by a request on the employee's shift (their off days are not charged)
+const leaveDates = (request, shift) =>
+    eachDate(request.startDate, request.endDate).filter(date => isWorkingDay(date, shift));
+
+const countLeaveDays = (request, shift) =>
+    (request.halfDay ? 0.5 : leaveDates(request, shift).length);
+
+const rangesOverlap = (a, b) => a.startDate <= b.endDate && b.startDate <= a.endDate;
+
+// Per-type { allowance, used, pending, remaining } for one calendar year. Each request counts the
+// days stored when it was filed, against the year it starts in (where its balance was checked).
+const computeBalances = (allowances, requests, year) => {
+    const yearPrefix = `${year}-`;
+    const balances = {};
+
+    Object.keys(LEAVE_TYPES).forEach(type => {
+        const allowance = allowances && allowances[type] !== undefined ? allowances[type] : LEAVE_TYPES[type];
+        balances[type] = { allowance, used: 0, pending: 0, remaining: allowance };
+    });
+
+    requests
+        .filter(request => ACTIVE_STATUSES.includes(request.status) && balances[request.type])
+        .filter(request => request.startDate.startsWith(yearPrefix))
+        .forEach(request => {
+            balances[request.type][request.status === 'approved' ? 'used' : 'pending'] += request.days;
+        });
+
+    Object.values(balances).forEach(balance => {
+        balance.remaining = balance.allowance === null ? null : balance.allowance - balance.used - balance.pending;
+    });
+    return balances;
+};
+
+module.exports = {
+    LEAVE_TYPES,
+    LEAVE_STATUSES,
+    ACTIVE_STATUSES,
+    leaveDates,
+    countLeaveDays,
+    rangesOverlap,
+    computeBalances
+};
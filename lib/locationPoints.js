@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+const { validate } = require('./validation');
+const { pointFields } = require('./schemas');
+
+// ==========================================
+// LOCATION POINT VALIDATION
+// ==========================================
+
+const MAX_BATCH_POINTS = parseInt(process.env.MAX_BATCH_POINTS || '500', 10);
+// Device clocks drift; points stamped slightly in the future are tolerated
+const MAX_CLOCK_SKEW_MS = parseInt(process.env.MAX_CLOCK_SKEW_SECONDS || '300', 10) * 1000;
+// Offline queues older than this are rejected rather than back-filled
+const MAX_POINT_AGE_MS = parseInt(process.env.MAX_POINT_AGE_DAYS || '7', 10) * 24 * 60 * 60 * 1000;
+
+// Builds the stored item for one point, or returns its field-level validation errors
+// ([{ field, message }]). `dateOf(ms)` maps the capture time to the attendance/reporting date string.
+const normalizePoint = (raw, { employeeId, now = new Date(), dateOf }) => {
+    if (!raw || typeof raw !== 'object') return { errors: [{ field: 'point', message: 'Point must be an object' }] };
+
+    const { value, errors } = validate(pointFields, raw);
+    const { latitude, longitude, speed, accuracy } = value;
+
+    const receivedMs = now.getTime();
+    const capturedMs = value.capturedAt === undefined ? receivedMs : value.capturedAt; // live points may omit it
+    if (capturedMs > receivedMs + MAX_CLOCK_SKEW_MS) {
+        errors.push({ field: 'capturedAt', message: 'capturedAt is in the future' });
+    } else if (capturedMs < receivedMs - MAX_POINT_AGE_MS) {
+        errors.push({ field: 'capturedAt', message: 'capturedAt is too old to accept' });
+    }
+
+    if (errors.length) return { errors };
+
+    // Client point ids make retries idempotent; without one the point gets a random id
+    const pointId = value.pointId || crypto.randomUUID();
+
+    return {
+        item: {
+            locationId: `${employeeId}#${pointId}`,
+            pointId,
+            employeeId,
+            latitude,
+            longitude,
+            speed: speed || 0,
+            accuracy: accuracy || 0,
+            recordedAt: new Date(capturedMs).toISOString(),
+            receivedAt: now.toISOString(),
+            date: dateOf(capturedMs),
+            timestamp: capturedMs.toString()
+        }
+    };
+};
+
+module.exports = { MAX_BATCH_POINTS, normalizePoint };
@@ -0,0 +1,91 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { currentOrgId } = require('./tenancy');
+
+// ==========================================
+// STRUCTURED LOGGING
+// ==========================================
+// One JSON object per line on stdout (errors and warnings on stderr):
+//   { time, level, msg, requestId?, orgId?, employeeId?, ...fields }
+// Lines written while handling a request carry its requestId (see middleware/requestLog.js), so
+// everything one request did can be found together.
+//   LOG_LEVEL      error | warn | info (default) | debug | silent
+//   LOG_REDACT     comma-separated field names whose values are replaced with "[redacted]" at any
+//                  depth (case-insensitive); defaults to credentials and coordinates
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+const LOG_LEVEL = (process.env.LOG_LEVEL || 'info').toLowerCase();
+const threshold = LOG_LEVEL === 'silent' ? -1 : (LEVELS[LOG_LEVEL] ?? LEVELS.info);
+
+const DEFAULT_REDACT = [
+    'password', 'oldPassword', 'newPassword', 'temporaryPassword',
+    'accessToken', 'refreshToken', 'token', 'resetToken', 'resetTokenHash',
+    'authorization', 'cookie', 'secret', 'webhookSecret',
+    'latitude', 'longitude', 'lat', 'lng'
+];
+const REDACTED = new Set((process.env.LOG_REDACT ? process.env.LOG_REDACT.split(',') : DEFAULT_REDACT)
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean));
+const MAX_DEPTH = 6;
+
+const context = new AsyncLocalStorage();
+
+const serializeError = (error) => ({
+    name: error.name,
+    message: error.message,
+    ...(error.code && { code: error.code }),
+    ...(error.stack && { stack: error.stack })
+});
+
+// Copies `value` with redacted fields masked and errors turned into plain objects
+const redact = (value, depth = 0) => {
+    if (value instanceof Error) return serializeError(value);
+    if (!value || typeof value !== 'object') return value;
+    if (depth >= MAX_DEPTH) return '[truncated]';
+    if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+    return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+        [key, REDACTED.has(key.toLowerCase()) ? '[redacted]' : redact(item, depth + 1)]));
+};
+
+const write = (level, msg, fields) => {
+    if (LEVELS[level] > threshold) return;
+    // logger.error('Saving failed', error) puts the error under "err"
+    const extra = fields instanceof Error ? { err: fields } : fields;
+    const orgId = currentOrgId();
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        msg,
+        ...(context.getStore() || {}),
+        ...(orgId && { orgId }),
+        ...redact(extra || {})
+    };
+    let line;
+    try {
+        line = JSON.stringify(entry);
+    } catch (error) {
+        line = JSON.stringify({ time: entry.time, level, msg, logError: error.message });
+    }
+    (LEVELS[level] <= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+};
+
+// Runs fn with `fields` (e.g. { requestId }) added to every line it logs
+const withContext = (fields, fn) => context.run({ ...(context.getStore() || {}), ...fields }, fn);
+
+// Adds fields to the current context once they are known (e.g. employeeId after authentication)
+const addContext = (fields) => {
+    const store = context.getStore();
+    if (store) Object.assign(store, fields);
+};
+
+const logger = {
+    error: (msg, fields) => write('error', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    debug: (msg, fields) => write('debug', msg, fields),
+    isEnabled: (level) => LEVELS[level] <= threshold,
+    withContext,
+    addContext,
+    redact
+};
+
+module.exports = logger;
@@ -0,0 +1,44 @@
+const client = require('prom-client');
+
+// ==========================================
+// PROMETHEUS METRICS
+// ==========================================
+// Served at /metrics (see routes/metrics.js). Route labels are patterns ("/api/employees/:employeeId"),
+// never raw paths, so series stay bounded.
+
+const registry = new client.Registry();
+registry.setDefaultLabels({ service: 'employee-location-tracker' });
+client.collectDefaultMetrics({ register: registry });
+
+const httpRequestDuration = new client.Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request latency by route, method and status',
+    labelNames: ['method', 'route', 'status'],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [registry]
+});
+
+const httpErrors = new client.Counter({
+    name: 'http_errors_total',
+    help: 'Error responses by status and error code',
+    labelNames: ['status', 'code'],
+    registers: [registry]
+});
+
+// rate(location_points_total{outcome="accepted"}[5m]) is the ingest rate
+const locationPoints = new client.Counter({
+    name: 'location_points_total',
+    help: 'Location points received, by outcome (accepted, duplicate, rejected)',
+    labelNames: ['outcome'],
+    registers: [registry]
+});
+
+const storageDuration = new client.Histogram({
+    name: 'storage_operation_duration_seconds',
+    help: 'Storage backend call latency by repository, operation and outcome',
+    labelNames: ['backend', 'repository', 'operation', 'outcome'],
+    buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+    registers: [registry]
+});
+
+module.exports = { registry, httpRequestDuration, httpErrors, locationPoints, storageDuration };
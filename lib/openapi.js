@@ -0,0 +1,141 @@
+const { describe } = require('./validation');
+
+// ==========================================
+// OPENAPI GENERATION
+// ==========================================
+// The document is built from the running app: every registered route becomes an operation, and the
+// validateRequest() schemas on it become its parameters and request body (see lib/validation.js).
+// Hand-written annotations (summary, tags, responses, bodies not declared through validateRequest)
+// are keyed by "METHOD /path", e.g. "GET /api/employees/{employeeId}".
+
+const ERROR_RESPONSE = { $ref: '#/components/responses/Error' };
+
+// Express keeps no mount path string for a router, only its regexp (/^\/api\/geofences\/?(?=\/|$)/i).
+// Every router here is mounted on a static path, which this recovers.
+const mountPathOf = (layer) => {
+    if (layer.regexp.fast_slash) return '';
+    return layer.regexp.source
+        .replace(/^\^/, '')
+        .replace(/\\\/\?\(\?=\\\/\|\$\)$/, '')
+        .replace(/\\\//g, '/');
+};
+
+// Express ":param" -> OpenAPI "{param}". A router's "/" route is documented without the trailing
+// slash ("/api/geofences"), which is also how clients call it.
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}').replace(/(.)\/$/, '$1');
+
+// [{ method, path, handlers }] in registration order. handlers include the path-less middleware
+// registered before the route (router.use(authenticate) and the like).
+const listRoutes = (stack, prefix = '', inherited = []) => {
+    const routes = [];
+    const middleware = [...inherited];
+    stack.forEach(layer => {
+        if (layer.route) {
+            const handlers = [...middleware, ...layer.route.stack.map(routeLayer => routeLayer.handle)];
+            Object.keys(layer.route.methods)
+                .filter(method => method !== '_all')
+                .forEach(method => routes.push({ method, path: toOpenApiPath(prefix + layer.route.path), handlers }));
+        } else if (layer.name === 'router') {
+            routes.push(...listRoutes(layer.handle.stack, prefix + mountPathOf(layer), middleware));
+        } else if (layer.regexp.fast_slash) {
+            middleware.push(layer.handle);
+        }
+    });
+    return routes;
+};
+
+// get /api/employees/{employeeId}/team -> getApiEmployeesByEmployeeIdTeam
+const operationIdFor = (method, path) => method + path
+    .split('/')
+    .filter(Boolean)
+    .map(segment => segment.replace(/^\{(\w+)\}$/, 'by-$1'))
+    .join('-')
+    .replace(/(^|[^A-Za-z0-9]+)([A-Za-z0-9])/g, (match, separator, char) => char.toUpperCase());
+
+const parametersFor = (location, fields = {}) => Object.entries(fields).map(([name, rule]) => ({
+    name,
+    in: location,
+    required: location === 'path' || rule.required,
+    schema: rule.schema
+}));
+
+// Builds one operation. `doc` is the route's annotation; `isAuthentication(handler)` recognises the
+// middleware that demands a bearer token.
+const buildOperation = ({ method, path, handlers }, doc, isAuthentication) => {
+    const schemas = Object.assign({}, ...handlers.filter(handler => handler.schemas).map(handler => handler.schemas));
+    const roles = handlers.filter(handler => handler.roles).map(handler => handler.roles).pop();
+    const authenticated = handlers.some(isAuthentication);
+
+    // Path parameters the route validates come from its schema; the rest are plain strings
+    const declared = parametersFor('path', schemas.params);
+    const pathParams = [...path.matchAll(/\{(\w+)\}/g)].map(([, name]) =>
+        declared.find(param => param.name === name) || { name, in: 'path', required: true, schema: { type: 'string' } });
+    const parameters = [
+        ...pathParams,
+        ...parametersFor('query', schemas.query),
+        ...(doc.parameters || [])
+    ];
+
+    const body = doc.requestBody || (schemas.body && {
+        required: Object.values(schemas.body).some(rule => rule.required),
+        content: { 'application/json': { schema: describe(schemas.body) } }
+    });
+
+    const responses = { ...(doc.responses || { 200: { description: 'Success' } }) };
+    const addError = (status, description) => {
+        if (!responses[status]) responses[status] = { ...ERROR_RESPONSE, description };
+    };
+    if (schemas.params || schemas.query || schemas.body) addError(400, 'Request validation failed (VALIDATION_FAILED)');
+    if (authenticated) addError(401, 'Missing, invalid or expired access token');
+    if (roles || doc.forbidden) addError(403, roles ? `Requires role: ${roles.join(', ')}` : doc.forbidden);
+    (doc.errors || []).forEach(([status, description]) => addError(status, description));
+    addError('default', 'Error');
+
+    const description = [doc.description, roles && `Roles: ${roles.join(', ')}.`].filter(Boolean).join('\n\n');
+    return {
+        operationId: operationIdFor(method, path),
+        ...(doc.tags && { tags: doc.tags }),
+        summary: doc.summary || `${method.toUpperCase()} ${path}`,
+        ...(description && { description }),
+        ...(doc.deprecated && { deprecated: true }),
+        ...(authenticated && { security: [{ bearerAuth: [] }] }),
+        ...(roles && { 'x-roles': roles }),
+        ...(parameters.length && { parameters }),
+        ...(body && { requestBody: body }),
+        responses
+    };
+};
+
+// Returns { spec, undocumented } where undocumented lists "METHOD /path" keys without an annotation.
+// The first registration of a method+path wins, as it does when Express dispatches.
+const buildSpec = (app, { info, servers, tags, components, routes: docs = {}, isAuthentication = () => false }) => {
+    const paths = {};
+    const undocumented = [];
+
+    listRoutes(app._router.stack).forEach(route => {
+        const key = `${route.method.toUpperCase()} ${route.path}`;
+        paths[route.path] = paths[route.path] || {};
+        if (paths[route.path][route.method]) return;
+        if (!docs[key]) undocumented.push(key);
+        paths[route.path][route.method] = buildOperation(route, docs[key] || {}, isAuthentication);
+    });
+
+    const spec = {
+        openapi: '3.1.0',
+        info,
+        ...(servers && { servers }),
+        ...(tags && { tags }),
+        paths,
+        components: {
+            ...components,
+            securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' } }
+        }
+    };
+    return { spec, undocumented };
+};
+
+// The response documented for a status: the exact code, else "default"
+const responseFor = (operation, status) =>
+    (operation && operation.responses && (operation.responses[status] || operation.responses.default)) || null;
+
+module.exports = { ERROR_RESPONSE, mountPathOf, toOpenApiPath, listRoutes, buildSpec, responseFor };
@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+const { isValidTimeZone } = require('./time');
+
+// ==========================================
+// ORGANISATIONS (TENANTS)
+// ==========================================
+// { orgId, name, timezone, defaultShiftId, retentionDays, allowedOrigins, isActive, webhookSecret }.
+// Unset settings fall back to the deployment-wide ones (ORG_TIMEZONE, the built-in shift,
+// LOCATION_RETENTION_DAYS); allowedOrigins add to CORS_ALLOWED_ORIGINS for this organisation only.
+
+const ORG_ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,62}$/;
+// scheme://host[:port] with no path, e.g. https://track.example.com or capacitor://localhost
+const ORIGIN_PATTERN = /^[a-z][a-z0-9+.-]*:\/\/[^/\s?#]+$/i;
+const MAX_ORIGINS = 20;
+const MAX_RETENTION_DAYS = 3650;
+
+const ORG_FIELDS = ['orgId', 'name', 'timezone', 'allowedOrigins', 'isActive'];
+const CLEARABLE = ['defaultShiftId', 'retentionDays'];
+
+// Picks the fields of a create/update body whose types routes/organisations.js has already checked
+// and checks the time zone. defaultShiftId/retentionDays of null or '' are returned in `clear`
+// (back to the deployment default). Returns { fields, clear, errors } with errors as
+// [{ field, message }]; callers confirm defaultShiftId exists.
+const validateOrganisation = (body) => {
+    const has = (key) => body[key] !== undefined;
+    const fields = Object.fromEntries(ORG_FIELDS.filter(has).map(name => [name, body[name]]));
+    const clear = [];
+    const errors = [];
+
+    CLEARABLE.filter(has).forEach(name => {
+        if (body[name] === null || body[name] === '') clear.push(name);
+        else fields[name] = body[name];
+    });
+    if (has('timezone') && !isValidTimeZone(fields.timezone)) {
+        errors.push({ field: 'timezone', message: 'timezone must be an IANA time zone, e.g. Asia/Kolkata' });
+    }
+    if (fields.allowedOrigins) fields.allowedOrigins = [...new Set(fields.allowedOrigins.map(origin => origin.toLowerCase()))];
+
+    return { fields, clear, errors };
+};
+
+// Key the organisation's alert webhooks are signed with. Each tenant has its own, so a receiver
+// verifying it only trusts that tenant; it is shown once, when generated.
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(32).toString('base64url')}`;
+
+module.exports = {
+    ORG_ID_PATTERN,
+    ORIGIN_PATTERN,
+    MAX_ORIGINS,
+    MAX_RETENTION_DAYS,
+    validateOrganisation,
+    generateWebhookSecret
+};
@@ -0,0 +1,39 @@
+// Shared parsing of ?limit=&cursor=&from=&to= query parameters for list endpoints
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Accepts epoch milliseconds or anything Date can parse (ISO strings); returns epoch ms
+const parseTimeParam = (value) => {
+    if (value === undefined || value === '') return undefined;
+    const ms = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    return Number.isNaN(ms) ? null : ms;
+};
+
+// Returns { limit, cursor, from, to } with from/to as epoch ms, or { error } on bad input
+const parsePageQuery = (query, { defaultLimit = 50, maxLimit = 1000 } = {}) => {
+    const limit = query.limit === undefined ? defaultLimit : parseInt(query.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1) return { error: 'limit must be a positive integer' };
+
+    const from = parseTimeParam(query.from);
+    const to = parseTimeParam(query.to);
+    if (from === null || to === null) return { error: 'from/to must be ISO timestamps or epoch milliseconds' };
+    if (from !== undefined && to !== undefined && from > to) return { error: 'from must not be after to' };
+
+    return { limit: Math.min(limit, maxLimit), cursor: query.cursor || undefined, from, to };
+};
+
+// Same as parsePageQuery but from/to are YYYY-MM-DD dates (attendance is keyed by date)
+const parseDatePageQuery = (query, { defaultLimit = 31, maxLimit = 366 } = {}) => {
+    const limit = query.limit === undefined ? defaultLimit : parseInt(query.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1) return { error: 'limit must be a positive integer' };
+
+    const { from, to } = query;
+    if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+        return { error: 'from/to must be YYYY-MM-DD dates' };
+    }
+    if (from && to && from > to) return { error: 'from must not be after to' };
+
+    return { limit: Math.min(limit, maxLimit), cursor: query.cursor || undefined, from: from || undefined, to: to || undefined };
+};
+
+module.exports = { DATE_PATTERN, parseTimeParam, parsePageQuery, parseDatePageQuery };
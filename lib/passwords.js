@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// ==========================================
+// PASSWORD CONFIG
+// ==========================================
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const HASH_PREFIX = 'scrypt';
+
+const PASSWORD_MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH || '8', 10);
+const MAX_LOGIN_ATTEMPTS = parseInt(process.env.MAX_LOGIN_ATTEMPTS || '5', 10);
+const LOCKOUT_MINUTES = parseInt(process.env.LOCKOUT_MINUTES || '15', 10);
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.RESET_TOKEN_TTL_MINUTES || '60', 10);
+
+// Fields that must never leave the API in an employee payload
+const CREDENTIAL_FIELDS = ['password', 'resetTokenHash', 'resetTokenExpiresAt', 'failedLoginAttempts'];
+
+// ==========================================
+// HASHING
+// ==========================================
+
+// Stored format: scrypt$N$r$p$<salt b64>$<hash b64>
+const hashPassword = async (plain) => {
+    const salt = crypto.randomBytes(16);
+    const { N, r, p } = SCRYPT_PARAMS;
+    const key = await scrypt(plain, salt, KEY_LENGTH, { N, r, p });
+    return [HASH_PREFIX, N, r, p, salt.toString('base64'), key.toString('base64')].join('$');
+};
+
+const isHashed = (stored) => typeof stored === 'string' && stored.startsWith(`${HASH_PREFIX}$`);
+
+const safeEqual = (a, b) => a.length === b.length && crypto.timingSafeEqual(a, b);
+
+// A well-formed hash with the current parameters that no password matches. Logins for unknown
+// employees verify against it, so they take as long as logins for real ones.
+const DUMMY_PASSWORD_HASH = [
+    HASH_PREFIX, SCRYPT_PARAMS.N, SCRYPT_PARAMS.r, SCRYPT_PARAMS.p,
+    crypto.randomBytes(16).toString('base64'), crypto.randomBytes(KEY_LENGTH).toString('base64')
+].join('$');
+
+// Returns { ok, needsRehash }. Legacy plaintext records verify but are flagged for migration.
+const verifyPassword = async (stored, candidate) => {
+    if (typeof stored !== 'string' || typeof candidate !== 'string') {
+        return { ok: false, needsRehash: false };
+    }
+
+    if (!isHashed(stored)) {
+        const ok = safeEqual(Buffer.from(stored), Buffer.from(candidate));
+        return { ok, needsRehash: ok };
+    }
+
+    const [, N, r, p, saltB64, hashB64] = stored.split('$');
+    const expected = Buffer.from(hashB64, 'base64');
+    const key = await scrypt(candidate, Buffer.from(saltB64, 'base64'), expected.length, {
+        N: Number(N), r: Number(r), p: Number(p)
+    });
+    const ok = safeEqual(key, expected);
+    const needsRehash = ok && Number(N) !== SCRYPT_PARAMS.N;
+    return { ok, needsRehash };
+};
+
+// ==========================================
+// POLICY
+// ==========================================
+
+// Returns a list of human-readable violations (empty when the password is acceptable)
+const checkPasswordPolicy = (password, { employeeId } = {}) => {
+    const problems = [];
+    if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+        problems.push(`Password must be at least ${PASSWORD_MIN_LENGTH} characters`);
+        return problems;
+    }
+    if (!/[A-Za-z]/.test(password) || !/[0-9]/.test(password)) {
+        problems.push('Password must contain both letters and digits');
+    }
+    if (employeeId && password.toLowerCase().includes(String(employeeId).toLowerCase())) {
+        problems.push('Password must not contain the employee ID');
+    }
+    return problems;
+};
+
+// Random password handed out once when an admin creates an employee without one
+const generateTemporaryPassword = () => {
+    const body = crypto.randomBytes(9).toString('base64').replace(/[^A-Za-z0-9]/g, '');
+    return `${body}${crypto.randomInt(10, 99)}`;
+};
+
+// ==========================================
+// LOCKOUT & RESET TOKENS
+// ==========================================
+
+const isLocked = (employee, now = new Date()) =>
+    Boolean(employee.lockedUntil) && new Date(employee.lockedUntil) > now;
+
+const lockoutUntil = (now = new Date()) =>
+    new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000).toISOString();
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// The plain token is returned to the admin once; only its hash is stored
+const generateResetToken = (now = new Date()) => {
+    const token = crypto.randomBytes(32).toString('hex');
+    return {
+        token,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(now.getTime() + RESET_TOKEN_TTL_MINUTES * 60 * 1000).toISOString()
+    };
+};
+
+const verifyResetToken = (employee, token, now = new Date()) => {
+    if (!employee.resetTokenHash || !employee.resetTokenExpiresAt || typeof token !== 'string') return false;
+    if (new Date(employee.resetTokenExpiresAt) <= now) return false;
+    return safeEqual(Buffer.from(hashToken(token)), Buffer.from(employee.resetTokenHash));
+};
+
+// ==========================================
+// RESPONSE SHAPING
+// ==========================================
+
+const stripCredentials = (employee) => {
+    if (!employee) return employee;
+    const clean = { ...employee };
+    CREDENTIAL_FIELDS.forEach(field => delete clean[field]);
+    return clean;
+};
+
+module.exports = {
+    MAX_LOGIN_ATTEMPTS,
+    DUMMY_PASSWORD_HASH,
+    hashPassword,
+    isHashed,
+    verifyPassword,
+    checkPasswordPolicy,
+    generateTemporaryPassword,
+    isLocked,
+    lockoutUntil,
+    generateResetToken,
+    verifyResetToken,
+    stripCredentials
+};
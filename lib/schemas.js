@@ -0,0 +1,95 @@
+const { field } = require('./validation');
+const { EMPLOYEE_ID_PATTERN, DEVICE_ID_PATTERN } = require('./employees');
+const { MAX_TOLERANCE_METERS } = require('./simplify');
+
+// ==========================================
+// SHARED REQUEST SCHEMAS
+// ==========================================
+// Building blocks reused by route declarations in server.js and routes/*.js
+
+const employeeId = (options = {}) => field.string({
+    pattern: EMPLOYEE_ID_PATTERN,
+    max: 64,
+    message: 'must be 1-64 letters, digits, "_", "-" or "."',
+    ...options
+});
+
+const employeeParams = { employeeId: employeeId({ required: true }) };
+
+// ?limit=&cursor=&from=&to= with from/to as timestamps (see parsePageQuery)
+const pageQuery = {
+    limit: field.number({ integer: true, min: 1 }),
+    cursor: field.string({ max: 2048 }),
+    from: field.timestamp(),
+    to: field.timestamp()
+};
+
+// ?limit=&cursor=&from=&to= with from/to as YYYY-MM-DD (see parseDatePageQuery)
+const datePageQuery = {
+    limit: field.number({ integer: true, min: 1 }),
+    cursor: field.string({ max: 2048 }),
+    from: field.date(),
+    to: field.date()
+};
+
+// ?date= or ?from=&to= as YYYY-MM-DD
+const dateRangeQuery = { date: field.date(), from: field.date(), to: field.date() };
+
+// ?simplify=true&tolerance=metres on track/history reads (see lib/simplify.js)
+const simplifyQuery = {
+    simplify: field.boolean({ default: false }),
+    tolerance: field.number({ positive: true, max: MAX_TOLERANCE_METERS })
+};
+
+// One GPS fix as sent by the apps (single upload, batch item)
+const pointFields = {
+    latitude: field.number({ required: true, min: -90, max: 90 }),
+    longitude: field.number({ required: true, min: -180, max: 180 }),
+    speed: field.number({ min: 0, max: 1000 }),
+    accuracy: field.number({ min: 0, max: 100000 }),
+    pointId: field.string({ pattern: /^[A-Za-z0-9_.:-]{1,64}$/, message: 'must be 1-64 characters of letters, digits, _ . : -' }),
+    capturedAt: field.timestamp(),
+    isMock: field.boolean()
+};
+
+// { latitude, longitude } inside a body (geofence centre, polygon vertex)
+const coordinate = (options = {}) => field.object({
+    ...options,
+    fields: { latitude: pointFields.latitude, longitude: pointFields.longitude }
+});
+
+// Who a geofence, alert rule or policy applies to (empty lists: everyone)
+const departmentList = () => field.array({ max: 100, of: field.string({ required: true, max: 100 }) });
+const employeeIdList = () => field.array({ max: 1000, of: employeeId({ required: true }) });
+
+// Path id of a stored record (UUIDs, shift ids)
+const recordId = () => field.string({ required: true, max: 128 });
+
+// Optional note an approver leaves when approving or rejecting a request
+const decisionFields = { comment: field.string({ max: 500, default: '' }) };
+
+// Clock-in/out and breaks; the location is optional and employeeId defaults to the caller
+const attendanceFields = {
+    employeeId: employeeId(),
+    latitude: field.number({ min: -90, max: 90 }),
+    longitude: field.number({ min: -180, max: 180 }),
+    accuracy: field.number({ min: 0, max: 100000 }),
+    isMock: field.boolean(),
+    deviceId: field.string({ pattern: DEVICE_ID_PATTERN, message: 'must be 1-128 characters of letters, digits, _ . : -' })
+};
+
+module.exports = {
+    employeeId,
+    employeeParams,
+    pageQuery,
+    datePageQuery,
+    dateRangeQuery,
+    simplifyQuery,
+    pointFields,
+    coordinate,
+    departmentList,
+    employeeIdList,
+    recordId,
+    decisionFields,
+    attendanceFields
+};
@@ -0,0 +1,102 @@
+const { addDays, minutesOfDay, getDateString, zonedTimeToMs } = require('./time');
+
+// ==========================================
+// SHIFT DEFINITIONS
+// ==========================================
+// A shift is { shiftId, name, start, end, graceMinutes, workingDays } with start/end as local "HH:mm".
+// An end at or before the start means the shift runs past midnight into the next day.
+// Attendance is keyed by the *shift date*: the local date on which the shift starts.
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const DEFAULT_SHIFT = {
+    shiftId: 'default',
+    name: 'Default',
+    start: process.env.SHIFT_START || '09:30',
+    end: process.env.SHIFT_END || '18:30',
+    graceMinutes: parseInt(process.env.SHIFT_GRACE_MINUTES || '10', 10),
+    // ISO weekday numbers (1 = Monday ... 7 = Sunday)
+    workingDays: (process.env.WORKING_DAYS || '1,2,3,4,5').split(',').map(Number)
+};
+
+const hhmmToMinutes = (hhmm) => {
+    const [, h, m] = TIME_PATTERN.exec(hhmm);
+    return Number(h) * 60 + Number(m);
+};
+
+const spansMidnight = (shift) => hhmmToMinutes(shift.end) <= hhmmToMinutes(shift.start);
+
+const isoWeekday = (date) => {
+    const day = new Date(`${date}T00:00:00Z`).getUTCDay();
+    return day === 0 ? 7 : day;
+};
+
+// Working days are judged on the shift date, so a Friday night shift ending Saturday counts as Friday
+const isWorkingDay = (date, shift) => shift.workingDays.includes(isoWeekday(date));
+
+// Epoch-ms { start, end } of the shift that starts on `date`
+const shiftWindow = (shift, date, timeZone) => ({
+    start: zonedTimeToMs(date, shift.start, timeZone),
+    end: zonedTimeToMs(spansMidnight(shift) ? addDays(date, 1) : date, shift.end, timeZone)
+});
+
+// The shift date an instant belongs to. For overnight shifts the day flips halfway through
+// the off-duty gap, so a 22:00-06:00 worker clocking in at 01:00 lands on the previous date.
+const shiftDateFor = (ms, shift, timeZone) => {
+    const localDate = getDateString(new Date(ms), timeZone);
+    if (!spansMidnight(shift)) return localDate;
+
+    const end = hhmmToMinutes(shift.end);
+    const cutover = end + (hhmmToMinutes(shift.start) - end) / 2;
+    return minutesOfDay(ms, timeZone) < cutover ? addDays(localDate, -1) : localDate;
+};
+
+const SHIFT_FIELDS = ['name', 'start', 'end', 'graceMinutes', 'workingDays'];
+
+// Picks the shift fields of a body whose types routes/shifts.js has already checked, fills in the
+// default grace period and working days, and checks that start and end differ.
+// Returns { fields, errors } with errors as [{ field, message }].
+const validateShift = (body) => {
+    const fields = Object.fromEntries(SHIFT_FIELDS.filter(name => body[name] !== undefined).map(name => [name, body[name]]));
+    const errors = [];
+
+    if (fields.graceMinutes === undefined) fields.graceMinutes = DEFAULT_SHIFT.graceMinutes;
+    fields.workingDays = [...new Set(fields.workingDays || DEFAULT_SHIFT.workingDays)].sort((a, b) => a - b);
+    if (fields.start === fields.end) errors.push({ field: 'end', message: 'start and end must differ' });
+
+    return { fields, errors };
+};
+
+// Merges ?shiftStart=&shiftEnd=&graceMinutes= overrides onto `base`; returns { shift } or { error }
+const resolveShift = (query = {}, base = DEFAULT_SHIFT) => {
+    const shift = { ...base };
+    if (query.shiftStart !== undefined) shift.start = String(query.shiftStart);
+    if (query.shiftEnd !== undefined) shift.end = String(query.shiftEnd);
+    if (query.graceMinutes !== undefined) shift.graceMinutes = Number(query.graceMinutes);
+
+    if (!TIME_PATTERN.test(shift.start) || !TIME_PATTERN.test(shift.end)) {
+        return { error: 'shiftStart/shiftEnd must be HH:mm' };
+    }
+    if (shift.start === shift.end) {
+        return { error: 'shiftStart and shiftEnd must differ' };
+    }
+    if (!Number.isInteger(shift.graceMinutes) || shift.graceMinutes < 0) {
+        return { error: 'graceMinutes must be a non-negative integer' };
+    }
+    return { shift };
+};
+
+const hasShiftOverrides = (query = {}) =>
+    ['shiftStart', 'shiftEnd', 'graceMinutes'].some(key => query[key] !== undefined);
+
+module.exports = {
+    TIME_PATTERN,
+    DEFAULT_SHIFT,
+    spansMidnight,
+    isWorkingDay,
+    shiftWindow,
+    shiftDateFor,
+    validateShift,
+    resolveShift,
+    hasShiftOverrides
+};
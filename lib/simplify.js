@@ -0,0 +1,95 @@
+const { EARTH_RADIUS_M, toRadians } = require('./geo');
+const { DEFAULTS: TRIP_DEFAULTS, detectStops } = require('./trips');
+
+// ==========================================
+// TRACK SIMPLIFICATION (Douglas-Peucker)
+// ==========================================
+
+const DEFAULT_TOLERANCE_METERS = parseFloat(process.env.TRACK_SIMPLIFY_TOLERANCE_METERS || '10');
+const MAX_TOLERANCE_METERS = 1000;
+
+// Equirectangular projection around a reference latitude; metres, fine at city scale
+const projector = (referenceLatitude) => {
+    const cosLat = Math.cos(toRadians(referenceLatitude));
+    return (point) => ({
+        x: EARTH_RADIUS_M * toRadians(point.longitude) * cosLat,
+        y: EARTH_RADIUS_M * toRadians(point.latitude)
+    });
+};
+
+// Distance from p to the segment a-b (all projected)
+const segmentDistance = (p, a, b) => {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq)) : 0;
+    return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+};
+
+// Marks the points Douglas-Peucker keeps between two anchors. Iterative, so long tracks cannot
+// overflow the stack.
+const markSpan = (projected, first, last, toleranceMeters, keep) => {
+    const stack = [[first, last]];
+    while (stack.length) {
+        const [start, end] = stack.pop();
+        let maxDistance = 0;
+        let index = -1;
+        for (let k = start + 1; k < end; k++) {
+            const distance = segmentDistance(projected[k], projected[start], projected[end]);
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                index = k;
+            }
+        }
+        if (index !== -1 && maxDistance > toleranceMeters) {
+            keep[index] = true;
+            stack.push([start, index], [index, end]);
+        }
+    }
+};
+
+// Simplifies one employee's track (oldest first). Points belonging to a stop are kept as-is, so
+// dwell detail (arrival, jitter on site, departure) survives; the straight-ish stretches between
+// them are reduced to the points that deviate more than `toleranceMeters` from the line.
+// Returns the kept points in their original order.
+const simplifyTrack = (points, { toleranceMeters = DEFAULT_TOLERANCE_METERS, keepStops = true, ...stopOptions } = {}) => {
+    if (points.length <= 2) return [...points];
+
+    const project = projector(points[0].latitude);
+    const projected = points.map(project);
+    const keep = new Array(points.length).fill(false);
+    keep[0] = true;
+    keep[points.length - 1] = true;
+
+    if (keepStops) {
+        detectStops(points, { ...TRIP_DEFAULTS, ...stopOptions }).forEach(stop => {
+            for (let k = stop.startIndex; k <= stop.endIndex; k++) keep[k] = true;
+        });
+    }
+
+    // Each run between two forced points is simplified on its own
+    let anchor = 0;
+    for (let k = 1; k < points.length; k++) {
+        if (!keep[k]) continue;
+        if (k - anchor > 1) markSpan(projected, anchor, k, toleranceMeters, keep);
+        anchor = k;
+    }
+
+    return points.filter((point, k) => keep[k]);
+};
+
+// Applies ?simplify=&tolerance= to a page of points in either order. Returns { locations, simplified? }
+// where `simplified` reports how much was dropped; pages are simplified independently.
+const simplifyPage = (points, { simplify, tolerance } = {}, { order = 'asc' } = {}) => {
+    if (!simplify) return { locations: points };
+
+    const toleranceMeters = tolerance || DEFAULT_TOLERANCE_METERS;
+    const ascending = order === 'desc' ? [...points].reverse() : points;
+    const kept = simplifyTrack(ascending, { toleranceMeters });
+    return {
+        locations: order === 'desc' ? kept.reverse() : kept,
+        simplified: { toleranceMeters, originalCount: points.length, count: kept.length }
+    };
+};
+
+module.exports = { DEFAULT_TOLERANCE_METERS, MAX_TOLERANCE_METERS, simplifyTrack, simplifyPage };
@@ -0,0 +1,70 @@
+const { haversineDistance } = require('./geo');
+
+// ==========================================
+// GPS SPOOFING HEURISTICS
+// ==========================================
+
+// Faster than this between consecutive points is treated as a teleport (km/h)
+const MAX_PLAUSIBLE_SPEED_KMH = parseFloat(process.env.MAX_PLAUSIBLE_SPEED_KMH || '250');
+// Jumps shorter than this (after subtracting both accuracy radii) are never speed-flagged,
+// so GPS jitter between near-simultaneous fixes is ignored
+const MIN_JUMP_METERS = parseFloat(process.env.MIN_JUMP_METERS || '200');
+// Real receivers never report better than ~1 m; mock providers often report 0
+const MIN_PLAUSIBLE_ACCURACY_M = parseFloat(process.env.MIN_PLAUSIBLE_ACCURACY_M || '1');
+
+const FLAG_TYPES = ['impossible-speed', 'mock-location', 'duplicate-coordinates', 'suspicious-accuracy'];
+
+// Client-reported mock-location flags: `isMock` (our apps), `isFromMockProvider` / `mocked` (Android APIs)
+const reportsMock = (raw) => Boolean(raw) && [raw.isMock, raw.isFromMockProvider, raw.mocked]
+    .some(value => value === true || value === 'true');
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Anomalies for one point given the point captured just before it (or null).
+// `point` and `previous` are stored location items ({ latitude, longitude, accuracy, timestamp });
+// `raw` is the client payload, for fields the stored item does not keep.
+// Returns a list of { type, ...details }, empty when nothing looks wrong.
+const detectAnomalies = (point, previous, raw = {}) => {
+    const flags = [];
+
+    if (reportsMock(raw)) flags.push({ type: 'mock-location' });
+
+    const reportedAccuracy = raw.accuracy === undefined || raw.accuracy === null || raw.accuracy === ''
+        ? undefined
+        : Number(raw.accuracy);
+    if (reportedAccuracy !== undefined && reportedAccuracy < MIN_PLAUSIBLE_ACCURACY_M) {
+        flags.push({ type: 'suspicious-accuracy', accuracy: reportedAccuracy });
+    }
+
+    if (previous) {
+        const seconds = (Number(point.timestamp) - Number(previous.timestamp)) / 1000;
+
+        // Receivers jitter in the last decimals; the exact same fix at a later time is usually replayed
+        if (seconds > 0 && point.latitude === previous.latitude && point.longitude === previous.longitude) {
+            flags.push({ type: 'duplicate-coordinates', previousTimestamp: previous.timestamp });
+        }
+
+        const distance = haversineDistance(previous, point);
+        const jump = distance - (Number(point.accuracy) || 0) - (Number(previous.accuracy) || 0);
+        if (jump > MIN_JUMP_METERS) {
+            const impliedSpeedKmh = seconds > 0 ? (jump / seconds) * 3.6 : Infinity;
+            if (impliedSpeedKmh > MAX_PLAUSIBLE_SPEED_KMH) {
+                flags.push({
+                    type: 'impossible-speed',
+                    distanceMeters: Math.round(distance),
+                    seconds: round(Math.max(seconds, 0)),
+                    // Infinity does not survive JSON; simultaneous jumps report null
+                    impliedSpeedKmh: Number.isFinite(impliedSpeedKmh) ? round(impliedSpeedKmh) : null
+                });
+            }
+        }
+    }
+
+    return flags;
+};
+
+// Flagged points stay out of distances, speeds, stops and exports until a reviewer dismisses the
+// flag (the decision is copied onto the point as `flagReview`)
+const isTrusted = (point) => !(point.flags && point.flags.length) || point.flagReview === 'dismissed';
+
+module.exports = { FLAG_TYPES, detectAnomalies, isTrusted };
@@ -0,0 +1,107 @@
+const ExcelJS = require('exceljs');
+
+// ==========================================
+// CSV / XLSX OUTPUT FOR REPORTS
+// ==========================================
+// `columns` is a list of { key, header }; rows are plain objects.
+
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Quotes when needed and neutralises spreadsheet formula injection
+const csvCell = (value) => {
+    if (value === undefined || value === null) return '';
+    let text = String(value);
+    if (typeof value === 'string' && CSV_FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (columns, rows) => {
+    const lines = [columns.map(column => csvCell(column.header)).join(',')];
+    rows.forEach(row => lines.push(columns.map(column => csvCell(row[column.key])).join(',')));
+    return `${lines.join('\r\n')}\r\n`;
+};
+
+const safeFilename = (name) => name.replace(/[^A-Za-z0-9_.-]/g, '_');
+
+const sendCsv = (res, filename, columns, rows) => {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${safeFilename(filename)}.csv"`);
+    // BOM so Excel opens UTF-8 names correctly
+    res.send(`\uFEFF${toCsv(columns, rows)}`);
+};
+
+// Streams the workbook straight into the response
+const sendXlsx = async (res, filename, sheetName, columns, rows) => {
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${safeFilename(filename)}.xlsx"`);
+
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+    const sheet = workbook.addWorksheet(sheetName.slice(0, 31));
+    sheet.columns = columns.map(column => ({ header: column.header, key: column.key, width: Math.max(12, column.header.length + 2) }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.getRow(1).commit();
+    rows.forEach(row => sheet.addRow(row).commit());
+    sheet.commit();
+    await workbook.commit();
+};
+
+// Sends rows as json (default), csv or xlsx according to ?format=
+const sendTable = async (req, res, { filename, sheetName, columns, rows, meta = {} }) => {
+    const format = String(req.query.format || 'json').toLowerCase();
+    if (format === 'csv') return sendCsv(res, filename, columns, rows);
+    if (format === 'xlsx') return sendXlsx(res, filename, sheetName, columns, rows);
+    if (format !== 'json') return res.status(400).json({ error: 'format must be one of: json, csv, xlsx' });
+    res.json({ success: true, ...meta, rows });
+};
+
+// ==========================================
+// CSV INPUT FOR IMPORTS
+// ==========================================
+
+// RFC 4180 parser: quoted fields, doubled quotes, embedded newlines, CRLF or LF rows.
+// Returns an array of rows (arrays of strings); blank lines are skipped.
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const input = String(text).replace(/^\uFEFF/, '');
+
+    const endField = () => { row.push(field); field = ''; };
+    const endRow = () => {
+        endField();
+        if (row.length > 1 || row[0] !== '') rows.push(row);
+        row = [];
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') { field += '"'; i++; }
+            else if (char === '"') quoted = false;
+            else field += char;
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            endField();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) throw new SyntaxError('Unterminated quoted field');
+    if (field !== '' || row.length) endRow();
+    return rows;
+};
+
+// First row as headers (trimmed); returns { headers, records } with one object per data row
+const parseCsvRecords = (text) => {
+    const [headerRow = [], ...rows] = parseCsv(text);
+    const headers = headerRow.map(header => header.trim());
+    const records = rows.map(row => Object.fromEntries(headers.map((header, i) => [header, (row[i] || '').trim()])));
+    return { headers, records };
+};
+
+module.exports = { toCsv, sendCsv, sendXlsx, sendTable, parseCsv, parseCsvRecords };
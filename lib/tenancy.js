@@ -0,0 +1,35 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// ==========================================
+// TENANT CONTEXT
+// ==========================================
+// Every employee belongs to one organisation (orgId). Authenticated requests run inside their
+// organisation's context, and the repositories only read and write that organisation's items there
+// (see repositories/scoped.js). Outside a context (login, background jobs) storage is unscoped.
+// Items stored before organisations existed have no orgId and belong to the default organisation.
+
+const DEFAULT_ORG_ID = process.env.DEFAULT_ORG_ID || 'default';
+
+// Owner of records that concern no organisation, such as failed logins for unknown employee IDs.
+// It can never be an organisation's id, so only deployment administrators read these (routes/audit.js).
+const DEPLOYMENT_ORG_ID = '~deployment';
+
+const storage = new AsyncLocalStorage();
+
+const orgOf = (item) => (item && item.orgId) || DEFAULT_ORG_ID;
+
+// Runs fn (and everything it awaits) as organisation `orgId`
+const runAs = (orgId, fn) => storage.run({ orgId }, fn);
+
+// Runs fn with storage unscoped, e.g. to find an employee's organisation
+const runUnscoped = (fn) => storage.run({ orgId: null }, fn);
+
+const currentOrgId = () => {
+    const context = storage.getStore();
+    return context ? context.orgId : null;
+};
+
+// Key for per-organisation caches of tenant data ("*" = unscoped)
+const cacheKey = () => currentOrgId() || '*';
+
+module.exports = { DEFAULT_ORG_ID, DEPLOYMENT_ORG_ID, orgOf, runAs, runUnscoped, currentOrgId, cacheKey };
@@ -0,0 +1,141 @@
+// ==========================================
+// DATE/TIME HELPERS (IANA time zones)
+// ==========================================
+// Stored timestamps are ISO 8601 with an explicit offset ("2026-01-31T09:30:00.000+05:30").
+// Calendar dates ("YYYY-MM-DD") are always local to a time zone: the employee's, else the organisation's.
+
+const DEFAULT_TIMEZONE = process.env.ORG_TIMEZONE || 'Asia/Kolkata';
+
+// Attendance written before time zone support held IST wall-clock strings without an offset
+const LEGACY_OFFSET = '+05:30';
+
+const formatters = new Map();
+
+const formatterFor = (timeZone) => {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatters.get(timeZone);
+};
+
+const isValidTimeZone = (timeZone) => {
+    if (typeof timeZone !== 'string' || !timeZone) return false;
+    try {
+        formatterFor(timeZone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+// Wall-clock fields of an instant in `timeZone`
+const zonedParts = (ms, timeZone = DEFAULT_TIMEZONE) => {
+    const parts = {};
+    formatterFor(timeZone).formatToParts(new Date(ms)).forEach(({ type, value }) => {
+        if (type !== 'literal') parts[type] = Number(value);
+    });
+    return parts;
+};
+
+// Minutes east of UTC in effect at that instant (DST aware)
+const offsetMinutes = (ms, timeZone = DEFAULT_TIMEZONE) => {
+    const wholeSecond = Math.floor(ms / 1000) * 1000;
+    const p = zonedParts(wholeSecond, timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return Math.round((asUtc - wholeSecond) / 60000);
+};
+
+const formatOffset = (minutes) => {
+    const sign = minutes < 0 ? '-' : '+';
+    const abs = Math.abs(minutes);
+    return `${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+};
+
+// "2026-01-31T09:30:00.000+05:30"
+const toZonedISOString = (ms, timeZone = DEFAULT_TIMEZONE) => {
+    const p = zonedParts(ms, timeZone);
+    const millis = pad(((ms % 1000) + 1000) % 1000, 3);
+    return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}.${millis}` +
+        formatOffset(offsetMinutes(ms, timeZone));
+};
+
+const getTimestamp = (now = new Date(), timeZone = DEFAULT_TIMEZONE) => toZonedISOString(now.getTime(), timeZone);
+
+// Local calendar date "YYYY-MM-DD"
+const getDateString = (now = new Date(), timeZone = DEFAULT_TIMEZONE) => {
+    const p = zonedParts(now.getTime(), timeZone);
+    return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+};
+
+const getTodayDateString = (timeZone = DEFAULT_TIMEZONE) => getDateString(new Date(), timeZone);
+
+// Minutes since local midnight
+const minutesOfDay = (ms, timeZone = DEFAULT_TIMEZONE) => {
+    const p = zonedParts(ms, timeZone);
+    return p.hour * 60 + p.minute;
+};
+
+const addDays = (dateStr, days) => {
+    const date = new Date(`${dateStr}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Epoch ms of a local wall-clock time ("2026-01-31", "09:30") in `timeZone`. A time that occurs
+// twice (clocks going back) resolves to its first occurrence. One skipped by a DST jump does not
+// exist locally and is read with the pre-jump offset, so 02:30 on a 02:00 -> 03:00 night is 03:30.
+const zonedTimeToMs = (dateStr, hhmm, timeZone = DEFAULT_TIMEZONE) => {
+    const wall = Date.parse(`${dateStr}T${hhmm}:00.000Z`);
+    // Offsets in effect either side of any transition that day; each fits if it is in effect at the result
+    const before = offsetMinutes(wall - DAY_MS, timeZone);
+    const after = offsetMinutes(wall + DAY_MS, timeZone);
+    const fits = [before, after]
+        .map(offset => ({ offset, ms: wall - offset * 60000 }))
+        .filter(({ offset, ms }) => offsetMinutes(ms, timeZone) === offset)
+        .map(({ ms }) => ms);
+    return fits.length ? Math.min(...fits) : wall - before * 60000;
+};
+
+// Epoch-ms bounds of a local calendar day ("2026-01-31" -> 00:00:00.000 .. 23:59:59.999 local)
+const getDayRange = (dateStr, timeZone = DEFAULT_TIMEZONE) => {
+    const from = zonedTimeToMs(dateStr, '00:00', timeZone);
+    return { from, to: zonedTimeToMs(addDays(dateStr, 1), '00:00', timeZone) - 1 };
+};
+
+// Parses stored timestamps: ISO with offset/Z, or legacy offset-less IST wall-clock strings
+const parseTimestamp = (value) => {
+    if (!value) return null;
+    const text = String(value).trim().replace(' ', 'T');
+    const hasOffset = /(Z|[+-]\d{2}:?\d{2})$/i.test(text);
+    const ms = Date.parse(hasOffset ? text : `${text}${LEGACY_OFFSET}`);
+    return Number.isNaN(ms) ? null : ms;
+};
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    isValidTimeZone,
+    zonedParts,
+    offsetMinutes,
+    toZonedISOString,
+    getTimestamp,
+    getDateString,
+    getTodayDateString,
+    minutesOfDay,
+    addDays,
+    zonedTimeToMs,
+    getDayRange,
+    parseTimestamp
+};
@@ -0,0 +1,114 @@
+// ==========================================
+// TRACK EXPORT FORMATS (GPX 1.1, KML 2.2, GeoJSON)
+// ==========================================
+// Every writer takes a list of tracks ({ employeeId, name, date, points, stops })
+// and pushes the document out in chunks through `write(chunk)`.
+
+const CREATOR = 'Employee Location Tracker API';
+
+const escapeXml = (value) => String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const trackLabel = (track) => `${track.name || track.employeeId} (${track.employeeId}) ${track.date}`;
+
+const stopLabel = (track, stop, index) =>
+    `${track.name || track.employeeId} stop ${index + 1} (${Math.round(stop.durationSeconds / 60)} min)`;
+
+const writeGpx = (tracks, write) => {
+    write('<?xml version="1.0" encoding="UTF-8"?>\n');
+    write(`<gpx version="1.1" creator="${CREATOR}" xmlns="http://www.topografix.com/GPX/1/1">\n`);
+    write(`<metadata><name>Employee tracks</name><time>${new Date().toISOString()}</time></metadata>\n`);
+
+    // GPX schema order: all waypoints before any track
+    tracks.forEach(track => track.stops.forEach((stop, index) => {
+        write(`<wpt lat="${stop.latitude}" lon="${stop.longitude}"><time>${escapeXml(stop.startedAt)}</time>` +
+            `<name>${escapeXml(stopLabel(track, stop, index))}</name>` +
+            `<desc>${escapeXml(`${stop.startedAt} - ${stop.endedAt}`)}</desc><type>stop</type></wpt>\n`);
+    }));
+
+    tracks.forEach(track => {
+        write(`<trk><name>${escapeXml(trackLabel(track))}</name><trkseg>\n`);
+        track.points.forEach(point => {
+            write(`<trkpt lat="${point.latitude}" lon="${point.longitude}"><time>${escapeXml(point.recordedAt)}</time></trkpt>\n`);
+        });
+        write('</trkseg></trk>\n');
+    });
+
+    write('</gpx>\n');
+};
+
+const writeKml = (tracks, write) => {
+    write('<?xml version="1.0" encoding="UTF-8"?>\n');
+    write('<kml xmlns="http://www.opengis.net/kml/2.2"><Document>\n');
+    write('<name>Employee tracks</name>\n');
+    write('<Style id="track"><LineStyle><color>ff0000ff</color><width>3</width></LineStyle></Style>\n');
+
+    tracks.forEach(track => {
+        write(`<Folder><name>${escapeXml(trackLabel(track))}</name>\n`);
+        if (track.points.length) {
+            const first = track.points[0];
+            const last = track.points[track.points.length - 1];
+            write(`<Placemark><name>Route</name><styleUrl>#track</styleUrl>` +
+                `<TimeSpan><begin>${escapeXml(first.recordedAt)}</begin><end>${escapeXml(last.recordedAt)}</end></TimeSpan>` +
+                '<LineString><tessellate>1</tessellate><coordinates>\n');
+            track.points.forEach(point => write(`${point.longitude},${point.latitude},0\n`));
+            write('</coordinates></LineString></Placemark>\n');
+        }
+        track.stops.forEach((stop, index) => {
+            write(`<Placemark><name>${escapeXml(stopLabel(track, stop, index))}</name>` +
+                `<TimeSpan><begin>${escapeXml(stop.startedAt)}</begin><end>${escapeXml(stop.endedAt)}</end></TimeSpan>` +
+                `<Point><coordinates>${stop.longitude},${stop.latitude},0</coordinates></Point></Placemark>\n`);
+        });
+        write('</Folder>\n');
+    });
+
+    write('</Document></kml>\n');
+};
+
+const writeGeoJson = (tracks, write) => {
+    write('{"type":"FeatureCollection","features":[\n');
+    let first = true;
+    const feature = (value) => {
+        write(`${first ? '' : ',\n'}${JSON.stringify(value)}`);
+        first = false;
+    };
+
+    tracks.forEach(track => {
+        if (track.points.length) {
+            feature({
+                type: 'Feature',
+                geometry: {
+                    type: 'LineString',
+                    coordinates: track.points.map(point => [point.longitude, point.latitude])
+                },
+                properties: {
+                    kind: 'track',
+                    employeeId: track.employeeId,
+                    name: track.name || '',
+                    date: track.date,
+                    pointCount: track.points.length,
+                    coordTimes: track.points.map(point => point.recordedAt)
+                }
+            });
+        }
+        track.stops.forEach(stop => feature({
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: [stop.longitude, stop.latitude] },
+            properties: { kind: 'stop', employeeId: track.employeeId, date: track.date, ...stop }
+        }));
+    });
+
+    write('\n]}\n');
+};
+
+const FORMATS = {
+    gpx: { contentType: 'application/gpx+xml', extension: 'gpx', write: writeGpx },
+    kml: { contentType: 'application/vnd.google-earth.kml+xml', extension: 'kml', write: writeKml },
+    geojson: { contentType: 'application/geo+json', extension: 'geojson', write: writeGeoJson }
+};
+
+module.exports = { FORMATS, escapeXml };
@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const { sessionsOf } = require('./attendanceSessions');
+const { isWorkingDay, shiftWindow, shiftDateFor } = require('./shifts');
+const { addDays, parseTimestamp } = require('./time');
+
+// ==========================================
+// TRACKING POLICIES
+// ==========================================
+// A policy is { policyId, name, roles, departments, intervalSeconds, distanceFilterMeters,
+// maxAccuracyMeters, window, outOfWindow, isActive }. The app reads the effective settings from
+// GET /api/tracking/config; the server enforces `window` on ingest.
+//   window        always      - every point is accepted
+//                 clocked-in  - only points captured during an attendance session (breaks included)
+//                 shift-hours - only points inside the employee's shift on a working day
+//   outOfWindow   tag         - points outside the window are stored with outOfSession: true (until
+//                               retention removes them) but no read shows them: history, summaries,
+//                               exports, analytics, the live map, latest locations, geofences, alerts
+//                               and visit inference all leave them out (see isOnDuty)
+//                 reject      - points outside the window are not stored
+// Empty roles and departments apply a policy to everyone. When several apply, the most specific
+// wins (department and role > department > role > everyone), then the oldest.
+
+const TRACKING_WINDOWS = ['always', 'clocked-in', 'shift-hours'];
+const OUT_OF_WINDOW_ACTIONS = ['tag', 'reject'];
+
+const oneOf = (value, allowed) => (allowed.includes(value) ? value : allowed[0]);
+
+// Settings used when no policy applies
+const DEFAULT_SETTINGS = {
+    intervalSeconds: parseInt(process.env.TRACKING_INTERVAL_SECONDS || '60', 10),
+    distanceFilterMeters: parseFloat(process.env.TRACKING_DISTANCE_FILTER_METERS || '25'),
+    maxAccuracyMeters: parseFloat(process.env.TRACKING_MAX_ACCURACY_METERS || '100'),
+    window: oneOf(process.env.TRACKING_WINDOW, TRACKING_WINDOWS),
+    outOfWindow: oneOf(process.env.TRACKING_OUT_OF_WINDOW, OUT_OF_WINDOW_ACTIONS)
+};
+const SETTING_NAMES = Object.keys(DEFAULT_SETTINGS);
+
+// The app starts tracking just before the clock-in tap and stops just after clock-out, so points
+// this close to a session still count as inside it
+const SESSION_MARGIN_MS = parseInt(process.env.TRACKING_SESSION_MARGIN_SECONDS || '60', 10) * 1000;
+
+// -1 when the policy does not apply to the employee, else how specifically it targets them
+const specificity = (policy, employee) => {
+    if (policy.isActive === false) return -1;
+    const roles = policy.roles || [];
+    const departments = policy.departments || [];
+    if (roles.length && !roles.includes(employee.role || 'employee')) return -1;
+    if (departments.length && !(employee.department && departments.includes(employee.department))) return -1;
+    return (departments.length ? 2 : 0) + (roles.length ? 1 : 0);
+};
+
+// Effective settings for an employee, with the policy they come from and a version the app can
+// compare to notice changes
+const resolvePolicy = (policies, employee) => {
+    const [best] = policies
+        .map(policy => ({ policy, score: specificity(policy, employee) }))
+        .filter(({ score }) => score >= 0)
+        .sort((a, b) => b.score - a.score || String(a.policy.createdAt).localeCompare(String(b.policy.createdAt)));
+
+    const settings = { ...DEFAULT_SETTINGS };
+    if (best) SETTING_NAMES.filter(name => best.policy[name] !== undefined).forEach(name => { settings[name] = best.policy[name]; });
+    return {
+        ...settings,
+        policyId: best ? best.policy.policyId : null,
+        policyName: best ? best.policy.name : 'Default',
+        version: crypto.createHash('sha1').update(JSON.stringify(settings)).digest('hex').slice(0, 12)
+    };
+};
+
+// Attendance sessions as epoch-ms [start, end] intervals widened by the margin; open sessions
+// have no end yet
+const sessionIntervals = (records) => records
+    .flatMap(sessionsOf)
+    .map(session => ({ start: parseTimestamp(session.clockIn), end: parseTimestamp(session.clockOut) }))
+    .filter(({ start }) => start !== null)
+    .map(({ start, end }) => ({ start: start - SESSION_MARGIN_MS, end: end === null ? Infinity : end + SESSION_MARGIN_MS }));
+
+const inIntervals = (ms, intervals) => intervals.some(({ start, end }) => ms >= start && ms <= end);
+
+// Whether `ms` falls inside the shift that owns it (a shift on a working day)
+const inShiftHours = (ms, shift, timeZone) => {
+    const date = shiftDateFor(ms, shift, timeZone);
+    if (!isWorkingDay(date, shift)) return false;
+    const { start, end } = shiftWindow(shift, date, timeZone);
+    return ms >= start && ms <= end;
+};
+
+// Start or end of the shift-hours window after `ms`, whichever comes first (null if none in a week)
+const nextShiftChange = (ms, shift, timeZone) => {
+    const date = shiftDateFor(ms, shift, timeZone);
+    for (let offset = 0; offset <= 7; offset++) {
+        const day = addDays(date, offset);
+        if (!isWorkingDay(day, shift)) continue;
+        const { start, end } = shiftWindow(shift, day, timeZone);
+        if (start > ms) return start;
+        if (end > ms) return end;
+    }
+    return null;
+};
+
+// False for points tagged outOfSession, which no one may see or derive figures from
+const isOnDuty = (point) => !point.outOfSession;
+
+// Why a point outside the window was refused or tagged
+const OUTSIDE_REASONS = {
+    'clocked-in': 'while not clocked in',
+    'shift-hours': 'outside shift hours'
+};
+
+module.exports = {
+    TRACKING_WINDOWS,
+    OUT_OF_WINDOW_ACTIONS,
+    DEFAULT_SETTINGS,
+    SETTING_NAMES,
+    specificity,
+    resolvePolicy,
+    sessionIntervals,
+    inIntervals,
+    inShiftHours,
+    nextShiftChange,
+    isOnDuty,
+    OUTSIDE_REASONS
+};
@@ -0,0 +1,151 @@
+const { haversineDistance } = require('./geo');
+
+// ==========================================
+// TRIP SUMMARY DEFAULTS
+// ==========================================
+
+const DEFAULTS = {
+    // Points reporting worse accuracy than this (metres) are dropped before any maths
+    maxAccuracyMeters: parseFloat(process.env.TRIP_MAX_ACCURACY_METERS || '50'),
+    // A stop is a dwell within this radius (metres) ...
+    stopRadiusMeters: parseFloat(process.env.TRIP_STOP_RADIUS_METERS || '75'),
+    // ... lasting at least this long (seconds)
+    stopMinSeconds: parseInt(process.env.TRIP_STOP_MIN_SECONDS || '300', 10),
+    // Segments slower than this (m/s, ~3.6 km/h) count as idle rather than moving
+    movingSpeedMps: parseFloat(process.env.TRIP_MOVING_SPEED_MPS || '1'),
+    // Gaps longer than this (seconds) are untracked time, neither moving nor idle
+    maxGapSeconds: parseInt(process.env.TRIP_MAX_GAP_SECONDS || '900', 10)
+};
+
+const timeOf = (point) => Number(point.timestamp);
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Accuracy 0 means "not reported" (the ingest default), so it is kept
+const filterByAccuracy = (points, maxAccuracyMeters) =>
+    points.filter(point => !point.accuracy || point.accuracy <= maxAccuracyMeters);
+
+const centroid = (points) => ({
+    latitude: points.reduce((sum, p) => sum + p.latitude, 0) / points.length,
+    longitude: points.reduce((sum, p) => sum + p.longitude, 0) / points.length
+});
+
+// Dwell clustering: grow a cluster while points stay within the radius of its running centroid
+const detectStops = (points, { stopRadiusMeters, stopMinSeconds }) => {
+    const stops = [];
+    let i = 0;
+    while (i < points.length) {
+        const cluster = [points[i]];
+        let center = centroid(cluster);
+        let j = i + 1;
+        while (j < points.length && haversineDistance(center, points[j]) <= stopRadiusMeters) {
+            cluster.push(points[j]);
+            center = centroid(cluster);
+            j++;
+        }
+
+        const durationSeconds = (timeOf(cluster[cluster.length - 1]) - timeOf(cluster[0])) / 1000;
+        if (cluster.length > 1 && durationSeconds >= stopMinSeconds) {
+            stops.push({
+                startedAt: cluster[0].recordedAt,
+                endedAt: cluster[cluster.length - 1].recordedAt,
+                durationSeconds: Math.round(durationSeconds),
+                latitude: round(center.latitude, 6),
+                longitude: round(center.longitude, 6),
+                pointCount: cluster.length,
+                startIndex: i,
+                endIndex: j - 1
+            });
+            i = j;
+        } else {
+            i++;
+        }
+    }
+    return stops;
+};
+
+// Summarises one track (points for one employee, any order)
+const summarizeTrack = (rawPoints, options = {}) => {
+    const opts = { ...DEFAULTS, ...options };
+    const sorted = [...rawPoints].sort((a, b) => timeOf(a) - timeOf(b));
+    const points = filterByAccuracy(sorted, opts.maxAccuracyMeters);
+
+    const summary = {
+        pointCount: rawPoints.length,
+        usedPointCount: points.length,
+        startedAt: points.length ? points[0].recordedAt : null,
+        endedAt: points.length ? points[points.length - 1].recordedAt : null,
+        distanceMeters: 0,
+        movingSeconds: 0,
+        idleSeconds: 0,
+        untrackedSeconds: 0,
+        maxSpeedKmh: 0,
+        avgSpeedKmh: 0,
+        stops: []
+    };
+    if (points.length < 2) return summary;
+
+    const stops = detectStops(points, opts);
+    const inStop = new Array(points.length).fill(false);
+    stops.forEach(stop => {
+        for (let k = stop.startIndex; k < stop.endIndex; k++) inStop[k] = true;
+    });
+
+    let movingDistance = 0;
+    for (let k = 1; k < points.length; k++) {
+        const seconds = (timeOf(points[k]) - timeOf(points[k - 1])) / 1000;
+        if (seconds <= 0) continue;
+
+        if (seconds > opts.maxGapSeconds) {
+            summary.untrackedSeconds += seconds;
+            continue;
+        }
+
+        const meters = haversineDistance(points[k - 1], points[k]);
+        const speed = meters / seconds;
+
+        // Jitter inside a stop is idle time and does not add distance
+        if (inStop[k - 1] || speed < opts.movingSpeedMps) {
+            summary.idleSeconds += seconds;
+            continue;
+        }
+
+        summary.distanceMeters += meters;
+        summary.movingSeconds += seconds;
+        movingDistance += meters;
+        summary.maxSpeedKmh = Math.max(summary.maxSpeedKmh, speed * 3.6);
+    }
+
+    summary.avgSpeedKmh = summary.movingSeconds ? (movingDistance / summary.movingSeconds) * 3.6 : 0;
+    summary.distanceMeters = Math.round(summary.distanceMeters);
+    summary.movingSeconds = Math.round(summary.movingSeconds);
+    summary.idleSeconds = Math.round(summary.idleSeconds);
+    summary.untrackedSeconds = Math.round(summary.untrackedSeconds);
+    summary.maxSpeedKmh = round(summary.maxSpeedKmh);
+    summary.avgSpeedKmh = round(summary.avgSpeedKmh);
+    summary.stops = stops.map(({ startIndex, endIndex, ...stop }) => stop);
+
+    return summary;
+};
+
+// Adds up per-day summaries into range totals
+const combineSummaries = (summaries) => {
+    const totals = summaries.reduce((acc, day) => {
+        acc.pointCount += day.pointCount;
+        acc.usedPointCount += day.usedPointCount;
+        acc.distanceMeters += day.distanceMeters;
+        acc.movingSeconds += day.movingSeconds;
+        acc.idleSeconds += day.idleSeconds;
+        acc.untrackedSeconds += day.untrackedSeconds;
+        acc.stopCount += day.stops.length;
+        acc.maxSpeedKmh = Math.max(acc.maxSpeedKmh, day.maxSpeedKmh);
+        return acc;
+    }, {
+        pointCount: 0, usedPointCount: 0, distanceMeters: 0, movingSeconds: 0,
+        idleSeconds: 0, untrackedSeconds: 0, stopCount: 0, maxSpeedKmh: 0
+    });
+    totals.avgSpeedKmh = totals.movingSeconds ? round((totals.distanceMeters / totals.movingSeconds) * 3.6) : 0;
+    return totals;
+};
+
+module.exports = { DEFAULTS, filterByAccuracy, detectStops, summarizeTrack, combineSummaries };
@@ -0,0 +1,184 @@
+// ==========================================
+// REQUEST SCHEMAS
+// ==========================================
+// A schema maps field names to rules built with `field.*`. validate() coerces query-string values
+// (numbers, booleans), applies format and range checks and reports every problem with its field,
+// so clients get all errors at once. Fields not named in the schema are passed through untouched.
+// Each rule also carries the JSON Schema it enforces, which lib/openapi.js publishes in the API docs.
+// Objects and arrays can declare what they hold (field.object({ fields }), field.array({ of })); their
+// problems are reported with a path, e.g. center.latitude or vertices[2].longitude.
+// A null counts as missing unless the rule is `nullable`, in which case it is kept (clears a setting).
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+const rule = (options, check, schema) => ({
+    required: Boolean(options.required),
+    nullable: Boolean(options.nullable),
+    defaultValue: options.default,
+    check,
+    schema: {
+        ...schema,
+        ...(options.nullable && { type: [].concat(schema.type, 'null') }),
+        ...(options.default !== undefined && { default: options.default }),
+        ...(options.description && { description: options.description })
+    }
+});
+
+// Drops unset keywords so published schemas stay readable
+const compact = (schema) => Object.fromEntries(Object.entries(schema).filter(([, value]) => value !== undefined));
+
+// Runs `rule` on one nested value; `path` is its position below the parent field ('.latitude', '[2]')
+const checkNested = (rule, raw, path, errors) => {
+    if (raw === null && rule.nullable) return null;
+    if (isEmpty(raw)) {
+        if (rule.required) errors.push({ field: path, message: 'is required' });
+        return rule.defaultValue;
+    }
+    const result = rule.check(raw);
+    if (result.errors) errors.push(...result.errors.map(error => ({ ...error, field: `${path}${error.field}` })));
+    else if (result.message) errors.push({ field: path, message: result.message });
+    return result.value;
+};
+
+// Each check returns { value } (possibly coerced), { message } (appended to the field name) or, for
+// objects and arrays, { errors: [{ field: path below this field, message }] }
+const field = {
+    // Numbers are accepted as their decimal text (numeric IDs)
+    string: (options = {}) => rule(options, (value) => {
+        const input = typeof value === 'number' && Number.isFinite(value) ? String(value) : value;
+        if (typeof input !== 'string') return { message: 'must be a string' };
+        const text = options.trim === false ? input : input.trim();
+        if (options.oneOf && !options.oneOf.includes(text)) return { message: `must be one of: ${options.oneOf.join(', ')}` };
+        if (text.length > (options.max || 1000)) return { message: `must be at most ${options.max || 1000} characters` };
+        if (options.pattern && !options.pattern.test(text)) return { message: options.message || 'has an invalid format' };
+        return { value: text };
+    }, compact({
+        type: 'string',
+        enum: options.oneOf,
+        maxLength: options.max || 1000,
+        pattern: options.pattern && options.pattern.source
+    })),
+
+    // Accepts numbers or numeric strings (query parameters, form-encoded clients)
+    number: (options = {}) => rule(options, (value) => {
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (typeof number !== 'number' || !Number.isFinite(number)) return { message: 'must be a number' };
+        if (options.integer && !Number.isInteger(number)) return { message: 'must be a whole number' };
+        if (options.positive && number <= 0) return { message: 'must be a positive number' };
+        if (options.min !== undefined && number < options.min) {
+            return { message: options.max !== undefined ? `must be between ${options.min} and ${options.max}` : `must be at least ${options.min}` };
+        }
+        if (options.max !== undefined && number > options.max) {
+            return { message: options.min !== undefined ? `must be between ${options.min} and ${options.max}` : `must be at most ${options.max}` };
+        }
+        return { value: number };
+    }, compact({
+        type: options.integer ? 'integer' : 'number',
+        minimum: options.min,
+        maximum: options.max,
+        exclusiveMinimum: options.positive ? 0 : undefined
+    })),
+
+    boolean: (options = {}) => rule(options, (value) => {
+        if (typeof value === 'boolean') return { value };
+        if (['true', '1'].includes(value)) return { value: true };
+        if (['false', '0'].includes(value)) return { value: false };
+        return { message: 'must be true or false' };
+    }, { type: 'boolean' }),
+
+    // YYYY-MM-DD that is a real calendar date (2026-02-30 is rejected)
+    date: (options = {}) => rule(options, (value) => {
+        const match = typeof value === 'string' && /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+        if (!match) return { message: 'must be a YYYY-MM-DD date' };
+        const parsed = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+        if (parsed.toISOString().slice(0, 10) !== value) return { message: 'is not a valid calendar date' };
+        return { value };
+    }, { type: 'string', format: 'date' }),
+
+    // ISO timestamp or epoch milliseconds; coerced to epoch ms
+    timestamp: (options = {}) => rule(options, (value) => {
+        const ms = typeof value === 'number' || /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+        if (!Number.isFinite(ms)) return { message: 'must be an ISO timestamp or epoch milliseconds' };
+        return { value: ms };
+    }, { type: ['string', 'integer'], description: 'ISO timestamp or epoch milliseconds' }),
+
+    // `of` (a field.* rule) validates and coerces every item; `items` only documents them
+    array: (options = {}) => rule(options, (value) => {
+        if (!Array.isArray(value)) return { message: 'must be an array' };
+        if (options.min !== undefined && value.length < options.min) return { message: `must contain at least ${options.min} item(s)` };
+        if (options.max !== undefined && value.length > options.max) return { message: `must contain at most ${options.max} items` };
+        if (!options.of) return { value };
+
+        const errors = [];
+        const items = value.map((item, index) => checkNested(options.of, item, `[${index}]`, errors));
+        return errors.length ? { errors } : { value: items };
+    }, compact({
+        type: 'array',
+        minItems: options.min,
+        maxItems: options.max,
+        items: options.of ? options.of.schema : options.items || {}
+    })),
+
+    // `fields` (a schema like the top-level ones) validates and coerces the object's properties;
+    // properties it does not name are dropped, or rejected with `strict`
+    object: (options = {}) => rule(options, (value) => {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return { message: 'must be an object' };
+        if (!options.fields) return { value };
+
+        const errors = [];
+        const result = {};
+        Object.entries(options.fields).forEach(([name, fieldRule]) => {
+            const checked = checkNested(fieldRule, value[name], `.${name}`, errors);
+            if (checked !== undefined) result[name] = checked;
+        });
+        if (options.strict) {
+            Object.keys(value).filter(name => !(name in options.fields))
+                .forEach(name => errors.push({ field: `.${name}`, message: 'is not allowed' }));
+        }
+        return errors.length ? { errors } : { value: result };
+    }, options.fields
+        ? { ...describe(options.fields), ...(options.strict && { additionalProperties: false }) }
+        : { type: 'object' })
+};
+
+// Returns { value, errors } where errors are [{ field, message }]. Empty strings count as missing.
+const validate = (schema, input) => {
+    const source = input && typeof input === 'object' ? input : {};
+    const value = {};
+    const errors = [];
+
+    Object.entries(schema).forEach(([name, { required, nullable, defaultValue, check }]) => {
+        const raw = source[name];
+        if (raw === null && nullable) {
+            value[name] = null;
+            return;
+        }
+        if (isEmpty(raw)) {
+            if (required) errors.push({ field: name, message: `${name} is required` });
+            else if (defaultValue !== undefined) value[name] = defaultValue;
+            return;
+        }
+        const result = check(raw);
+        if (result.errors) {
+            errors.push(...result.errors.map(error => ({ field: `${name}${error.field}`, message: `${name}${error.field} ${error.message}` })));
+        } else if (result.message) {
+            errors.push({ field: name, message: `${name} ${result.message}` });
+        } else {
+            value[name] = result.value;
+        }
+    });
+
+    return { value, errors };
+};
+
+// JSON Schema of a whole field map: API docs, and the items of array fields
+const describe = (schema) => {
+    const required = Object.keys(schema).filter(name => schema[name].required);
+    return {
+        type: 'object',
+        properties: Object.fromEntries(Object.entries(schema).map(([name, { schema: fieldSchema }]) => [name, fieldSchema])),
+        ...(required.length && { required })
+    };
+};
+
+module.exports = { field, validate, describe };
@@ -0,0 +1,153 @@
+const { haversineDistance } = require('./geo');
+
+// ==========================================
+// FIELD VISITS
+// ==========================================
+// A visit is one employee's stay at a customer site, either checked in and out from the app
+// (source "manual") or inferred from a detected stop inside a site's radius (source "inferred").
+// Check-in/out points are verified against the site:
+//   verified       within the site radius with a usable accuracy
+//   low-accuracy   within the radius, but the fix is less accurate than the allowed maximum
+//   outside-site   further from the site than its radius
+//   flagged        the point was flagged as possibly spoofed (see lib/spoofing.js)
+// Times are ISO timestamps in UTC, so they compare as strings.
+
+const VISIT_SOURCES = ['manual', 'inferred'];
+const VISIT_STATUSES = ['open', 'completed'];
+const VERIFICATIONS = ['verified', 'low-accuracy', 'outside-site', 'flagged'];
+const DEFAULT_SITE_RADIUS_METERS = 150;
+
+const minutesBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / 60000);
+
+// Distance of a stored location point from the site, and what it means for the visit
+const verifyLocation = (site, point, { maxAccuracyMeters }) => {
+    const distanceMeters = Math.round(haversineDistance(site, point));
+    let verification = 'verified';
+    if (point.flags && point.flags.length) verification = 'flagged';
+    else if (distanceMeters > site.radiusMeters) verification = 'outside-site';
+    else if ((point.accuracy || 0) > maxAccuracyMeters) verification = 'low-accuracy';
+    return { distanceMeters, verification };
+};
+
+// The checkIn / checkOut part of a visit, taken from the point it is tied to
+const locationRecord = (site, point, options) => ({
+    at: point.recordedAt,
+    pointId: point.pointId,
+    latitude: point.latitude,
+    longitude: point.longitude,
+    accuracy: point.accuracy || 0,
+    ...verifyLocation(site, point, options)
+});
+
+const isVerified = (visit) =>
+    visit.checkIn.verification === 'verified' && (!visit.checkOut || visit.checkOut.verification === 'verified');
+
+// Pairs each stop (lib/trips.js detectStops) with the nearest active site whose radius contains the
+// stop's centre. Stops near no site are left out.
+const matchStopsToSites = (stops, sites) => stops.map(stop => {
+    const [nearest] = sites
+        .filter(site => site.isActive !== false)
+        .map(site => ({ site, distanceMeters: haversineDistance(site, stop) }))
+        .filter(({ site, distanceMeters }) => distanceMeters <= site.radiusMeters)
+        .sort((a, b) => a.distanceMeters - b.distanceMeters);
+    return nearest && { stop, site: nearest.site, distanceMeters: Math.round(nearest.distanceMeters) };
+}).filter(Boolean);
+
+// Open visits run until now
+const overlaps = (visit, startedAt, endedAt) =>
+    visit.checkIn.at <= endedAt && (!visit.checkOut || visit.checkOut.at >= startedAt);
+
+// Decides what the matched stops of one employee-day change, given the visits already recorded:
+// stops during a manual visit are ignored (the employee said where they were), a stop overlapping an
+// inferred visit at the same site widens it when it has grown, and any other overlap keeps the
+// earlier inference. Returns { create: [match], extend: [{ visit, match }] }.
+const planInferredVisits = (matches, visits) => {
+    const plan = { create: [], extend: [] };
+    matches.forEach(match => {
+        const { startedAt, endedAt } = match.stop;
+        const overlapping = visits.filter(visit => overlaps(visit, startedAt, endedAt));
+        if (!overlapping.length) {
+            plan.create.push(match);
+            return;
+        }
+
+        const same = overlapping.find(visit => visit.source === 'inferred' && visit.siteId === match.site.siteId);
+        if (!same || overlapping.some(visit => visit.source === 'manual')) return;
+        if (startedAt < same.checkIn.at || endedAt > same.checkOut.at) plan.extend.push({ visit: same, match });
+    });
+    return plan;
+};
+
+// Headline numbers for a list of visits (one employee-day in the daily report)
+const summarizeVisits = (visits) => {
+    const completed = visits.filter(visit => visit.status === 'completed');
+    const checkIns = visits.map(visit => visit.checkIn.at).sort();
+    const checkOuts = completed.map(visit => visit.checkOut.at).sort();
+    return {
+        visits: visits.length,
+        completed: completed.length,
+        open: visits.length - completed.length,
+        manual: visits.filter(visit => visit.source === 'manual').length,
+        inferred: visits.filter(visit => visit.source === 'inferred').length,
+        verified: visits.filter(isVerified).length,
+        sitesVisited: new Set(visits.map(visit => visit.siteId)).size,
+        totalMinutes: completed.reduce((sum, visit) => sum + visit.durationMinutes, 0),
+        firstCheckIn: checkIns[0] || null,
+        lastCheckOut: checkOuts[checkOuts.length - 1] || null
+    };
+};
+
+const REPORT_COLUMNS = [
+    { key: 'date', header: 'Date' },
+    { key: 'employeeId', header: 'Employee ID' },
+    { key: 'siteName', header: 'Site' },
+    { key: 'customer', header: 'Customer' },
+    { key: 'source', header: 'Source' },
+    { key: 'status', header: 'Status' },
+    { key: 'checkIn', header: 'Check-in' },
+    { key: 'checkOut', header: 'Check-out' },
+    { key: 'durationMinutes', header: 'Minutes' },
+    { key: 'checkInDistanceMeters', header: 'Check-in distance (m)' },
+    { key: 'checkInVerification', header: 'Check-in verification' },
+    { key: 'checkOutDistanceMeters', header: 'Check-out distance (m)' },
+    { key: 'checkOutVerification', header: 'Check-out verification' },
+    { key: 'notes', header: 'Notes' },
+    { key: 'photos', header: 'Photos' }
+];
+
+const reportRow = (visit) => ({
+    visitId: visit.visitId,
+    date: visit.date,
+    employeeId: visit.employeeId,
+    siteId: visit.siteId,
+    siteName: visit.siteName,
+    customer: visit.customer || '',
+    source: visit.source,
+    status: visit.status,
+    checkIn: visit.checkIn.at,
+    checkOut: visit.checkOut ? visit.checkOut.at : '',
+    durationMinutes: visit.status === 'completed' ? visit.durationMinutes : '',
+    checkInDistanceMeters: visit.checkIn.distanceMeters,
+    checkInVerification: visit.checkIn.verification,
+    checkOutDistanceMeters: visit.checkOut ? visit.checkOut.distanceMeters : '',
+    checkOutVerification: visit.checkOut ? visit.checkOut.verification : '',
+    notes: (visit.notes || []).map(note => note.text).join(' | '),
+    photos: (visit.photos || []).length
+});
+
+module.exports = {
+    VISIT_SOURCES,
+    VISIT_STATUSES,
+    VERIFICATIONS,
+    DEFAULT_SITE_RADIUS_METERS,
+    minutesBetween,
+    verifyLocation,
+    locationRecord,
+    isVerified,
+    matchStopsToSites,
+    overlaps,
+    planInferredVisits,
+    summarizeVisits,
+    REPORT_COLUMNS,
+    reportRow
+};
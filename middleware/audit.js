@@ -0,0 +1,52 @@
+const audit = require('../services/audit');
+const { MUTATING_METHODS } = require('../lib/audit');
+const logger = require('../lib/logger');
+
+// ==========================================
+// AUDIT TRAIL MIDDLEWARE
+// ==========================================
+// auditTrail gives every request a `req.audit` scratchpad and, when the response has been sent,
+// appends one entry for each mutating request (POST/PUT/PATCH/DELETE) and each read marked with
+// auditAs() that touches another person's data. Routes enrich the entry through req.audit: { action, targetType, targetId, actorId,
+// orgId, before, after, details }. Failed requests are recorded too (outcome: failure).
+
+const auditTrail = (req, res, next) => {
+    req.audit = {};
+    res.on('finish', () => {
+        if (req.audit.skip) return;
+        if (!MUTATING_METHODS.includes(req.method)) {
+            // Reads are recorded when marked, and only when they concern someone other than the caller
+            if (!req.audit.action || (req.user && req.audit.targetId === req.user.employeeId)) return;
+        }
+
+        audit.record(audit.buildEntry(req, res))
+            .catch(error => logger.error('Audit entry not written', { method: req.method, path: req.originalUrl.split('?')[0], err: error }));
+    });
+    next();
+};
+
+// Names the action and its target; `target` / `actor` pick ids out of the request.
+// On a GET this also opts the read into the trail (location history, exports, ...).
+const auditAs = (action, { targetType, target, actor } = {}) => (req, res, next) => {
+    Object.assign(req.audit, {
+        action,
+        targetType,
+        ...(target && { targetId: target(req) }),
+        ...(actor && { actorId: actor(req) })
+    });
+    next();
+};
+
+// High-volume telemetry (GPS uploads) is already its own record and stays out of the trail
+const skipAudit = (req, res, next) => {
+    req.audit.skip = true;
+    next();
+};
+
+// Records the record before and after the change; the entry stores the field-level diff
+const noteChange = (req, before, after) => {
+    req.audit.before = before || null;
+    req.audit.after = after || null;
+};
+
+module.exports = { auditTrail, auditAs, skipAudit, noteChange };
@@ -0,0 +1,173 @@
+const jwt = require('jsonwebtoken');
+const repositories = require('../repositories');
+const organisations = require('../services/organisations');
+const logger = require('../lib/logger');
+const { DEFAULT_ORG_ID, orgOf, runAs } = require('../lib/tenancy');
+
+// ==========================================
+// TOKEN CONFIG
+// ==========================================
+
+const ACCESS_TOKEN_SECRET = process.env.JWT_SECRET || 'dev-access-secret-change-me';
+const REFRESH_TOKEN_SECRET = process.env.JWT_REFRESH_SECRET || `${ACCESS_TOKEN_SECRET}-refresh`;
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL = process.env.REFRESH_TOKEN_TTL || '7d';
+
+if (process.env.NODE_ENV === 'production' && !process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET must be set in production');
+}
+
+// Roles allowed to see other employees' data and the admin endpoints
+const PRIVILEGED_ROLES = ['admin', 'hr', 'manager'];
+
+const isPrivileged = (user) => Boolean(user) && PRIVILEGED_ROLES.includes(user.role);
+
+// ==========================================
+// TOKEN HELPERS
+// ==========================================
+
+const issueTokens = (employee) => {
+    const claims = { employeeId: employee.employeeId, role: employee.role || 'employee', orgId: orgOf(employee) };
+    // Accounts still on an initial/admin-issued password may only change it
+    const mustChangePassword = !employee.passwordSet;
+
+    const accessToken = jwt.sign({ ...claims, mustChangePassword, type: 'access' }, ACCESS_TOKEN_SECRET, {
+        subject: employee.employeeId,
+        expiresIn: ACCESS_TOKEN_TTL
+    });
+    const refreshToken = jwt.sign({ ...claims, type: 'refresh' }, REFRESH_TOKEN_SECRET, {
+        subject: employee.employeeId,
+        expiresIn: REFRESH_TOKEN_TTL
+    });
+
+    return { accessToken, refreshToken, tokenType: 'Bearer', expiresIn: ACCESS_TOKEN_TTL };
+};
+
+// Throws (jsonwebtoken errors) if the token is invalid, expired or not a refresh token
+const verifyRefreshToken = (token) => {
+    const payload = jwt.verify(token, REFRESH_TOKEN_SECRET);
+    if (payload.type !== 'refresh') throw new jwt.JsonWebTokenError('Not a refresh token');
+    return payload;
+};
+
+// ==========================================
+// MIDDLEWARE
+// ==========================================
+
+// A token's claims date from when it was issued: the account is read again on every request so
+// deactivation and role changes take effect immediately, not when the token expires
+const admitAccount = async (req, res, next) => {
+    const employee = await repositories.employees.get(req.user.employeeId);
+    if (!employee) {
+        return res.status(401).json({ error: 'Invalid token', code: 'INVALID_TOKEN' });
+    }
+    if (employee.isActive === false) {
+        return res.status(403).json({ error: 'Account is deactivated', code: 'ACCOUNT_DEACTIVATED' });
+    }
+    req.user.role = employee.role || 'employee';
+    next();
+};
+
+// Verifies the Bearer access token, exposes its claims as req.user (plus expiresAt, epoch ms) and runs
+// the rest of the request as the user's organisation (lib/tenancy.js). Tokens issued before a forced
+// password change are only accepted when `allowPasswordChange` is set.
+const verifyAccessToken = ({ allowPasswordChange }) => (req, res, next) => {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+        return res.status(401).json({ error: 'Authentication required', code: 'AUTH_REQUIRED' });
+    }
+
+    try {
+        const payload = jwt.verify(token, ACCESS_TOKEN_SECRET);
+        if (payload.type !== 'access') {
+            return res.status(401).json({ error: 'Invalid token', code: 'INVALID_TOKEN' });
+        }
+        if (payload.mustChangePassword && !allowPasswordChange) {
+            return res.status(403).json({ error: 'Password change required', code: 'PASSWORD_CHANGE_REQUIRED', requiresPasswordChange: true });
+        }
+        // Tokens from before organisations existed belong to the default one
+        req.user = {
+            employeeId: payload.employeeId,
+            role: payload.role,
+            orgId: payload.orgId || DEFAULT_ORG_ID,
+            expiresAt: payload.exp * 1000
+        };
+        logger.addContext({ employeeId: req.user.employeeId });
+    } catch (error) {
+        const expired = error.name === 'TokenExpiredError';
+        return res.status(401).json({
+            error: expired ? 'Token expired' : 'Invalid token',
+            code: expired ? 'TOKEN_EXPIRED' : 'INVALID_TOKEN'
+        });
+    }
+
+    organisations.admit(req.user.orgId, req.headers.origin)
+        .then(problem => {
+            if (problem) return res.status(403).json(problem);
+            return runAs(req.user.orgId, () => admitAccount(req, res, next));
+        })
+        .catch(next);
+};
+
+// For clients that cannot set headers (EventSource): promotes ?access_token= to a Bearer header
+const tokenFromQuery = (req, res, next) => {
+    if (!req.headers.authorization && req.query.access_token) {
+        req.headers.authorization = `Bearer ${req.query.access_token}`;
+    }
+    next();
+};
+
+const authenticate = verifyAccessToken({ allowPasswordChange: false });
+const authenticateForPasswordChange = verifyAccessToken({ allowPasswordChange: true });
+
+// Allows the request only if the authenticated role is one of `roles`
+// (exposed as .roles for the API docs)
+const authorize = (...roles) => Object.assign((req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+        return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    next();
+}, { roles });
+
+// Allows the request if it targets the caller's own employeeId, or the caller is privileged.
+// `getEmployeeId` picks the target id out of the request (params, body, ...).
+const requireSelfOrPrivileged = (getEmployeeId) => (req, res, next) => {
+    const target = getEmployeeId(req);
+    if (req.user && (target === req.user.employeeId || isPrivileged(req.user))) {
+        return next();
+    }
+    return res.status(403).json({ error: 'You can only access your own records' });
+};
+
+// Allows the request only if it targets the caller's own employeeId
+const requireSelf = (getEmployeeId) => (req, res, next) => {
+    if (req.user && getEmployeeId(req) === req.user.employeeId) return next();
+    return res.status(403).json({ error: 'You can only access your own records' });
+};
+
+// Fills req.body.employeeId from the token and rejects writes on behalf of someone else
+const requireSelfBody = (req, res, next) => {
+    req.body = req.body || {};
+    if (!req.body.employeeId) req.body.employeeId = req.user.employeeId;
+
+    if (req.body.employeeId !== req.user.employeeId) {
+        return res.status(403).json({ error: 'You can only submit records for yourself' });
+    }
+    next();
+};
+
+module.exports = {
+    PRIVILEGED_ROLES,
+    isPrivileged,
+    issueTokens,
+    verifyRefreshToken,
+    tokenFromQuery,
+    authenticate,
+    authenticateForPasswordChange,
+    authorize,
+    requireSelf,
+    requireSelfOrPrivileged,
+    requireSelfBody
+};
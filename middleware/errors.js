@@ -0,0 +1,91 @@
+const { ConditionFailedError, InvalidCursorError } = require('../repositories/errors');
+const logger = require('../lib/logger');
+const { httpErrors } = require('../lib/metrics');
+
+// ==========================================
+// ERROR ENVELOPE
+// ==========================================
+// Every error response has the shape { error, code, details? }:
+//   error   - human-readable message
+//   code    - stable machine-readable code (clients branch on this, never on the message)
+//   details - optional [{ field?, location?, message }] with field-level problems. Always an array:
+//             anything else is dropped (with a warning), so extra context such as a conflicting
+//             record's id goes in a top-level property next to `error` instead
+
+const STATUS_CODES = {
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHENTICATED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    413: 'PAYLOAD_TOO_LARGE',
+    415: 'UNSUPPORTED_MEDIA_TYPE',
+    423: 'LOCKED',
+    429: 'RATE_LIMITED',
+    500: 'INTERNAL_ERROR',
+    503: 'SERVICE_UNAVAILABLE'
+};
+
+const codeFor = (status) => STATUS_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+
+// Handlers may attach an explicit code; everything else gets the status default.
+// Legacy string details become { message } entries. Server errors without an explicit code never
+// expose their message (it may come from the AWS SDK); it is logged here instead.
+const errorEnvelope = (req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        if (res.statusCode < 400 || !body || typeof body.error !== 'string') return json(body);
+
+        if (res.statusCode >= 500 && !body.code) {
+            logger.error('Server error response', { status: res.statusCode, error: body.error });
+            httpErrors.inc({ status: res.statusCode, code: codeFor(res.statusCode) });
+            return json({ error: 'Internal server error', code: codeFor(res.statusCode) });
+        }
+
+        const { details, ...rest } = body;
+        if (details !== undefined && !Array.isArray(details)) {
+            logger.warn('Error details dropped: details must be an array', { method: req.method, path: req.originalUrl });
+        }
+        const code = body.code || codeFor(res.statusCode);
+        httpErrors.inc({ status: res.statusCode, code });
+        return json({
+            ...rest,
+            code,
+            ...(Array.isArray(details) && {
+                details: details.map(detail => (typeof detail === 'string' ? { message: detail } : detail))
+            })
+        });
+    };
+    next();
+};
+
+// JSON 404 for unknown API routes (instead of Express's HTML page)
+const notFound = (req, res) => {
+    res.status(404).json({ error: `No route for ${req.method} ${req.baseUrl}${req.path}`, code: 'ROUTE_NOT_FOUND' });
+};
+
+// Final error handler: body-parser failures, storage errors that escaped a route, anything thrown
+// synchronously. Raw messages are logged, not returned.
+const errorHandler = (err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') {
+        return res.status(400).json({ error: 'Request body is not valid JSON', code: 'MALFORMED_JSON' });
+    }
+    if (err.type === 'entity.too.large') {
+        return res.status(413).json({ error: 'Request body is too large', code: 'PAYLOAD_TOO_LARGE' });
+    }
+    if (err instanceof InvalidCursorError) {
+        return res.status(400).json({ error: err.message, code: 'INVALID_CURSOR' });
+    }
+    if (err instanceof ConditionFailedError) {
+        return res.status(409).json({ error: 'The resource was changed by someone else', code: 'CONFLICT' });
+    }
+
+    logger.error('Unhandled request error', { err });
+    // Throttling / unreachable storage is worth a retry; say so without the SDK's wording
+    if (err.retryable || ['ProvisionedThroughputExceededException', 'ThrottlingException', 'RequestLimitExceeded'].includes(err.code)) {
+        return res.status(503).json({ error: 'Storage is temporarily unavailable; please retry', code: 'STORAGE_UNAVAILABLE' });
+    }
+    res.status(500).json({ error: 'Internal server error', code: 'INTERNAL_ERROR' });
+};
+
+module.exports = { STATUS_CODES, errorEnvelope, notFound, errorHandler };
@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+const logger = require('../lib/logger');
+const { httpRequestDuration } = require('../lib/metrics');
+
+// A caller-supplied X-Request-Id is kept when it looks like an id (load balancer, mobile app);
+// otherwise a new one is generated. Either way it is echoed back in the response.
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{8,128}$/;
+
+// Route pattern for labels ("/api/employees/:employeeId"); unmatched requests share one label
+const routeLabel = (req) => (req.route ? `${req.baseUrl}${req.route.path}`.replace(/(.)\/$/, '$1') : 'unmatched');
+
+// Gives every request an id, runs the rest of the chain in its logging context and, when the
+// response is finished, logs one "request completed" line and records its latency.
+// Probes and scrapes (/api/health/*, /metrics) are timed but only logged at debug level.
+const requestLog = (req, res, next) => {
+    const supplied = req.get('X-Request-Id');
+    req.id = supplied && REQUEST_ID_PATTERN.test(supplied) ? supplied : crypto.randomUUID();
+    res.setHeader('X-Request-Id', req.id);
+
+    const end = httpRequestDuration.startTimer();
+    const startedAt = process.hrtime.bigint();
+
+    res.on('finish', () => {
+        const route = routeLabel(req);
+        const path = req.originalUrl.split('?')[0];
+        end({ method: req.method, route, status: res.statusCode });
+
+        const quiet = path === '/metrics' || path.startsWith('/api/health');
+        const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : quiet ? 'debug' : 'info';
+        logger[level]('request completed', {
+            requestId: req.id,
+            method: req.method,
+            path,
+            route,
+            status: res.statusCode,
+            durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100,
+            ...(req.user && { employeeId: req.user.employeeId, orgId: req.user.orgId }),
+            ip: req.ip,
+            userAgent: req.get('User-Agent') || null
+        });
+    });
+
+    logger.withContext({ requestId: req.id }, next);
+};
+
+module.exports = { requestLog };
@@ -0,0 +1,65 @@
+const Ajv2020 = require('ajv/dist/2020');
+const { toOpenApiPath, responseFor } = require('../lib/openapi');
+const { specFor } = require('../services/apiDocs');
+const logger = require('../lib/logger');
+
+// ==========================================
+// RESPONSE CONFORMANCE (OPENAPI_CHECK_RESPONSES=true)
+// ==========================================
+// Checks every JSON response against the OpenAPI document and logs a warning when the status is
+// undocumented or the body does not match its schema. Meant for development, CI and staging runs;
+// responses are never altered. Install it before errorEnvelope so it sees the final bodies.
+
+const ajv = new Ajv2020({ strict: false, validateFormats: false, allErrors: true });
+const validators = new Map();
+
+const schemaFor = (spec, response) => {
+    const resolved = response.$ref ? spec.components.responses[response.$ref.split('/').pop()] : response;
+    const content = resolved.content && resolved.content['application/json'];
+    return content ? content.schema : null;
+};
+
+// Compiled once per operation and status; component refs resolve against the document
+const validatorFor = (spec, key, response) => {
+    if (!validators.has(key)) {
+        const schema = schemaFor(spec, response);
+        validators.set(key, schema ? ajv.compile({ ...schema, components: spec.components }) : null);
+    }
+    return validators.get(key);
+};
+
+const checkResponses = (req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        try {
+            check(req, res.statusCode, body);
+        } catch (error) {
+            logger.warn('OpenAPI check failed', { request: `${req.method} ${req.originalUrl}`, error: error.message });
+        }
+        return json(body);
+    };
+    next();
+};
+
+const check = (req, status, body) => {
+    // Unmatched requests (404 from notFound) have no operation to check against
+    if (!req.route) return;
+    const spec = specFor(req.app);
+    const path = toOpenApiPath(req.baseUrl + req.route.path);
+    const method = req.method.toLowerCase();
+    const operation = spec.paths[path] && spec.paths[path][method];
+    const label = `${req.method} ${path} -> ${status}`;
+
+    if (!operation) return logger.warn('OpenAPI: response is not documented', { response: label });
+    if (!operation.responses[status] && !(status >= 400 && operation.responses.default)) {
+        logger.warn('OpenAPI: status is not documented', { response: label });
+    }
+
+    const validate = validatorFor(spec, `${method} ${path} ${status}`, responseFor(operation, status));
+    if (validate && !validate(body)) {
+        const problems = validate.errors.map(error => `${error.instancePath || '(body)'} ${error.message}`).join('; ');
+        logger.warn('OpenAPI: response does not match the documented schema', { response: label, problems });
+    }
+};
+
+module.exports = { checkResponses };
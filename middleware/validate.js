@@ -0,0 +1,35 @@
+const { validate } = require('../lib/validation');
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+// Validates req.params / req.query / req.body against declared schemas (see lib/validation.js).
+// Coerced values replace the raw ones; on failure responds 400 VALIDATION_FAILED with every
+// field-level problem, tagged with where it came from. The schemas stay readable as .schemas,
+// which is how lib/openapi.js documents parameters and bodies.
+const validateRequest = (schemas) => Object.assign((req, res, next) => {
+    const details = [];
+
+    LOCATIONS.filter(location => schemas[location]).forEach(location => {
+        const { value, errors } = validate(schemas[location], req[location]);
+        details.push(...errors.map(error => ({ ...error, location })));
+        req[location] = { ...(req[location] || {}), ...value };
+    });
+
+    if (details.length) {
+        return res.status(400).json({ error: 'Request validation failed', code: 'VALIDATION_FAILED', details });
+    }
+    next();
+}, { schemas });
+
+// 400 for problems a handler finds after the declared schemas passed (rules spanning several
+// fields, lookups): same code and detail shape as validateRequest. `problems` are [{ field?, message }].
+const invalidIn = (location) => (res, error, problems) => res.status(400).json({
+    error,
+    code: 'VALIDATION_FAILED',
+    details: problems.map(problem => ({ ...problem, location }))
+});
+
+const invalidBody = invalidIn('body');
+const invalidQuery = invalidIn('query');
+
+module.exports = { validateRequest, invalidBody, invalidQuery };
@@ -0,0 +1,17 @@
+const { InvalidCursorError } = require('./errors');
+
+// Opaque pagination cursors: base64url-encoded JSON of the backend's last evaluated key
+const encodeCursor = (key) => (key ? Buffer.from(JSON.stringify(key)).toString('base64url') : null);
+
+const decodeCursor = (cursor) => {
+    if (!cursor) return undefined;
+    try {
+        const key = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!key || typeof key !== 'object') throw new Error('not an object');
+        return key;
+    } catch (error) {
+        throw new InvalidCursorError();
+    }
+};
+
+module.exports = { encodeCursor, decodeCursor };
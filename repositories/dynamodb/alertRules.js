@@ -0,0 +1,52 @@
+const { documentClient, TABLES, buildUpdate, scanAll, translateError } = require('./client');
+
+const TableName = TABLES.alertRules;
+
+const get = async (ruleId) => {
+    const result = await documentClient.get({ TableName, Key: { ruleId } }).promise();
+    return result.Item || null;
+};
+
+// Rules are few and cached by callers, so a scan is fine here
+const list = () => scanAll({ TableName });
+
+const create = async (item) => {
+    try {
+        await documentClient.put({
+            TableName,
+            Item: item,
+            ConditionExpression: 'attribute_not_exists(ruleId)'
+        }).promise();
+        return item;
+    } catch (error) {
+        throw translateError(error);
+    }
+};
+
+const update = async (ruleId, changes) => {
+    try {
+        const result = await documentClient.update({
+            TableName,
+            Key: { ruleId },
+            ...buildUpdate(changes, { keyField: 'ruleId' }),
+            ReturnValues: 'ALL_NEW'
+        }).promise();
+        return result.Attributes;
+    } catch (error) {
+        throw translateError(error);
+    }
+};
+
+const remove = async (ruleId) => {
+    try {
+        await documentClient.delete({
+            TableName,
+            Key: { ruleId },
+            ConditionExpression: 'attribute_exists(ruleId)'
+        }).promise();
+    } catch (error) {
+        throw translateError(error);
+    }
+};
+
+module.exports = { get, list, create, update, remove };
@@ -0,0 +1,59 @@
+const {
+    documentClient,
+    TABLES,
+    INDEXES,
+    buildUpdate,
+    keyCondition,
+    queryAll,
+    translateError
+} = require('./client');
+
+const TableName = TABLES.alerts;
+
+const get = async (alertId) => {
+    const result = await documentClient.get({ TableName, Key: { alertId } }).promise();
+    return result.Item || null;
+};
+
+const create = async (item) => {
+    try {
+        await documentClient.put({
+            TableName,
+            Item: item,
+            ConditionExpression: 'attribute_not_exists(alertId)'
+        }).promise();
+        return item;
+    } catch (error) {
+        throw translateError(error);
+    }
+};
+
+// `expect` guards acknowledgement against concurrent updates
+const update = async (alertId, changes, { expect } = {}) => {
+    try {
+        const result = await documentClient.update({
+            TableName,
+            Key: { alertId },
+            ...buildUpdate(changes, { keyField: 'alertId', expect }),
+            ReturnValues: 'ALL_NEW'
+        }).promise();
+        return result.Attributes;
+    } catch (error) {
+        throw translateError(error);
+    }
+};
+
+// Alerts for one employee, optionally within [from, to] YYYY-MM-DD dates
+const listByEmployee = (employeeId, { from, to } = {}) => queryAll({
+    TableName,
+    IndexName: INDEXES.alertsByEmployee,
+    ...keyCondition('employeeId', employeeId, 'date', { from, to })
+});
+
+const listByStatus = (status, { from, to } = {}) => queryAll({
+    TableName,
+    IndexName: INDEXES.alertsByStatus,
+    ...keyCondition('status', status, 'date', { from, to })
+});
+
+module.exports = { get, create, update, listByEmployee, listByStatus };
@@ -0,0 +1,62 @@
+const {
+    documentClient,
+    TABLES,
+    INDEXES,
+    buildUpdate,
+    keyCondition,
+    queryPage,
+    queryAll,
+    translateError
+} = require('./client');
+
+// Attendance is keyed by employeeId (partition) + date (sort)
+const TableName = TABLES.attendance;
+
+const get = async (employeeId, date) => {
+    const result = await documentClient.get({ TableName, Key: { employeeId, date } }).promise();
+    return result.Item || null;
+};
+
+const create = async (item) => {
+    try {
+        await documentClient.put({
+            TableName,
+            Item: item,
+            ConditionExpression: 'attribute_not_exists(attendanceId)'
+        }).promise();
+        return item;
+    } catch (error) {
+        throw translateError(error);
+    }
+};
+
+// `expect` guards lifecycle transitions (e.g. { state: 'clocked-in' }) against concurrent requests
+const update = async (employeeId, date, changes, { expect } = {}) => {
+    try {
+        const result = await documentClient.update({
+            TableName,
+            Key: { employeeId, date },
+            ...buildUpdate(changes, { keyField: 'employeeId', expect }),
+            ReturnValues: 'ALL_NEW'
+        }).promise();
+        return result.Attributes;
+    } catch (error) {
+        throw translateError(error);
+    }
+};
+
+// Every record for one date (bounded by head-count), via the date index
+const listByDate = (date) => queryAll({
+    TableName,
+    IndexName: INDEXES.attendanceByDate,
+    ...keyCondition('date', date)
+});
+
+// One employee's records, optionally within [from, to] YYYY-MM-DD dates
+const queryByEmployee = (employeeId, { from, to, limit, cursor, order = 'asc' } = {}) => queryPage({
+    TableName,
+    ...keyCondition('employeeId', employeeId, 'date', { from, to }),
+    ScanIndexForward: order !== 'desc'
+}, { limit, cursor });
+
+module.exports = { get, create, update, listByDate, queryByEmployee };
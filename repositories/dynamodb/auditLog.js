@@ -0,0 +1,31 @@
+const {
+    documentClient,
+    TABLES,
+    keyCondition,
+    queryAll,
+    translateError
+} = require('./client');
+
+const TableName = TABLES.auditLog;
+
+// Entries are only ever added; there is deliberately no update or delete
+const append = async (entry) => {
+    try {
+        await documentClient.put({
+            TableName,
+            Item: entry,
+            ConditionExpression: 'attribute_not_exists(eventKey)'
+        }).promise();
+        return entry;
+    } catch (error) {
+        throw translateError(error);
+    }
+};
+
+// One UTC day of entries, oldest first
+const listByDate = (date) => queryAll({
+    TableName,
+    ...keyCondition('date', date)
+});
+
+module.exports = { append, listByDate };
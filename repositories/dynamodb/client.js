@@ -0,0 +1,194 @@
+const AWS = require('aws-sdk');
+const { ConditionFailedError } = require('../errors');
+const { encodeCursor, decodeCursor } = require('../cursor');
+
+// AWS Configuration
+AWS.config.update({
+    region: process.env.AWS_REGION || 'ap-south-1',
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+});
+
+const documentClient = new AWS.DynamoDB.DocumentClient();
+
+// Tables
+const TABLES = {
+    employees: process.env.EMPLOYEES_TABLE || 'Employees',
+    locations: process.env.LOCATION_TABLE || 'EmployeeLocation',
+    // One item per employee (key: employeeId), overwritten by every newer point
+    latestLocations: process.env.LATEST_LOCATION_TABLE || 'EmployeeLatestLocation',
+    attendance: process.env.ATTENDANCE_TABLE || 'Attendance',
+    geofences: process.env.GEOFENCES_TABLE || 'Geofences',
+    // employeeId (HASH) + eventId (RANGE, "<timestamp>#<geofenceId>")
+    geofenceEvents: process.env.GEOFENCE_EVENTS_TABLE || 'GeofenceEvents',
+    // One item per employee: the geofences they were last seen inside
+    geofenceStates: process.env.GEOFENCE_STATE_TABLE || 'GeofenceState',
+    leaveRequests: process.env.LEAVE_REQUESTS_TABLE || 'LeaveRequests',
+    // employeeId (HASH) + year (RANGE): per-employee allowance overrides
+    leaveBalances: process.env.LEAVE_BALANCES_TABLE || 'LeaveBalances',
+    shifts: process.env.SHIFTS_TABLE || 'Shifts',
+    regularizations: process.env.REGULARIZATIONS_TABLE || 'AttendanceRegularizations',
+    // Location / clock-in points flagged as possibly spoofed, awaiting review
+    locationFlags: process.env.LOCATION_FLAGS_TABLE || 'LocationFlags',
+    // Append-only: date (HASH, UTC YYYY-MM-DD) + eventKey (RANGE, "<ISO timestamp>#<auditId>").
+    // Grant the API role PutItem/Query only on this table so entries cannot be altered.
+    auditLog: process.env.AUDIT_LOG_TABLE || 'AuditLog',
+    alertRules: process.env.ALERT_RULES_TABLE || 'AlertRules',
+    // Raised alerts with their notification delivery state
+    alerts: process.env.ALERTS_TABLE || 'Alerts',
+    // Tracking settings pushed to the apps, per role / department (key: policyId)
+    trackingPolicies: process.env.TRACKING_POLICIES_TABLE || 'TrackingPolicies',
+    // Customer sites field staff visit (key: siteId)
+    sites: process.env.SITES_TABLE || 'Sites',
+    // Checked-in and inferred site visits (key: visitId)
+    visits: process.env.VISITS_TABLE || 'Visits',
+    // Tenants and their settings (key: orgId). Every other table's items carry an orgId attribute.
+    organisations: process.env.ORGANISATIONS_TABLE || 'Organisations'
+};
+
+// Global secondary indexes the query paths rely on
+const INDEXES = {
+    // EmployeeLocation: employeeId (HASH) + timestamp (RANGE, epoch ms as string)
+    locationsByEmployee: process.env.LOCATION_EMPLOYEE_INDEX || 'employeeId-timestamp-index',
+    // EmployeeLocation: date (HASH) + timestamp (RANGE)
+    locationsByDate: process.env.LOCATION_DATE_INDEX || 'date-timestamp-index',
+    // Attendance: date (HASH) + employeeId (RANGE)
+    attendanceByDate: process.env.ATTENDANCE_DATE_INDEX || 'date-employeeId-index',
+    // LeaveRequests: employeeId (HASH) + startDate (RANGE)
+    leaveByEmployee: process.env.LEAVE_EMPLOYEE_INDEX || 'employeeId-startDate-index',
+    // LeaveRequests: status (HASH) + startDate (RANGE)
+    leaveByStatus: process.env.LEAVE_STATUS_INDEX || 'status-startDate-index',
+    // AttendanceRegularizations: employeeId (HASH) + date (RANGE)
+    regularizationsByEmployee: process.env.REGULARIZATION_EMPLOYEE_INDEX || 'employeeId-date-index',
+    // AttendanceRegularizations: status (HASH) + date (RANGE)
+    regularizationsByStatus: process.env.REGULARIZATION_STATUS_INDEX || 'status-date-index',
+    // LocationFlags: employeeId (HASH) + date (RANGE)
+    locationFlagsByEmployee: process.env.LOCATION_FLAG_EMPLOYEE_INDEX || 'employeeId-date-index',
+    // LocationFlags: status (HASH) + date (RANGE)
+    locationFlagsByStatus: process.env.LOCATION_FLAG_STATUS_INDEX || 'status-date-index',
+    // Alerts: employeeId (HASH) + date (RANGE)
+    alertsByEmployee: process.env.ALERT_EMPLOYEE_INDEX || 'employeeId-date-index',
+    // Alerts: status (HASH) + date (RANGE)
+    alertsByStatus: process.env.ALERT_STATUS_INDEX || 'status-date-index',
+    // Visits: employeeId (HASH) + date (RANGE)
+    visitsByEmployee: process.env.VISIT_EMPLOYEE_INDEX || 'employeeId-date-index',
+    // Visits: date (HASH) + employeeId (RANGE)
+    visitsByDate: process.env.VISIT_DATE_INDEX || 'date-employeeId-index'
+};
+
+// Builds SET/REMOVE expressions with placeholder names so reserved words (date, status, ...) are safe.
+// `keyField` guards against DynamoDB's upsert behaviour; `expect` adds equality preconditions.
+const buildUpdate = ({ set = {}, remove = [] }, { keyField, expect = {} } = {}) => {
+    const names = {};
+    const values = {};
+    const setParts = [];
+    const removeParts = [];
+    const conditions = [];
+
+    Object.entries(set).forEach(([field, value], i) => {
+        names[`#s${i}`] = field;
+        values[`:s${i}`] = value;
+        setParts.push(`#s${i} = :s${i}`);
+    });
+    remove.forEach((field, i) => {
+        names[`#r${i}`] = field;
+        removeParts.push(`#r${i}`);
+    });
+    if (keyField) {
+        names['#key'] = keyField;
+        conditions.push('attribute_exists(#key)');
+    }
+    Object.entries(expect).forEach(([field, value], i) => {
+        names[`#e${i}`] = field;
+        values[`:e${i}`] = value;
+        conditions.push(`#e${i} = :e${i}`);
+    });
+
+    let expression = '';
+    if (setParts.length) expression += `SET ${setParts.join(', ')}`;
+    if (removeParts.length) expression += ` REMOVE ${removeParts.join(', ')}`;
+
+    const params = { UpdateExpression: expression.trim(), ExpressionAttributeNames: names };
+    if (conditions.length) params.ConditionExpression = conditions.join(' AND ');
+    if (Object.keys(values).length) params.ExpressionAttributeValues = values;
+    return params;
+};
+
+// Scans a whole table (following LastEvaluatedKey) with optional filter params
+const scanAll = async (params) => {
+    const items = [];
+    let ExclusiveStartKey;
+    do {
+        const result = await documentClient.scan({ ...params, ExclusiveStartKey }).promise();
+        items.push(...(result.Items || []));
+        ExclusiveStartKey = result.LastEvaluatedKey;
+    } while (ExclusiveStartKey);
+    return items;
+};
+
+// Key condition for `partition = value` plus an optional sort-key range
+const keyCondition = (hashField, hashValue, rangeField, { from, to } = {}) => {
+    const params = {
+        KeyConditionExpression: '#hk = :hk',
+        ExpressionAttributeNames: { '#hk': hashField },
+        ExpressionAttributeValues: { ':hk': hashValue }
+    };
+    if (from === undefined && to === undefined) return params;
+
+    params.ExpressionAttributeNames['#rk'] = rangeField;
+    if (from !== undefined && to !== undefined) {
+        params.KeyConditionExpression += ' AND #rk BETWEEN :from AND :to';
+        params.ExpressionAttributeValues[':from'] = from;
+        params.ExpressionAttributeValues[':to'] = to;
+    } else if (from !== undefined) {
+        params.KeyConditionExpression += ' AND #rk >= :from';
+        params.ExpressionAttributeValues[':from'] = from;
+    } else {
+        params.KeyConditionExpression += ' AND #rk <= :to';
+        params.ExpressionAttributeValues[':to'] = to;
+    }
+    return params;
+};
+
+// Runs one query page and returns { items, nextCursor }
+const queryPage = async (params, { limit, cursor } = {}) => {
+    const result = await documentClient.query({
+        ...params,
+        Limit: limit,
+        ExclusiveStartKey: decodeCursor(cursor)
+    }).promise();
+    return { items: result.Items || [], nextCursor: encodeCursor(result.LastEvaluatedKey) };
+};
+
+// Follows every page of a query; only for bounded result sets (e.g. one day's attendance)
+const queryAll = async (params) => {
+    const items = [];
+    let ExclusiveStartKey;
+    do {
+        const result = await documentClient.query({ ...params, ExclusiveStartKey }).promise();
+        items.push(...(result.Items || []));
+        ExclusiveStartKey = result.LastEvaluatedKey;
+    } while (ExclusiveStartKey);
+    return items;
+};
+
+// Maps the SDK's conditional-check failure onto the backend-neutral error
+const translateError = (error) => {
+    if (error.code === 'ConditionalCheckFailedException') {
+        return new ConditionFailedError(error.message);
+    }
+    return error;
+};
+
+module.exports = {
+    AWS,
+    documentClient,
+    TABLES,
+    INDEXES,
+    buildUpdate,
+    keyCondition,
+    scanAll,
+    queryPage,
+    queryAll,
+    translateError
+};
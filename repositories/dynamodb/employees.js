@@ -0,0 +1,61 @@
+const { documentClient, TABLES, buildUpdate, scanAll, translateError } = require('./client');
+
+const TableName = TABLES.employees;
+
+const get = async (employeeId) => {
+    const result = await documentClient.get({ TableName, Key: { employeeId } }).promise();
+    return result.Item || null;
+};
+
+const list = () => scanAll({ TableName });
+
+const count = async ({ activeOnly = false } = {}) => {
+    const params = { TableName, Select: 'COUNT' };
+    if (activeOnly) {
+        params.FilterExpression = 'isActive = :active';
+        params.ExpressionAttributeValues = { ':active': true };
+    }
+    let total = 0;
+    let ExclusiveStartKey;
+    do {
+        const result = await documentClient.scan({ ...params, ExclusiveStartKey }).promise();
+        total += result.Count || 0;
+        ExclusiveStartKey = result.LastEvaluatedKey;
+    } while (ExclusiveStartKey);
+    return total;
+};
+
+const create = async (item) => {
+    try {
+        await documentClient.put({
+            TableName,
+            Item: item,
+            ConditionExpression: 'attribute_not_exists(employeeId)'
+        }).promise();
+        return item;
+    } catch (error) {
+        throw translateError(error);
+    }
+};
+
+// Unconditional write, used by seeding
+const put = async (item) => {
+    await documentClient.put({ TableName, Item: item }).promise();
+    return item;
+};
+
+const update = async (employeeId, changes, { expect } = {}) => {
+    try {
+        const result = await documentClient.update({
+            TableName,
+            Key: { employeeId },
+            ...buildUpdate(changes, { keyField: 'employeeId', expect }),
+            ReturnValues: 'ALL_NEW'
+        }).promise();
+        return result.Attributes;
+    } catch (error) {
+        throw translateError(error);
+    }
+};
+
+module.exports = { get, list, count, create, put, update };
@@ -0,0 +1,33 @@
+const { documentClient, TABLES, keyCondition, queryPage } = require('./client');
+
+const TableName = TABLES.geofenceEvents;
+
+// eventId starts with the 13-digit timestamp, so time ranges map onto sort-key ranges
+const toRange = ({ from, to }) => ({
+    from: from === undefined ? undefined : String(from),
+    to: to === undefined ? undefined : `${to}~`
+});
+
+const addMany = async (events) => {
+    // Events per point are few (one per fence crossed); plain puts keep this simple
+    await Promise.all(events.map(Item => documentClient.put({ TableName, Item }).promise()));
+    return events;
+};
+
+const queryByEmployee = (employeeId, { from, to, limit, cursor, order = 'desc' } = {}) => queryPage({
+    TableName,
+    ...keyCondition('employeeId', employeeId, 'eventId', toRange({ from, to })),
+    ScanIndexForward: order !== 'desc'
+}, { limit, cursor });
+
+const getState = async (employeeId) => {
+    const result = await documentClient.get({ TableName: TABLES.geofenceStates, Key: { employeeId } }).promise();
+    return result.Item || null;
+};
+
+const putState = async (state) => {
+    await documentClient.put({ TableName: TABLES.geofenceStates, Item: state }).promise();
+    return state;
+};
+
+module.exports = { addMany, queryByEmployee, getState, putState };
@@ -0,0 +1,52 @@
+const { documentClient, TABLES, buildUpdate, scanAll, translateError } = require('./client');
+
+const TableName = TABLES.geofences;
+
+const get = async (geofenceId) => {
+    const result = await documentClient.get({ TableName, Key: { geofenceId } }).promise();
+    return result.Item || null;
+};
+
+// Geofence definitions are few and cached by callers, so a scan is fine here
+const list = () => scanAll({ TableName });
+
+const create = async (item) => {
+    try {
+        await documentClient.put({
+            TableName,
+            Item: item,
+            ConditionExpression: 'attribute_not_exists(geofenceId)'
+        }).promise();
+        return item;
+    } catch (error) {
+        throw translateError(error);
+    }
+};
+
+const update = async (geofenceId, changes) => {
+    try {
+        const result = await documentClient.update({
+            TableName,
+            Key: { geofenceId },
+            ...buildUpdate(changes, { keyField: 'geofenceId' }),
+            ReturnValues: 'ALL_NEW'
+        }).promise();
+        return result.Attributes;
+    } catch (error) {
+        throw translateError(error);
+    }
+};
+
+const remove = async (geofenceId) => {
+    try {
+        await documentClient.delete({
+            TableName,
+            Key: { geofenceId },
+            ConditionExpression: 'attribute_exists(geofenceId)'
+        }).promise();
+    } catch (error) {
+        throw translateError(error);
+    }
+};
+
+module.exports = { get, list, create, update, remove };
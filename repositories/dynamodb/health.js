@@ -0,0 +1,18 @@
+const { AWS, TABLES } = require('./client');
+
+const dynamodb = new AWS.DynamoDB();
+
+// Every configured table must exist and be ACTIVE
+const check = async () => {
+    const tables = await Promise.all(Object.values(TABLES).map(async (TableName) => {
+        const { Table } = await dynamodb.describeTable({ TableName }).promise();
+        return { name: TableName, status: Table.TableStatus };
+    }));
+    const inactive = tables.filter(table => table.status !== 'ACTIVE');
+    if (inactive.length) {
+        throw new Error(`Tables not active: ${inactive.map(table => `${table.name} (${table.status})`).join(', ')}`);
+    }
+    return { tables: tables.length };
+};
+
+module.exports = { check };
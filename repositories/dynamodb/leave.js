@@ -0,0 +1,86 @@
+const {
+    documentClient,
+    TABLES,
+    INDEXES,
+    buildUpdate,
+    keyCondition,
+    queryAll,
+    translateError
+} = require('./client');
+
+const TableName = TABLES.leaveRequests;
+
+const get = async (requestId) => {
+    const result = await documentClient.get({ TableName, Key: { requestId } }).promise();
+    return result.Item || null;
+};
+
+const create = async (item) => {
+    try {
+        await documentClient.put({
+            TableName,
+            Item: item,
+            ConditionExpression: 'attribute_not_exists(requestId)'
+        }).promise();
+        return item;
+    } catch (error) {
+        throw translateError(error);
+    }
+};
+
+// `expect` guards status transitions against concurrent approve/cancel
+const update = async (requestId, changes, { expect } = {}) => {
+    try {
+        const result = await documentClient.update({
+            TableName,
+            Key: { requestId },
+            ...buildUpdate(changes, { keyField: 'requestId', expect }),
+            ReturnValues: 'ALL_NEW'
+        }).promise();
+        return result.Attributes;
+    } catch (error) {
+        throw translateError(error);
+    }
+};
+
+// The key condition bounds startDate <= to; this adds endDate >= from (both optional, YYYY-MM-DD)
+const overlapFilter = (params, { from }) => {
+    if (from === undefined) return params;
+    return {
+        ...params,
+        FilterExpression: 'endDate >= :from',
+        ExpressionAttributeValues: { ...params.ExpressionAttributeValues, ':from': from }
+    };
+};
+
+const listByEmployee = (employeeId, { from, to } = {}) => queryAll(overlapFilter({
+    TableName,
+    IndexName: INDEXES.leaveByEmployee,
+    ...keyCondition('employeeId', employeeId, 'startDate', { to })
+}, { from, to }));
+
+const listByStatus = (status, { from, to } = {}) => queryAll(overlapFilter({
+    TableName,
+    IndexName: INDEXES.leaveByStatus,
+    ...keyCondition('status', status, 'startDate', { to })
+}, { from, to }));
+
+const getBalanceOverrides = async (employeeId, year) => {
+    const result = await documentClient.get({ TableName: TABLES.leaveBalances, Key: { employeeId, year } }).promise();
+    return result.Item || null;
+};
+
+const putBalanceOverrides = async (item) => {
+    await documentClient.put({ TableName: TABLES.leaveBalances, Item: item }).promise();
+    return item;
+};
+
+module.exports = {
+    get,
+    create,
+    update,
+    listByEmployee,
+    listByStatus,
+    getBalanceOverrides,
+    putBalanceOverrides
+};
@@ -0,0 +1,59 @@
+const {
+    documentClient,
+    TABLES,
+    INDEXES,
+    buildUpdate,
+    keyCondition,
+    queryAll,
+    translateError
+} = require('./client');
+
+const TableName = TABLES.locationFlags;
+
+const get = async (flagId) => {
+    const result = await documentClient.get({ TableName, Key: { flagId } }).promise();
+    return result.Item || null;
+};
+
+const create = async (item) => {
+    try {
+        await documentClient.put({
+            TableName,
+            Item: item,
+            ConditionExpression: 'attribute_not_exists(flagId)'
+        }).promise();
+        return item;
+    } catch (error) {
+        throw translateError(error);
+    }
+};
+
+// `expect` guards status transitions against concurrent reviews
+const update = async (flagId, changes, { expect } = {}) => {
+    try {
+        const result = await documentClient.update({
+            TableName,
+            Key: { flagId },
+            ...buildUpdate(changes, { keyField: 'flagId', expect }),
+            ReturnValues: 'ALL_NEW'
+        }).promise();
+        return result.Attributes;
+    } catch (error) {
+        throw translateError(error);
+    }
+};
+
+// Flags for one employee, optionally within [from, to] YYYY-MM-DD point dates
+const listByEmployee = (employeeId, { from, to } = {}) => queryAll({
+    TableName,
+    IndexName: INDEXES.locationFlagsByEmployee,
+    ...keyCondition('employeeId', employeeId, 'date', { from, to })
+});
+
+const listByStatus = (status, { from, to } = {}) => queryAll({
+    TableName,
+    IndexName: INDEXES.locationFlagsByStatus,
+    ...keyCondition('status', status, 'date', { from, to })
+});
+
+module.exports = { get, create, update, listByEmployee, listByStatus };
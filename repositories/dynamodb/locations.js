@@ -0,0 +1,148 @@
+const {
+    documentClient,
+    TABLES,
+    INDEXES,
+    keyCondition,
+    buildUpdate,
+    scanAll,
+    queryPage,
+    translateError
+} = require('./client');
+const { ConditionFailedError } = require('../errors');
+
+// DynamoDB limit: BatchWriteItem takes 25 requests
+const BATCH_WRITE_SIZE = 25;
+const MAX_BATCH_RETRIES = 5;
+// Conditional puts in flight at once while writing an upload
+const PUT_CONCURRENCY = 25;
+
+const TableName = TABLES.locations;
+
+// Timestamps are stored as epoch-ms strings; all 13 digits wide, so they sort lexicographically
+const toRangeKey = (ms) => (ms === undefined ? undefined : String(ms));
+
+// Keeps EmployeeLatestLocation pointing at the newest point; out-of-order (older) points are ignored,
+// as are out-of-session points (tracking policy "tag")
+const updateLatest = async (item) => {
+    if (item.outOfSession) return;
+    try {
+        await documentClient.put({
+            TableName: TABLES.latestLocations,
+            Item: item,
+            ConditionExpression: 'attribute_not_exists(employeeId) OR #ts < :ts',
+            ExpressionAttributeNames: { '#ts': 'timestamp' },
+            ExpressionAttributeValues: { ':ts': item.timestamp }
+        }).promise();
+    } catch (error) {
+        if (error.code !== 'ConditionalCheckFailedException') throw error;
+    }
+};
+
+const chunk = (items, size) => {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+    return chunks;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// One stored point ("<employeeId>#<pointId>")
+const get = async (locationId) => {
+    const result = await documentClient.get({ TableName, Key: { locationId } }).promise();
+    return result.Item || null;
+};
+
+// Writes the point unless one with the same locationId is stored; resolves false for a duplicate
+const putIfAbsent = async (item) => {
+    try {
+        await documentClient.put({
+            TableName,
+            Item: item,
+            ConditionExpression: 'attribute_not_exists(locationId)'
+        }).promise();
+        return true;
+    } catch (error) {
+        if (error.code === 'ConditionalCheckFailedException') return false;
+        throw error;
+    }
+};
+
+// Throws ConditionFailedError if a point with the same locationId was already stored
+const put = async (item) => {
+    if (!(await putIfAbsent(item))) throw new ConditionFailedError('Location point already exists');
+    await updateLatest(item);
+    return item;
+};
+
+// Writes many points, skipping ids that already exist. Returns { written, duplicates } ids.
+// Each point is its own conditional put, so a retried upload racing the original cannot write twice.
+const putMany = async (items) => {
+    const written = [];
+    const duplicates = [];
+    for (const group of chunk(items, PUT_CONCURRENCY)) {
+        const outcomes = await Promise.all(group.map(putIfAbsent));
+        group.forEach((item, i) => (outcomes[i] ? written : duplicates).push(item.locationId));
+    }
+
+    // Only the newest point per employee can move the latest-location record
+    const fresh = new Set(written);
+    const newest = {};
+    items.filter(item => fresh.has(item.locationId) && !item.outOfSession).forEach(item => {
+        if (!newest[item.employeeId] || newest[item.employeeId].timestamp < item.timestamp) {
+            newest[item.employeeId] = item;
+        }
+    });
+    await Promise.all(Object.values(newest).map(updateLatest));
+
+    return { written, duplicates };
+};
+
+// Changes a stored point's own fields (review outcome); the latest-location record is left alone
+const update = async (locationId, changes) => {
+    try {
+        const result = await documentClient.update({
+            TableName,
+            Key: { locationId },
+            ...buildUpdate(changes, { keyField: 'locationId' }),
+            ReturnValues: 'ALL_NEW'
+        }).promise();
+        return result.Attributes;
+    } catch (error) {
+        throw translateError(error);
+    }
+};
+
+// Removes points by locationId (retention). The latest-location record is left alone.
+const deleteMany = async (locationIds) => {
+    for (const ids of chunk(locationIds, BATCH_WRITE_SIZE)) {
+        let request = { [TableName]: ids.map(locationId => ({ DeleteRequest: { Key: { locationId } } })) };
+        for (let attempt = 0; request && attempt <= MAX_BATCH_RETRIES; attempt++) {
+            if (attempt) await sleep(50 * 2 ** attempt);
+            const result = await documentClient.batchWrite({ RequestItems: request }).promise();
+            request = Object.keys(result.UnprocessedItems || {}).length ? result.UnprocessedItems : null;
+        }
+        if (request) throw new Error('Batch delete of locations did not complete');
+    }
+    return locationIds.length;
+};
+
+// One item per employee, so a scan of the latest table stays small
+const listLatest = () => scanAll({ TableName: TABLES.latestLocations });
+
+// Points for one employee, optionally within [from, to] epoch ms
+const queryByEmployee = (employeeId, { from, to, limit, cursor, order = 'asc' } = {}) => queryPage({
+    TableName,
+    IndexName: INDEXES.locationsByEmployee,
+    ...keyCondition('employeeId', employeeId, 'timestamp', { from: toRangeKey(from), to: toRangeKey(to) }),
+    ScanIndexForward: order !== 'desc'
+}, { limit, cursor });
+
+// Points for every employee on one date, optionally within [from, to] epoch ms
+const queryByDate = (date, { from, to, limit, cursor, order = 'asc' } = {}) => queryPage({
+    TableName,
+    IndexName: INDEXES.locationsByDate,
+    ...keyCondition('date', date, 'timestamp', { from: toRangeKey(from), to: toRangeKey(to) }),
+    ScanIndexForward: order !== 'desc'
+}, { limit, cursor });
+
+module.exports = { get, put, putMany, update, deleteMany, listLatest, queryByEmployee, queryByDate };
@@ -0,0 +1,46 @@
+const { documentClient, TABLES, buildUpdate, scanAll, translateError } = require('./client');
+
+const TableName = TABLES.organisations;
+
+const get = async (orgId) => {
+    const result = await documentClient.get({ TableName, Key: { orgId } }).promise();
+    return result.Item || null;
+};
+
+// A handful of tenants, cached by callers, so a scan is fine here
+const list = () => scanAll({ TableName });
+
+const create = async (item) => {
+    try {
+        await documentClient.put({
+            TableName,
+            Item: item,
+            ConditionExpression: 'attribute_not_exists(orgId)'
+        }).promise();
+        return item;
+    } catch (error) {
+        throw translateError(error);
+    }
+};
+
+// Unconditional write; the default organisation is stored on its first settings change
+const put = async (item) => {
+    await documentClient.put({ TableName, Item: item }).promise();
+    return item;
+};
+
+const update = async (orgId, changes) => {
+    try {
+        const result = await documentClient.update({
+            TableName,
+            Key: { orgId },
+            ...buildUpdate(changes, { keyField: 'orgId' }),
+            ReturnValues: 'ALL_NEW'
+        }).promise();
+        return result.Attributes;
+    } catch (error) {
+        throw translateError(error);
+    }
+};
+
+module.exports = { get, list, create, put, update };
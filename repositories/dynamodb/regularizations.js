@@ -0,0 +1,59 @@
+const {
+    documentClient,
+    TABLES,
+    INDEXES,
+    buildUpdate,
+    keyCondition,
+    queryAll,
+    translateError
+} = require('./client');
+
+const TableName = TABLES.regularizations;
+
+const get = async (regularizationId) => {
+    const result = await documentClient.get({ TableName, Key: { regularizationId } }).promise();
+    return result.Item || null;
+};
+
+const create = async (item) => {
+    try {
+        await documentClient.put({
+            TableName,
+            Item: item,
+            ConditionExpression: 'attribute_not_exists(regularizationId)'
+        }).promise();
+        return item;
+    } catch (error) {
+        throw translateError(error);
+    }
+};
+
+// `expect` guards status transitions against concurrent approve/cancel
+const update = async (regularizationId, changes, { expect } = {}) => {
+    try {
+        const result = await documentClient.update({
+            TableName,
+            Key: { regularizationId },
+            ...buildUpdate(changes, { keyField: 'regularizationId', expect }),
+            ReturnValues: 'ALL_NEW'
+        }).promise();
+        return result.Attributes;
+    } catch (error) {
+        throw translateError(error);
+    }
+};
+
+// Requests for one employee, optionally within [from, to] YYYY-MM-DD shift dates
+const listByEmployee = (employeeId, { from, to } = {}) => queryAll({
+    TableName,
+    IndexName: INDEXES.regularizationsByEmployee,
+    ...keyCondition('employeeId', employeeId, 'date', { from, to })
+});
+
+const listByStatus = (status, { from, to } = {}) => queryAll({
+    TableName,
+    IndexName: INDEXES.regularizationsByStatus,
+    ...keyCondition('status', status, 'date', { from, to })
+});
+
+module.exports = { get, create, update, listByEmployee, listByStatus };
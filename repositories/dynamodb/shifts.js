@@ -0,0 +1,52 @@
+const { documentClient, TABLES, buildUpdate, scanAll, translateError } = require('./client');
+
+const TableName = TABLES.shifts;
+
+const get = async (shiftId) => {
+    const result = await documentClient.get({ TableName, Key: { shiftId } }).promise();
+    return result.Item || null;
+};
+
+// Shift definitions are few and cached by callers, so a scan is fine here
+const list = () => scanAll({ TableName });
+
+const create = async (item) => {
+    try {
+        await documentClient.put({
+            TableName,
+            Item: item,
+            ConditionExpression: 'attribute_not_exists(shiftId)'
+        }).promise();
+        return item;
+    } catch (error) {
+        throw translateError(error);
+    }
+};
+
+const update = async (shiftId, changes) => {
+    try {
+        const result = await documentClient.update({
+            TableName,
+            Key: { shiftId },
+            ...buildUpdate(changes, { keyField: 'shiftId' }),
+            ReturnValues: 'ALL_NEW'
+        }).promise();
+        return result.Attributes;
+    } catch (error) {
+        throw translateError(error);
+    }
+};
+
+const remove = async (shiftId) => {
+    try {
+        await documentClient.delete({
+            TableName,
+            Key: { shiftId },
+            ConditionExpression: 'attribute_exists(shiftId)'
+        }).promise();
+    } catch (error) {
+        throw translateError(error);
+    }
+};
+
+module.exports = { get, list, create, update, remove };
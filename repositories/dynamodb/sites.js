@@ -0,0 +1,52 @@
+const { documentClient, TABLES, buildUpdate, scanAll, translateError } = require('./client');
+
+const TableName = TABLES.sites;
+
+const get = async (siteId) => {
+    const result = await documentClient.get({ TableName, Key: { siteId } }).promise();
+    return result.Item || null;
+};
+
+// Sites are few and cached by callers, so a scan is fine here
+const list = () => scanAll({ TableName });
+
+const create = async (item) => {
+    try {
+        await documentClient.put({
+            TableName,
+            Item: item,
+            ConditionExpression: 'attribute_not_exists(siteId)'
+        }).promise();
+        return item;
+    } catch (error) {
+        throw translateError(error);
+    }
+};
+
+const update = async (siteId, changes) => {
+    try {
+        const result = await documentClient.update({
+            TableName,
+            Key: { siteId },
+            ...buildUpdate(changes, { keyField: 'siteId' }),
+            ReturnValues: 'ALL_NEW'
+        }).promise();
+        return result.Attributes;
+    } catch (error) {
+        throw translateError(error);
+    }
+};
+
+const remove = async (siteId) => {
+    try {
+        await documentClient.delete({
+            TableName,
+            Key: { siteId },
+            ConditionExpression: 'attribute_exists(siteId)'
+        }).promise();
+    } catch (error) {
+        throw translateError(error);
+    }
+};
+
+module.exports = { get, list, create, update, remove };
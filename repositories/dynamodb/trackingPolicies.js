@@ -0,0 +1,52 @@
+const { documentClient, TABLES, buildUpdate, scanAll, translateError } = require('./client');
+
+const TableName = TABLES.trackingPolicies;
+
+const get = async (policyId) => {
+    const result = await documentClient.get({ TableName, Key: { policyId } }).promise();
+    return result.Item || null;
+};
+
+// Policies are few and cached by callers, so a scan is fine here
+const list = () => scanAll({ TableName });
+
+const create = async (item) => {
+    try {
+        await documentClient.put({
+            TableName,
+            Item: item,
+            ConditionExpression: 'attribute_not_exists(policyId)'
+        }).promise();
+        return item;
+    } catch (error) {
+        throw translateError(error);
+    }
+};
+
+const update = async (policyId, changes) => {
+    try {
+        const result = await documentClient.update({
+            TableName,
+            Key: { policyId },
+            ...buildUpdate(changes, { keyField: 'policyId' }),
+            ReturnValues: 'ALL_NEW'
+        }).promise();
+        return result.Attributes;
+    } catch (error) {
+        throw translateError(error);
+    }
+};
+
+const remove = async (policyId) => {
+    try {
+        await documentClient.delete({
+            TableName,
+            Key: { policyId },
+            ConditionExpression: 'attribute_exists(policyId)'
+        }).promise();
+    } catch (error) {
+        throw translateError(error);
+    }
+};
+
+module.exports = { get, list, create, update, remove };
@@ -0,0 +1,60 @@
+const {
+    documentClient,
+    TABLES,
+    INDEXES,
+    buildUpdate,
+    keyCondition,
+    queryAll,
+    translateError
+} = require('./client');
+
+const TableName = TABLES.visits;
+
+const get = async (visitId) => {
+    const result = await documentClient.get({ TableName, Key: { visitId } }).promise();
+    return result.Item || null;
+};
+
+const create = async (item) => {
+    try {
+        await documentClient.put({
+            TableName,
+            Item: item,
+            ConditionExpression: 'attribute_not_exists(visitId)'
+        }).promise();
+        return item;
+    } catch (error) {
+        throw translateError(error);
+    }
+};
+
+// `expect` guards check-out, notes and photos against concurrent changes to the same visit
+const update = async (visitId, changes, { expect } = {}) => {
+    try {
+        const result = await documentClient.update({
+            TableName,
+            Key: { visitId },
+            ...buildUpdate(changes, { keyField: 'visitId', expect }),
+            ReturnValues: 'ALL_NEW'
+        }).promise();
+        return result.Attributes;
+    } catch (error) {
+        throw translateError(error);
+    }
+};
+
+// Visits of one employee, optionally within [from, to] YYYY-MM-DD visit dates
+const listByEmployee = (employeeId, { from, to } = {}) => queryAll({
+    TableName,
+    IndexName: INDEXES.visitsByEmployee,
+    ...keyCondition('employeeId', employeeId, 'date', { from, to })
+});
+
+// Every visit on one date (all employees)
+const listByDate = (date) => queryAll({
+    TableName,
+    IndexName: INDEXES.visitsByDate,
+    ...keyCondition('date', date)
+});
+
+module.exports = { get, create, update, listByEmployee, listByDate };
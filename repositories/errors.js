@@ -0,0 +1,18 @@
+// Raised by every storage backend when a conditional write fails
+// (item already exists on create, item missing or expectation not met on update).
+class ConditionFailedError extends Error {
+    constructor(message = 'Conditional write failed') {
+        super(message);
+        this.name = 'ConditionFailedError';
+    }
+}
+
+// Raised when a client-supplied pagination cursor cannot be decoded
+class InvalidCursorError extends Error {
+    constructor(message = 'Invalid pagination cursor') {
+        super(message);
+        this.name = 'InvalidCursorError';
+    }
+}
+
+module.exports = { ConditionFailedError, InvalidCursorError };
@@ -0,0 +1,41 @@
+const { ConditionFailedError, InvalidCursorError } = require('./errors');
+const { scoped } = require('./scoped');
+const { timed } = require('./timed');
+
+// STORAGE_BACKEND=dynamodb (default) | memory
+const BACKENDS = ['dynamodb', 'memory'];
+const backend = (process.env.STORAGE_BACKEND || 'dynamodb').toLowerCase();
+
+if (!BACKENDS.includes(backend)) {
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected one of: ${BACKENDS.join(', ')})`);
+}
+
+// Backends are required lazily so the memory backend never loads the AWS SDK config.
+// Tenant data is scoped to the organisation of the current request (see scoped.js); every call is
+// timed (see timed.js).
+const loadUnscoped = (name) => timed(backend, name, require(`./${backend}/${name}`));
+const load = (name, options) => scoped(loadUnscoped(name), options);
+
+module.exports = {
+    backend,
+    employees: load('employees', { keyOf: item => [item.employeeId] }),
+    locations: load('locations'),
+    attendance: load('attendance'),
+    geofences: load('geofences'),
+    geofenceEvents: load('geofenceEvents'),
+    leave: load('leave'),
+    shifts: load('shifts'),
+    regularizations: load('regularizations'),
+    locationFlags: load('locationFlags'),
+    auditLog: load('auditLog'),
+    alertRules: load('alertRules'),
+    alerts: load('alerts'),
+    sites: load('sites'),
+    visits: load('visits'),
+    trackingPolicies: load('trackingPolicies'),
+    organisations: loadUnscoped('organisations'),
+    // Readiness probe: check() resolves when the backend answers, rejects otherwise
+    health: loadUnscoped('health'),
+    ConditionFailedError,
+    InvalidCursorError
+};
@@ -0,0 +1,33 @@
+const store = require('./store');
+const { ConditionFailedError } = require('../errors');
+
+const rows = () => store.table('alertRules');
+
+const get = async (ruleId) => store.clone(rows().get(ruleId));
+
+const list = async () => [...rows().values()].map(store.clone);
+
+const create = async (item) => {
+    if (rows().has(item.ruleId)) throw new ConditionFailedError('Alert rule already exists');
+    rows().set(item.ruleId, store.clone(item));
+    store.save();
+    return store.clone(item);
+};
+
+const update = async (ruleId, { set = {}, remove: removeFields = [] }) => {
+    const current = rows().get(ruleId);
+    if (!current) throw new ConditionFailedError('Alert rule not found');
+
+    const next = { ...current, ...store.clone(set) };
+    removeFields.forEach(field => delete next[field]);
+    rows().set(ruleId, next);
+    store.save();
+    return store.clone(next);
+};
+
+const remove = async (ruleId) => {
+    if (!rows().delete(ruleId)) throw new ConditionFailedError('Alert rule not found');
+    store.save();
+};
+
+module.exports = { get, list, create, update, remove };
@@ -0,0 +1,43 @@
+const store = require('./store');
+const { ConditionFailedError } = require('../errors');
+const { queryRows } = require('./query');
+
+const rows = () => store.table('attendance');
+
+// Mirrors the DynamoDB key: employeeId + date
+const keyOf = (employeeId, date) => `${employeeId}#${date}`;
+
+const get = async (employeeId, date) => store.clone(rows().get(keyOf(employeeId, date)));
+
+const create = async (item) => {
+    const key = keyOf(item.employeeId, item.date);
+    if (rows().has(key)) throw new ConditionFailedError('Attendance record already exists');
+    rows().set(key, store.clone(item));
+    store.save();
+    return store.clone(item);
+};
+
+const update = async (employeeId, date, { set = {}, remove = [] }, { expect = {} } = {}) => {
+    const key = keyOf(employeeId, date);
+    const current = rows().get(key);
+    if (!current) throw new ConditionFailedError('Attendance record not found');
+    const unmet = Object.entries(expect).some(([field, value]) => current[field] !== value);
+    if (unmet) throw new ConditionFailedError('Precondition failed');
+
+    const next = { ...current, ...store.clone(set) };
+    remove.forEach(field => delete next[field]);
+    rows().set(key, next);
+    store.save();
+    return store.clone(next);
+};
+
+const listByDate = async (date) =>
+    [...rows().values()].filter(item => item.date === date).map(store.clone);
+
+const queryByEmployee = async (employeeId, { from, to, limit, cursor, order } = {}) => {
+    const matching = [...rows().values()].filter(item => item.employeeId === employeeId);
+    const page = queryRows(matching, { sortKey: 'date', idKey: 'date', from, to, order, limit, cursor });
+    return { items: page.items.map(store.clone), nextCursor: page.nextCursor };
+};
+
+module.exports = { get, create, update, listByDate, queryByEmployee };
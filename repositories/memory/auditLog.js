@@ -0,0 +1,19 @@
+const store = require('./store');
+const { ConditionFailedError } = require('../errors');
+
+const rows = () => store.table('auditLog');
+
+// Entries are only ever added; there is deliberately no update or delete
+const append = async (entry) => {
+    if (rows().has(entry.auditId)) throw new ConditionFailedError('Audit entry already exists');
+    rows().set(entry.auditId, store.clone(entry));
+    store.save();
+    return store.clone(entry);
+};
+
+const listByDate = async (date) => [...rows().values()]
+    .filter(entry => entry.date === date)
+    .sort((a, b) => a.eventKey.localeCompare(b.eventKey))
+    .map(store.clone);
+
+module.exports = { append, listByDate };
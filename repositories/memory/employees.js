@@ -0,0 +1,39 @@
+const store = require('./store');
+const { ConditionFailedError } = require('../errors');
+
+const rows = () => store.table('employees');
+
+const get = async (employeeId) => store.clone(rows().get(employeeId));
+
+const list = async () => [...rows().values()].map(store.clone);
+
+const count = async ({ activeOnly = false } = {}) =>
+    [...rows().values()].filter(item => !activeOnly || item.isActive === true).length;
+
+const create = async (item) => {
+    if (rows().has(item.employeeId)) throw new ConditionFailedError('Employee already exists');
+    rows().set(item.employeeId, store.clone(item));
+    store.save();
+    return store.clone(item);
+};
+
+const put = async (item) => {
+    rows().set(item.employeeId, store.clone(item));
+    store.save();
+    return store.clone(item);
+};
+
+const update = async (employeeId, { set = {}, remove = [] }, { expect = {} } = {}) => {
+    const current = rows().get(employeeId);
+    if (!current) throw new ConditionFailedError('Employee not found');
+    const unmet = Object.entries(expect).some(([field, value]) => current[field] !== value);
+    if (unmet) throw new ConditionFailedError('Precondition failed');
+
+    const next = { ...current, ...store.clone(set) };
+    remove.forEach(field => delete next[field]);
+    rows().set(employeeId, next);
+    store.save();
+    return store.clone(next);
+};
+
+module.exports = { get, list, count, create, put, update };
@@ -0,0 +1,35 @@
+const store = require('./store');
+const { queryRows } = require('./query');
+
+const rows = () => store.table('geofenceEvents');
+const states = () => store.table('geofenceStates');
+
+const addMany = async (events) => {
+    events.forEach(event => rows().set(`${event.employeeId}#${event.eventId}`, store.clone(event)));
+    store.save();
+    return events;
+};
+
+const queryByEmployee = async (employeeId, { from, to, limit, cursor, order = 'desc' } = {}) => {
+    const matching = [...rows().values()].filter(event => event.employeeId === employeeId);
+    const page = queryRows(matching, {
+        sortKey: 'eventId',
+        idKey: 'eventId',
+        from: from === undefined ? undefined : String(from),
+        to: to === undefined ? undefined : `${to}~`,
+        order,
+        limit,
+        cursor
+    });
+    return { items: page.items.map(store.clone), nextCursor: page.nextCursor };
+};
+
+const getState = async (employeeId) => store.clone(states().get(employeeId));
+
+const putState = async (state) => {
+    states().set(state.employeeId, store.clone(state));
+    store.save();
+    return store.clone(state);
+};
+
+module.exports = { addMany, queryByEmployee, getState, putState };
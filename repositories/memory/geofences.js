@@ -0,0 +1,33 @@
+const store = require('./store');
+const { ConditionFailedError } = require('../errors');
+
+const rows = () => store.table('geofences');
+
+const get = async (geofenceId) => store.clone(rows().get(geofenceId));
+
+const list = async () => [...rows().values()].map(store.clone);
+
+const create = async (item) => {
+    if (rows().has(item.geofenceId)) throw new ConditionFailedError('Geofence already exists');
+    rows().set(item.geofenceId, store.clone(item));
+    store.save();
+    return store.clone(item);
+};
+
+const update = async (geofenceId, { set = {}, remove: removeFields = [] }) => {
+    const current = rows().get(geofenceId);
+    if (!current) throw new ConditionFailedError('Geofence not found');
+
+    const next = { ...current, ...store.clone(set) };
+    removeFields.forEach(field => delete next[field]);
+    rows().set(geofenceId, next);
+    store.save();
+    return store.clone(next);
+};
+
+const remove = async (geofenceId) => {
+    if (!rows().delete(geofenceId)) throw new ConditionFailedError('Geofence not found');
+    store.save();
+};
+
+module.exports = { get, list, create, update, remove };
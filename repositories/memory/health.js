@@ -0,0 +1,11 @@
+const fs = require('fs');
+const path = require('path');
+const store = require('./store');
+
+// Always up in memory; with MEMORY_STORE_FILE the file's directory must also be writable
+const check = async () => {
+    if (store.STORE_FILE) await fs.promises.access(path.dirname(store.STORE_FILE), fs.constants.W_OK);
+    return { storeFile: store.STORE_FILE || null };
+};
+
+module.exports = { check };
@@ -0,0 +1,57 @@
+const store = require('./store');
+const { ConditionFailedError } = require('../errors');
+
+const rows = () => store.table('leaveRequests');
+const balances = () => store.table('leaveBalances');
+
+const get = async (requestId) => store.clone(rows().get(requestId));
+
+const create = async (item) => {
+    if (rows().has(item.requestId)) throw new ConditionFailedError('Leave request already exists');
+    rows().set(item.requestId, store.clone(item));
+    store.save();
+    return store.clone(item);
+};
+
+const update = async (requestId, { set = {}, remove = [] }, { expect = {} } = {}) => {
+    const current = rows().get(requestId);
+    if (!current) throw new ConditionFailedError('Leave request not found');
+    const unmet = Object.entries(expect).some(([field, value]) => current[field] !== value);
+    if (unmet) throw new ConditionFailedError('Precondition failed');
+
+    const next = { ...current, ...store.clone(set) };
+    remove.forEach(field => delete next[field]);
+    rows().set(requestId, next);
+    store.save();
+    return store.clone(next);
+};
+
+const overlapping = (filter, { from, to }) => [...rows().values()]
+    .filter(filter)
+    .filter(item => (to === undefined || item.startDate <= to) && (from === undefined || item.endDate >= from))
+    .sort((a, b) => a.startDate.localeCompare(b.startDate))
+    .map(store.clone);
+
+const listByEmployee = async (employeeId, range = {}) =>
+    overlapping(item => item.employeeId === employeeId, range);
+
+const listByStatus = async (status, range = {}) =>
+    overlapping(item => item.status === status, range);
+
+const getBalanceOverrides = async (employeeId, year) => store.clone(balances().get(`${employeeId}#${year}`));
+
+const putBalanceOverrides = async (item) => {
+    balances().set(`${item.employeeId}#${item.year}`, store.clone(item));
+    store.save();
+    return store.clone(item);
+};
+
+module.exports = {
+    get,
+    create,
+    update,
+    listByEmployee,
+    listByStatus,
+    getBalanceOverrides,
+    putBalanceOverrides
+};
@@ -0,0 +1,85 @@
+const store = require('./store');
+const { queryRows } = require('./query');
+const { ConditionFailedError } = require('../errors');
+
+const rows = () => store.table('locations');
+const latestRows = () => store.table('latestLocations');
+
+// Matches the DynamoDB range key: epoch ms as a 13-digit string
+const toRangeKey = (ms) => (ms === undefined ? undefined : String(ms));
+
+// Out-of-session points (tracking policy "tag") never become the latest location
+const insert = (item) => {
+    rows().set(item.locationId, store.clone(item));
+    if (item.outOfSession) return;
+    const latest = latestRows().get(item.employeeId);
+    if (!latest || latest.timestamp < item.timestamp) {
+        latestRows().set(item.employeeId, store.clone(item));
+    }
+};
+
+const get = async (locationId) => store.clone(rows().get(locationId));
+
+const put = async (item) => {
+    if (rows().has(item.locationId)) throw new ConditionFailedError('Location point already exists');
+    insert(item);
+    store.save();
+    return store.clone(item);
+};
+
+const putMany = async (items) => {
+    const written = [];
+    const duplicates = [];
+    items.forEach(item => {
+        if (rows().has(item.locationId)) {
+            duplicates.push(item.locationId);
+        } else {
+            insert(item);
+            written.push(item.locationId);
+        }
+    });
+    store.save();
+    return { written, duplicates };
+};
+
+// Changes a stored point's own fields (review outcome); the latest-location record is left alone
+const update = async (locationId, { set = {}, remove: removeFields = [] }) => {
+    const current = rows().get(locationId);
+    if (!current) throw new ConditionFailedError('Location point not found');
+
+    const next = { ...current, ...store.clone(set) };
+    removeFields.forEach(field => delete next[field]);
+    rows().set(locationId, next);
+    store.save();
+    return store.clone(next);
+};
+
+const deleteMany = async (locationIds) => {
+    const deleted = locationIds.filter(locationId => rows().delete(locationId)).length;
+    store.save();
+    return deleted;
+};
+
+const listLatest = async () => [...latestRows().values()].map(store.clone);
+
+const query = (filter, { from, to, limit, cursor, order }) => {
+    const matching = [...rows().values()].filter(filter);
+    const page = queryRows(matching, {
+        sortKey: 'timestamp',
+        idKey: 'locationId',
+        from: toRangeKey(from),
+        to: toRangeKey(to),
+        order,
+        limit,
+        cursor
+    });
+    return { items: page.items.map(store.clone), nextCursor: page.nextCursor };
+};
+
+const queryByEmployee = async (employeeId, options = {}) =>
+    query(item => item.employeeId === employeeId, options);
+
+const queryByDate = async (date, options = {}) =>
+    query(item => item.date === date, options);
+
+module.exports = { get, put, putMany, update, deleteMany, listLatest, queryByEmployee, queryByDate };
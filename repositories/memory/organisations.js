@@ -0,0 +1,35 @@
+const store = require('./store');
+const { ConditionFailedError } = require('../errors');
+
+const rows = () => store.table('organisations');
+
+const get = async (orgId) => store.clone(rows().get(orgId));
+
+const list = async () => [...rows().values()].map(store.clone);
+
+const create = async (item) => {
+    if (rows().has(item.orgId)) throw new ConditionFailedError('Organisation already exists');
+    rows().set(item.orgId, store.clone(item));
+    store.save();
+    return store.clone(item);
+};
+
+// Unconditional write; the default organisation is stored on its first settings change
+const put = async (item) => {
+    rows().set(item.orgId, store.clone(item));
+    store.save();
+    return store.clone(item);
+};
+
+const update = async (orgId, { set = {}, remove = [] }) => {
+    const current = rows().get(orgId);
+    if (!current) throw new ConditionFailedError('Organisation not found');
+
+    const next = { ...current, ...store.clone(set) };
+    remove.forEach(field => delete next[field]);
+    rows().set(orgId, next);
+    store.save();
+    return store.clone(next);
+};
+
+module.exports = { get, list, create, put, update };
@@ -0,0 +1,36 @@
+const { encodeCursor, decodeCursor } = require('../cursor');
+
+// Emulates a DynamoDB query over in-memory rows: range filter, sort, Limit and LastEvaluatedKey.
+// `sortKey` is the range attribute; `idKey` breaks ties and identifies the cursor position.
+const queryRows = (rows, { sortKey, idKey, from, to, order = 'asc', limit, cursor }) => {
+    const inRange = rows.filter(item =>
+        (from === undefined || item[sortKey] >= from) && (to === undefined || item[sortKey] <= to)
+    );
+
+    const compare = (a, b) => {
+        if (a[sortKey] < b[sortKey]) return -1;
+        if (a[sortKey] > b[sortKey]) return 1;
+        return String(a[idKey]).localeCompare(String(b[idKey]));
+    };
+    inRange.sort((a, b) => (order === 'desc' ? compare(b, a) : compare(a, b)));
+
+    // Resume strictly after the cursor position, even if that item has since been deleted
+    let start = 0;
+    const after = decodeCursor(cursor);
+    if (after) {
+        const direction = order === 'desc' ? -1 : 1;
+        start = inRange.findIndex(item => direction * compare(item, after) > 0);
+        if (start === -1) start = inRange.length;
+    }
+
+    const page = limit ? inRange.slice(start, start + limit) : inRange.slice(start);
+    const last = page[page.length - 1];
+    const hasMore = limit && start + page.length < inRange.length;
+
+    return {
+        items: page,
+        nextCursor: hasMore ? encodeCursor({ [idKey]: last[idKey], [sortKey]: last[sortKey] }) : null
+    };
+};
+
+module.exports = { queryRows };
@@ -0,0 +1,38 @@
+const store = require('./store');
+const { ConditionFailedError } = require('../errors');
+
+const rows = () => store.table('regularizations');
+
+const get = async (regularizationId) => store.clone(rows().get(regularizationId));
+
+const create = async (item) => {
+    if (rows().has(item.regularizationId)) throw new ConditionFailedError('Regularization already exists');
+    rows().set(item.regularizationId, store.clone(item));
+    store.save();
+    return store.clone(item);
+};
+
+const update = async (regularizationId, { set = {}, remove = [] }, { expect = {} } = {}) => {
+    const current = rows().get(regularizationId);
+    if (!current) throw new ConditionFailedError('Regularization not found');
+    const unmet = Object.entries(expect).some(([field, value]) => current[field] !== value);
+    if (unmet) throw new ConditionFailedError('Precondition failed');
+
+    const next = { ...current, ...store.clone(set) };
+    remove.forEach(field => delete next[field]);
+    rows().set(regularizationId, next);
+    store.save();
+    return store.clone(next);
+};
+
+const inRange = (filter, { from, to }) => [...rows().values()]
+    .filter(filter)
+    .filter(item => (from === undefined || item.date >= from) && (to === undefined || item.date <= to))
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map(store.clone);
+
+const listByEmployee = async (employeeId, range = {}) => inRange(item => item.employeeId === employeeId, range);
+
+const listByStatus = async (status, range = {}) => inRange(item => item.status === status, range);
+
+module.exports = { get, create, update, listByEmployee, listByStatus };
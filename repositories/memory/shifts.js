@@ -0,0 +1,33 @@
+const store = require('./store');
+const { ConditionFailedError } = require('../errors');
+
+const rows = () => store.table('shifts');
+
+const get = async (shiftId) => store.clone(rows().get(shiftId));
+
+const list = async () => [...rows().values()].map(store.clone);
+
+const create = async (item) => {
+    if (rows().has(item.shiftId)) throw new ConditionFailedError('Shift already exists');
+    rows().set(item.shiftId, store.clone(item));
+    store.save();
+    return store.clone(item);
+};
+
+const update = async (shiftId, { set = {}, remove: removeFields = [] }) => {
+    const current = rows().get(shiftId);
+    if (!current) throw new ConditionFailedError('Shift not found');
+
+    const next = { ...current, ...store.clone(set) };
+    removeFields.forEach(field => delete next[field]);
+    rows().set(shiftId, next);
+    store.save();
+    return store.clone(next);
+};
+
+const remove = async (shiftId) => {
+    if (!rows().delete(shiftId)) throw new ConditionFailedError('Shift not found');
+    store.save();
+};
+
+module.exports = { get, list, create, update, remove };
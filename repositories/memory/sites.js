@@ -0,0 +1,33 @@
+const store = require('./store');
+const { ConditionFailedError } = require('../errors');
+
+const rows = () => store.table('sites');
+
+const get = async (siteId) => store.clone(rows().get(siteId));
+
+const list = async () => [...rows().values()].map(store.clone);
+
+const create = async (item) => {
+    if (rows().has(item.siteId)) throw new ConditionFailedError('Site already exists');
+    rows().set(item.siteId, store.clone(item));
+    store.save();
+    return store.clone(item);
+};
+
+const update = async (siteId, { set = {}, remove: removeFields = [] }) => {
+    const current = rows().get(siteId);
+    if (!current) throw new ConditionFailedError('Site not found');
+
+    const next = { ...current, ...store.clone(set) };
+    removeFields.forEach(field => delete next[field]);
+    rows().set(siteId, next);
+    store.save();
+    return store.clone(next);
+};
+
+const remove = async (siteId) => {
+    if (!rows().delete(siteId)) throw new ConditionFailedError('Site not found');
+    store.save();
+};
+
+module.exports = { get, list, create, update, remove };
@@ -0,0 +1,44 @@
+const fs = require('fs');
+const path = require('path');
+
+// In-memory tables for local development and tests.
+// Set MEMORY_STORE_FILE to persist everything as JSON between restarts.
+const STORE_FILE = process.env.MEMORY_STORE_FILE ? path.resolve(process.env.MEMORY_STORE_FILE) : null;
+
+const tables = {};
+
+const load = () => {
+    if (!STORE_FILE || !fs.existsSync(STORE_FILE)) return;
+    const data = JSON.parse(fs.readFileSync(STORE_FILE, 'utf8'));
+    Object.entries(data).forEach(([name, items]) => {
+        tables[name] = new Map(Object.entries(items));
+    });
+};
+
+const save = () => {
+    if (!STORE_FILE) return;
+    const data = {};
+    Object.entries(tables).forEach(([name, rows]) => {
+        data[name] = Object.fromEntries(rows);
+    });
+    fs.mkdirSync(path.dirname(STORE_FILE), { recursive: true });
+    fs.writeFileSync(STORE_FILE, JSON.stringify(data, null, 2));
+};
+
+const table = (name) => {
+    if (!tables[name]) tables[name] = new Map();
+    return tables[name];
+};
+
+// Items are copied in and out so callers can never mutate stored state by reference
+const clone = (item) => (item === undefined || item === null ? null : structuredClone(item));
+
+// Drops every table (and the persisted file contents); used to isolate test runs
+const reset = () => {
+    Object.keys(tables).forEach(name => delete tables[name]);
+    save();
+};
+
+load();
+
+module.exports = { STORE_FILE, table, save, clone, reset };
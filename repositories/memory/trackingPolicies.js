@@ -0,0 +1,33 @@
+const store = require('./store');
+const { ConditionFailedError } = require('../errors');
+
+const rows = () => store.table('trackingPolicies');
+
+const get = async (policyId) => store.clone(rows().get(policyId));
+
+const list = async () => [...rows().values()].map(store.clone);
+
+const create = async (item) => {
+    if (rows().has(item.policyId)) throw new ConditionFailedError('Tracking policy already exists');
+    rows().set(item.policyId, store.clone(item));
+    store.save();
+    return store.clone(item);
+};
+
+const update = async (policyId, { set = {}, remove: removeFields = [] }) => {
+    const current = rows().get(policyId);
+    if (!current) throw new ConditionFailedError('Tracking policy not found');
+
+    const next = { ...current, ...store.clone(set) };
+    removeFields.forEach(field => delete next[field]);
+    rows().set(policyId, next);
+    store.save();
+    return store.clone(next);
+};
+
+const remove = async (policyId) => {
+    if (!rows().delete(policyId)) throw new ConditionFailedError('Tracking policy not found');
+    store.save();
+};
+
+module.exports = { get, list, create, update, remove };
@@ -0,0 +1,38 @@
+const store = require('./store');
+const { ConditionFailedError } = require('../errors');
+
+const rows = () => store.table('visits');
+
+const get = async (visitId) => store.clone(rows().get(visitId));
+
+const create = async (item) => {
+    if (rows().has(item.visitId)) throw new ConditionFailedError('Visit already exists');
+    rows().set(item.visitId, store.clone(item));
+    store.save();
+    return store.clone(item);
+};
+
+const update = async (visitId, { set = {}, remove = [] }, { expect = {} } = {}) => {
+    const current = rows().get(visitId);
+    if (!current) throw new ConditionFailedError('Visit not found');
+    const unmet = Object.entries(expect).some(([field, value]) => current[field] !== value);
+    if (unmet) throw new ConditionFailedError('Precondition failed');
+
+    const next = { ...current, ...store.clone(set) };
+    remove.forEach(field => delete next[field]);
+    rows().set(visitId, next);
+    store.save();
+    return store.clone(next);
+};
+
+const inRange = (filter, { from, to }) => [...rows().values()]
+    .filter(filter)
+    .filter(item => (from === undefined || item.date >= from) && (to === undefined || item.date <= to))
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map(store.clone);
+
+const listByEmployee = async (employeeId, range = {}) => inRange(item => item.employeeId === employeeId, range);
+
+const listByDate = async (date) => inRange(item => item.date === date, {});
+
+module.exports = { get, create, update, listByEmployee, listByDate };
@@ -0,0 +1,106 @@
+const { ConditionFailedError } = require('./errors');
+const { orgOf, currentOrgId } = require('../lib/tenancy');
+
+// ==========================================
+// TENANT SCOPING
+// ==========================================
+// Wraps a backend repository so that, inside an organisation's context (lib/tenancy.js):
+//   - writes (create, put, putMany, append, ...) stamp the item with that orgId
+//   - get* returns null and list* / query* leave out items of other organisations
+//   - update / remove of another organisation's item fail like a missing item (ConditionFailedError)
+// Outside a context every call passes straight through. Methods are classified by name, so a new
+// repository method must follow the naming below (or be added to PASS_THROUGH).
+
+const WRITES = ['create', 'put', 'putMany', 'append', 'addMany', 'putState', 'putBalanceOverrides'];
+// Take ids that came from an already scoped read (retention deletes the points it just queried)
+const PASS_THROUGH = ['deleteMany'];
+
+const visible = (orgId) => (item) => Boolean(item) && orgOf(item) === orgId;
+
+const stamp = (orgId, item) => ({ ...item, orgId });
+
+// Leading non-object arguments are the item's key: update(employeeId, date, changes, options)
+const keyArgs = (args) => {
+    const changesAt = args.findIndex(arg => arg !== null && typeof arg === 'object');
+    return changesAt === -1 ? args : args.slice(0, changesAt);
+};
+
+// `keyOf(item)` (the get() arguments for an item) lets unconditional put() refuse to overwrite
+// another organisation's item
+const wrap = (repository, name, { keyOf } = {}) => {
+    const method = repository[name];
+    if (typeof method !== 'function' || PASS_THROUGH.includes(name)) return method;
+
+    if (name === 'put' && keyOf) {
+        return async (item, ...rest) => {
+            const orgId = currentOrgId();
+            if (!orgId) return method(item, ...rest);
+            const existing = await repository.get(...keyOf(item));
+            if (existing && !visible(orgId)(existing)) throw new ConditionFailedError('Already exists');
+            return method(stamp(orgId, item), ...rest);
+        };
+    }
+
+    if (WRITES.includes(name)) {
+        return (item, ...rest) => {
+            const orgId = currentOrgId();
+            if (!orgId) return method(item, ...rest);
+            return method(Array.isArray(item) ? item.map(each => stamp(orgId, each)) : stamp(orgId, item), ...rest);
+        };
+    }
+
+    if (name.startsWith('get')) {
+        return async (...args) => {
+            const orgId = currentOrgId();
+            const item = await method(...args);
+            return !orgId || visible(orgId)(item) ? item : null;
+        };
+    }
+
+    if (name.startsWith('list') || name.startsWith('query')) {
+        return async (...args) => {
+            const orgId = currentOrgId();
+            const result = await method(...args);
+            if (!orgId) return result;
+            // Pages keep their cursor: a page may come back short, never with foreign items
+            return Array.isArray(result)
+                ? result.filter(visible(orgId))
+                : { ...result, items: result.items.filter(visible(orgId)) };
+        };
+    }
+
+    if (name === 'count') {
+        return async (options = {}) => {
+            const orgId = currentOrgId();
+            if (!orgId) return method(options);
+            const items = (await repository.list()).filter(visible(orgId));
+            return items.filter(item => !options.activeOnly || item.isActive === true).length;
+        };
+    }
+
+    if (name === 'update' || name === 'remove') {
+        return async (...args) => {
+            const orgId = currentOrgId();
+            if (orgId) {
+                const keys = keyArgs(args);
+                if (!visible(orgId)(await repository.get(...keys))) throw new ConditionFailedError('Not found');
+
+                // An item never moves between organisations
+                const changes = args[keys.length];
+                if (changes && changes.set && 'orgId' in changes.set) {
+                    const set = { ...changes.set };
+                    delete set.orgId;
+                    args[keys.length] = { ...changes, set };
+                }
+            }
+            return method(...args);
+        };
+    }
+
+    throw new Error(`Repository method "${name}" has no tenant scoping rule`);
+};
+
+const scoped = (repository, options) =>
+    Object.fromEntries(Object.keys(repository).map(name => [name, wrap(repository, name, options)]));
+
+module.exports = { scoped };
@@ -0,0 +1,27 @@
+const { storageDuration } = require('../lib/metrics');
+const { ConditionFailedError } = require('./errors');
+
+// ==========================================
+// STORAGE CALL TIMING
+// ==========================================
+// Wraps every backend method so its latency lands in storage_operation_duration_seconds.
+// Conditional-write failures are expected outcomes ("conflict"), not errors.
+
+const outcomeOf = (error) => (error instanceof ConditionFailedError ? 'conflict' : 'error');
+
+const timed = (backend, name, repository) => Object.fromEntries(Object.entries(repository).map(([operation, method]) => {
+    if (typeof method !== 'function') return [operation, method];
+    return [operation, async (...args) => {
+        const end = storageDuration.startTimer({ backend, repository: name, operation });
+        try {
+            const result = await method(...args);
+            end({ outcome: 'ok' });
+            return result;
+        } catch (error) {
+            end({ outcome: outcomeOf(error) });
+            throw error;
+        }
+    }];
+}));
+
+module.exports = { timed };
@@ -0,0 +1,228 @@
+const express = require('express');
+const crypto = require('crypto');
+const repositories = require('../repositories');
+const { PRIVILEGED_ROLES, authenticate, authorize } = require('../middleware/auth');
+const { field } = require('../lib/validation');
+const { employeeId: employeeIdField, departmentList, employeeIdList, recordId } = require('../lib/schemas');
+const { EMAIL_PATTERN } = require('../lib/employees');
+const { validateRequest, invalidBody } = require('../middleware/validate');
+const { auditAs, noteChange } = require('../middleware/audit');
+const { ALERT_TYPES, ALERT_STATUSES, MAX_CHANNELS, validateRule } = require('../lib/alerts');
+const alerts = require('../services/alerts');
+const logger = require('../lib/logger');
+
+const { ConditionFailedError } = repositories;
+const router = express.Router();
+
+router.use(authenticate, authorize(...PRIVILEGED_ROLES));
+
+// ==========================================
+// RULES
+// ==========================================
+
+const auditRule = (action) => auditAs(action, { targetType: 'alertRule', target: req => req.params.ruleId });
+
+const ruleParams = { ruleId: recordId() };
+
+// params are checked against the type by validateRule
+const ruleFields = (required) => ({
+    name: field.string({ required, max: 100 }),
+    type: field.string({ required, oneOf: Object.keys(ALERT_TYPES) }),
+    params: field.object({
+        description: 'Per type: silent { minutes }, late-clockin { minutes }, speed { speedKmh }, geofence-exit {}'
+    }),
+    departments: departmentList(),
+    employeeIds: employeeIdList(),
+    webhookUrls: field.array({
+        max: MAX_CHANNELS,
+        of: field.string({ required: true, max: 2048 }),
+        description: 'Public http(s) receivers; loopback, private and link-local hosts are refused'
+    }),
+    emails: field.array({
+        max: MAX_CHANNELS,
+        of: field.string({ required: true, max: 254, pattern: EMAIL_PATTERN, message: 'must be a valid email address' })
+    }),
+    isActive: field.boolean()
+});
+
+router.get('/rules', async (req, res) => {
+    try {
+        const rules = await repositories.alertRules.list();
+        rules.sort((a, b) => a.name.localeCompare(b.name));
+        res.json({ success: true, types: ALERT_TYPES, rules });
+    } catch (error) {
+        logger.error('Error fetching alert rules', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+router.get('/rules/:ruleId', validateRequest({ params: ruleParams }), async (req, res) => {
+    try {
+        const rule = await repositories.alertRules.get(req.params.ruleId);
+        if (!rule) return res.status(404).json({ error: 'Alert rule not found' });
+        res.json({ success: true, rule });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// { name, type, params?, departments?, employeeIds?, webhookUrls?, emails?, isActive? }
+router.post('/rules', authorize('admin', 'manager'), auditRule('alert.rule.create'), validateRequest({ body: ruleFields(true) }), async (req, res) => {
+    try {
+        const { fields, errors } = validateRule(req.body);
+        if (errors.length) return invalidBody(res, 'Invalid alert rule', errors);
+
+        const now = new Date().toISOString();
+        const rule = await repositories.alertRules.create({
+            ruleId: crypto.randomUUID(),
+            departments: [],
+            employeeIds: [],
+            webhookUrls: [],
+            emails: [],
+            isActive: true,
+            ...fields,
+            createdBy: req.user.employeeId,
+            createdAt: now,
+            lastUpdated: now
+        });
+
+        req.audit.targetId = rule.ruleId;
+        noteChange(req, null, rule);
+        alerts.invalidateCache();
+        res.status(201).json({ success: true, message: 'Alert rule created', rule });
+    } catch (error) {
+        logger.error('Error creating alert rule', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Partial update; params are re-checked against the (possibly new) type
+router.patch('/rules/:ruleId', authorize('admin', 'manager'), auditRule('alert.rule.update'), validateRequest({ params: ruleParams, body: ruleFields(false) }), async (req, res) => {
+    try {
+        const { ruleId } = req.params;
+        const current = await repositories.alertRules.get(ruleId);
+        if (!current) return res.status(404).json({ error: 'Alert rule not found' });
+
+        const body = req.body;
+        const typeChanged = body.type !== undefined && body.type !== current.type;
+        // A new type starts from its own defaults rather than the old type's params
+        const merged = { type: current.type, params: typeChanged ? {} : current.params, ...body };
+        const { fields, errors } = validateRule(merged, { partial: true });
+        if (errors.length) return invalidBody(res, 'Invalid alert rule', errors);
+
+        const rule = await repositories.alertRules.update(ruleId, {
+            set: { ...fields, lastUpdated: new Date().toISOString() }
+        });
+
+        noteChange(req, current, rule);
+        alerts.invalidateCache();
+        res.json({ success: true, message: 'Alert rule updated', rule });
+    } catch (error) {
+        if (error instanceof ConditionFailedError) return res.status(404).json({ error: 'Alert rule not found' });
+        logger.error('Error updating alert rule', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Alerts already raised by the rule are kept
+router.delete('/rules/:ruleId', authorize('admin', 'manager'), auditRule('alert.rule.delete'), validateRequest({ params: ruleParams }), async (req, res) => {
+    try {
+        const current = await repositories.alertRules.get(req.params.ruleId);
+        await repositories.alertRules.remove(req.params.ruleId);
+        noteChange(req, current, null);
+        alerts.invalidateCache();
+        res.json({ success: true, message: 'Alert rule deleted' });
+    } catch (error) {
+        if (error instanceof ConditionFailedError) return res.status(404).json({ error: 'Alert rule not found' });
+        logger.error('Error deleting alert rule', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Runs the time-based rules (silent, no clock-in) and due notification retries now
+router.post('/evaluate', authorize('admin'), auditAs('alert.evaluate'), async (req, res) => {
+    try {
+        const result = await alerts.evaluateScheduled();
+        req.audit.details = result;
+        res.json({ success: true, ...result });
+    } catch (error) {
+        logger.error('Error evaluating alert rules', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ==========================================
+// ALERT HISTORY
+// ==========================================
+
+// Newest first. ?status= (default open), ?employeeId=, ?type=, ?ruleId=, ?from=&to= (YYYY-MM-DD alert dates)
+const listSchema = {
+    query: {
+        status: field.string({ oneOf: ALERT_STATUSES }),
+        employeeId: employeeIdField(),
+        type: field.string({ oneOf: Object.keys(ALERT_TYPES) }),
+        ruleId: field.string({ max: 100 }),
+        from: field.date(),
+        to: field.date()
+    }
+};
+
+router.get('/', validateRequest(listSchema), async (req, res) => {
+    try {
+        const { employeeId, type, ruleId, from, to } = req.query;
+        const status = req.query.status || (employeeId ? undefined : 'open');
+
+        const range = { from: from || undefined, to: to || undefined };
+        let items = employeeId
+            ? await repositories.alerts.listByEmployee(employeeId, range)
+            : await repositories.alerts.listByStatus(status, range);
+        if (employeeId && status) items = items.filter(alert => alert.status === status);
+        if (type) items = items.filter(alert => alert.type === type);
+        if (ruleId) items = items.filter(alert => alert.ruleId === ruleId);
+
+        items.sort((a, b) => b.triggeredAt.localeCompare(a.triggeredAt));
+        res.json({ success: true, count: items.length, alerts: items });
+    } catch (error) {
+        logger.error('Error listing alerts', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+router.get('/:alertId', async (req, res) => {
+    try {
+        const alert = await repositories.alerts.get(req.params.alertId);
+        if (!alert) return res.status(404).json({ error: 'Alert not found' });
+        res.json({ success: true, alert });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// { comment? }. Notifications still pending keep retrying; acknowledging only closes the alert.
+const acknowledgeSchema = { body: { comment: field.string({ max: 500 }) } };
+
+router.post('/:alertId/acknowledge', auditAs('alert.acknowledge', { targetType: 'alert', target: req => req.params.alertId }), validateRequest(acknowledgeSchema), async (req, res) => {
+    try {
+        const alert = await repositories.alerts.get(req.params.alertId);
+        if (!alert) return res.status(404).json({ error: 'Alert not found' });
+        if (alert.status !== 'open') return res.status(409).json({ error: `Alert is already ${alert.status}` });
+
+        const updated = await repositories.alerts.update(alert.alertId, {
+            set: {
+                status: 'acknowledged',
+                acknowledgedBy: req.user.employeeId,
+                acknowledgedAt: new Date().toISOString(),
+                acknowledgeComment: req.body.comment || ''
+            }
+        }, { expect: { status: 'open' } });
+        noteChange(req, { status: alert.status }, { status: updated.status });
+
+        res.json({ success: true, message: 'Alert acknowledged', alert: updated });
+    } catch (error) {
+        if (error instanceof ConditionFailedError) return res.status(409).json({ error: 'Alert was acknowledged by someone else' });
+        logger.error('Error acknowledging alert', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
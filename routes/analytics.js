@@ -0,0 +1,54 @@
+const express = require('express');
+const { PRIVILEGED_ROLES, authenticate, authorize } = require('../middleware/auth');
+const { field } = require('../lib/validation');
+const { validateRequest } = require('../middleware/validate');
+const analytics = require('../services/analytics');
+const logger = require('../lib/logger');
+
+const DEFAULT_CELL_METERS = 250;
+
+const router = express.Router();
+
+router.use(authenticate, authorize(...PRIVILEGED_ROLES));
+
+// Every analysis takes ?from=&to= (YYYY-MM-DD, organisation time zone; default: the last 7 days)
+// and ?department=
+const rangeQuery = {
+    from: field.date(),
+    to: field.date(),
+    department: field.string({ max: 100 })
+};
+const limitQuery = { limit: field.number({ integer: true, min: 1, max: 1000 }) };
+
+// Runs `analysis(range, options)` for the request's date range
+const respond = (analysis, optionsOf = () => ({})) => async (req, res) => {
+    try {
+        const range = await analytics.resolveRange(req.query);
+        if (range.error) return res.status(400).json({ error: range.error });
+
+        const result = await analysis(range, { department: req.query.department, ...optionsOf(req.query) });
+        res.json({ success: true, from: range.from, to: range.to, ...result });
+    } catch (error) {
+        if (error instanceof RangeError) return res.status(413).json({ error: error.message });
+        logger.error('Error building analytics', error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Daily expected / present / absent / late / on-leave counts, plus range totals
+router.get('/attendance', validateRequest({ query: rangeQuery }), respond(analytics.attendance));
+
+// Average worked hours per completed employee-day, by department
+router.get('/hours', validateRequest({ query: rangeQuery }), respond(analytics.hours));
+
+// Distance travelled per employee, furthest first (?limit=)
+router.get('/distance', validateRequest({ query: { ...rangeQuery, ...limitQuery } }), respond(analytics.distance, query => ({ limit: query.limit })));
+
+// Location density grid for heatmaps (?cellMeters=, default 250)
+router.get('/heatmap', validateRequest({ query: { ...rangeQuery, cellMeters: field.number({ min: 10, max: 10000 }) } }),
+    respond(analytics.heatmap, query => ({ cellMeters: query.cellMeters || DEFAULT_CELL_METERS })));
+
+// Most visited geofences with visitor counts and dwell times (?limit=, default 10)
+router.get('/geofences', validateRequest({ query: { ...rangeQuery, ...limitQuery } }), respond(analytics.geofences, query => ({ limit: query.limit || 10 })));
+
+module.exports = router;
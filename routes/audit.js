@@ -0,0 +1,113 @@
+const express = require('express');
+const repositories = require('../repositories');
+const { authenticate, authorize } = require('../middleware/auth');
+const { field } = require('../lib/validation');
+const { employeeId: employeeIdField } = require('../lib/schemas');
+const { validateRequest } = require('../middleware/validate');
+const { auditAs } = require('../middleware/audit');
+const { matchesFilter } = require('../lib/audit');
+const { sendTable } = require('../lib/tabular');
+const { eachDate } = require('../services/tracks');
+const { addDays } = require('../lib/time');
+const { DEFAULT_ORG_ID, DEPLOYMENT_ORG_ID, runAs } = require('../lib/tenancy');
+const logger = require('../lib/logger');
+
+const router = express.Router();
+
+const DEFAULT_RANGE_DAYS = 7;
+const MAX_RANGE_DAYS = 92;
+const MAX_ENTRIES = 5000;
+
+const EXPORT_COLUMNS = [
+    { key: 'timestamp', header: 'Timestamp' },
+    { key: 'actorId', header: 'Actor' },
+    { key: 'actorRole', header: 'Actor Role' },
+    { key: 'action', header: 'Action' },
+    { key: 'targetType', header: 'Target Type' },
+    { key: 'targetId', header: 'Target' },
+    { key: 'outcome', header: 'Outcome' },
+    { key: 'status', header: 'HTTP Status' },
+    { key: 'method', header: 'Method' },
+    { key: 'path', header: 'Path' },
+    { key: 'ip', header: 'IP' },
+    { key: 'userAgent', header: 'User Agent' },
+    { key: 'requestId', header: 'Request ID' },
+    { key: 'changes', header: 'Changes' },
+    { key: 'details', header: 'Details' }
+];
+
+// One flat row per entry; structured parts are kept as JSON text
+const toRow = (entry) => ({
+    ...entry,
+    method: entry.request.method,
+    path: entry.request.path,
+    ip: entry.request.ip,
+    userAgent: entry.request.userAgent,
+    requestId: entry.request.requestId,
+    changes: entry.changes ? JSON.stringify(entry.changes) : '',
+    details: entry.details ? JSON.stringify(entry.details) : ''
+});
+
+router.use(authenticate, authorize('admin'));
+
+// One day's entries, oldest first. Deployment administrators also see the entries that belong to no
+// organisation (failed logins for unknown employee IDs, ...).
+const entriesOn = async (date, user) => {
+    const own = await repositories.auditLog.listByDate(date);
+    if (user.orgId !== DEFAULT_ORG_ID) return own;
+    const deployment = await runAs(DEPLOYMENT_ORG_ID, () => repositories.auditLog.listByDate(date));
+    return [...own, ...deployment].sort((a, b) => a.eventKey.localeCompare(b.eventKey));
+};
+
+// Query the trail, newest first. ?from=&to= (YYYY-MM-DD, UTC; default the last 7 days),
+// ?actorId=&action=&targetType=&targetId=&outcome=success|failure, ?limit=, ?format=json|csv|xlsx.
+// action may be a prefix ending in "." (action=employee. for every employee action).
+const querySchema = {
+    query: {
+        from: field.date(),
+        to: field.date(),
+        actorId: employeeIdField(),
+        action: field.string({ max: 100 }),
+        targetType: field.string({ max: 50 }),
+        targetId: field.string({ max: 200 }),
+        outcome: field.string({ oneOf: ['success', 'failure'] }),
+        limit: field.number({ integer: true, min: 1, max: MAX_ENTRIES, default: 500 }),
+        format: field.string({ oneOf: ['json', 'csv', 'xlsx'], default: 'json' })
+    }
+};
+
+router.get('/', auditAs('audit.read'), validateRequest(querySchema), async (req, res) => {
+    try {
+        const to = req.query.to || new Date().toISOString().slice(0, 10);
+        const from = req.query.from || addDays(to, -(DEFAULT_RANGE_DAYS - 1));
+        if (from > to) return res.status(400).json({ error: 'from must not be after to' });
+
+        const dates = eachDate(from, to);
+        if (dates.length > MAX_RANGE_DAYS) return res.status(400).json({ error: `Date range may span at most ${MAX_RANGE_DAYS} days` });
+
+        // Newest day first, so the limit keeps the most recent entries
+        const entries = [];
+        for (const date of dates.reverse()) {
+            const day = (await entriesOn(date, req.user)).filter(entry => matchesFilter(entry, req.query));
+            entries.push(...day.reverse());
+            if (entries.length > req.query.limit) break;
+        }
+        const page = entries.slice(0, req.query.limit);
+        const truncated = entries.length > page.length;
+
+        if (req.query.format === 'json') {
+            return res.json({ success: true, from, to, count: page.length, truncated, entries: page });
+        }
+        await sendTable(req, res, {
+            filename: `audit-log-${from}-to-${to}`,
+            sheetName: 'Audit Log',
+            columns: EXPORT_COLUMNS,
+            rows: page.map(toRow)
+        });
+    } catch (error) {
+        logger.error('Error querying audit log', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
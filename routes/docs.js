@@ -0,0 +1,19 @@
+const express = require('express');
+const swaggerUi = require('swagger-ui-express');
+const { specFor } = require('../services/apiDocs');
+
+const router = express.Router();
+
+// The OpenAPI document, generated from the routes registered on this app
+router.get('/openapi.json', (req, res) => {
+    res.json(specFor(req.app));
+});
+
+// Interactive explorer; "Authorize" takes an access token from POST /api/login
+router.use('/', swaggerUi.serve);
+router.get('/', swaggerUi.setup(null, {
+    customSiteTitle: 'Employee Location Tracker API',
+    swaggerOptions: { url: '/api/docs/openapi.json', persistAuthorization: true }
+}));
+
+module.exports = router;
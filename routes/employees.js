@@ -0,0 +1,366 @@
+const express = require('express');
+const bodyParser = require('body-parser');
+const repositories = require('../repositories');
+const { authenticate, authorize, requireSelfOrPrivileged } = require('../middleware/auth');
+const { stripCredentials } = require('../lib/passwords');
+const { parseCsvRecords } = require('../lib/tabular');
+const {
+    ROLES,
+    EMPLOYEE_STATUSES,
+    EDITABLE_FIELDS,
+    DEVICE_ID_PATTERN,
+    validateEmployee,
+    teamOf,
+    filterEmployees
+} = require('../lib/employees');
+const { field } = require('../lib/validation');
+const { employeeParams } = require('../lib/schemas');
+const { validateRequest } = require('../middleware/validate');
+const { auditAs, noteChange } = require('../middleware/audit');
+const { runUnscoped } = require('../lib/tenancy');
+const employeeService = require('../services/employees');
+const devices = require('../services/devices');
+const logger = require('../lib/logger');
+
+const { ConditionFailedError } = repositories;
+const router = express.Router();
+
+const targetSchema = { params: employeeParams };
+
+const auditEmployee = (action) => auditAs(action, { targetType: 'employee', target: req => req.params.employeeId });
+
+// Rows per bulk import; each new account costs a password hash
+const MAX_IMPORT_ROWS = 500;
+const IMPORT_COLUMNS = ['employeeId', 'name', 'email', 'phone', 'department', 'role', 'managerId', 'timezone', 'shiftId', 'deviceId'];
+
+router.use(authenticate);
+
+const loadById = async () => Object.fromEntries(
+    (await repositories.employees.list()).map(employee => [employee.employeeId, employee])
+);
+
+// Only admins may grant or revoke the admin role
+const checkRoleChange = (actor, current, nextRole) => {
+    const touchesAdmin = nextRole === 'admin' || (current && current.role === 'admin' && nextRole !== undefined && nextRole !== 'admin');
+    return touchesAdmin && actor.role !== 'admin' ? 'Only admins can grant or revoke the admin role' : null;
+};
+
+// Bulk import from CSV (header row required; columns: employeeId,name,email,phone,department,role,
+// managerId,timezone,shiftId,deviceId). Send text/csv or JSON { csv }. ?dryRun=true only validates.
+// All-or-nothing: any invalid row fails the import and nothing is created.
+const importSchema = { query: { dryRun: field.boolean({ default: false }) } };
+
+router.post('/import', authorize('admin', 'hr'), auditAs('employee.import'), bodyParser.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), validateRequest(importSchema), async (req, res) => {
+    try {
+        const { dryRun } = req.query;
+        const csv = typeof req.body === 'string' ? req.body : req.body && req.body.csv;
+        if (typeof csv !== 'string' || !csv.trim()) {
+            return res.status(400).json({ error: 'CSV body (text/csv) or { csv } is required' });
+        }
+
+        let parsed;
+        try {
+            parsed = parseCsvRecords(csv);
+        } catch (error) {
+            return res.status(400).json({ error: `Malformed CSV: ${error.message}` });
+        }
+        const { headers, records } = parsed;
+
+        const unknownColumns = headers.filter(header => !IMPORT_COLUMNS.includes(header));
+        if (!headers.includes('employeeId') || !headers.includes('name') || unknownColumns.length) {
+            return res.status(400).json({
+                error: 'CSV header must include employeeId and name',
+                allowedColumns: IMPORT_COLUMNS,
+                unknownColumns
+            });
+        }
+        if (!records.length) return res.status(400).json({ error: 'CSV has no data rows' });
+        if (records.length > MAX_IMPORT_ROWS) {
+            return res.status(413).json({ error: `An import may contain at most ${MAX_IMPORT_ROWS} rows` });
+        }
+
+        const existing = await loadById();
+        const byId = { ...existing };
+        const seen = new Set();
+
+        // First pass: field validation and duplicates; valid rows join byId so managers may be in the same file
+        const results = records.map((record, index) => {
+            const values = Object.fromEntries(Object.entries(record).filter(([, value]) => value !== ''));
+            const { fields, errors } = validateEmployee(values);
+            const result = { row: index + 2, employeeId: record.employeeId || null, errors };
+
+            if (fields.employeeId) {
+                if (existing[fields.employeeId]) errors.push('Employee ID already exists');
+                else if (seen.has(fields.employeeId)) errors.push('Employee ID appears more than once in the file');
+                seen.add(fields.employeeId);
+            }
+            if (fields.role === 'admin' && req.user.role !== 'admin') errors.push('Only admins can grant the admin role');
+            if (!errors.length) byId[fields.employeeId] = { ...fields, isActive: true };
+            return { ...result, fields, deviceId: values.deviceId };
+        });
+
+        // Employee IDs are unique across organisations: one taken elsewhere would only fail mid-import
+        for (const result of results) {
+            if (result.errors.length) continue;
+            const { employeeId } = result.fields;
+            if (await runUnscoped(() => repositories.employees.get(employeeId))) {
+                result.errors.push('Employee ID is already taken');
+                delete byId[employeeId];
+            }
+        }
+
+        // Second pass: references, now that every row in the file is known
+        for (const result of results) {
+            if (result.errors.length) continue;
+            const referenceError = await employeeService.checkReferences(result.fields, { employeesById: byId });
+            if (referenceError) result.errors.push(referenceError);
+        }
+
+        const invalid = results.filter(result => result.errors.length);
+        const report = (status) => results.map(({ row, employeeId, errors }) => ({
+            row,
+            employeeId,
+            status: errors.length ? 'error' : status,
+            ...(errors.length && { errors })
+        }));
+
+        req.audit.details = { dryRun, total: results.length, invalid: invalid.length };
+        if (dryRun || invalid.length) {
+            return res.status(invalid.length ? 400 : 200).json({
+                success: !invalid.length,
+                dryRun,
+                total: results.length,
+                valid: results.length - invalid.length,
+                invalid: invalid.length,
+                created: 0,
+                results: report('valid')
+            });
+        }
+
+        const created = [];
+        for (const result of results) {
+            const { employee, temporaryPassword } = await employeeService.createEmployee(result.fields, { deviceId: result.deviceId });
+            created.push({ row: result.row, employeeId: employee.employeeId, status: 'created', temporaryPassword });
+        }
+        req.audit.details.created = created.map(entry => entry.employeeId);
+
+        res.status(201).json({
+            success: true,
+            dryRun: false,
+            total: results.length,
+            valid: results.length,
+            invalid: 0,
+            created: created.length,
+            results: created
+        });
+    } catch (error) {
+        if (error instanceof ConditionFailedError) {
+            return res.status(409).json({ error: 'An employee in the file was created concurrently; re-run the dry run' });
+        }
+        logger.error('Error importing employees', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Partial profile update: name, email, phone, department, role, managerId, timezone, shiftId.
+// Empty managerId/timezone/shiftId clear the field.
+router.patch('/:employeeId', authorize('admin', 'hr'), auditEmployee('employee.update'), validateRequest(targetSchema), async (req, res) => {
+    try {
+        const { employeeId } = req.params;
+        const body = req.body || {};
+
+        const unknown = Object.keys(body).filter(key => !EDITABLE_FIELDS.includes(key));
+        if (unknown.length) {
+            return res.status(400).json({ error: `Only these fields can be updated: ${EDITABLE_FIELDS.join(', ')}`, details: unknown });
+        }
+
+        const { fields, clear, errors } = validateEmployee(body, { partial: true });
+        if (errors.length) return res.status(400).json({ error: 'Invalid employee', details: errors });
+        if (!Object.keys(fields).length && !clear.length) return res.status(400).json({ error: 'Nothing to update' });
+
+        const current = await repositories.employees.get(employeeId);
+        if (!current) return res.status(404).json({ error: 'Employee not found' });
+
+        if (fields.role !== undefined && employeeId === req.user.employeeId && fields.role !== current.role) {
+            return res.status(403).json({ error: 'You cannot change your own role' });
+        }
+        const roleError = checkRoleChange(req.user, current, fields.role);
+        if (roleError) return res.status(403).json({ error: roleError });
+
+        if (fields.managerId === employeeId) return res.status(400).json({ error: 'An employee cannot be their own manager' });
+        const referenceError = await employeeService.checkReferences({ ...fields, employeeId });
+        if (referenceError) return res.status(400).json({ error: referenceError });
+
+        const updated = await repositories.employees.update(employeeId, {
+            set: { ...fields, lastUpdated: new Date().toISOString() },
+            remove: clear
+        });
+        noteChange(req, current, updated);
+
+        res.json({ success: true, message: 'Employee updated', employee: stripCredentials(updated) });
+    } catch (error) {
+        if (error instanceof ConditionFailedError) return res.status(404).json({ error: 'Employee not found' });
+        logger.error('Error updating employee', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Deactivate a leaver: blocks login and token refresh, keeps their history. { reason? }
+router.post('/:employeeId/deactivate', authorize('admin', 'hr'), auditEmployee('employee.deactivate'), validateRequest(targetSchema), async (req, res) => {
+    try {
+        const { employeeId } = req.params;
+        if (employeeId === req.user.employeeId) return res.status(403).json({ error: 'You cannot deactivate yourself' });
+
+        const current = await repositories.employees.get(employeeId);
+        if (!current) return res.status(404).json({ error: 'Employee not found' });
+        if (current.isActive === false) return res.status(409).json({ error: 'Employee is already deactivated' });
+        if (current.role === 'admin' && req.user.role !== 'admin') {
+            return res.status(403).json({ error: 'Only admins can deactivate an admin' });
+        }
+
+        const now = new Date().toISOString();
+        const updated = await repositories.employees.update(employeeId, {
+            set: {
+                isActive: false,
+                status: 'inactive',
+                deactivatedAt: now,
+                deactivatedBy: req.user.employeeId,
+                deactivationReason: req.body && req.body.reason ? String(req.body.reason).slice(0, 500) : '',
+                lastUpdated: now
+            }
+        });
+        noteChange(req, current, updated);
+
+        // Reports left without an active manager need reassigning
+        const orphanedReports = teamOf(await repositories.employees.list(), employeeId)
+            .filter(employee => employee.isActive !== false)
+            .map(employee => employee.employeeId);
+
+        res.json({ success: true, message: 'Employee deactivated', employee: stripCredentials(updated), orphanedReports });
+    } catch (error) {
+        if (error instanceof ConditionFailedError) return res.status(404).json({ error: 'Employee not found' });
+        logger.error('Error deactivating employee', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+router.post('/:employeeId/reactivate', authorize('admin', 'hr'), auditEmployee('employee.reactivate'), validateRequest(targetSchema), async (req, res) => {
+    try {
+        const { employeeId } = req.params;
+        const current = await repositories.employees.get(employeeId);
+        if (!current) return res.status(404).json({ error: 'Employee not found' });
+        if (current.isActive !== false) return res.status(409).json({ error: 'Employee is already active' });
+
+        const updated = await repositories.employees.update(employeeId, {
+            set: {
+                isActive: true,
+                status: 'active',
+                failedLoginAttempts: 0,
+                reactivatedAt: new Date().toISOString(),
+                reactivatedBy: req.user.employeeId,
+                lastUpdated: new Date().toISOString()
+            },
+            remove: ['deactivatedAt', 'deactivatedBy', 'deactivationReason', 'lockedUntil']
+        }, { expect: { isActive: false } });
+        noteChange(req, current, updated);
+
+        res.json({ success: true, message: 'Employee reactivated', employee: stripCredentials(updated) });
+    } catch (error) {
+        if (error instanceof ConditionFailedError) return res.status(409).json({ error: 'Employee was changed by someone else' });
+        logger.error('Error reactivating employee', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Registered device, plus the last device refused (to confirm a replacement phone before re-binding)
+router.get('/:employeeId/device', authorize('admin', 'hr'), validateRequest(targetSchema), async (req, res) => {
+    try {
+        const employee = await repositories.employees.get(req.params.employeeId);
+        if (!employee) return res.status(404).json({ error: 'Employee not found' });
+
+        res.json({
+            success: true,
+            employeeId: employee.employeeId,
+            bound: devices.isBound(employee),
+            deviceId: devices.isBound(employee) ? employee.deviceId : null,
+            deviceBoundAt: employee.deviceBoundAt || null,
+            deviceBoundBy: employee.deviceBoundBy || null,
+            lastRejectedDeviceId: employee.lastRejectedDeviceId || null,
+            lastRejectedDeviceAt: employee.lastRejectedDeviceAt || null
+        });
+    } catch (error) {
+        logger.error('Error fetching device binding', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Re-bind to a new device: { deviceId }
+const bindSchema = {
+    params: employeeParams,
+    body: {
+        deviceId: field.string({ required: true, pattern: DEVICE_ID_PATTERN, message: 'must be 1-128 characters of letters, digits, _ . : -' })
+    }
+};
+
+router.put('/:employeeId/device', authorize('admin', 'hr'), auditEmployee('employee.device.bind'), validateRequest(bindSchema), async (req, res) => {
+    try {
+        const current = await repositories.employees.get(req.params.employeeId);
+        const updated = await devices.bindDevice(req.params.employeeId, req.body.deviceId, { boundBy: req.user.employeeId });
+        noteChange(req, current, updated);
+        logger.info('Device re-bound', { employeeId: req.params.employeeId, by: req.user.employeeId });
+        res.json({ success: true, message: 'Device registered', employee: stripCredentials(updated) });
+    } catch (error) {
+        if (error instanceof ConditionFailedError) return res.status(404).json({ error: 'Employee not found' });
+        logger.error('Error binding device', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Unbind: the next device the employee signs in from is registered
+router.delete('/:employeeId/device', authorize('admin', 'hr'), auditEmployee('employee.device.unbind'), validateRequest(targetSchema), async (req, res) => {
+    try {
+        const current = await repositories.employees.get(req.params.employeeId);
+        const updated = await devices.bindDevice(req.params.employeeId, null, { boundBy: req.user.employeeId });
+        noteChange(req, current, updated);
+        res.json({ success: true, message: 'Device unbound; the next device used will be registered', employee: stripCredentials(updated) });
+    } catch (error) {
+        if (error instanceof ConditionFailedError) return res.status(404).json({ error: 'Employee not found' });
+        logger.error('Error unbinding device', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// People reporting to an employee ("my team" when called with your own ID).
+// ?recursive=true includes indirect reports; ?status=&department=&role=&q= filter as on GET /api/employees.
+const teamSchema = {
+    params: employeeParams,
+    query: {
+        recursive: field.boolean({ default: false }),
+        department: field.string({ max: 100 }),
+        role: field.string({ oneOf: ROLES }),
+        status: field.string({ oneOf: EMPLOYEE_STATUSES }),
+        q: field.string({ max: 100 })
+    }
+};
+
+router.get('/:employeeId/team', validateRequest(teamSchema), requireSelfOrPrivileged(req => req.params.employeeId), async (req, res) => {
+    try {
+        const { employeeId } = req.params;
+        const employees = await repositories.employees.list();
+        if (!employees.some(employee => employee.employeeId === employeeId)) {
+            return res.status(404).json({ error: 'Employee not found' });
+        }
+
+        const team = filterEmployees(teamOf(employees, employeeId, { recursive: req.query.recursive }), {
+            ...req.query,
+            managerId: undefined
+        });
+
+        res.json({ success: true, managerId: employeeId, count: team.length, team: team.map(stripCredentials) });
+    } catch (error) {
+        logger.error('Error fetching team', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
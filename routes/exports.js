@@ -0,0 +1,100 @@
+const express = require('express');
+const repositories = require('../repositories');
+const { PRIVILEGED_ROLES, authenticate, authorize, requireSelfOrPrivileged } = require('../middleware/auth');
+const { FORMATS } = require('../lib/trackFormats');
+const { DEFAULTS, filterByAccuracy, summarizeTrack } = require('../lib/trips');
+const { field } = require('../lib/validation');
+const { employeeParams, dateRangeQuery } = require('../lib/schemas');
+const { validateRequest } = require('../middleware/validate');
+const { auditAs } = require('../middleware/audit');
+const tracks = require('../services/tracks');
+const schedules = require('../services/schedules');
+const logger = require('../lib/logger');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// Builds the export unit for one employee-day: the same accuracy-filtered points the
+// trip summary uses, plus its detected stops
+const buildTrack = (employee, employeeId, date, points) => {
+    const { stops } = summarizeTrack(points);
+    return {
+        employeeId,
+        name: employee ? employee.name : '',
+        date,
+        points: filterByAccuracy(points, DEFAULTS.maxAccuracyMeters).sort((a, b) => Number(a.timestamp) - Number(b.timestamp)),
+        stops
+    };
+};
+
+// Streams the document in chunks so large exports never sit in memory as one string
+const sendTracks = (res, format, filename, trackList) => {
+    res.setHeader('Content-Type', `${format.contentType}; charset=utf-8`);
+    const safeName = filename.replace(/[^A-Za-z0-9_.-]/g, '_');
+    res.setHeader('Content-Disposition', `attachment; filename="${safeName}.${format.extension}"`);
+    format.write(trackList, chunk => res.write(chunk));
+    res.end();
+};
+
+const resolveFormat = (req, res) => {
+    const format = FORMATS[String(req.query.format || 'gpx').toLowerCase()];
+    if (!format) {
+        res.status(400).json({ error: `format must be one of: ${Object.keys(FORMATS).join(', ')}` });
+    }
+    return format;
+};
+
+// All employees on one day: /api/exports/tracks?date=YYYY-MM-DD&format=gpx|kml|geojson
+router.get('/tracks', authorize(...PRIVILEGED_ROLES), auditAs('location.export'), validateRequest({ query: { date: field.date({ required: true }) } }), async (req, res) => {
+    try {
+        const format = resolveFormat(req, res);
+        if (!format) return;
+
+        const { date } = req.query;
+
+        const byEmployee = await tracks.loadDayTracks(date);
+        const employees = await repositories.employees.list();
+        const employeesById = Object.fromEntries(employees.map(employee => [employee.employeeId, employee]));
+
+        const trackList = Object.keys(byEmployee).sort().map(employeeId =>
+            buildTrack(employeesById[employeeId], employeeId, date, byEmployee[employeeId])
+        );
+
+        sendTracks(res, format, `tracks_all_${date}`, trackList);
+    } catch (error) {
+        if (error instanceof RangeError) return res.status(413).json({ error: error.message });
+        logger.error('Error exporting day tracks', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// One employee for a day or range: /api/exports/tracks/:employeeId?date=|from=&to=&format=
+router.get('/tracks/:employeeId', auditAs('location.export', { targetType: 'employee', target: req => req.params.employeeId }), validateRequest({ params: employeeParams, query: dateRangeQuery }), requireSelfOrPrivileged(req => req.params.employeeId), async (req, res) => {
+    try {
+        const format = resolveFormat(req, res);
+        if (!format) return;
+
+        const { employeeId } = req.params;
+        const employee = await repositories.employees.get(employeeId);
+        // Dates are the employee's local days
+        const range = tracks.parseDateRange(req.query, await schedules.timeZoneFor(employee));
+        if (range.error) return res.status(400).json({ error: range.error });
+
+        const points = await tracks.loadTrack(employeeId, { from: range.fromMs, to: range.toMs });
+        const byDate = tracks.groupByDate(points);
+
+        const trackList = range.dates
+            .filter(date => byDate[date])
+            .map(date => buildTrack(employee, employeeId, date, byDate[date]));
+
+        const suffix = range.from === range.to ? range.from : `${range.from}_${range.to}`;
+        sendTracks(res, format, `track_${employeeId}_${suffix}`, trackList);
+    } catch (error) {
+        if (error instanceof RangeError) return res.status(413).json({ error: error.message });
+        logger.error('Error exporting track', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
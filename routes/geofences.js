@@ -0,0 +1,142 @@
+const express = require('express');
+const crypto = require('crypto');
+const repositories = require('../repositories');
+const { PRIVILEGED_ROLES, authenticate, authorize } = require('../middleware/auth');
+const { auditAs, noteChange } = require('../middleware/audit');
+const { field } = require('../lib/validation');
+const { coordinate, departmentList, employeeIdList, recordId } = require('../lib/schemas');
+const { validateRequest, invalidBody } = require('../middleware/validate');
+const { GEOFENCE_TYPES, MAX_POLYGON_VERTICES, validateGeofence } = require('../lib/geofences');
+const geofencing = require('../services/geofencing');
+const logger = require('../lib/logger');
+
+const { ConditionFailedError } = repositories;
+const router = express.Router();
+
+router.use(authenticate);
+
+const geofenceParams = { geofenceId: recordId() };
+
+// circle: center and radiusMeters; polygon: 3+ vertices. Empty departments and employeeIds assign
+// the fence to everyone.
+const geofenceFields = (required) => ({
+    name: field.string({ required, max: 200 }),
+    type: field.string({ required, oneOf: GEOFENCE_TYPES }),
+    center: coordinate(),
+    radiusMeters: field.number({ positive: true, max: 100000 }),
+    vertices: field.array({ min: 3, max: MAX_POLYGON_VERTICES, of: coordinate({ required: true }) }),
+    site: field.string({ max: 200 }),
+    departments: departmentList(),
+    employeeIds: employeeIdList(),
+    isActive: field.boolean()
+});
+
+// List geofences
+router.get('/', authorize(...PRIVILEGED_ROLES), async (req, res) => {
+    try {
+        const fences = await repositories.geofences.list();
+        fences.sort((a, b) => a.name.localeCompare(b.name));
+        res.json({ success: true, geofences: fences });
+    } catch (error) {
+        logger.error('Error fetching geofences', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get one geofence
+router.get('/:geofenceId', authorize(...PRIVILEGED_ROLES), validateRequest({ params: geofenceParams }), async (req, res) => {
+    try {
+        const fence = await repositories.geofences.get(req.params.geofenceId);
+        if (!fence) return res.status(404).json({ error: 'Geofence not found' });
+        res.json({ success: true, geofence: fence });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Create a circle ({ center, radiusMeters }) or polygon ({ vertices }) geofence
+const auditGeofence = (action) => auditAs(action, { targetType: 'geofence', target: req => req.params.geofenceId });
+
+router.post('/', authorize('admin', 'manager'), auditGeofence('geofence.create'), validateRequest({ body: geofenceFields(true) }), async (req, res) => {
+    try {
+        const { fields, errors } = validateGeofence(req.body);
+        if (errors.length) return invalidBody(res, 'Invalid geofence', errors);
+
+        const now = new Date().toISOString();
+        const fence = await repositories.geofences.create({
+            geofenceId: crypto.randomUUID(),
+            site: '',
+            departments: [],
+            employeeIds: [],
+            isActive: true,
+            ...fields,
+            createdBy: req.user.employeeId,
+            createdAt: now,
+            lastUpdated: now
+        });
+
+        req.audit.targetId = fence.geofenceId;
+        noteChange(req, null, fence);
+        geofencing.invalidateCache();
+        res.status(201).json({ success: true, message: 'Geofence created', geofence: fence });
+    } catch (error) {
+        logger.error('Error creating geofence', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Partial update; switching type requires the new shape's fields
+router.patch('/:geofenceId', authorize('admin', 'manager'), auditGeofence('geofence.update'), validateRequest({ params: geofenceParams, body: geofenceFields(false) }), async (req, res) => {
+    try {
+        const { geofenceId } = req.params;
+        const current = await repositories.geofences.get(geofenceId);
+        if (!current) return res.status(404).json({ error: 'Geofence not found' });
+
+        const body = req.body;
+        const typeChanged = body.type !== undefined && body.type !== current.type;
+        // Same type: unspecified geometry keeps its stored values.
+        // New type: the full new shape is required (validated as a create).
+        const merged = typeChanged ? { name: current.name, ...body } : {
+            type: current.type,
+            center: current.center,
+            radiusMeters: current.radiusMeters,
+            vertices: current.vertices,
+            ...body
+        };
+        const { fields, errors } = validateGeofence(merged, { partial: !typeChanged });
+        if (errors.length) return invalidBody(res, 'Invalid geofence', errors);
+
+        // Drop the old shape's geometry when the type changes
+        const remove = [];
+        if (typeChanged) remove.push(...(fields.type === 'circle' ? ['vertices'] : ['center', 'radiusMeters']));
+
+        const fence = await repositories.geofences.update(geofenceId, {
+            set: { ...fields, lastUpdated: new Date().toISOString() },
+            remove
+        });
+
+        noteChange(req, current, fence);
+        geofencing.invalidateCache();
+        res.json({ success: true, message: 'Geofence updated', geofence: fence });
+    } catch (error) {
+        if (error instanceof ConditionFailedError) return res.status(404).json({ error: 'Geofence not found' });
+        logger.error('Error updating geofence', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+router.delete('/:geofenceId', authorize('admin', 'manager'), auditGeofence('geofence.delete'), validateRequest({ params: geofenceParams }), async (req, res) => {
+    try {
+        const current = await repositories.geofences.get(req.params.geofenceId);
+        await repositories.geofences.remove(req.params.geofenceId);
+        noteChange(req, current, null);
+        geofencing.invalidateCache();
+        res.json({ success: true, message: 'Geofence deleted' });
+    } catch (error) {
+        if (error instanceof ConditionFailedError) return res.status(404).json({ error: 'Geofence not found' });
+        logger.error('Error deleting geofence', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,76 @@
+const express = require('express');
+const repositories = require('../repositories');
+const logger = require('../lib/logger');
+
+const SERVICE = 'Employee Location Tracker API';
+// A storage probe slower than this counts as down
+const HEALTH_CHECK_TIMEOUT_MS = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS || '2000', 10);
+// Probes arrive every few seconds from every load balancer target; one storage round trip serves them all
+const HEALTH_CHECK_CACHE_MS = parseInt(process.env.HEALTH_CHECK_CACHE_SECONDS || '5', 10) * 1000;
+
+const router = express.Router();
+
+let lastCheck = null;
+
+const withTimeout = (promise, ms) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`No answer within ${ms} ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// { status: 'up' | 'down', backend, durationMs, error?, ...details } for the storage backend
+const checkStorage = async () => {
+    if (lastCheck && Date.now() - lastCheck.checkedAt < HEALTH_CHECK_CACHE_MS) return lastCheck.result;
+
+    const startedAt = Date.now();
+    let result;
+    try {
+        const details = await withTimeout(repositories.health.check(), HEALTH_CHECK_TIMEOUT_MS);
+        result = { status: 'up', backend: repositories.backend, durationMs: Date.now() - startedAt, ...details };
+    } catch (error) {
+        logger.error('Storage health check failed', { backend: repositories.backend, err: error });
+        result = { status: 'down', backend: repositories.backend, durationMs: Date.now() - startedAt, error: 'Storage backend is not reachable' };
+    }
+    lastCheck = { result, checkedAt: Date.now() };
+    return result;
+};
+
+// Readiness body: 200 when every dependency is up, else 503
+const sendReadiness = async (res, { ready, notReady }) => {
+    const storage = await checkStorage();
+    const up = storage.status === 'up';
+    res.status(up ? 200 : 503).json({
+        status: up ? ready : notReady,
+        timestamp: new Date().toISOString(),
+        service: SERVICE,
+        checks: { storage }
+    });
+};
+
+// Liveness: the process is running and serving requests (no dependency checks, so a storage
+// outage never gets the container restarted)
+router.get('/live', (req, res) => {
+    res.json({ status: 'alive', timestamp: new Date().toISOString(), uptimeSeconds: Math.round(process.uptime()) });
+});
+
+// Readiness: storage answers, so this instance can take traffic
+router.get('/ready', async (req, res, next) => {
+    try {
+        await sendReadiness(res, { ready: 'ready', notReady: 'not-ready' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Combined check kept for existing monitors: same probe as /ready
+router.get('/', async (req, res, next) => {
+    try {
+        await sendReadiness(res, { ready: 'healthy', notReady: 'unhealthy' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
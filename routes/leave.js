@@ -0,0 +1,302 @@
+const express = require('express');
+const crypto = require('crypto');
+const repositories = require('../repositories');
+const {
+    PRIVILEGED_ROLES,
+    isPrivileged,
+    authenticate,
+    authorize,
+    requireSelfOrPrivileged
+} = require('../middleware/auth');
+const { field } = require('../lib/validation');
+const { employeeId: employeeIdField, employeeParams, recordId, decisionFields } = require('../lib/schemas');
+const { validateRequest } = require('../middleware/validate');
+const { auditAs, noteChange } = require('../middleware/audit');
+const schedules = require('../services/schedules');
+const employeeService = require('../services/employees');
+const analytics = require('../services/analytics');
+const {
+    LEAVE_TYPES,
+    LEAVE_STATUSES,
+    ACTIVE_STATUSES,
+    countLeaveDays,
+    rangesOverlap,
+    computeBalances
+} = require('../lib/leave');
+const logger = require('../lib/logger');
+
+const { ConditionFailedError } = repositories;
+const router = express.Router();
+
+// Longest single request, in calendar days
+const MAX_REQUEST_DAYS = 60;
+
+router.use(authenticate);
+
+const balancesFor = async (employeeId, year) => {
+    const [overrides, requests] = await Promise.all([
+        repositories.leave.getBalanceOverrides(employeeId, year),
+        repositories.leave.listByEmployee(employeeId, { from: `${year}-01-01`, to: `${year}-12-31` })
+    ]);
+    return computeBalances(overrides && overrides.allowances, requests, year);
+};
+
+// Dates in the range on which the employee already clocked in
+const attendanceConflicts = async (employeeId, startDate, endDate) => {
+    const dates = [];
+    let cursor;
+    do {
+        const page = await repositories.attendance.queryByEmployee(employeeId, { from: startDate, to: endDate, cursor, limit: 100 });
+        page.items.filter(record => record.clockInTime).forEach(record => dates.push(record.date));
+        cursor = page.nextCursor;
+    } while (cursor);
+    return dates;
+};
+
+// Overlap with the employee's other pending/approved leave, attendance, and the balance.
+// Returns an error message or null.
+const checkRequest = async (request, { ignoreRequestId } = {}) => {
+    const existing = await repositories.leave.listByEmployee(request.employeeId, {
+        from: request.startDate,
+        to: request.endDate
+    });
+    const clash = existing.find(other =>
+        other.requestId !== ignoreRequestId && ACTIVE_STATUSES.includes(other.status) && rangesOverlap(other, request)
+    );
+    if (clash) return `Overlaps existing ${clash.status} leave ${clash.startDate} to ${clash.endDate}`;
+
+    const worked = await attendanceConflicts(request.employeeId, request.startDate, request.endDate);
+    if (worked.length) return `Attendance already recorded on ${worked.join(', ')}`;
+
+    if (LEAVE_TYPES[request.type] !== null) {
+        const year = Number(request.startDate.slice(0, 4));
+        const balance = (await balancesFor(request.employeeId, year))[request.type];
+        // When re-checking an existing pending request its own days are already counted as pending
+        const available = balance.remaining + (ignoreRequestId ? request.days : 0);
+        if (request.days > available) {
+            return `Insufficient ${request.type} leave balance (${available} day(s) available)`;
+        }
+    }
+    return null;
+};
+
+// Leave types and default yearly allowances
+router.get('/types', (req, res) => {
+    res.json({ success: true, types: LEAVE_TYPES });
+});
+
+// Balances for one employee (?year=, default current year)
+const yearQuery = { year: field.number({ integer: true, min: 2000, max: 2100 }) };
+
+router.get('/balances/:employeeId', validateRequest({ params: employeeParams, query: yearQuery }), requireSelfOrPrivileged(req => req.params.employeeId), async (req, res) => {
+    try {
+        const year = req.query.year || Number((await schedules.today()).slice(0, 4));
+
+        res.json({ success: true, employeeId: req.params.employeeId, year, balances: await balancesFor(req.params.employeeId, year) });
+    } catch (error) {
+        logger.error('Error fetching leave balances', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Per-employee allowance overrides: { year, allowances: { casual: 10, ... } }; null is unlimited
+const allowancesSchema = {
+    params: employeeParams,
+    body: {
+        year: field.number({ required: true, integer: true, min: 2000, max: 2100 }),
+        allowances: field.object({
+            default: {},
+            strict: true,
+            fields: Object.fromEntries(Object.keys(LEAVE_TYPES).map(type => [type, field.number({ min: 0, nullable: true })]))
+        })
+    }
+};
+
+router.put('/balances/:employeeId', authorize('admin', 'hr'), auditAs('leave.allowances.update', {
+    targetType: 'employee',
+    target: req => req.params.employeeId
+}), validateRequest(allowancesSchema), async (req, res) => {
+    try {
+        const { employeeId } = req.params;
+        const { year, allowances } = req.body;
+
+        const employee = await repositories.employees.get(employeeId);
+        if (!employee) return res.status(404).json({ error: 'Employee not found' });
+
+        const before = await repositories.leave.getBalanceOverrides(employeeId, year);
+        const overrides = {
+            employeeId,
+            year,
+            allowances,
+            updatedBy: req.user.employeeId,
+            lastUpdated: new Date().toISOString()
+        };
+        await repositories.leave.putBalanceOverrides(overrides);
+        noteChange(req, before, overrides);
+
+        res.json({ success: true, message: 'Leave allowances updated', balances: await balancesFor(employeeId, year) });
+    } catch (error) {
+        logger.error('Error updating leave allowances', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Apply for leave (for yourself): { type, startDate, endDate, halfDay?, reason? }
+const leaveRequestSchema = {
+    body: {
+        type: field.string({ required: true, oneOf: Object.keys(LEAVE_TYPES) }),
+        startDate: field.date({ required: true }),
+        endDate: field.date(),
+        halfDay: field.boolean({ default: false }),
+        reason: field.string({ max: 500 })
+    }
+};
+
+const auditLeave = (action) => auditAs(action, { targetType: 'leave', target: req => req.params.requestId });
+
+router.post('/requests', auditLeave('leave.request.create'), validateRequest(leaveRequestSchema), async (req, res) => {
+    try {
+        const { type, startDate, reason, halfDay } = req.body;
+        const endDate = req.body.endDate || startDate;
+
+        if (startDate > endDate) return res.status(400).json({ error: 'startDate must not be after endDate' });
+        if (halfDay && startDate !== endDate) return res.status(400).json({ error: 'A half day must start and end on the same date' });
+
+        const spanDays = (Date.parse(endDate) - Date.parse(startDate)) / 86400000 + 1;
+        if (spanDays > MAX_REQUEST_DAYS) return res.status(400).json({ error: `A request may span at most ${MAX_REQUEST_DAYS} days` });
+
+        const request = {
+            requestId: crypto.randomUUID(),
+            employeeId: req.user.employeeId,
+            type,
+            startDate,
+            endDate,
+            halfDay,
+            reason: reason || '',
+            status: 'pending'
+        };
+        // Charged on the employee's own working days, as the attendance reports count them
+        const { shift } = await schedules.scheduleFor(await repositories.employees.get(req.user.employeeId));
+        request.days = countLeaveDays(request, shift);
+        if (!request.days) return res.status(400).json({ error: 'The requested range contains no working days' });
+
+        const conflict = await checkRequest(request);
+        if (conflict) return res.status(409).json({ error: conflict });
+
+        const now = new Date().toISOString();
+        const created = await repositories.leave.create({ ...request, createdAt: now, lastUpdated: now });
+        req.audit.targetId = created.requestId;
+        noteChange(req, null, created);
+        res.status(201).json({ success: true, message: 'Leave request submitted', request: created });
+    } catch (error) {
+        logger.error('Error creating leave request', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// List requests. Employees see their own; approvers may filter by ?employeeId= and ?status=.
+// ?from=&to= (YYYY-MM-DD) restrict to requests overlapping the range.
+const listRequestsSchema = {
+    query: {
+        status: field.string({ oneOf: LEAVE_STATUSES }),
+        employeeId: employeeIdField(),
+        from: field.date(),
+        to: field.date()
+    }
+};
+
+router.get('/requests', validateRequest(listRequestsSchema), async (req, res) => {
+    try {
+        const { status, from, to } = req.query;
+
+        const employeeId = isPrivileged(req.user) ? req.query.employeeId : req.user.employeeId;
+        const range = { from: from || undefined, to: to || undefined };
+
+        let requests;
+        if (employeeId) {
+            requests = await repositories.leave.listByEmployee(employeeId, range);
+            if (status) requests = requests.filter(request => request.status === status);
+        } else {
+            requests = await repositories.leave.listByStatus(status || 'pending', range);
+        }
+
+        res.json({ success: true, requests });
+    } catch (error) {
+        logger.error('Error listing leave requests', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Approve or reject a pending request (approvers only, never their own; managers for their team)
+const decide = (decision) => async (req, res) => {
+    try {
+        const request = await repositories.leave.get(req.params.requestId);
+        if (!request) return res.status(404).json({ error: 'Leave request not found' });
+        if (request.status !== 'pending') return res.status(409).json({ error: `Request is already ${request.status}` });
+        if (request.employeeId === req.user.employeeId) {
+            return res.status(403).json({ error: 'You cannot decide on your own leave request' });
+        }
+        if (!(await employeeService.canDecideFor(req.user, request.employeeId))) {
+            return res.status(403).json({ error: 'Managers can only decide on leave of their own team' });
+        }
+
+        if (decision === 'approved') {
+            // Attendance or other leave may have appeared since the request was filed
+            const conflict = await checkRequest(request, { ignoreRequestId: request.requestId });
+            if (conflict) return res.status(409).json({ error: conflict });
+        }
+
+        const updated = await repositories.leave.update(request.requestId, {
+            set: {
+                status: decision,
+                decidedBy: req.user.employeeId,
+                decidedAt: new Date().toISOString(),
+                decisionComment: req.body.comment,
+                lastUpdated: new Date().toISOString()
+            }
+        }, { expect: { status: 'pending' } });
+        noteChange(req, request, updated);
+        if (decision === 'approved') analytics.invalidate('attendance', [request.startDate, request.endDate]);
+
+        res.json({ success: true, message: `Leave request ${decision}`, request: updated });
+    } catch (error) {
+        if (error instanceof ConditionFailedError) return res.status(409).json({ error: 'Request was changed by someone else' });
+        logger.error('Error deciding leave request', { decision, err: error });
+        res.status(500).json({ error: error.message });
+    }
+};
+
+const decisionSchema = { params: { requestId: recordId() }, body: decisionFields };
+
+router.post('/requests/:requestId/approve', authorize(...PRIVILEGED_ROLES), auditLeave('leave.request.approve'), validateRequest(decisionSchema), decide('approved'));
+router.post('/requests/:requestId/reject', authorize(...PRIVILEGED_ROLES), auditLeave('leave.request.reject'), validateRequest(decisionSchema), decide('rejected'));
+
+// Cancel your own request: pending at any time, approved only before it starts
+router.post('/requests/:requestId/cancel', auditLeave('leave.request.cancel'), validateRequest({ params: { requestId: recordId() } }), async (req, res) => {
+    try {
+        const request = await repositories.leave.get(req.params.requestId);
+        if (!request || request.employeeId !== req.user.employeeId) {
+            return res.status(404).json({ error: 'Leave request not found' });
+        }
+        if (!ACTIVE_STATUSES.includes(request.status)) {
+            return res.status(409).json({ error: `Request is already ${request.status}` });
+        }
+        if (request.status === 'approved' && request.startDate <= await schedules.today()) {
+            return res.status(409).json({ error: 'Approved leave that has started cannot be cancelled' });
+        }
+
+        const updated = await repositories.leave.update(request.requestId, {
+            set: { status: 'cancelled', cancelledAt: new Date().toISOString(), lastUpdated: new Date().toISOString() }
+        }, { expect: { status: request.status } });
+        noteChange(req, request, updated);
+        if (request.status === 'approved') analytics.invalidate('attendance', [request.startDate, request.endDate]);
+
+        res.json({ success: true, message: 'Leave request cancelled', request: updated });
+    } catch (error) {
+        if (error instanceof ConditionFailedError) return res.status(409).json({ error: 'Request was changed by someone else' });
+        logger.error('Error cancelling leave request', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,69 @@
+const express = require('express');
+const { PRIVILEGED_ROLES, tokenFromQuery, authenticate, authorize } = require('../middleware/auth');
+const { parseTimeParam } = require('../lib/pagination');
+const liveFeed = require('../services/liveFeed');
+
+const HEARTBEAT_MS = parseInt(process.env.LIVE_HEARTBEAT_SECONDS || '25', 10) * 1000;
+const RETRY_MS = 5000;
+
+const router = express.Router();
+
+const toList = (value) => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : []);
+
+const formatEvent = (event) =>
+    `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({
+        employeeId: event.employeeId,
+        department: event.department,
+        ...event.data
+    })}\n\n`;
+
+// Server-Sent Events stream for the admin map.
+// Only the caller's organisation is streamed; ?employeeIds=a,b&departments=x,y narrow it further.
+// Last-Event-ID header or ?since= (ISO/epoch ms) resumes.
+// EventSource cannot send headers, so the access token may be passed as ?access_token=.
+// The stream ends with an "expired" event when the token expires; reconnect with a fresh token.
+router.get('/stream', tokenFromQuery, authenticate, authorize(...PRIVILEGED_ROLES), (req, res) => {
+    const filters = {
+        orgId: req.user.orgId,
+        employeeIds: toList(req.query.employeeIds),
+        departments: toList(req.query.departments)
+    };
+    const since = parseTimeParam(req.query.since);
+    if (since === null) return res.status(400).json({ error: 'since must be an ISO timestamp or epoch milliseconds' });
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no' // disable proxy buffering (nginx)
+    });
+    res.flushHeaders();
+
+    // compression() buffers output; flush after every write so events leave immediately
+    const send = (chunk) => {
+        res.write(chunk);
+        if (typeof res.flush === 'function') res.flush();
+    };
+
+    send(`retry: ${RETRY_MS}\n\n`);
+
+    const { events, complete } = liveFeed.replay({ lastEventId: req.headers['last-event-id'], since }, filters);
+    if (!complete) send(`event: resync\ndata: ${JSON.stringify({ reason: 'resume point is older than the replay buffer' })}\n\n`);
+    events.forEach(event => send(formatEvent(event)));
+
+    const unsubscribe = liveFeed.subscribe(filters, event => send(formatEvent(event)));
+    const heartbeat = setInterval(() => send(`: heartbeat ${new Date().toISOString()}\n\n`), HEARTBEAT_MS);
+
+    const expiry = setTimeout(() => {
+        send(`event: expired\ndata: ${JSON.stringify({ reason: 'access token expired' })}\n\n`);
+        res.end();
+    }, Math.max(0, req.user.expiresAt - Date.now()));
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        clearTimeout(expiry);
+        unsubscribe();
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,100 @@
+const express = require('express');
+const repositories = require('../repositories');
+const { PRIVILEGED_ROLES, authenticate, authorize } = require('../middleware/auth');
+const { field } = require('../lib/validation');
+const { employeeId: employeeIdField } = require('../lib/schemas');
+const { validateRequest } = require('../middleware/validate');
+const { auditAs, noteChange } = require('../middleware/audit');
+const { FLAG_TYPES } = require('../lib/spoofing');
+const analytics = require('../services/analytics');
+const logger = require('../lib/logger');
+
+const { ConditionFailedError } = repositories;
+const router = express.Router();
+
+// pending -> confirmed (spoofing) | dismissed (false positive)
+const FLAG_STATUSES = ['pending', 'confirmed', 'dismissed'];
+
+router.use(authenticate, authorize(...PRIVILEGED_ROLES));
+
+// Review queue of points flagged as possibly spoofed.
+// ?status= (default pending), ?employeeId=, ?type=, ?from=&to= (YYYY-MM-DD point dates)
+const listSchema = {
+    query: {
+        status: field.string({ oneOf: FLAG_STATUSES }),
+        employeeId: employeeIdField(),
+        type: field.string({ oneOf: FLAG_TYPES }),
+        from: field.date(),
+        to: field.date()
+    }
+};
+
+router.get('/', validateRequest(listSchema), async (req, res) => {
+    try {
+        const { employeeId, type, from, to } = req.query;
+        const status = req.query.status || (employeeId ? undefined : 'pending');
+
+        const range = { from: from || undefined, to: to || undefined };
+        let flags = employeeId
+            ? await repositories.locationFlags.listByEmployee(employeeId, range)
+            : await repositories.locationFlags.listByStatus(status, range);
+        if (employeeId && status) flags = flags.filter(flag => flag.status === status);
+        if (type) flags = flags.filter(flag => flag.flags.includes(type));
+
+        flags.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        res.json({ success: true, count: flags.length, flags });
+    } catch (error) {
+        logger.error('Error listing location flags', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Copies the decision onto the flagged location point, so a dismissed point counts again in
+// summaries, exports and analytics (whose cached figures for that date are dropped). Clock-in/out
+// flags have no stored point. A point already removed by retention is skipped.
+const markPoint = async (flag, decision) => {
+    if (flag.source !== 'location' || !flag.point || !flag.point.pointId) return;
+    try {
+        await repositories.locations.update(`${flag.employeeId}#${flag.point.pointId}`, { set: { flagReview: decision } });
+        if (decision === 'dismissed') analytics.invalidate('locations', [flag.date]);
+    } catch (error) {
+        if (!(error instanceof ConditionFailedError)) logger.error('Could not mark reviewed location point', { flagId: flag.flagId, err: error });
+    }
+};
+
+// Record the outcome: { decision: 'confirmed' | 'dismissed', comment? }
+const reviewSchema = {
+    body: { decision: field.string({ required: true, oneOf: ['confirmed', 'dismissed'] }), comment: field.string({ max: 500 }) }
+};
+
+router.post('/:flagId/review', auditAs('location.flag.review', { targetType: 'locationFlag', target: req => req.params.flagId }), validateRequest(reviewSchema), async (req, res) => {
+    try {
+        const { decision, comment } = req.body;
+
+        const flag = await repositories.locationFlags.get(req.params.flagId);
+        if (!flag) return res.status(404).json({ error: 'Flag not found' });
+        if (flag.status !== 'pending') return res.status(409).json({ error: `Flag is already ${flag.status}` });
+        if (flag.employeeId === req.user.employeeId) {
+            return res.status(403).json({ error: 'You cannot review your own flagged points' });
+        }
+
+        const updated = await repositories.locationFlags.update(flag.flagId, {
+            set: {
+                status: decision,
+                reviewedBy: req.user.employeeId,
+                reviewedAt: new Date().toISOString(),
+                reviewComment: comment || ''
+            }
+        }, { expect: { status: 'pending' } });
+        noteChange(req, flag, updated);
+        await markPoint(flag, decision);
+
+        res.json({ success: true, message: `Flag ${decision}`, flag: updated });
+    } catch (error) {
+        if (error instanceof ConditionFailedError) return res.status(409).json({ error: 'Flag was reviewed by someone else' });
+        logger.error('Error reviewing location flag', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
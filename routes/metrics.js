@@ -0,0 +1,23 @@
+const express = require('express');
+const { registry } = require('../lib/metrics');
+
+// Scrapers authenticate with METRICS_TOKEN as a Bearer token when it is set; otherwise keep
+// /metrics off the public network
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+
+const router = express.Router();
+
+// Prometheus text exposition format
+router.get('/', async (req, res, next) => {
+    try {
+        if (METRICS_TOKEN && req.get('Authorization') !== `Bearer ${METRICS_TOKEN}`) {
+            return res.status(401).json({ error: 'Metrics token required', code: 'AUTH_REQUIRED' });
+        }
+        res.set('Content-Type', registry.contentType);
+        res.send(await registry.metrics());
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
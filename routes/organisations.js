@@ -0,0 +1,248 @@
+const express = require('express');
+const repositories = require('../repositories');
+const { authenticate, authorize } = require('../middleware/auth');
+const { stripCredentials, checkPasswordPolicy } = require('../lib/passwords');
+const { EMAIL_PATTERN, validateEmployee } = require('../lib/employees');
+const {
+    ORG_ID_PATTERN,
+    ORIGIN_PATTERN,
+    MAX_ORIGINS,
+    MAX_RETENTION_DAYS,
+    validateOrganisation,
+    generateWebhookSecret
+} = require('../lib/organisations');
+const { field } = require('../lib/validation');
+const { employeeId: employeeIdField } = require('../lib/schemas');
+const { validateRequest, invalidBody } = require('../middleware/validate');
+const { DEFAULT_ORG_ID, runAs, runUnscoped } = require('../lib/tenancy');
+const { auditAs, noteChange } = require('../middleware/audit');
+const organisations = require('../services/organisations');
+const schedules = require('../services/schedules');
+const employeeService = require('../services/employees');
+const logger = require('../lib/logger');
+
+const { ConditionFailedError } = repositories;
+const router = express.Router();
+
+router.use(authenticate);
+
+// Admins of the default organisation run the deployment: they create, configure and disable the
+// other organisations. Everyone else only sees their own.
+const requirePlatformAdmin = (req, res, next) => {
+    if (req.user.role === 'admin' && req.user.orgId === DEFAULT_ORG_ID) return next();
+    return res.status(403).json({ error: 'Only deployment administrators can manage organisations' });
+};
+
+const auditOrganisation = (action, target = req => req.params.orgId) =>
+    auditAs(action, { targetType: 'organisation', target });
+
+const orgIdField = () => field.string({ required: true, pattern: ORG_ID_PATTERN, message: 'must be 2-63 lowercase letters, digits or "-"' });
+
+// Settings an organisation admin may change; null clears defaultShiftId / retentionDays
+const settingsFields = (required) => ({
+    name: field.string({ required, max: 200 }),
+    timezone: field.string({ max: 100, description: 'IANA time zone, e.g. Europe/Berlin' }),
+    defaultShiftId: field.string({ max: 128, nullable: true }),
+    retentionDays: field.number({ integer: true, min: 0, max: MAX_RETENTION_DAYS, nullable: true, description: '0 keeps points forever' }),
+    allowedOrigins: field.array({
+        max: MAX_ORIGINS,
+        of: field.string({ required: true, pattern: ORIGIN_PATTERN, message: 'must be an origin like https://app.example.com (no path)' }),
+        description: 'Browser origins allowed to call the API for this organisation'
+    })
+});
+
+// A defaultShiftId must name one of that organisation's shifts (or the built-in one)
+const checkDefaultShift = async (orgId, fields) => {
+    if (!fields.defaultShiftId) return null;
+    const shifts = await runAs(orgId, () => schedules.shiftsById());
+    return shifts[fields.defaultShiftId] ? null : 'Unknown defaultShiftId';
+};
+
+// Applies validated changes. The default organisation is only stored once it is first changed.
+const saveChanges = async (orgId, { fields, clear }) => {
+    const now = new Date().toISOString();
+    const stored = await repositories.organisations.get(orgId);
+    let organisation;
+    if (stored) {
+        organisation = await repositories.organisations.update(orgId, { set: { ...fields, lastUpdated: now }, remove: clear });
+    } else {
+        organisation = { ...organisations.DEFAULT_ORGANISATION, createdAt: now, ...fields, lastUpdated: now };
+        clear.forEach(name => delete organisation[name]);
+        await repositories.organisations.put(organisation);
+    }
+    organisations.invalidateCache();
+    return { before: stored || organisations.DEFAULT_ORGANISATION, organisation };
+};
+
+// ==========================================
+// OWN ORGANISATION
+// ==========================================
+
+// Effective settings; defaultShiftId / retentionDays are null when the deployment default applies
+router.get('/current', async (req, res) => {
+    try {
+        res.json({ success: true, organisation: await organisations.settingsFor(req.user.orgId) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// { name?, timezone?, defaultShiftId?, retentionDays?, allowedOrigins? }; null clears
+// defaultShiftId / retentionDays. Enabling or disabling is left to deployment administrators.
+router.patch('/current', authorize('admin'), auditOrganisation('organisation.update', req => req.user.orgId), validateRequest({ body: settingsFields(false) }), async (req, res) => {
+    try {
+        const { orgId } = req.user;
+        const { isActive, ...body } = req.body;
+        if (isActive !== undefined) return res.status(403).json({ error: 'Only deployment administrators can enable or disable an organisation' });
+
+        const { fields, clear, errors } = validateOrganisation(body);
+        if (errors.length) return invalidBody(res, 'Invalid organisation settings', errors);
+        const shiftError = await checkDefaultShift(orgId, fields);
+        if (shiftError) return res.status(400).json({ error: shiftError });
+
+        const { before, organisation } = await saveChanges(orgId, { fields, clear });
+        noteChange(req, before, organisation);
+        res.json({ success: true, message: 'Organisation updated', organisation: await organisations.settingsFor(orgId) });
+    } catch (error) {
+        logger.error('Error updating organisation', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// New key for signing this organisation's alert webhooks. It is returned only here; the previous
+// one stops working straight away, so update the receivers with it.
+router.post('/current/webhook-secret', authorize('admin'), auditOrganisation('organisation.webhook-secret.rotate', req => req.user.orgId), async (req, res) => {
+    try {
+        const webhookSecret = generateWebhookSecret();
+        const { before, organisation } = await saveChanges(req.user.orgId, { fields: { webhookSecret }, clear: [] });
+        noteChange(req, before, organisation);
+        res.json({ success: true, message: 'Webhook secret generated; it will not be shown again', webhookSecret });
+    } catch (error) {
+        logger.error('Error generating webhook secret', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ==========================================
+// ALL ORGANISATIONS (deployment administrators)
+// ==========================================
+
+router.get('/', requirePlatformAdmin, async (req, res) => {
+    try {
+        const all = await Promise.all((await organisations.list()).map(org => organisations.settingsFor(org.orgId)));
+        all.sort((a, b) => a.orgId.localeCompare(b.orgId));
+        res.json({ success: true, organisations: all });
+    } catch (error) {
+        logger.error('Error listing organisations', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+router.get('/:orgId', requirePlatformAdmin, validateRequest({ params: { orgId: orgIdField() } }), async (req, res) => {
+    try {
+        if (!(await organisations.get(req.params.orgId))) return res.status(404).json({ error: 'Organisation not found' });
+        res.json({ success: true, organisation: await organisations.settingsFor(req.params.orgId) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// { orgId, name, timezone?, retentionDays?, allowedOrigins?, admin: { employeeId, name, email?, password? } }.
+// The organisation starts with one admin account; without a password a temporary one is returned.
+// Its webhook signing secret is generated here and returned this once. Employee ids are unique
+// across the deployment.
+const createSchema = {
+    body: {
+        orgId: orgIdField(),
+        ...settingsFields(true),
+        admin: field.object({
+            required: true,
+            fields: {
+                employeeId: employeeIdField({ required: true }),
+                name: field.string({ required: true, max: 200 }),
+                email: field.string({ max: 254, pattern: EMAIL_PATTERN, message: 'is not a valid address' }),
+                password: field.string({ max: 256, trim: false, description: 'Without one a temporary password is returned' })
+            }
+        })
+    }
+};
+
+router.post('/', requirePlatformAdmin, auditOrganisation('organisation.create', req => req.body && req.body.orgId), validateRequest(createSchema), async (req, res) => {
+    try {
+        const { admin } = req.body;
+        const { fields, errors } = validateOrganisation(req.body);
+        if ('defaultShiftId' in fields) errors.push({ field: 'defaultShiftId', message: 'defaultShiftId can only be set once the organisation has shifts' });
+
+        const { fields: adminFields, errors: adminErrors } = validateEmployee({ ...admin, role: 'admin' });
+        errors.push(...adminErrors.map(message => ({ field: 'admin', message: `admin: ${message}` })));
+        if (admin.password) {
+            errors.push(...checkPasswordPolicy(admin.password, { employeeId: adminFields.employeeId })
+                .map(message => ({ field: 'admin.password', message: `admin: ${message}` })));
+        }
+        if (errors.length) return invalidBody(res, 'Invalid organisation', errors);
+
+        if (await runUnscoped(() => repositories.employees.get(adminFields.employeeId))) {
+            return res.status(409).json({ error: `Employee ID ${adminFields.employeeId} is already taken` });
+        }
+
+        const now = new Date().toISOString();
+        const organisation = await repositories.organisations.create({
+            allowedOrigins: [],
+            ...fields,
+            webhookSecret: generateWebhookSecret(),
+            isActive: true,
+            createdBy: req.user.employeeId,
+            createdAt: now,
+            lastUpdated: now
+        });
+        organisations.invalidateCache();
+
+        const { employee, temporaryPassword } = await runAs(organisation.orgId, () =>
+            employeeService.createEmployee(adminFields, { password: admin.password }));
+
+        noteChange(req, null, organisation);
+        req.audit.details = { adminId: employee.employeeId };
+        res.status(201).json({
+            success: true,
+            message: 'Organisation created',
+            organisation: await organisations.settingsFor(organisation.orgId),
+            admin: stripCredentials(employee),
+            webhookSecret: organisation.webhookSecret,
+            ...(temporaryPassword && { temporaryPassword })
+        });
+    } catch (error) {
+        if (error instanceof ConditionFailedError) return res.status(409).json({ error: 'Organisation or employee ID already exists' });
+        logger.error('Error creating organisation', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Any setting, plus isActive: a disabled organisation's users can no longer log in or use their tokens
+const updateSchema = {
+    params: { orgId: orgIdField() },
+    body: { ...settingsFields(false), isActive: field.boolean() }
+};
+
+router.patch('/:orgId', requirePlatformAdmin, auditOrganisation('organisation.update'), validateRequest(updateSchema), async (req, res) => {
+    try {
+        const { orgId } = req.params;
+        if (!(await organisations.get(orgId))) return res.status(404).json({ error: 'Organisation not found' });
+
+        const { fields, clear, errors } = validateOrganisation(req.body);
+        if (orgId === DEFAULT_ORG_ID && fields.isActive === false) {
+            errors.push({ field: 'isActive', message: 'The default organisation cannot be disabled' });
+        }
+        if (errors.length) return invalidBody(res, 'Invalid organisation settings', errors);
+        const shiftError = await checkDefaultShift(orgId, fields);
+        if (shiftError) return res.status(400).json({ error: shiftError });
+
+        const { before, organisation } = await saveChanges(orgId, { fields, clear });
+        noteChange(req, before, organisation);
+        res.json({ success: true, message: 'Organisation updated', organisation: await organisations.settingsFor(orgId) });
+    } catch (error) {
+        logger.error('Error updating organisation', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,264 @@
+const express = require('express');
+const crypto = require('crypto');
+const repositories = require('../repositories');
+const { PRIVILEGED_ROLES, isPrivileged, authenticate, authorize } = require('../middleware/auth');
+const { field } = require('../lib/validation');
+const { employeeId: employeeIdField, recordId, decisionFields } = require('../lib/schemas');
+const { validateRequest } = require('../middleware/validate');
+const { auditAs, noteChange } = require('../middleware/audit');
+const { parseTimestamp } = require('../lib/time');
+const { shiftDateFor } = require('../lib/shifts');
+const {
+    STATES,
+    isOpen,
+    sessionsOf,
+    validateSessions,
+    recordChanges
+} = require('../lib/attendanceSessions');
+const schedules = require('../services/schedules');
+const employeeService = require('../services/employees');
+const analytics = require('../services/analytics');
+const logger = require('../lib/logger');
+
+const { ConditionFailedError } = repositories;
+const router = express.Router();
+
+const REGULARIZATION_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+
+router.use(authenticate);
+
+// The day-level fields a correction replaces, for the before/after change record
+const snapshot = (record) => (record ? {
+    state: record.state || null,
+    clockInTime: record.clockInTime || null,
+    clockOutTime: record.clockOutTime || null,
+    sessions: sessionsOf(record)
+} : null);
+
+// Request corrected sessions for one shift date:
+// { date, sessions: [{ clockIn, clockOut, breaks: [{ start, end }] }], reason, employeeId? }
+// Employees file for themselves; approvers may file on someone's behalf.
+// Session contents are checked by validateSessions against the employee's time zone
+const submitSchema = {
+    body: {
+        employeeId: employeeIdField(),
+        date: field.date({ required: true }),
+        sessions: field.array({ required: true, min: 1 }),
+        reason: field.string({ required: true, max: 500 })
+    }
+};
+
+const regularizationParams = { regularizationId: recordId() };
+
+const auditRegularization = (action) => auditAs(action, {
+    targetType: 'regularization',
+    target: req => req.params.regularizationId
+});
+
+router.post('/', auditRegularization('regularization.create'), validateRequest(submitSchema), async (req, res) => {
+    try {
+        const { body } = req;
+        const employeeId = body.employeeId || req.user.employeeId;
+        if (employeeId !== req.user.employeeId && !isPrivileged(req.user)) {
+            return res.status(403).json({ error: 'You can only submit records for yourself' });
+        }
+
+        const employee = await repositories.employees.get(employeeId);
+        if (!employee) return res.status(404).json({ error: 'Employee not found' });
+
+        const { shift, timeZone } = await schedules.scheduleFor(employee);
+        const { sessions, errors } = validateSessions(body.sessions, timeZone);
+        if (errors.length) return res.status(400).json({ error: 'Invalid sessions', code: 'VALIDATION_FAILED', details: errors });
+
+        if (shiftDateFor(parseTimestamp(sessions[0].clockIn), shift, timeZone) !== body.date) {
+            return res.status(400).json({ error: `The first session must start within the shift of ${body.date}` });
+        }
+        if (parseTimestamp(sessions[sessions.length - 1].clockOut) > Date.now()) {
+            return res.status(400).json({ error: 'Sessions cannot end in the future' });
+        }
+
+        const existing = await repositories.regularizations.listByEmployee(employeeId, { from: body.date, to: body.date });
+        if (existing.some(item => item.status === 'pending')) {
+            return res.status(409).json({ error: 'A regularization for this date is already pending' });
+        }
+
+        const now = new Date().toISOString();
+        const created = await repositories.regularizations.create({
+            regularizationId: crypto.randomUUID(),
+            employeeId,
+            date: body.date,
+            sessions,
+            reason: body.reason,
+            status: 'pending',
+            requestedBy: req.user.employeeId,
+            createdAt: now,
+            lastUpdated: now
+        });
+        req.audit.targetId = created.regularizationId;
+        noteChange(req, null, created);
+        res.status(201).json({ success: true, message: 'Regularization submitted', regularization: created });
+    } catch (error) {
+        logger.error('Error creating regularization', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// List requests. Employees see their own; approvers may filter by ?employeeId= and ?status=.
+// ?from=&to= (YYYY-MM-DD) restrict by shift date.
+const listSchema = {
+    query: {
+        status: field.string({ oneOf: REGULARIZATION_STATUSES }),
+        employeeId: employeeIdField(),
+        from: field.date(),
+        to: field.date()
+    }
+};
+
+router.get('/', validateRequest(listSchema), async (req, res) => {
+    try {
+        const { status, from, to } = req.query;
+
+        const employeeId = isPrivileged(req.user) ? req.query.employeeId : req.user.employeeId;
+        const range = { from: from || undefined, to: to || undefined };
+
+        let regularizations;
+        if (employeeId) {
+            regularizations = await repositories.regularizations.listByEmployee(employeeId, range);
+            if (status) regularizations = regularizations.filter(item => item.status === status);
+        } else {
+            regularizations = await repositories.regularizations.listByStatus(status || 'pending', range);
+        }
+
+        res.json({ success: true, regularizations });
+    } catch (error) {
+        logger.error('Error listing regularizations', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Approve: replaces the day's sessions and appends a before/after entry to record.corrections
+router.post('/:regularizationId/approve', authorize(...PRIVILEGED_ROLES), auditRegularization('regularization.approve'), validateRequest({ params: regularizationParams, body: decisionFields }), async (req, res) => {
+    try {
+        const request = await repositories.regularizations.get(req.params.regularizationId);
+        if (!request) return res.status(404).json({ error: 'Regularization not found' });
+        if (request.status !== 'pending') return res.status(409).json({ error: `Request is already ${request.status}` });
+        if (request.employeeId === req.user.employeeId) {
+            return res.status(403).json({ error: 'You cannot approve your own regularization' });
+        }
+        if (!(await employeeService.canDecideFor(req.user, request.employeeId))) {
+            return res.status(403).json({ error: 'Managers can only decide on regularizations of their own team' });
+        }
+
+        const current = await repositories.attendance.get(request.employeeId, request.date);
+        if (isOpen(current)) {
+            return res.status(409).json({ error: 'The employee is still clocked in for this date; clock out first' });
+        }
+
+        const now = new Date();
+        const { set, remove } = recordChanges(request.sessions, STATES.CLOCKED_OUT, now.getTime());
+        const correction = {
+            regularizationId: request.regularizationId,
+            correctedBy: req.user.employeeId,
+            correctedAt: now.toISOString(),
+            reason: request.reason,
+            before: snapshot(current),
+            after: snapshot(set)
+        };
+
+        // Mark the request first so a concurrent approval cannot apply it twice
+        const approved = await repositories.regularizations.update(request.regularizationId, {
+            set: {
+                status: 'approved',
+                decidedBy: req.user.employeeId,
+                decidedAt: now.toISOString(),
+                decisionComment: req.body.comment,
+                lastUpdated: now.toISOString()
+            }
+        }, { expect: { status: 'pending' } });
+
+        let record;
+        if (current) {
+            record = await repositories.attendance.update(request.employeeId, request.date, {
+                set: { ...set, corrections: [...(current.corrections || []), correction] },
+                remove: [...remove, 'autoClockedOut']
+            });
+        } else {
+            const employee = await repositories.employees.get(request.employeeId);
+            const { shift, timeZone } = await schedules.scheduleFor(employee);
+            record = await repositories.attendance.create({
+                attendanceId: `${request.employeeId}_${request.date}`,
+                employeeId: request.employeeId,
+                date: request.date,
+                shiftId: shift.shiftId,
+                timezone: timeZone,
+                ...set,
+                corrections: [correction]
+            });
+        }
+
+        analytics.invalidate('attendance', [request.date]);
+
+        // The entry diffs the attendance record the approval rewrote
+        noteChange(req, current, record);
+        req.audit.details = { employeeId: request.employeeId, date: request.date };
+        res.json({ success: true, message: 'Regularization approved', regularization: approved, attendance: record });
+    } catch (error) {
+        if (error instanceof ConditionFailedError) return res.status(409).json({ error: 'Request was changed by someone else' });
+        logger.error('Error approving regularization', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+router.post('/:regularizationId/reject', authorize(...PRIVILEGED_ROLES), auditRegularization('regularization.reject'), validateRequest({ params: regularizationParams, body: decisionFields }), async (req, res) => {
+    try {
+        const request = await repositories.regularizations.get(req.params.regularizationId);
+        if (!request) return res.status(404).json({ error: 'Regularization not found' });
+        if (request.status !== 'pending') return res.status(409).json({ error: `Request is already ${request.status}` });
+        if (request.employeeId === req.user.employeeId) {
+            return res.status(403).json({ error: 'You cannot decide on your own regularization' });
+        }
+        if (!(await employeeService.canDecideFor(req.user, request.employeeId))) {
+            return res.status(403).json({ error: 'Managers can only decide on regularizations of their own team' });
+        }
+
+        const updated = await repositories.regularizations.update(request.regularizationId, {
+            set: {
+                status: 'rejected',
+                decidedBy: req.user.employeeId,
+                decidedAt: new Date().toISOString(),
+                decisionComment: req.body.comment,
+                lastUpdated: new Date().toISOString()
+            }
+        }, { expect: { status: 'pending' } });
+
+        noteChange(req, request, updated);
+        res.json({ success: true, message: 'Regularization rejected', regularization: updated });
+    } catch (error) {
+        if (error instanceof ConditionFailedError) return res.status(409).json({ error: 'Request was changed by someone else' });
+        logger.error('Error rejecting regularization', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Withdraw a pending request you filed (or that was filed for you)
+router.post('/:regularizationId/cancel', auditRegularization('regularization.cancel'), validateRequest({ params: regularizationParams }), async (req, res) => {
+    try {
+        const request = await repositories.regularizations.get(req.params.regularizationId);
+        const mine = request && [request.employeeId, request.requestedBy].includes(req.user.employeeId);
+        if (!mine) return res.status(404).json({ error: 'Regularization not found' });
+        if (request.status !== 'pending') return res.status(409).json({ error: `Request is already ${request.status}` });
+
+        const updated = await repositories.regularizations.update(request.regularizationId, {
+            set: { status: 'cancelled', cancelledAt: new Date().toISOString(), lastUpdated: new Date().toISOString() }
+        }, { expect: { status: 'pending' } });
+
+        noteChange(req, request, updated);
+        res.json({ success: true, message: 'Regularization cancelled', regularization: updated });
+    } catch (error) {
+        if (error instanceof ConditionFailedError) return res.status(409).json({ error: 'Request was changed by someone else' });
+        logger.error('Error cancelling regularization', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,89 @@
+const express = require('express');
+const { PRIVILEGED_ROLES, authenticate, authorize } = require('../middleware/auth');
+const { field } = require('../lib/validation');
+const { validateRequest } = require('../middleware/validate');
+const { sendTable } = require('../lib/tabular');
+const {
+    DAILY_COLUMNS,
+    MONTHLY_COLUMNS,
+    buildMonthlyTotals
+} = require('../lib/attendanceReport');
+const tracks = require('../services/tracks');
+const schedules = require('../services/schedules');
+const { loadEmployees, loadApprovedLeave, loadSchedules, buildDays } = require('../services/attendanceReport');
+const logger = require('../lib/logger');
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+const ROW_STATUSES = ['present', 'working', 'absent', 'off', 'leave', 'missed-clockout'];
+
+const router = express.Router();
+
+router.use(authenticate, authorize(...PRIVILEGED_ROLES));
+
+// Daily attendance: worked hours, late arrivals, early departures and absentees
+// ?date=YYYY-MM-DD&department=&status=absent|present|...&format=json|csv|xlsx
+const dailySchema = {
+    query: { date: field.date(), department: field.string({ max: 100 }), status: field.string({ oneOf: ROW_STATUSES }) }
+};
+
+router.get('/attendance/daily', validateRequest(dailySchema), async (req, res) => {
+    try {
+        const date = req.query.date || await schedules.today();
+
+        const employees = await loadEmployees(req.query.department);
+        const { byEmployee, shift, error } = await loadSchedules(employees, req.query);
+        if (error) return res.status(400).json({ error });
+
+        const approvedLeave = await loadApprovedLeave(date, date);
+        let rows = await buildDays([date], employees, byEmployee, Date.now(), approvedLeave);
+        if (req.query.status) rows = rows.filter(row => row.status === req.query.status);
+
+        await sendTable(req, res, {
+            filename: `attendance_${date}${req.query.department ? `_${req.query.department}` : ''}`,
+            sheetName: `Attendance ${date}`,
+            columns: DAILY_COLUMNS,
+            rows,
+            meta: { date, shift }
+        });
+    } catch (error) {
+        logger.error('Error building daily attendance report', error);
+        if (!res.headersSent) res.status(500).json({ error: error.message });
+    }
+});
+
+// Monthly per-employee totals (days up to today only)
+// ?month=YYYY-MM&department=&format=json|csv|xlsx
+const monthlySchema = {
+    query: { month: field.string({ pattern: MONTH_PATTERN, message: 'must be YYYY-MM' }), department: field.string({ max: 100 }) }
+};
+
+router.get('/attendance/monthly', validateRequest(monthlySchema), async (req, res) => {
+    try {
+        const today = await schedules.today();
+        const month = req.query.month || today.slice(0, 7);
+
+        const [year, mon] = month.split('-').map(Number);
+        const lastDay = new Date(Date.UTC(year, mon, 0)).toISOString().split('T')[0];
+        const dates = tracks.eachDate(`${month}-01`, lastDay).filter(date => date <= today);
+
+        const employees = await loadEmployees(req.query.department);
+        const { byEmployee, shift, error } = await loadSchedules(employees, req.query);
+        if (error) return res.status(400).json({ error });
+
+        const approvedLeave = await loadApprovedLeave(`${month}-01`, lastDay);
+        const dailyRows = await buildDays(dates, employees, byEmployee, Date.now(), approvedLeave);
+
+        await sendTable(req, res, {
+            filename: `attendance_${month}${req.query.department ? `_${req.query.department}` : ''}`,
+            sheetName: `Attendance ${month}`,
+            columns: MONTHLY_COLUMNS,
+            rows: buildMonthlyTotals(dailyRows),
+            meta: { month, shift, days: dates.length }
+        });
+    } catch (error) {
+        logger.error('Error building monthly attendance report', error);
+        if (!res.headersSent) res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,72 @@
+const express = require('express');
+const repositories = require('../repositories');
+const { PRIVILEGED_ROLES, authenticate, authorize } = require('../middleware/auth');
+const { field } = require('../lib/validation');
+const { employeeParams, simplifyQuery } = require('../lib/schemas');
+const { validateRequest } = require('../middleware/validate');
+const { auditAs } = require('../middleware/audit');
+const { simplifyPage } = require('../lib/simplify');
+const retention = require('../services/retention');
+const logger = require('../lib/logger');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// Retention policy, archive target and the outcome of the last run
+router.get('/', authorize('admin', 'hr'), async (req, res) => {
+    try {
+        res.json({ success: true, retention: await retention.status() });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Archive now: { from?, to?, dryRun? } (YYYY-MM-DD reporting dates, all before the cutoff).
+// Without a range it covers the same lookback window as the scheduled job.
+const runSchema = {
+    body: { from: field.date(), to: field.date(), dryRun: field.boolean({ default: false }) }
+};
+
+router.post('/run', authorize('admin'), auditAs('location.archive.run'), validateRequest(runSchema), async (req, res) => {
+    try {
+        const { from, to, dryRun } = req.body;
+        const result = await retention.runArchive({ from, to, dryRun });
+        if (result.busy) return res.status(409).json({ error: result.error, code: 'ARCHIVE_RUNNING' });
+        if (result.error) return res.status(400).json({ error: result.error });
+
+        req.audit.details = { from: result.from, to: result.to, dryRun, archivedPoints: result.archivedPoints };
+        logger.info('Location archive run', { by: req.user.employeeId, archivedPoints: result.archivedPoints, dryRun });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        logger.error('Error running location archive', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Points of one archived employee-day, read back from the archive (?simplify=&tolerance= as on history)
+const archivedDaySchema = {
+    params: { ...employeeParams, date: field.date({ required: true }) },
+    query: simplifyQuery
+};
+
+router.get('/archive/:employeeId/:date', authorize(...PRIVILEGED_ROLES), auditAs('location.archive.read', {
+    targetType: 'employee',
+    target: req => req.params.employeeId
+}), validateRequest(archivedDaySchema), async (req, res) => {
+    try {
+        const { employeeId, date } = req.params;
+        // The archive is shared storage; only this organisation's employees may be read back
+        if (!(await repositories.employees.get(employeeId))) return res.status(404).json({ error: 'Employee not found' });
+
+        const points = await retention.readArchivedDay(employeeId, date);
+        if (!points.length) return res.status(404).json({ error: 'No archived points for that employee and date' });
+
+        res.json({ success: true, employeeId, date, ...simplifyPage(points, req.query) });
+    } catch (error) {
+        logger.error('Error reading archived locations', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
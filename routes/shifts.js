@@ -0,0 +1,139 @@
+const express = require('express');
+const crypto = require('crypto');
+const repositories = require('../repositories');
+const { PRIVILEGED_ROLES, authenticate, authorize } = require('../middleware/auth');
+const { auditAs, noteChange } = require('../middleware/audit');
+const { field } = require('../lib/validation');
+const { recordId } = require('../lib/schemas');
+const { validateRequest, invalidBody } = require('../middleware/validate');
+const organisations = require('../services/organisations');
+const { TIME_PATTERN, DEFAULT_SHIFT, validateShift } = require('../lib/shifts');
+const schedules = require('../services/schedules');
+const logger = require('../lib/logger');
+
+const { ConditionFailedError } = repositories;
+const router = express.Router();
+
+router.use(authenticate);
+
+const shiftParams = { shiftId: recordId() };
+
+const time = (required) => field.string({ required, pattern: TIME_PATTERN, message: 'must be HH:mm' });
+
+// graceMinutes and workingDays default to the built-in shift's
+const shiftFields = (required) => ({
+    name: field.string({ required, max: 100 }),
+    start: time(required),
+    end: time(required),
+    graceMinutes: field.number({ integer: true, min: 0, max: 720 }),
+    workingDays: field.array({
+        min: 1,
+        max: 7,
+        of: field.number({ required: true, integer: true, min: 1, max: 7 })
+    })
+});
+
+// List shifts, plus the organisation's default shift and time zone employees fall back to
+router.get('/', authorize(...PRIVILEGED_ROLES), async (req, res) => {
+    try {
+        const shifts = await repositories.shifts.list();
+        shifts.sort((a, b) => a.name.localeCompare(b.name));
+        const { timezone } = await organisations.currentSettings();
+        res.json({ success: true, timezone, defaultShift: await schedules.defaultShift(), shifts });
+    } catch (error) {
+        logger.error('Error fetching shifts', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+router.get('/:shiftId', authorize(...PRIVILEGED_ROLES), validateRequest({ params: shiftParams }), async (req, res) => {
+    try {
+        const shift = req.params.shiftId === DEFAULT_SHIFT.shiftId
+            ? DEFAULT_SHIFT
+            : await repositories.shifts.get(req.params.shiftId);
+        if (!shift) return res.status(404).json({ error: 'Shift not found' });
+        res.json({ success: true, shift });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Create a shift ({ name, start, end, graceMinutes, workingDays }); end <= start spans midnight
+const auditShift = (action) => auditAs(action, { targetType: 'shift', target: req => req.params.shiftId });
+
+router.post('/', authorize('admin', 'hr'), auditShift('shift.create'), validateRequest({ body: shiftFields(true) }), async (req, res) => {
+    try {
+        const { fields, errors } = validateShift(req.body);
+        if (errors.length) return invalidBody(res, 'Invalid shift', errors);
+
+        const now = new Date().toISOString();
+        const shift = await repositories.shifts.create({
+            shiftId: crypto.randomUUID(),
+            ...fields,
+            createdBy: req.user.employeeId,
+            createdAt: now,
+            lastUpdated: now
+        });
+
+        req.audit.targetId = shift.shiftId;
+        noteChange(req, null, shift);
+        schedules.invalidateCache();
+        res.status(201).json({ success: true, message: 'Shift created', shift });
+    } catch (error) {
+        logger.error('Error creating shift', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Partial update; the merged shift is validated as a whole so start/end stay consistent
+router.patch('/:shiftId', authorize('admin', 'hr'), auditShift('shift.update'), validateRequest({ params: shiftParams, body: shiftFields(false) }), async (req, res) => {
+    try {
+        const { shiftId } = req.params;
+        const current = await repositories.shifts.get(shiftId);
+        if (!current) return res.status(404).json({ error: 'Shift not found' });
+
+        const { fields, errors } = validateShift({ ...current, ...req.body });
+        if (errors.length) return invalidBody(res, 'Invalid shift', errors);
+
+        const shift = await repositories.shifts.update(shiftId, {
+            set: { ...fields, lastUpdated: new Date().toISOString() }
+        });
+
+        noteChange(req, current, shift);
+        schedules.invalidateCache();
+        res.json({ success: true, message: 'Shift updated', shift });
+    } catch (error) {
+        if (error instanceof ConditionFailedError) return res.status(404).json({ error: 'Shift not found' });
+        logger.error('Error updating shift', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Shifts still assigned to employees (or the organisation default) cannot be deleted
+router.delete('/:shiftId', authorize('admin', 'hr'), auditShift('shift.delete'), validateRequest({ params: shiftParams }), async (req, res) => {
+    try {
+        const { shiftId } = req.params;
+        if ((await organisations.currentSettings()).defaultShiftId === shiftId) {
+            return res.status(409).json({ error: 'Shift is the organisation default shift' });
+        }
+        const assigned = (await repositories.employees.list()).filter(employee => employee.shiftId === shiftId);
+        if (assigned.length) {
+            return res.status(409).json({
+                error: `Shift is assigned to ${assigned.length} employee(s)`,
+                employeeIds: assigned.map(employee => employee.employeeId)
+            });
+        }
+
+        const current = await repositories.shifts.get(shiftId);
+        await repositories.shifts.remove(shiftId);
+        noteChange(req, current, null);
+        schedules.invalidateCache();
+        res.json({ success: true, message: 'Shift deleted' });
+    } catch (error) {
+        if (error instanceof ConditionFailedError) return res.status(404).json({ error: 'Shift not found' });
+        logger.error('Error deleting shift', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
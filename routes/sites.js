@@ -0,0 +1,124 @@
+const express = require('express');
+const crypto = require('crypto');
+const repositories = require('../repositories');
+const { authenticate, authorize } = require('../middleware/auth');
+const { field } = require('../lib/validation');
+const { validateRequest } = require('../middleware/validate');
+const { auditAs, noteChange } = require('../middleware/audit');
+const { DEFAULT_SITE_RADIUS_METERS } = require('../lib/visits');
+const visits = require('../services/visits');
+const logger = require('../lib/logger');
+
+const { ConditionFailedError } = repositories;
+const router = express.Router();
+
+// Customer sites field staff visit. Everyone signed in can read them (the app lists them for
+// check-in); admins and managers maintain them.
+router.use(authenticate);
+
+const siteFields = (required) => ({
+    name: field.string({ required, max: 200 }),
+    customer: field.string({ max: 200 }),
+    address: field.string({ max: 500 }),
+    contactName: field.string({ max: 200 }),
+    contactPhone: field.string({ max: 50 }),
+    latitude: field.number({ required, min: -90, max: 90 }),
+    longitude: field.number({ required, min: -180, max: 180 }),
+    // Check-ins further away than this are recorded as "outside-site"
+    radiusMeters: field.number({ min: 10, max: 5000 }),
+    isActive: field.boolean()
+});
+const EDITABLE = Object.keys(siteFields(false));
+
+const pick = (body) => Object.fromEntries(EDITABLE.filter(name => body[name] !== undefined).map(name => [name, body[name]]));
+
+// List sites (?active=true leaves out deactivated ones, ?q= matches name, customer or address)
+const listSchema = { query: { active: field.boolean(), q: field.string({ max: 100 }) } };
+
+router.get('/', validateRequest(listSchema), async (req, res) => {
+    try {
+        const q = (req.query.q || '').toLowerCase();
+        const sites = (await repositories.sites.list())
+            .filter(site => !req.query.active || site.isActive !== false)
+            .filter(site => !q || [site.name, site.customer, site.address].some(text => (text || '').toLowerCase().includes(q)))
+            .sort((a, b) => a.name.localeCompare(b.name));
+        res.json({ success: true, count: sites.length, sites });
+    } catch (error) {
+        logger.error('Error fetching sites', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+router.get('/:siteId', async (req, res) => {
+    try {
+        const site = await repositories.sites.get(req.params.siteId);
+        if (!site) return res.status(404).json({ error: 'Site not found' });
+        res.json({ success: true, site });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+const auditSite = (action) => auditAs(action, { targetType: 'site', target: req => req.params.siteId });
+
+router.post('/', authorize('admin', 'manager'), auditSite('site.create'), validateRequest({ body: siteFields(true) }), async (req, res) => {
+    try {
+        const now = new Date().toISOString();
+        const site = await repositories.sites.create({
+            siteId: crypto.randomUUID(),
+            customer: '',
+            address: '',
+            radiusMeters: DEFAULT_SITE_RADIUS_METERS,
+            isActive: true,
+            ...pick(req.body),
+            createdBy: req.user.employeeId,
+            createdAt: now,
+            lastUpdated: now
+        });
+
+        req.audit.targetId = site.siteId;
+        noteChange(req, null, site);
+        visits.invalidateCache();
+        res.status(201).json({ success: true, message: 'Site created', site });
+    } catch (error) {
+        logger.error('Error creating site', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Partial update; visits already recorded keep the site details they were made with
+router.patch('/:siteId', authorize('admin', 'manager'), auditSite('site.update'), validateRequest({ body: siteFields(false) }), async (req, res) => {
+    try {
+        const { siteId } = req.params;
+        const current = await repositories.sites.get(siteId);
+        if (!current) return res.status(404).json({ error: 'Site not found' });
+
+        const changes = pick(req.body);
+        if (!Object.keys(changes).length) return res.status(400).json({ error: `Nothing to update (fields: ${EDITABLE.join(', ')})` });
+
+        const site = await repositories.sites.update(siteId, { set: { ...changes, lastUpdated: new Date().toISOString() } });
+        noteChange(req, current, site);
+        visits.invalidateCache();
+        res.json({ success: true, message: 'Site updated', site });
+    } catch (error) {
+        if (error instanceof ConditionFailedError) return res.status(404).json({ error: 'Site not found' });
+        logger.error('Error updating site', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+router.delete('/:siteId', authorize('admin', 'manager'), auditSite('site.delete'), async (req, res) => {
+    try {
+        const current = await repositories.sites.get(req.params.siteId);
+        await repositories.sites.remove(req.params.siteId);
+        noteChange(req, current, null);
+        visits.invalidateCache();
+        res.json({ success: true, message: 'Site deleted' });
+    } catch (error) {
+        if (error instanceof ConditionFailedError) return res.status(404).json({ error: 'Site not found' });
+        logger.error('Error deleting site', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,163 @@
+const express = require('express');
+const crypto = require('crypto');
+const repositories = require('../repositories');
+const { PRIVILEGED_ROLES, isPrivileged, authenticate, authorize } = require('../middleware/auth');
+const { field } = require('../lib/validation');
+const { employeeId: employeeIdField } = require('../lib/schemas');
+const { validateRequest } = require('../middleware/validate');
+const { auditAs, noteChange } = require('../middleware/audit');
+const { ROLES } = require('../lib/employees');
+const { TRACKING_WINDOWS, OUT_OF_WINDOW_ACTIONS, DEFAULT_SETTINGS } = require('../lib/tracking');
+const tracking = require('../services/tracking');
+const logger = require('../lib/logger');
+
+const { ConditionFailedError } = repositories;
+const router = express.Router();
+
+router.use(authenticate);
+
+// ==========================================
+// DEVICE CONFIG
+// ==========================================
+
+// Effective tracking settings for the caller (approvers may preview anyone's with ?employeeId=),
+// whether the app should be tracking right now, and when to ask again. config.version changes
+// whenever the settings do; location uploads echo it as trackingConfigVersion.
+router.get('/config', validateRequest({ query: { employeeId: employeeIdField() } }), async (req, res) => {
+    try {
+        const employeeId = req.query.employeeId || req.user.employeeId;
+        if (employeeId !== req.user.employeeId && !isPrivileged(req.user)) {
+            return res.status(403).json({ error: 'You can only access your own records' });
+        }
+
+        const employee = await repositories.employees.get(employeeId);
+        if (!employee) return res.status(404).json({ error: 'Employee not found' });
+
+        res.json({ success: true, employeeId, ...await tracking.configFor(employee) });
+    } catch (error) {
+        logger.error('Error building tracking config', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ==========================================
+// POLICIES
+// ==========================================
+
+const policyFields = (required) => ({
+    name: field.string({ required, max: 100 }),
+    roles: field.array({ max: ROLES.length, items: { type: 'string', enum: ROLES } }),
+    departments: field.array({ max: 100, items: { type: 'string' } }),
+    intervalSeconds: field.number({ integer: true, min: 5, max: 3600 }),
+    distanceFilterMeters: field.number({ min: 0, max: 1000 }),
+    maxAccuracyMeters: field.number({ min: 5, max: 10000 }),
+    window: field.string({ oneOf: TRACKING_WINDOWS }),
+    outOfWindow: field.string({ oneOf: OUT_OF_WINDOW_ACTIONS }),
+    isActive: field.boolean()
+});
+const EDITABLE = Object.keys(policyFields(false));
+
+// Picks the supplied policy fields and tidies the role / department lists.
+// Returns { fields, details } where details lists invalid list entries.
+const readPolicy = (body) => {
+    const fields = Object.fromEntries(EDITABLE.filter(name => body[name] !== undefined).map(name => [name, body[name]]));
+    const details = [];
+    ['roles', 'departments'].filter(name => fields[name]).forEach(name => {
+        fields[name] = [...new Set(fields[name].map(item => String(item).trim()).filter(Boolean))];
+    });
+    if (fields.roles && fields.roles.some(role => !ROLES.includes(role))) {
+        details.push({ field: 'roles', location: 'body', message: `roles must be among: ${ROLES.join(', ')}` });
+    }
+    return { fields, details };
+};
+
+const auditPolicy = (action) => auditAs(action, { targetType: 'trackingPolicy', target: req => req.params.policyId });
+
+router.get('/policies', authorize(...PRIVILEGED_ROLES), async (req, res) => {
+    try {
+        const policies = await repositories.trackingPolicies.list();
+        policies.sort((a, b) => a.name.localeCompare(b.name));
+        res.json({ success: true, defaults: DEFAULT_SETTINGS, policies });
+    } catch (error) {
+        logger.error('Error fetching tracking policies', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+router.get('/policies/:policyId', authorize(...PRIVILEGED_ROLES), async (req, res) => {
+    try {
+        const policy = await repositories.trackingPolicies.get(req.params.policyId);
+        if (!policy) return res.status(404).json({ error: 'Tracking policy not found' });
+        res.json({ success: true, policy });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// { name, roles?, departments?, intervalSeconds?, distanceFilterMeters?, maxAccuracyMeters?,
+//   window?, outOfWindow?, isActive? }; settings left out take the current defaults
+router.post('/policies', authorize('admin', 'hr'), auditPolicy('tracking.policy.create'), validateRequest({ body: policyFields(true) }), async (req, res) => {
+    try {
+        const { fields, details } = readPolicy(req.body);
+        if (details.length) return res.status(400).json({ error: 'Invalid tracking policy', code: 'VALIDATION_FAILED', details });
+
+        const now = new Date().toISOString();
+        const policy = await repositories.trackingPolicies.create({
+            policyId: crypto.randomUUID(),
+            roles: [],
+            departments: [],
+            ...DEFAULT_SETTINGS,
+            isActive: true,
+            ...fields,
+            createdBy: req.user.employeeId,
+            createdAt: now,
+            lastUpdated: now
+        });
+
+        req.audit.targetId = policy.policyId;
+        noteChange(req, null, policy);
+        tracking.invalidateCache();
+        res.status(201).json({ success: true, message: 'Tracking policy created', policy });
+    } catch (error) {
+        logger.error('Error creating tracking policy', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+router.patch('/policies/:policyId', authorize('admin', 'hr'), auditPolicy('tracking.policy.update'), validateRequest({ body: policyFields(false) }), async (req, res) => {
+    try {
+        const { policyId } = req.params;
+        const current = await repositories.trackingPolicies.get(policyId);
+        if (!current) return res.status(404).json({ error: 'Tracking policy not found' });
+
+        const { fields, details } = readPolicy(req.body);
+        if (details.length) return res.status(400).json({ error: 'Invalid tracking policy', code: 'VALIDATION_FAILED', details });
+        if (!Object.keys(fields).length) return res.status(400).json({ error: `Nothing to update (fields: ${EDITABLE.join(', ')})` });
+
+        const policy = await repositories.trackingPolicies.update(policyId, { set: { ...fields, lastUpdated: new Date().toISOString() } });
+        noteChange(req, current, policy);
+        tracking.invalidateCache();
+        res.json({ success: true, message: 'Tracking policy updated', policy });
+    } catch (error) {
+        if (error instanceof ConditionFailedError) return res.status(404).json({ error: 'Tracking policy not found' });
+        logger.error('Error updating tracking policy', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Employees it covered fall back to the next most specific policy (or the defaults)
+router.delete('/policies/:policyId', authorize('admin', 'hr'), auditPolicy('tracking.policy.delete'), async (req, res) => {
+    try {
+        const current = await repositories.trackingPolicies.get(req.params.policyId);
+        await repositories.trackingPolicies.remove(req.params.policyId);
+        noteChange(req, current, null);
+        tracking.invalidateCache();
+        res.json({ success: true, message: 'Tracking policy deleted' });
+    } catch (error) {
+        if (error instanceof ConditionFailedError) return res.status(404).json({ error: 'Tracking policy not found' });
+        logger.error('Error deleting tracking policy', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
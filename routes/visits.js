@@ -0,0 +1,213 @@
+const express = require('express');
+const repositories = require('../repositories');
+const {
+    isPrivileged,
+    authenticate,
+    requireSelfOrPrivileged,
+    requireSelfBody
+} = require('../middleware/auth');
+const { field } = require('../lib/validation');
+const { employeeId: employeeIdField, employeeParams, pointFields } = require('../lib/schemas');
+const { validateRequest } = require('../middleware/validate');
+const { auditAs, noteChange } = require('../middleware/audit');
+const { sendTable } = require('../lib/tabular');
+const { VISIT_SOURCES, VISIT_STATUSES, REPORT_COLUMNS, reportRow } = require('../lib/visits');
+const { requireRegisteredDevice } = require('../services/devices');
+const schedules = require('../services/schedules');
+const visits = require('../services/visits');
+const logger = require('../lib/logger');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+const auditVisit = (action) => auditAs(action, { targetType: 'visit', target: req => req.params.visitId });
+
+// Loads :visitId into req.visit for its employee or an approver
+const loadVisit = async (req, res, next) => {
+    try {
+        const visit = await repositories.visits.get(req.params.visitId);
+        if (!visit || (visit.employeeId !== req.user.employeeId && !isPrivileged(req.user))) {
+            return res.status(404).json({ error: 'Visit not found' });
+        }
+        req.visit = visit;
+        next();
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Check in at a site: { siteId, pointId, note? }. `pointId` is a point already uploaded through
+// /api/locations (or a batch); its coordinates and capture time become the check-in, and its
+// distance from the site is recorded as the verification. Like attendance, only from the
+// employee's registered device.
+const checkInSchema = {
+    body: {
+        employeeId: employeeIdField(),
+        siteId: field.string({ required: true, max: 64 }),
+        pointId: { ...pointFields.pointId, required: true },
+        note: field.string({ max: 2000 })
+    }
+};
+
+router.post('/check-in', auditAs('visit.checkin', { targetType: 'visit' }), validateRequest(checkInSchema), requireSelfBody, requireRegisteredDevice, async (req, res) => {
+    try {
+        const site = await repositories.sites.get(req.body.siteId);
+        if (!site) return res.status(404).json({ error: 'Site not found' });
+
+        const { visit, status, error, visitId } = await visits.checkIn(req.employee, site, req.body);
+        if (error) return res.status(status).json({ error, ...(visitId && { visitId }) });
+
+        req.audit.targetId = visit.visitId;
+        noteChange(req, null, visit);
+        res.status(201).json({ success: true, message: `Checked in at ${site.name}`, visit });
+    } catch (error) {
+        logger.error('Error checking in to visit', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Check out of an open visit: { pointId, note? } (a point captured after the check-in)
+const checkOutSchema = {
+    body: {
+        employeeId: employeeIdField(),
+        pointId: { ...pointFields.pointId, required: true },
+        note: field.string({ max: 2000 })
+    }
+};
+
+router.post('/:visitId/check-out', auditVisit('visit.checkout'), validateRequest(checkOutSchema), requireSelfBody, requireRegisteredDevice, async (req, res) => {
+    try {
+        const current = await repositories.visits.get(req.params.visitId);
+        if (!current || current.employeeId !== req.employee.employeeId) return res.status(404).json({ error: 'Visit not found' });
+
+        const { visit, status, error } = await visits.checkOut(req.employee, current, req.body);
+        if (error) return res.status(status).json({ error });
+
+        noteChange(req, current, visit);
+        res.json({ success: true, message: `Checked out of ${visit.siteName}`, visit });
+    } catch (error) {
+        logger.error('Error checking out of visit', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Visits, newest check-in first. Employees see their own; approvers may pass ?employeeId= (any
+// dates, ?from=&to=) or list everyone's visits on one ?date= (default today).
+// Further filters: ?siteId=, ?source=manual|inferred, ?status=open|completed
+const listSchema = {
+    query: {
+        employeeId: employeeIdField(),
+        date: field.date(),
+        from: field.date(),
+        to: field.date(),
+        siteId: field.string({ max: 64 }),
+        source: field.string({ oneOf: VISIT_SOURCES }),
+        status: field.string({ oneOf: VISIT_STATUSES })
+    }
+};
+
+router.get('/', auditAs('visit.list.read', { targetType: 'employee', target: req => req.query.employeeId }), validateRequest(listSchema), async (req, res) => {
+    try {
+        const { date, siteId, source, status } = req.query;
+        const employeeId = isPrivileged(req.user) ? req.query.employeeId : req.user.employeeId;
+        req.audit.targetId = employeeId;
+
+        let items;
+        if (employeeId) {
+            const range = date ? { from: date, to: date } : { from: req.query.from || undefined, to: req.query.to || undefined };
+            if (range.from && range.to && range.from > range.to) return res.status(400).json({ error: 'from must not be after to' });
+            items = await repositories.visits.listByEmployee(employeeId, range);
+        } else {
+            items = await repositories.visits.listByDate(date || await schedules.today());
+        }
+
+        items = items
+            .filter(visit => (!siteId || visit.siteId === siteId) && (!source || visit.source === source) && (!status || visit.status === status))
+            .sort((a, b) => b.checkIn.at.localeCompare(a.checkIn.at));
+        res.json({ success: true, count: items.length, visits: items });
+    } catch (error) {
+        logger.error('Error listing visits', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Daily visit report for one employee: ?date= (default the employee's today) &format=json|csv|xlsx
+const reportSchema = { params: employeeParams, query: { date: field.date() } };
+
+router.get('/report/:employeeId', auditAs('visit.report.read', { targetType: 'employee', target: req => req.params.employeeId }), validateRequest(reportSchema), requireSelfOrPrivileged(req => req.params.employeeId), async (req, res) => {
+    try {
+        const employee = await repositories.employees.get(req.params.employeeId);
+        if (!employee) return res.status(404).json({ error: 'Employee not found' });
+
+        const date = req.query.date || await schedules.currentShiftDate(employee);
+        const { summary, visits: dayVisits } = await visits.dailyReport(employee, date);
+
+        if (String(req.query.format || 'json').toLowerCase() === 'json') {
+            return res.json({ success: true, employeeId: employee.employeeId, name: employee.name || '', date, summary, visits: dayVisits });
+        }
+        await sendTable(req, res, {
+            filename: `visits_${employee.employeeId}_${date}`,
+            sheetName: `Visits ${date}`,
+            columns: REPORT_COLUMNS,
+            rows: dayVisits.map(reportRow)
+        });
+    } catch (error) {
+        logger.error('Error building visit report', error);
+        if (!res.headersSent) res.status(500).json({ error: error.message });
+    }
+});
+
+router.get('/:visitId', loadVisit, (req, res) => {
+    res.json({ success: true, visit: req.visit });
+});
+
+// Add a note: { text }
+const noteSchema = { body: { text: field.string({ required: true, max: 2000 }) } };
+
+router.post('/:visitId/notes', auditVisit('visit.note.add'), validateRequest(noteSchema), loadVisit, async (req, res) => {
+    try {
+        const { visit, entry, status, error } = await visits.addNote(req.visit, req.body.text, req.user.employeeId);
+        if (error) return res.status(status).json({ error });
+
+        noteChange(req, req.visit, visit);
+        res.status(201).json({ success: true, message: 'Note added', note: entry, visit });
+    } catch (error) {
+        logger.error('Error adding visit note', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Attach photo metadata (the image is uploaded to file storage by the app; `storageKey` locates it):
+// { storageKey, fileName?, contentType?, sizeBytes?, takenAt?, latitude?, longitude?, caption? }
+const photoSchema = {
+    body: {
+        storageKey: field.string({ required: true, max: 1024 }),
+        fileName: field.string({ max: 255 }),
+        contentType: field.string({ pattern: /^image\/[a-z0-9.+-]+$/, max: 100, message: 'must be an image/* MIME type' }),
+        sizeBytes: field.number({ integer: true, min: 1, max: 50 * 1024 * 1024 }),
+        takenAt: field.timestamp(),
+        latitude: field.number({ min: -90, max: 90 }),
+        longitude: field.number({ min: -180, max: 180 }),
+        caption: field.string({ max: 500 })
+    }
+};
+const PHOTO_FIELDS = Object.keys(photoSchema.body);
+
+router.post('/:visitId/photos', auditVisit('visit.photo.add'), validateRequest(photoSchema), loadVisit, async (req, res) => {
+    try {
+        const metadata = Object.fromEntries(PHOTO_FIELDS.filter(name => req.body[name] !== undefined).map(name => [name, req.body[name]]));
+        if (metadata.takenAt !== undefined) metadata.takenAt = new Date(metadata.takenAt).toISOString();
+
+        const { visit, entry, status, error } = await visits.addPhoto(req.visit, metadata, req.user.employeeId);
+        if (error) return res.status(status).json({ error });
+
+        noteChange(req, req.visit, visit);
+        res.status(201).json({ success: true, message: 'Photo attached', photo: entry, visit });
+    } catch (error) {
+        logger.error('Error attaching visit photo', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
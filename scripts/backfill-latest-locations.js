@@ -0,0 +1,56 @@
+// Fills EmployeeLatestLocation from the points already stored in EmployeeLocation (DynamoDB only).
+// Run once after deploying with the new table and indexes; see "DynamoDB migrations" in the README.
+// Safe to re-run, and to run while points arrive: a newer latest location is never replaced.
+// Usage: node scripts/backfill-latest-locations.js
+require('dotenv').config();
+const { documentClient, TABLES, INDEXES, keyCondition, scanAll } = require('../repositories/dynamodb/client');
+
+// The employee's newest point that may be a latest location (out-of-session points never are)
+const newestPoint = async (employeeId) => {
+    let ExclusiveStartKey;
+    do {
+        const result = await documentClient.query({
+            TableName: TABLES.locations,
+            IndexName: INDEXES.locationsByEmployee,
+            ...keyCondition('employeeId', employeeId),
+            ScanIndexForward: false,
+            ExclusiveStartKey
+        }).promise();
+        const point = (result.Items || []).find(item => !item.outOfSession);
+        if (point) return point;
+        ExclusiveStartKey = result.LastEvaluatedKey;
+    } while (ExclusiveStartKey);
+    return null;
+};
+
+// Same condition as the write path (repositories/dynamodb/locations.js): only a newer point replaces
+const putLatest = async (item) => {
+    try {
+        await documentClient.put({
+            TableName: TABLES.latestLocations,
+            Item: item,
+            ConditionExpression: 'attribute_not_exists(employeeId) OR #ts < :ts',
+            ExpressionAttributeNames: { '#ts': 'timestamp' },
+            ExpressionAttributeValues: { ':ts': item.timestamp }
+        }).promise();
+        return true;
+    } catch (error) {
+        if (error.code === 'ConditionalCheckFailedException') return false;
+        throw error;
+    }
+};
+
+const main = async () => {
+    const employees = await scanAll({ TableName: TABLES.employees, ProjectionExpression: 'employeeId' });
+    let written = 0;
+    for (const { employeeId } of employees) {
+        const point = await newestPoint(employeeId);
+        if (point && await putLatest(point)) written++;
+    }
+    console.log(`✅ Latest location backfilled for ${written} of ${employees.length} employees`);
+};
+
+main().catch(error => {
+    console.error('❌ Backfill failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,52 @@
+// Creates (or re-activates) an admin account on the configured storage backend.
+// Usage: node scripts/create-admin.js <employeeId> <password> [name] [orgId]
+// Without orgId the admin belongs to the default organisation; any other organisation must exist.
+require('dotenv').config();
+const repositories = require('../repositories');
+const { hashPassword, checkPasswordPolicy } = require('../lib/passwords');
+const { DEFAULT_ORG_ID, runAs } = require('../lib/tenancy');
+
+const main = async () => {
+    const [employeeId, password, name = 'Administrator', orgId = DEFAULT_ORG_ID] = process.argv.slice(2);
+    if (!employeeId || !password) {
+        console.error('Usage: node scripts/create-admin.js <employeeId> <password> [name] [orgId]');
+        process.exit(1);
+    }
+
+    const problems = checkPasswordPolicy(password, { employeeId });
+    if (problems.length) {
+        console.error(`❌ ${problems.join('; ')}`);
+        process.exit(1);
+    }
+
+    if (orgId !== DEFAULT_ORG_ID && !(await repositories.organisations.get(orgId))) {
+        console.error(`❌ Organisation ${orgId} does not exist`);
+        process.exit(1);
+    }
+
+    const now = new Date().toISOString();
+    // Inside the organisation's context an id taken by another organisation is refused
+    await runAs(orgId, async () => {
+        const existing = await repositories.employees.get(employeeId);
+        await repositories.employees.put({
+            ...existing,
+            employeeId,
+            name: existing ? existing.name : name,
+            role: 'admin',
+            password: await hashPassword(password),
+            passwordSet: true,
+            failedLoginAttempts: 0,
+            status: 'active',
+            isActive: true,
+            createdAt: existing ? existing.createdAt : now,
+            lastUpdated: now
+        });
+    });
+
+    console.log(`✅ Admin ${employeeId} ready in ${orgId} (${repositories.backend} backend)`);
+};
+
+main().catch(error => {
+    console.error('❌ Failed to create admin:', error.message);
+    process.exit(1);
+});
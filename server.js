@@ -1,11 +1,38 @@
 const express = require('express');
-const AWS = require('aws-sdk');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const helmet = require('helmet');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 require('dotenv').config();
+const {
+    PRIVILEGED_ROLES,
+    issueTokens,
+    verifyRefreshToken,
+    authenticate,
+    authenticateForPasswordChange,
+    authorize,
+    requireSelf,
+    requireSelfOrPrivileged,
+    requireSelfBody
+} = require('./middleware/auth');
+const { errorEnvelope, notFound, errorHandler } = require('./middleware/errors');
+const { requestLog } = require('./middleware/requestLog');
+const logger = require('./lib/logger');
+const { locationPoints } = require('./lib/metrics');
+const { auditTrail, auditAs, skipAudit, noteChange } = require('./middleware/audit');
+const {
+    MAX_LOGIN_ATTEMPTS,
+    DUMMY_PASSWORD_HASH,
+    hashPassword,
+    verifyPassword,
+    checkPasswordPolicy,
+    isLocked,
+    lockoutUntil,
+    generateResetToken,
+    verifyResetToken,
+    stripCredentials
+} = require('./lib/passwords');
 
 const app = express();
 const port = process.env.PORT || 3001;
@@ -14,96 +41,98 @@ const port = process.env.PORT || 3001;
 // 1. HELPER FUNCTIONS (Moved to top to prevent crashes)
 // ==========================================
 
-const getISTTimestamp = () => {
-    const now = new Date();
-    const istOffset = 5.5 * 60 * 60 * 1000;
-    const istTime = new Date(now.getTime() + istOffset);
-    return istTime.toISOString().replace('T', ' ').substring(0, 19);
-};
-
-const getISTDateString = () => {
-    const now = new Date();
-    const istOffset = 5.5 * 60 * 60 * 1000;
-    const istDate = new Date(now.getTime() + istOffset);
-    return istDate.toISOString().split('T')[0];
-};
-
-const getTodayDateString = getISTDateString;
-// Define this alias so it works everywhere
-
-const formatDate = (dateString) => {
-    const date = new Date(dateString);
-    const year = date.getUTCFullYear();
-    const month = String(date.getUTCMonth() + 1).padStart(2, '0');
-    const day = String(date.getUTCDate()).padStart(2, '0');
-    return `${year}-${month}-${day}`;
-};
-
-const formatTime = (dateString) => {
-    const date = new Date(dateString);
-    const hours = String(date.getUTCHours()).padStart(2, '0');
-    const minutes = String(date.getUTCMinutes()).padStart(2, '0');
-    const seconds = String(date.getUTCSeconds()).padStart(2, '0');
-    return `${hours}:${minutes}:${seconds}`;
-};
+// Time zone aware date/time helpers live in lib/time.js so routers can share them
+const {
+    isValidTimeZone,
+    getDateString,
+    getDayRange,
+    addDays
+} = require('./lib/time');
 
 // ==========================================
 // 2. MIDDLEWARE & CONFIG
 // ==========================================
 
+// Request ids, one JSON log line per request and latency metrics (see middleware/requestLog.js)
+app.use(requestLog);
+
 app.use(helmet({
     contentSecurityPolicy: false,
     crossOriginEmbedderPolicy: false
 }));
 app.use(compression());
 
+// Development / CI: warn when responses drift from the OpenAPI document (see middleware/specCheck.js)
+if (process.env.OPENAPI_CHECK_RESPONSES === 'true') {
+    app.use(require('./middleware/specCheck').checkResponses);
+}
+
+// Uniform { error, code, details? } bodies for every error response (see middleware/errors.js)
+app.use(errorEnvelope);
+
 const limiter = rateLimit({
     windowMs: 15 * 60 * 1000,
-    max: 1000
+    max: 1000,
+    message: { error: 'Too many requests, please slow down', code: 'RATE_LIMITED' }
 });
 app.use('/api/', limiter);
 
-const allowedOrigins =
-    process.env.NODE_ENV === 'production'
-        ? [
-            'https://api.greenchilliestechnology.com',
-            'http://localhost:3000',
-            'http://localhost:61547',
-            'http://192.168.50.105:3000',
-            'http://localhost:60642',
-            'capacitor://localhost', // For Android/iOS APK
-            'http://localhost'       // For local testing
-        ]
-        : ['http://localhost:3000'];
+const organisations = require('./services/organisations');
 
+// CORS_ALLOWED_ORIGINS plus every organisation's allowedOrigins (production only; see
+// services/organisations.js). Requests without an Origin (the mobile app) are always allowed.
 app.use(cors({
     origin: function (origin, callback) {
         if (!origin) return callback(null, true);
-        if (allowedOrigins.includes(origin)) {
-            return callback(null, true);
-        }
-        return callback(null, true); // Permissive for dev/mobile
+        organisations.isOriginAllowed(origin)
+            .then(allowed => callback(null, allowed))
+            .catch(callback);
     },
     credentials: true,
 }));
 
-const morgan = require('morgan');
-app.use(morgan('combined'));
-app.use(bodyParser.json());
-
-// AWS Configuration
-AWS.config.update({
-    region: process.env.AWS_REGION || 'ap-south-1',
-    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
-});
-
-const dynamodb = new AWS.DynamoDB.DocumentClient();
-
-// Tables
-const EMPLOYEES_TABLE = process.env.EMPLOYEES_TABLE || 'Employees';
-const LOCATION_TABLE = process.env.LOCATION_TABLE || 'EmployeeLocation';
-const ATTENDANCE_TABLE = process.env.ATTENDANCE_TABLE || 'Attendance';
+app.use(bodyParser.json({ limit: '1mb' })); // room for offline location batches
+
+// Append-only trail of every mutating request and of sensitive reads (see middleware/audit.js)
+app.use(auditTrail);
+
+// Storage (DynamoDB or in-memory, see repositories/index.js)
+const repositories = require('./repositories');
+const { ConditionFailedError, InvalidCursorError } = repositories;
+const { parsePageQuery, parseDatePageQuery } = require('./lib/pagination');
+const { field, describe } = require('./lib/validation');
+const {
+    employeeId: employeeIdField,
+    employeeParams,
+    pageQuery,
+    datePageQuery,
+    dateRangeQuery,
+    simplifyQuery,
+    pointFields,
+    attendanceFields
+} = require('./lib/schemas');
+const { validateRequest, invalidQuery } = require('./middleware/validate');
+const { MAX_BATCH_POINTS, normalizePoint } = require('./lib/locationPoints');
+const geofencing = require('./services/geofencing');
+const tracks = require('./services/tracks');
+const liveFeed = require('./services/liveFeed');
+const schedules = require('./services/schedules');
+const employeeService = require('./services/employees');
+const { requireRegisteredDevice } = require('./services/devices');
+const spoofing = require('./services/spoofing');
+const { validateEmployee, filterEmployees, EMPLOYEE_STATUSES, ROLES, DEVICE_ID_PATTERN } = require('./lib/employees');
+const attendanceService = require('./services/attendance');
+const retention = require('./services/retention');
+const alerts = require('./services/alerts');
+const analytics = require('./services/analytics');
+const visits = require('./services/visits');
+const tracking = require('./services/tracking');
+const { isOnDuty } = require('./lib/tracking');
+const { orgOf } = require('./lib/tenancy');
+const { STATES, stateOf, isOpen } = require('./lib/attendanceSessions');
+const { summarizeTrack, combineSummaries } = require('./lib/trips');
+const { simplifyPage } = require('./lib/simplify');
+const { shiftDateFor } = require('./lib/shifts');
 
 // Test endpoint
 app.get('/api/test', (req, res) => {
@@ -118,47 +147,56 @@ app.get('/api/test', (req, res) => {
 // 3. EMPLOYEE MANAGEMENT ENDPOINTS
 // ==========================================
 
+// Validates optional timezone (IANA name) / shiftId (existing shift) fields; returns an error message or null
+const checkSchedule = async ({ timezone, shiftId }) => {
+    if (timezone !== undefined && timezone !== null && !isValidTimeZone(timezone)) {
+        return 'timezone must be an IANA time zone name (e.g. "Asia/Kolkata")';
+    }
+    if (shiftId !== undefined && shiftId !== null && !(await schedules.shiftsById())[shiftId]) {
+        return 'Unknown shiftId';
+    }
+    return null;
+};
+
 // Add new employee
-app.post('/api/employees', async (req, res) => {
+// Profile fields are checked by validateEmployee; the schema covers the credentials
+const createEmployeeSchema = {
+    body: {
+        password: field.string({ trim: false, max: 200 }),
+        deviceId: field.string({ pattern: DEVICE_ID_PATTERN, message: 'must be 1-128 characters of letters, digits, _ . : -' })
+    }
+};
+
+app.post('/api/employees', authenticate, authorize('admin', 'hr'), auditAs('employee.create', { targetType: 'employee', target: req => req.body && req.body.employeeId }), validateRequest(createEmployeeSchema), async (req, res) => {
     try {
-        const { employeeId, name, email, phone, department, deviceId, password, role } = req.body;
+        const { password, deviceId } = req.body;
+        const { fields, errors } = validateEmployee(req.body);
+        if (errors.length) return res.status(400).json({ error: 'Invalid employee', details: errors });
 
-        if (!employeeId || !name) {
-            return res.status(400).json({ error: 'Employee ID and Name are required' });
+        if (fields.role === 'admin' && req.user.role !== 'admin') {
+            return res.status(403).json({ error: 'Only admins can grant the admin role' });
         }
 
-        const now = new Date();
-        const employeePassword = password || '12345';
-
-        const params = {
-            TableName: EMPLOYEES_TABLE,
-            Item: {
-                employeeId,
-                name,
-                email: email || '',
-                phone: phone || '',
-                department: department || '',
-                role: role || 'employee',
-                deviceId: deviceId || `DEVICE_${employeeId}`,
-                password: employeePassword,
-                passwordSet: false,
-                status: 'active',
-                createdAt: now.toISOString(),
-                lastUpdated: now.toISOString(),
-                isActive: true
-            },
-            ConditionExpression: 'attribute_not_exists(employeeId)'
-        };
+        const referenceError = await employeeService.checkReferences(fields);
+        if (referenceError) return res.status(400).json({ error: referenceError });
+
+        if (password) {
+            const problems = checkPasswordPolicy(password, { employeeId: fields.employeeId });
+            if (problems.length) return res.status(400).json({ error: 'Password does not meet policy', details: problems });
+        }
+
+        const { employee, temporaryPassword } = await employeeService.createEmployee(fields, { password, deviceId });
+        noteChange(req, null, employee);
 
-        await dynamodb.put(params).promise();
         res.json({
             success: true,
             message: 'Employee added successfully',
-            employee: { ...params.Item, password: undefined }
+            employee: stripCredentials(employee),
+            ...(temporaryPassword && { temporaryPassword })
         });
     } catch (error) {
-        console.error('Error adding employee:', error);
-        if (error.code === 'ConditionalCheckFailedException') {
+        logger.error('Error adding employee', error);
+        if (error instanceof ConditionFailedError) {
             res.status(400).json({ error: 'Employee ID already exists' });
         } else {
             res.status(500).json({ error: error.message });
@@ -167,152 +205,489 @@ app.post('/api/employees', async (req, res) => {
 });
 
 // Update password endpoint
-app.put('/api/employees/:employeeId/password', async (req, res) => {
+const changePasswordSchema = {
+    params: employeeParams,
+    body: {
+        oldPassword: field.string({ required: true, trim: false, max: 200 }),
+        newPassword: field.string({ required: true, trim: false, max: 200 })
+    }
+};
+
+app.put('/api/employees/:employeeId/password', authenticateForPasswordChange, auditAs('employee.password.change', { targetType: 'employee', target: req => req.params.employeeId }), requireSelf(req => req.params.employeeId), validateRequest(changePasswordSchema), async (req, res) => {
     try {
         const { oldPassword, newPassword } = req.body;
         const { employeeId } = req.params;
 
-        if (!newPassword) return res.status(400).json({ error: 'New password is required' });
+        const problems = checkPasswordPolicy(newPassword, { employeeId });
+        if (problems.length) return res.status(400).json({ error: 'Password does not meet policy', details: problems });
+
+        const employee = await repositories.employees.get(employeeId);
+
+        if (!employee) return res.status(404).json({ error: 'Employee not found' });
+
+        const { ok } = await verifyPassword(employee.password, oldPassword);
+        if (!ok) return res.status(401).json({ error: 'Old password is incorrect' });
+
+        if (oldPassword === newPassword) {
+            return res.status(400).json({ error: 'New password must differ from the old password' });
+        }
 
-        const getParams = { TableName: EMPLOYEES_TABLE, Key: { employeeId } };
-        const employee = await dynamodb.get(getParams).promise();
+        const updated = await repositories.employees.update(employeeId, {
+            set: {
+                password: await hashPassword(newPassword),
+                passwordSet: true,
+                lastUpdated: new Date().toISOString()
+            },
+            remove: ['resetTokenHash', 'resetTokenExpiresAt']
+        });
+        noteChange(req, employee, updated);
 
-        if (!employee.Item) return res.status(404).json({ error: 'Employee not found' });
+        // Fresh tokens drop the "must change password" restriction
+        res.json({ success: true, message: 'Password updated successfully', ...issueTokens(updated) });
+    } catch (error) {
+        logger.error('Error updating password', error);
+        res.status(500).json({ error: error.message });
+    }
+});
 
-        if (employee.Item.passwordSet) {
-            if (!oldPassword) return res.status(400).json({ error: 'Old password is required' });
-            if (oldPassword !== employee.Item.password) return res.status(401).json({ error: 'Old password is incorrect' });
+// Admin-initiated reset: issues a one-time token the employee exchanges for a new password
+app.post('/api/employees/:employeeId/password/reset', authenticate, authorize('admin', 'hr'), auditAs('employee.password.reset', { targetType: 'employee', target: req => req.params.employeeId }), validateRequest({ params: employeeParams }), async (req, res) => {
+    try {
+        const { employeeId } = req.params;
+        const target = await repositories.employees.get(employeeId);
+        if (!target) return res.status(404).json({ error: 'Employee not found' });
+        // A reset token is a login, so only admins may issue one for an admin
+        if (target.role === 'admin' && req.user.role !== 'admin') {
+            return res.status(403).json({ error: 'Only admins can reset an admin\'s password' });
         }
 
-        const updateParams = {
-            TableName: EMPLOYEES_TABLE,
-            Key: { employeeId },
-            UpdateExpression: 'SET password = :password, passwordSet = :passwordSet, lastUpdated = :updated',
-            ExpressionAttributeValues: {
-                ':password': newPassword,
-                ':passwordSet': true,
-                ':updated': new Date().toISOString()
+        const { token, tokenHash, expiresAt } = generateResetToken();
+        const updated = await repositories.employees.update(employeeId, {
+            set: {
+                resetTokenHash: tokenHash,
+                resetTokenExpiresAt: expiresAt,
+                lastUpdated: new Date().toISOString()
             }
-        };
+        });
+        noteChange(req, null, { resetTokenHash: updated.resetTokenHash, resetTokenExpiresAt: updated.resetTokenExpiresAt });
 
-        await dynamodb.update(updateParams).promise();
-        res.json({ success: true, message: 'Password updated successfully' });
+        res.json({ success: true, message: 'Password reset token issued', resetToken: token, expiresAt });
     } catch (error) {
-        console.error('Error updating password:', error);
+        if (error instanceof ConditionFailedError) {
+            return res.status(404).json({ error: 'Employee not found' });
+        }
+        logger.error('Error issuing reset token', error);
         res.status(500).json({ error: error.message });
     }
 });
 
-// Get all employees
-app.get('/api/employees', async (req, res) => {
+// Redeem a reset token (no login required - the token is the credential)
+const redeemResetSchema = {
+    body: {
+        employeeId: employeeIdField({ required: true }),
+        token: field.string({ required: true, max: 512 }),
+        newPassword: field.string({ required: true, trim: false, max: 200 })
+    }
+};
+
+app.post('/api/password/reset', auditAs('employee.password.redeem', {
+    targetType: 'employee',
+    target: req => req.body && req.body.employeeId,
+    actor: req => req.body && req.body.employeeId
+}), validateRequest(redeemResetSchema), async (req, res) => {
     try {
-        const result = await dynamodb.scan({ TableName: EMPLOYEES_TABLE }).promise();
-        res.json(result.Items || []);
+        const { employeeId, token, newPassword } = req.body;
+
+        const problems = checkPasswordPolicy(newPassword, { employeeId });
+        if (problems.length) return res.status(400).json({ error: 'Password does not meet policy', details: problems });
+
+        const employee = await repositories.employees.get(employeeId);
+        if (employee) req.audit.orgId = orgOf(employee);
+        if (!employee || !verifyResetToken(employee, token)) {
+            return res.status(400).json({ error: 'Invalid or expired reset token' });
+        }
+
+        // Conditioning on the token hash makes the token single-use even under concurrent redemption
+        await repositories.employees.update(employeeId, {
+            set: {
+                password: await hashPassword(newPassword),
+                passwordSet: true,
+                failedLoginAttempts: 0,
+                lastUpdated: new Date().toISOString()
+            },
+            remove: ['resetTokenHash', 'resetTokenExpiresAt', 'lockedUntil']
+        }, { expect: { resetTokenHash: employee.resetTokenHash } });
+
+        res.json({ success: true, message: 'Password has been reset' });
     } catch (error) {
-        console.error('Error fetching employees:', error);
+        if (error instanceof ConditionFailedError) {
+            return res.status(400).json({ error: 'Invalid or expired reset token' });
+        }
+        logger.error('Error resetting password', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get all employees, optionally filtered: ?department=&role=&status=active|inactive&managerId=&q=
+const listEmployeesSchema = {
+    query: {
+        department: field.string({ max: 100 }),
+        role: field.string({ oneOf: ROLES }),
+        status: field.string({ oneOf: EMPLOYEE_STATUSES }),
+        managerId: employeeIdField(),
+        q: field.string({ max: 100 })
+    }
+};
+
+app.get('/api/employees', authenticate, authorize(...PRIVILEGED_ROLES), validateRequest(listEmployeesSchema), async (req, res) => {
+    try {
+        const employees = filterEmployees(await repositories.employees.list(), req.query)
+            .sort((a, b) => a.employeeId.localeCompare(b.employeeId));
+        res.json(employees.map(stripCredentials));
+    } catch (error) {
+        logger.error('Error fetching employees', error);
         res.status(500).json({ error: error.message });
     }
 });
 
 // Get single employee
-app.get('/api/employees/:employeeId', async (req, res) => {
+app.get('/api/employees/:employeeId', authenticate, validateRequest({ params: employeeParams }), requireSelfOrPrivileged(req => req.params.employeeId), async (req, res) => {
     try {
-        const params = { TableName: EMPLOYEES_TABLE, Key: { employeeId: req.params.employeeId } };
-        const result = await dynamodb.get(params).promise();
-        if (result.Item) res.json(result.Item);
+        const employee = await repositories.employees.get(req.params.employeeId);
+        if (employee) res.json(stripCredentials(employee));
         else res.status(404).json({ error: 'Employee not found' });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
+// Effective shift and time zone for an employee, and the shift date attendance is currently keyed by
+app.get('/api/employees/:employeeId/schedule', authenticate, validateRequest({ params: employeeParams }), requireSelfOrPrivileged(req => req.params.employeeId), async (req, res) => {
+    try {
+        const employee = await repositories.employees.get(req.params.employeeId);
+        if (!employee) return res.status(404).json({ error: 'Employee not found' });
+
+        const { shift, timeZone } = await schedules.scheduleFor(employee);
+        res.json({
+            success: true,
+            employeeId: employee.employeeId,
+            timezone: timeZone,
+            shift,
+            shiftDate: shiftDateFor(Date.now(), shift, timeZone)
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Assign a time zone and/or shift; null clears the field (falls back to the organisation defaults)
+// null clears a field, so both are optional strings here; checkSchedule resolves them
+const scheduleSchema = {
+    params: employeeParams,
+    body: { timezone: field.string({ max: 64 }), shiftId: field.string({ max: 64 }) }
+};
+
+app.put('/api/employees/:employeeId/schedule', authenticate, authorize('admin', 'hr'), auditAs('employee.schedule.update', { targetType: 'employee', target: req => req.params.employeeId }), validateRequest(scheduleSchema), async (req, res) => {
+    try {
+        const { employeeId } = req.params;
+        const { timezone, shiftId } = req.body || {};
+        if (timezone === undefined && shiftId === undefined) {
+            return res.status(400).json({ error: 'timezone or shiftId is required' });
+        }
+
+        const scheduleError = await checkSchedule({ timezone, shiftId });
+        if (scheduleError) return res.status(400).json({ error: scheduleError });
+
+        const set = { lastUpdated: new Date().toISOString() };
+        const remove = [];
+        [['timezone', timezone], ['shiftId', shiftId]].forEach(([field, value]) => {
+            if (value === null) remove.push(field);
+            else if (value !== undefined) set[field] = value;
+        });
+
+        const before = await repositories.employees.get(employeeId);
+        const updated = await repositories.employees.update(employeeId, { set, remove });
+        noteChange(req, before && { timezone: before.timezone, shiftId: before.shiftId }, { timezone: updated.timezone, shiftId: updated.shiftId });
+        res.json({ success: true, message: 'Schedule updated', employee: stripCredentials(updated) });
+    } catch (error) {
+        if (error instanceof ConditionFailedError) return res.status(404).json({ error: 'Employee not found' });
+        logger.error('Error updating schedule', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // Login
-app.post('/api/login', async (req, res) => {
+const loginSchema = {
+    body: {
+        employeeId: field.string({ required: true, max: 64 }),
+        password: field.string({ required: true, trim: false, max: 200 })
+    }
+};
+
+app.post('/api/login', auditAs('auth.login', {
+    targetType: 'employee',
+    target: req => req.body && req.body.employeeId,
+    actor: req => req.body && req.body.employeeId
+}), validateRequest(loginSchema), async (req, res) => {
     try {
         const { employeeId, password } = req.body;
-        if (!employeeId || !password) return res.status(400).json({ error: 'Employee ID and password are required' });
 
-        const params = { TableName: EMPLOYEES_TABLE, Key: { employeeId } };
-        const result = await dynamodb.get(params).promise();
+        const employee = await repositories.employees.get(employeeId);
+
+        if (!employee) {
+            // Same scrypt work as a wrong password, so response times do not reveal which IDs exist
+            await verifyPassword(DUMMY_PASSWORD_HASH, password);
+            return res.status(401).json({ error: 'Invalid credentials', code: 'INVALID_CREDENTIALS' });
+        }
+        // Failed attempts belong in the employee's own organisation's trail
+        req.audit.orgId = orgOf(employee);
+
+        const now = new Date();
+        if (isLocked(employee, now)) {
+            return res.status(423).json({ error: 'Account temporarily locked. Try again later.', code: 'ACCOUNT_LOCKED', lockedUntil: employee.lockedUntil });
+        }
 
-        if (!result.Item || password !== result.Item.password) {
-            return res.status(401).json({ error: 'Invalid credentials' });
+        const { ok, needsRehash } = await verifyPassword(employee.password, password);
+
+        if (!ok) {
+            const attempts = (employee.failedLoginAttempts || 0) + 1;
+            const locking = attempts >= MAX_LOGIN_ATTEMPTS;
+            await repositories.employees.update(employeeId, {
+                set: {
+                    failedLoginAttempts: locking ? 0 : attempts,
+                    lockedUntil: locking ? lockoutUntil(now) : null
+                }
+            });
+
+            if (locking) {
+                return res.status(423).json({ error: 'Too many failed attempts. Account temporarily locked.', code: 'ACCOUNT_LOCKED' });
+            }
+            return res.status(401).json({ error: 'Invalid credentials', code: 'INVALID_CREDENTIALS' });
+        }
+
+        if (employee.isActive === false) {
+            return res.status(403).json({ error: 'Account is deactivated', code: 'ACCOUNT_DEACTIVATED' });
+        }
+        const refused = await organisations.admit(orgOf(employee), req.headers.origin);
+        if (refused) return res.status(403).json(refused);
+
+        // Successful login: clear lockout state and transparently upgrade plaintext/legacy hashes
+        if (needsRehash || employee.failedLoginAttempts || employee.lockedUntil) {
+            const set = { failedLoginAttempts: 0 };
+            if (needsRehash) set.password = await hashPassword(password);
+            await repositories.employees.update(employeeId, { set, remove: ['lockedUntil'] });
         }
 
-        const { password: _, ...employeeData } = result.Item;
         res.json({
             success: true,
             message: 'Login successful',
-            employee: employeeData,
-            requiresPasswordChange: !result.Item.passwordSet
+            employee: stripCredentials(employee),
+            ...issueTokens(employee),
+            requiresPasswordChange: !employee.passwordSet
         });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
+// Exchange a refresh token for a new access/refresh token pair
+app.post('/api/token/refresh', skipAudit, validateRequest({ body: { refreshToken: field.string({ required: true, max: 4096 }) } }), async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        let payload;
+        try {
+            payload = verifyRefreshToken(refreshToken);
+        } catch (err) {
+            return res.status(401).json({ error: 'Invalid or expired refresh token', code: 'INVALID_REFRESH_TOKEN' });
+        }
+
+        // Re-read the employee so role changes and deactivation take effect on refresh
+        const employee = await repositories.employees.get(payload.employeeId);
+
+        if (!employee || employee.isActive === false) {
+            return res.status(401).json({ error: 'Invalid or expired refresh token', code: 'INVALID_REFRESH_TOKEN' });
+        }
+        const refused = await organisations.admit(orgOf(employee), req.headers.origin);
+        if (refused) return res.status(403).json(refused);
+
+        res.json({ success: true, ...issueTokens(employee) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // ==========================================
 // 4. LOCATION TRACKING ENDPOINTS (FIXED)
 // ==========================================
 
+// Post-write work for accepted points: live map broadcast, spoofing review entries, geofence
+// enter/exit evaluation and alert rules (flagged points are left out of both). Out-of-session points
+// (tracking policy "tag") are stored but not broadcast, queued for review or evaluated. None may
+// fail an upload that is already stored.
+const afterPointsAccepted = async (employee, items) => {
+    if (!items.length) return;
+    try {
+        analytics.invalidate('locations', [...new Set(items.map(item => item.date))]);
+        const onDuty = items.filter(isOnDuty);
+        [...onDuty]
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+            .forEach(item => liveFeed.publish('location', employee, item));
+
+        await spoofing.recordFlags(employee, onDuty.filter(item => item.flags), 'location');
+        const trusted = onDuty.filter(item => !item.flags);
+        const events = await geofencing.processPoints(employee, trusted);
+        if (events.length) analytics.invalidate('geofences', [...new Set(trusted.map(item => item.date))]);
+        await alerts.onPoints(employee, trusted, events);
+    } catch (error) {
+        logger.error('Post-ingest processing failed', { employeeId: employee.employeeId, err: error });
+    }
+};
+
 // Record location (CONSOLIDATED ENDPOINT - NO DUPLICATES)
-app.post('/api/locations', async (req, res) => {
-    console.log("📍 LOCATION REQUEST RECEIVED:", req.body);
+// Location and attendance requests must come from the employee's registered device (X-Device-Id)
+// employeeId may be omitted; requireSelfBody fills it from the token
+const locationSchema = { body: { employeeId: employeeIdField(), ...pointFields } };
 
+app.post('/api/locations', skipAudit, authenticate, validateRequest(locationSchema), requireSelfBody, requireRegisteredDevice, async (req, res) => {
     try {
-        const { employeeId, latitude, longitude, speed, accuracy } = req.body;
+        const { employeeId } = req.body;
+        const { employee } = req;
+
+        // capturedAt (device time) and pointId (idempotency key) are optional for live points.
+        // Points are filed under the employee's local date.
+        const timeZone = await schedules.timeZoneFor(employee);
+        const { item, errors } = normalizePoint(req.body, {
+            employeeId,
+            dateOf: (ms) => getDateString(new Date(ms), timeZone)
+        });
 
-        if (!employeeId || !latitude || !longitude) {
-            console.log("❌ Missing Data:", req.body);
-            return res.status(400).json({ error: 'Missing required fields' });
+        if (errors) {
+            locationPoints.inc({ outcome: 'rejected' });
+            return res.status(400).json({ error: 'Invalid location', details: errors });
         }
 
-        const now = new Date();
-        const timestamp = now.getTime();
-        // Uses the hoisted helper function safely
-        const dateStr = getTodayDateString();
-
-        const params = {
-            TableName: LOCATION_TABLE,
-            Item: {
-                'locationId': `${employeeId}_${timestamp}`,
-                'employeeId': employeeId,
-                'latitude': parseFloat(latitude),
-                'longitude': parseFloat(longitude),
-                'speed': speed || 0,
-                'accuracy': accuracy || 0,
-                'recordedAt': now.toISOString(),
-                'date': dateStr,
-                'timestamp': timestamp.toString()
+        // The employee's tracking policy decides what happens to points outside its window
+        const { policy, rejected, reason } = await tracking.applyPolicy(employee, [item]);
+        if (rejected.length) {
+            locationPoints.inc({ outcome: 'rejected' });
+            return res.status(403).json({ error: reason, code: 'OUTSIDE_TRACKING_WINDOW', details: [{ field: 'capturedAt', message: reason }] });
+        }
+
+        // Suspicious points are stored with `flags` and queued for review, not rejected
+        await spoofing.inspectPoints(employeeId, [{ item, raw: req.body }]);
+
+        try {
+            await repositories.locations.put(item);
+        } catch (error) {
+            if (error instanceof ConditionFailedError) {
+                locationPoints.inc({ outcome: 'duplicate' });
+                return res.json({ success: true, duplicate: true, pointId: item.pointId, trackingConfigVersion: policy.version });
             }
-        };
+            throw error;
+        }
 
-        await dynamodb.put(params).promise();
-        console.log(`✅ Location Saved: ${employeeId}`);
-        res.json({ success: true });
+        locationPoints.inc({ outcome: 'accepted' });
+        await afterPointsAccepted(employee, [item]);
+
+        // The app re-reads GET /api/tracking/config when this differs from the version it has
+        res.json({ success: true, pointId: item.pointId, ...(item.outOfSession && { outOfSession: true }), trackingConfigVersion: policy.version });
 
     } catch (error) {
-        console.error('❌ CRITICAL DB ERROR:', error);
+        logger.error('Error saving location', error);
         res.status(500).json({ error: error.message });
     }
 });
 
-// Get latest locations (one per employee)
-app.get('/api/locations/latest', async (req, res) => {
+// Record a batch of queued points (offline sync). Each point carries its own capturedAt and pointId.
+// Points are validated one by one (see normalizePoint) so one bad fix does not sink the batch
+const batchSchema = { body: { employeeId: employeeIdField(), points: field.array({ required: true, min: 1, items: describe(pointFields) }) } };
+
+app.post('/api/locations/batch', skipAudit, authenticate, validateRequest(batchSchema), requireSelfBody, requireRegisteredDevice, async (req, res) => {
     try {
-        const result = await dynamodb.scan({ TableName: LOCATION_TABLE }).promise();
-        const locations = result.Items || [];
-
-        const latestLocations = {};
-        locations.forEach(location => {
-            if (!latestLocations[location.employeeId] ||
-                new Date(location.timestamp) > new Date(latestLocations[location.employeeId].timestamp)) {
-                latestLocations[location.employeeId] = location;
+        const { employeeId, points } = req.body;
+
+        if (points.length > MAX_BATCH_POINTS) {
+            return res.status(413).json({ error: `A batch may contain at most ${MAX_BATCH_POINTS} points` });
+        }
+
+        const now = new Date();
+        const { employee } = req;
+        const timeZone = await schedules.timeZoneFor(employee);
+        const dateOf = (ms) => getDateString(new Date(ms), timeZone);
+        const results = [];
+        const toWrite = new Map();
+        const raws = new Map();
+
+        points.forEach((point, index) => {
+            const { item, errors } = normalizePoint(point, { employeeId, now, dateOf });
+            if (errors) {
+                results.push({ index, pointId: point && point.pointId, status: 'rejected', errors });
+            } else if (toWrite.has(item.locationId)) {
+                // Same pointId twice in one batch: keep the first
+                results.push({ index, pointId: item.pointId, status: 'duplicate' });
+            } else {
+                toWrite.set(item.locationId, item);
+                raws.set(item.locationId, point);
+                results.push({ index, pointId: item.pointId, locationId: item.locationId });
             }
         });
 
-        const latestArray = Object.values(latestLocations);
-        latestArray.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+        // Points outside the tracking policy's window are refused or tagged outOfSession
+        const { policy, rejected, reason } = await tracking.applyPolicy(employee, [...toWrite.values()]);
+        const refused = new Set(rejected.map(item => item.locationId));
+        refused.forEach(locationId => toWrite.delete(locationId));
+        results.filter(result => refused.has(result.locationId)).forEach(result => {
+            result.status = 'rejected';
+            result.code = 'OUTSIDE_TRACKING_WINDOW';
+            result.errors = [{ field: 'capturedAt', message: reason }];
+            delete result.locationId;
+        });
+
+        await spoofing.inspectPoints(employeeId, [...toWrite.values()].map(item => ({ item, raw: raws.get(item.locationId) })));
+
+        const { written, duplicates } = toWrite.size
+            ? await repositories.locations.putMany([...toWrite.values()])
+            : { written: [], duplicates: [] };
+        const duplicateIds = new Set(duplicates);
+
+        await afterPointsAccepted(employee, written.map(locationId => toWrite.get(locationId)));
+
+        results.forEach(result => {
+            if (result.locationId) {
+                result.status = duplicateIds.has(result.locationId) ? 'duplicate' : 'accepted';
+                if (toWrite.get(result.locationId).outOfSession) result.outOfSession = true;
+                delete result.locationId;
+            }
+        });
+
+        const count = (status) => results.filter(result => result.status === status).length;
+        ['accepted', 'duplicate', 'rejected'].forEach(outcome => locationPoints.inc({ outcome }, count(outcome)));
+        logger.debug('Location batch saved', { employeeId, points: points.length, accepted: count('accepted') });
+
+        res.json({
+            success: true,
+            accepted: count('accepted'),
+            duplicates: count('duplicate'),
+            rejected: count('rejected'),
+            trackingConfigVersion: policy.version,
+            results
+        });
+    } catch (error) {
+        logger.error('Error saving location batch', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Review queue for points flagged as possibly spoofed
+app.use('/api/locations/flags', require('./routes/locationFlags'));
+
+// Get latest locations (one per employee)
+app.get('/api/locations/latest', authenticate, authorize(...PRIVILEGED_ROLES), auditAs('location.latest.read'), async (req, res) => {
+    try {
+        // Reads the maintained one-row-per-employee record instead of scanning every point
+        const latestArray = await repositories.locations.listLatest();
+        latestArray.sort((a, b) => Number(b.timestamp) - Number(a.timestamp));
         res.json(latestArray);
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -320,91 +695,136 @@ app.get('/api/locations/latest', async (req, res) => {
 });
 
 // server.js - New endpoint for daily historical logs
-app.get('/api/locations/history/:employeeId', async (req, res) => {
+// ?simplify=true&tolerance=metres returns a Douglas-Peucker simplified track (stops keep full detail)
+const historySchema = { params: employeeParams, query: { ...pageQuery, ...simplifyQuery, date: field.date() } };
+
+app.get('/api/locations/history/:employeeId', authenticate, auditAs('location.history.read', { targetType: 'employee', target: req => req.params.employeeId }), validateRequest(historySchema), requireSelfOrPrivileged(req => req.params.employeeId), async (req, res, next) => {
     try {
         const { employeeId } = req.params;
-        const { date } = req.query; // Expecting YYYY-MM-DD
+        const { date } = req.query; // YYYY-MM-DD
 
-        if (!employeeId || !date) {
-            return res.status(400).json({ error: 'Employee ID and Date are required' });
+        if (!date && req.query.from === undefined && req.query.to === undefined) {
+            return res.status(400).json({
+                error: 'date or from/to is required',
+                code: 'VALIDATION_FAILED',
+                details: [{ field: 'date', location: 'query', message: 'date or from/to is required' }]
+            });
         }
 
-        const params = {
-            TableName: 'EmployeeLocation',
-            FilterExpression: 'employeeId = :eid AND #d = :date',
-            ExpressionAttributeNames: {
-                '#d': 'date'
-            },
-            ExpressionAttributeValues: {
-                ':eid': employeeId,
-                ':date': date
-            }
-        };
+        const page = parsePageQuery(req.query, { defaultLimit: 1000, maxLimit: 5000 });
+        if (page.error) return invalidQuery(res, page.error, [{ message: page.error }]);
 
-        const result = await dynamodb.scan(params).promise();
+        // A date narrows the range to that day in the employee's time zone
+        const timeZone = date && await schedules.timeZoneFor(await repositories.employees.get(employeeId));
+        const range = date ? getDayRange(date, timeZone) : { from: page.from, to: page.to };
 
-        // Sort by recordedAt to ensure the polyline follows the path correctly
-        const sortedLogs = (result.Items || []).sort((a, b) =>
-            new Date(a.recordedAt) - new Date(b.recordedAt)
-        );
+        // Query is ordered by timestamp so the polyline follows the path correctly
+        const { items, nextCursor } = await repositories.locations.queryByEmployee(employeeId, {
+            ...range,
+            limit: page.limit,
+            cursor: page.cursor,
+            order: 'asc'
+        });
 
-        res.json(sortedLogs);
+        // Out-of-session points (tracking policy "tag") are never shown, so a page may come up short
+        res.json({ success: true, ...simplifyPage(items.filter(isOnDuty), req.query), nextCursor });
     } catch (error) {
-        console.error('Error fetching history:', error);
+        if (error instanceof InvalidCursorError) return next(error);
+        logger.error('Error fetching history', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Trip summary: distance, moving/idle time, stops and speeds per day (?date= or ?from=&to=)
+// Optional tuning: ?maxAccuracy=metres&stopRadius=metres&stopMinutes=n
+const summarySchema = {
+    params: employeeParams,
+    query: {
+        ...dateRangeQuery,
+        maxAccuracy: field.number({ positive: true }),
+        stopRadius: field.number({ positive: true }),
+        stopMinutes: field.number({ positive: true })
+    }
+};
+
+app.get('/api/locations/summary/:employeeId', authenticate, auditAs('location.summary.read', { targetType: 'employee', target: req => req.params.employeeId }), validateRequest(summarySchema), requireSelfOrPrivileged(req => req.params.employeeId), async (req, res) => {
+    try {
+        const { employeeId } = req.params;
+        const employee = await repositories.employees.get(employeeId);
+        const range = tracks.parseDateRange(req.query, await schedules.timeZoneFor(employee));
+        if (range.error) return res.status(400).json({ error: range.error });
+
+        const { maxAccuracy, stopRadius, stopMinutes } = req.query;
+        const options = {};
+        if (maxAccuracy) options.maxAccuracyMeters = maxAccuracy;
+        if (stopRadius) options.stopRadiusMeters = stopRadius;
+        if (stopMinutes) options.stopMinSeconds = stopMinutes * 60;
+
+        const points = await tracks.loadTrack(employeeId, { from: range.fromMs, to: range.toMs });
+        const byDate = tracks.groupByDate(points);
+
+        const days = range.dates.map(date => ({ date, ...summarizeTrack(byDate[date] || [], options) }));
+
+        res.json({
+            success: true,
+            employeeId,
+            from: range.from,
+            to: range.to,
+            days,
+            totals: combineSummaries(days)
+        });
+    } catch (error) {
+        if (error instanceof RangeError) return res.status(413).json({ error: error.message });
+        logger.error('Error building trip summary', error);
         res.status(500).json({ error: error.message });
     }
 });
 
 // Get location history for specific employee
-app.get('/api/employees/:employeeId/locations', async (req, res) => {
+app.get('/api/employees/:employeeId/locations', authenticate, auditAs('location.history.read', { targetType: 'employee', target: req => req.params.employeeId }), validateRequest({ params: employeeParams, query: { ...pageQuery, ...simplifyQuery } }), requireSelfOrPrivileged(req => req.params.employeeId), async (req, res, next) => {
     try {
-        const { limit = 50 } = req.query;
-        const params = {
-            TableName: LOCATION_TABLE,
-            FilterExpression: 'employeeId = :employeeId',
-            ExpressionAttributeValues: { ':employeeId': req.params.employeeId },
-            Limit: parseInt(limit) // Note: Scan limit applies before filtering in DynamoDB, for full accuracy query with GSI is better but Scan works for small data
-        };
-
-        const result = await dynamodb.scan(params).promise();
-        let locations = result.Items || [];
-        locations.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-        res.json(locations);
+        const page = parsePageQuery(req.query, { defaultLimit: 50, maxLimit: 1000 });
+        if (page.error) return invalidQuery(res, page.error, [{ message: page.error }]);
+
+        // Newest first. Limit applies to the key query itself; pages come up short only where
+        // out-of-session points are left out
+        const { items, nextCursor } = await repositories.locations.queryByEmployee(req.params.employeeId, {
+            from: page.from,
+            to: page.to,
+            limit: page.limit,
+            cursor: page.cursor,
+            order: 'desc'
+        });
+
+        res.json({ success: true, ...simplifyPage(items.filter(isOnDuty), req.query, { order: 'desc' }), nextCursor });
     } catch (error) {
+        if (error instanceof InvalidCursorError) return next(error);
         res.status(500).json({ error: error.message });
     }
 });
 
-app.get('/api/admin/stats', async (req, res) => {
+// Today's headline counts for the dashboard (as strings, which the dashboard expects). Date-range
+// trends live under /api/admin/analytics.
+app.get('/api/admin/stats', authenticate, authorize(...PRIVILEGED_ROLES), async (req, res) => {
     try {
-        const today = getISTDateString(); // "2026-01-31"
+        const today = await schedules.today(); // "2026-01-31" in the organisation time zone
 
         // 1. Fetch Total Employees
-        const employeesResult = await dynamodb.scan({
-            TableName: EMPLOYEES_TABLE,
-            Select: 'COUNT'
-        }).promise();
-        const totalEmployees = employeesResult.Count || 0;
-
-        // 2. Fetch Today's Attendance
-        const attendanceResult = await dynamodb.scan({
-            TableName: ATTENDANCE_TABLE,
-            FilterExpression: '#d = :today',
-            ExpressionAttributeNames: { '#d': 'date' },
-            ExpressionAttributeValues: { ':today': today }
-        }).promise();
-
-        const attendanceRecords = attendanceResult.Items || [];
+        const totalEmployees = await repositories.employees.count();
+
+        // 2. Fetch Today's Attendance (plus yesterday's, for overnight shifts still running)
+        const attendanceRecords = await repositories.attendance.listByDate(today);
+        const yesterdayRecords = await repositories.attendance.listByDate(addDays(today, -1));
 
         // 3. Calculate Stats
         const presentToday = attendanceRecords.length;
 
         // ACTIVE NOW LOGIC:
-        // Includes anyone who has clocked in today but does NOT have a clockOutTime yet.
-        const activeNow = attendanceRecords.filter(record => {
-            // Check if clockInTime exists and clockOutTime is null, undefined, or empty string
-            return record.clockInTime && (!record.clockOutTime || record.clockOutTime === "");
-        }).length;
+        // Includes anyone clocked in or on a break (open session)
+        const activeNow = attendanceRecords.filter(isOpen).length + yesterdayRecords.filter(isOpen).length;
+
+        // 4. Leave requests awaiting a decision
+        const pendingLeave = (await repositories.leave.listByStatus('pending')).length;
 
         res.json({
             success: true,
@@ -412,151 +832,264 @@ app.get('/api/admin/stats', async (req, res) => {
                 employees: totalEmployees.toString(),
                 present: presentToday.toString(),
                 active: activeNow.toString(),
-                leave_pending: "0" // Placeholder
+                leave_pending: pendingLeave.toString()
             }
         });
 
     } catch (error) {
-        console.error('Error fetching admin stats:', error);
+        logger.error('Error fetching admin stats', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Geofence enter/exit events for one employee (?from=&to=, newest first, cursor paginated)
+app.get('/api/employees/:employeeId/geofence-events', authenticate, auditAs('location.geofence-events.read', { targetType: 'employee', target: req => req.params.employeeId }), validateRequest({ params: employeeParams, query: pageQuery }), requireSelfOrPrivileged(req => req.params.employeeId), async (req, res, next) => {
+    try {
+        const page = parsePageQuery(req.query, { defaultLimit: 100, maxLimit: 1000 });
+        if (page.error) return invalidQuery(res, page.error, [{ message: page.error }]);
+
+        const { items, nextCursor } = await repositories.geofenceEvents.queryByEmployee(req.params.employeeId, {
+            ...page,
+            order: 'desc'
+        });
+
+        res.json({ success: true, events: items, nextCursor });
+    } catch (error) {
+        if (error instanceof InvalidCursorError) return next(error);
+        logger.error('Error fetching geofence events', error);
         res.status(500).json({ error: error.message });
     }
 });
 
+// Geofence definitions (CRUD)
+app.use('/api/geofences', require('./routes/geofences'));
+
+// Tracking config for the apps and the per-role/department policies behind it
+app.use('/api/tracking', require('./routes/tracking'));
+
+// Customer sites and field visits (check-in/out, notes, photos, inferred stops, daily report)
+app.use('/api/sites', require('./routes/sites'));
+app.use('/api/visits', require('./routes/visits'));
+
+// GPX / KML / GeoJSON track exports
+app.use('/api/exports', require('./routes/exports'));
+
+// Live location / attendance stream for the admin map (Server-Sent Events)
+app.use('/api/live', require('./routes/live'));
+
+// Attendance reports (JSON / CSV / XLSX)
+app.use('/api/reports', require('./routes/reports'));
+
+// Dashboard analytics over a date range (trends, hours, distance, heatmap, geofence visits)
+app.use('/api/admin/analytics', require('./routes/analytics'));
+
+// Audit trail query and export
+app.use('/api/admin/audit', require('./routes/audit'));
+
+// Location retention: archive runs and archived-day reads
+app.use('/api/admin/retention', require('./routes/retention'));
+
+// Alert rules, alert history and acknowledgement
+app.use('/api/alerts', require('./routes/alerts'));
+
+// Employee profile updates, deactivation, teams and CSV import
+app.use('/api/employees', require('./routes/employees'));
+
+// Shift definitions (may span midnight)
+app.use('/api/shifts', require('./routes/shifts'));
+
+// Leave types, balances and requests
+app.use('/api/leave', require('./routes/leave'));
+
+// Organisations (tenants) and their settings
+app.use('/api/organisations', require('./routes/organisations'));
+
+// OpenAPI document and interactive explorer (API_DOCS_ENABLED=false hides them)
+if (process.env.API_DOCS_ENABLED !== 'false') {
+    app.use('/api/docs', require('./routes/docs'));
+}
+
 // ==========================================
 // 5. ATTENDANCE ENDPOINTS
 // ==========================================
 
-// CLOCK IN
-app.post('/api/attendance/clockin', async (req, res) => {
+// Lifecycle: clocked-out -> clockin -> clocked-in <-> (break/start, break/end) on-break -> clockout -> clocked-out.
+// A day may hold several sessions; each transition is applied by services/attendance.js.
+
+// Geofence and spoofing checks for a clock-in/out location.
+// Returns { point, fence, anomalies } or { status, error }.
+const checkAttendanceLocation = async (employee, body) => {
+    const located = await geofencing.checkAttendanceLocation(employee, body);
+    if (located.error || !located.point) return { ...located, anomalies: [] };
+
+    const { anomalies, error, status } = await spoofing.checkAttendancePoint(employee.employeeId, located.point, body);
+    return error ? { error, status } : { ...located, anomalies };
+};
+
+// Queues a flagged clock-in/out location for review once the transition is stored
+const flagAttendanceLocation = async (employee, record, { point, anomalies }, body, source) => {
+    if (!anomalies.length) return;
+    await spoofing.recordFlags(employee, [{
+        ...point,
+        accuracy: Number(body.accuracy) || 0,
+        date: record.date,
+        recordedAt: new Date().toISOString(),
+        flags: anomalies
+    }], source);
+};
+
+// Attendance actions are recorded against the employee whose record they change
+const auditAttendance = (action) => auditAs(action, {
+    targetType: 'attendance',
+    target: req => (req.body && req.body.employeeId) || req.user.employeeId
+});
+
+// CLOCK IN (starts a new session; allowed again after clocking out)
+app.post('/api/attendance/clockin', authenticate, auditAttendance('attendance.clockin'), validateRequest({ body: attendanceFields }), requireSelfBody, requireRegisteredDevice, async (req, res) => {
     try {
-        const { employeeId } = req.body;
-        const dateStr = getISTDateString();
-        const attendanceId = `${employeeId}_${dateStr}`;
-
-        const params = {
-            TableName: ATTENDANCE_TABLE,
-            Item: {
-                attendanceId: attendanceId,
-                employeeId: employeeId,
-                clockInTime: getISTTimestamp(),
-                status: 'completed',
-                date: dateStr
-            },
-            ConditionExpression: 'attribute_not_exists(attendanceId)'
-        };
+        const { employee } = req;
 
-        await dynamodb.put(params).promise();
-        res.json({ success: true, message: 'Clocked in successfully', time: params.Item.clockInTime });
+        const { point, fence, anomalies, error, status } = await checkAttendanceLocation(employee, req.body);
+        if (error) return res.status(status).json({ error });
+
+        const result = await attendanceService.transition(employee, 'clockIn', {
+            details: {
+                ...(point && { clockInLocation: point }),
+                ...(fence && { clockInGeofenceId: fence.geofenceId, clockInSite: fence.site || fence.name }),
+                ...(anomalies.length && { clockInFlags: anomalies.map(anomaly => anomaly.type) })
+            }
+        });
+        if (result.error) return res.status(result.status).json({ error: result.error, state: result.state });
+
+        const { record } = result;
+        req.audit.details = { date: record.date, state: record.state };
+        const session = record.sessions[record.sessions.length - 1];
+        await flagAttendanceLocation(employee, record, { point, anomalies }, req.body, 'clockin');
+        liveFeed.publish('clockin', employee, record);
+        alerts.onClockIn(employee, record).catch(error => logger.error('Late clock-in check failed', { employeeId: employee.employeeId, err: error }));
+
+        res.json({
+            success: true,
+            message: 'Clocked in successfully',
+            time: session.clockIn,
+            date: record.date,
+            state: record.state,
+            session: record.sessions.length,
+            site: session.clockInSite || null
+        });
     } catch (error) {
-        if (error.code === 'ConditionalCheckFailedException') {
-            return res.status(400).json({ error: 'Already clocked in for today.' });
-        }
         res.status(500).json({ error: error.message });
     }
 });
 
-// CLOCK OUT (FIXED)
-app.post('/api/attendance/clockout', async (req, res) => {
+// CLOCK OUT (closes the open session, ending any running break)
+app.post('/api/attendance/clockout', authenticate, auditAttendance('attendance.clockout'), validateRequest({ body: attendanceFields }), requireSelfBody, requireRegisteredDevice, async (req, res) => {
     try {
-        const { employeeId } = req.body;
-        const todayStr = getISTDateString(); // "2026-01-31"
-        console.log(`🕒 Clock-out request for: ${employeeId}`);
-
-        // 1. Find the record for TODAY specifically
-        const scanParams = {
-            TableName: ATTENDANCE_TABLE,
-            FilterExpression: "employeeId = :eid AND #d = :today",
-            ExpressionAttributeNames: { "#d": "date" },
-            ExpressionAttributeValues: { ":eid": employeeId, ":today": todayStr }
-        };
+        const { employee } = req;
 
-        const result = await dynamodb.scan(scanParams).promise();
+        const { point, fence, anomalies, error, status } = await checkAttendanceLocation(employee, req.body);
+        if (error) return res.status(status).json({ error });
 
-        if (!result.Items || result.Items.length === 0) {
-            return res.status(404).json({ error: "No attendance record found for today." });
-        }
-
-        const session = result.Items[0];
-        const istNow = getISTTimestamp();
-
-        // 2. Use the exact keys to update
-        const dbKey = {
-            'employeeId': session.employeeId,
-            'date': session.date
-        };
-
-        const updateParams = {
-            TableName: ATTENDANCE_TABLE,
-            Key: dbKey,
-            // 'set clockOutTime = :t' adds the new column
-            UpdateExpression: "set clockOutTime = :t, #s = :status",
-            ExpressionAttributeNames: { "#s": "status" },
-            ExpressionAttributeValues: {
-                ":t": istNow,
-                ":status": "present" // Keeping 'completed' so the app stops tracking
-            },
-            ReturnValues: "ALL_NEW"
-        };
+        const result = await attendanceService.transition(employee, 'clockOut', {
+            details: {
+                ...(point && { clockOutLocation: point }),
+                ...(fence && { clockOutGeofenceId: fence.geofenceId, clockOutSite: fence.site || fence.name }),
+                ...(anomalies.length && { clockOutFlags: anomalies.map(anomaly => anomaly.type) })
+            }
+        });
+        if (result.error) return res.status(result.status).json({ error: result.error, state: result.state });
 
-        const updateResult = await dynamodb.update(updateParams).promise();
-        console.log("✅ Saved to DynamoDB:", updateResult.Attributes);
+        const { record } = result;
+        req.audit.details = { date: record.date, state: record.state };
+        await flagAttendanceLocation(employee, record, { point, anomalies }, req.body, 'clockout');
+        liveFeed.publish('clockout', employee, record);
 
         res.json({
             success: true,
             message: 'Clocked out successfully',
-            clockOutTime: istNow
+            date: record.date,
+            state: record.state,
+            clockOutTime: record.clockOutTime,
+            workedMinutes: record.workedMinutes,
+            breakMinutes: record.breakMinutes
         });
 
     } catch (error) {
-        console.error('❌ Error:', error.message);
+        logger.error('Error clocking out', error);
         res.status(500).json({ error: error.message });
     }
 });
 
-// Check Status
-app.get('/api/attendance/status/:employeeId', async (req, res) => {
+// BREAKS (only while clocked in)
+const breakHandler = (action, message) => async (req, res) => {
+    try {
+        const { employee } = req;
+
+        const result = await attendanceService.transition(employee, action);
+        if (result.error) return res.status(result.status).json({ error: result.error, state: result.state });
+
+        const { record } = result;
+        liveFeed.publish(action === 'breakStart' ? 'breakstart' : 'breakend', employee, record);
+        res.json({ success: true, message, date: record.date, state: record.state, breakMinutes: record.breakMinutes });
+    } catch (error) {
+        logger.error('Error handling attendance action', { action, err: error });
+        res.status(500).json({ error: error.message });
+    }
+};
+
+app.post('/api/attendance/break/start', authenticate, auditAttendance('attendance.break.start'), validateRequest({ body: attendanceFields }), requireSelfBody, requireRegisteredDevice, breakHandler('breakStart', 'Break started'));
+app.post('/api/attendance/break/end', authenticate, auditAttendance('attendance.break.end'), validateRequest({ body: attendanceFields }), requireSelfBody, requireRegisteredDevice, breakHandler('breakEnd', 'Break ended'));
+
+// Check Status: current lifecycle state of the employee's current (or still-open previous) shift
+app.get('/api/attendance/status/:employeeId', authenticate, validateRequest({ params: employeeParams }), requireSelfOrPrivileged(req => req.params.employeeId), async (req, res) => {
     try {
         const { employeeId } = req.params;
-        const scanParams = {
-            TableName: ATTENDANCE_TABLE,
-            FilterExpression: "employeeId = :eid AND #s = :status",
-            ExpressionAttributeNames: { "#s": "status" },
-            ExpressionAttributeValues: { ":eid": employeeId, ":status": "present" }
-        };
+        const employee = (await repositories.employees.get(employeeId)) || { employeeId };
+        const { record, date } = await attendanceService.findCurrentRecord(employee);
+        const state = stateOf(record) || STATES.CLOCKED_OUT;
 
-        const result = await dynamodb.scan(scanParams).promise();
-        const isClockedIn = result.Items && result.Items.length > 0;
+        res.json({
+            success: true,
+            date,
+            state,
+            isClockedIn: state !== STATES.CLOCKED_OUT,
+            isOnBreak: state === STATES.ON_BREAK,
+            data: record
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
 
-        res.json({ success: true, isClockedIn, data: isClockedIn ? result.Items[0] : null });
+// Close sessions left open past their shift (also runs periodically while the server is up)
+app.post('/api/attendance/auto-clockout', authenticate, authorize('admin', 'hr'), auditAs('attendance.auto-clockout'), async (req, res) => {
+    try {
+        const closed = await attendanceService.autoClockOut();
+        req.audit.details = { closed };
+        res.json({ success: true, closed });
     } catch (error) {
+        logger.error('Error running auto clock-out', error);
         res.status(500).json({ error: error.message });
     }
 });
 
+// Regularization: employees request corrected sessions, managers approve them onto the record
+app.use('/api/attendance/regularizations', require('./routes/regularizations'));
+
 // Add this to your Attendance Endpoints section in server.js
-app.get('/api/attendance/today/:employeeId', async (req, res) => {
+app.get('/api/attendance/today/:employeeId', authenticate, validateRequest({ params: employeeParams }), requireSelfOrPrivileged(req => req.params.employeeId), async (req, res) => {
     try {
         const { employeeId } = req.params;
-        const todayStr = getISTDateString(); // Gets "2026-02-03"
-
-        // We use Scan here because your table might be using 
-        // attendanceId as the Partition Key.
-        const params = {
-            TableName: ATTENDANCE_TABLE,
-            FilterExpression: "employeeId = :eid AND #d = :today",
-            ExpressionAttributeNames: { "#d": "date" },
-            ExpressionAttributeValues: {
-                ":eid": employeeId,
-                ":today": todayStr
-            }
-        };
+        // "Today" is the employee's current shift date, which for night shifts may be yesterday's calendar date
+        const employee = await repositories.employees.get(employeeId);
+        const todayStr = await schedules.currentShiftDate(employee);
 
-        const result = await dynamodb.scan(params).promise();
+        const attendance = await repositories.attendance.get(employeeId, todayStr);
 
-        if (result.Items && result.Items.length > 0) {
+        if (attendance) {
             res.json({
                 success: true,
-                attendance: result.Items[0] // Returns the record you showed me
+                attendance
             });
         } else {
             res.json({
@@ -565,81 +1098,36 @@ app.get('/api/attendance/today/:employeeId', async (req, res) => {
             });
         }
     } catch (error) {
-        console.error('Error fetching today attendance:', error);
+        logger.error('Error fetching today attendance', error);
         res.status(500).json({ error: error.message });
     }
 });
-// ==========================================
-// ADMIN DASHBOARD STATS
-// ==========================================
-app.get('/api/admin/stats', async (req, res) => {
-    try {
-        const today = getISTDateString();
-
-        // 1. Get all employees (active only)
-        const employeesResult = await dynamodb.scan({
-            TableName: EMPLOYEES_TABLE,
-            FilterExpression: 'isActive = :active',
-            ExpressionAttributeValues: { ':active': true }
-        }).promise();
-
-        const allEmployees = employeesResult.Items || [];
-        const totalEmployees = allEmployees.length;
-
-        // 2. Get today's attendance records
-        const attendanceResult = await dynamodb.scan({
-            TableName: ATTENDANCE_TABLE,
-            FilterExpression: '#d = :today',
-            ExpressionAttributeNames: { '#d': 'date' },
-            ExpressionAttributeValues: { ':today': today }
-        }).promise();
-
-        const todayAttendance = attendanceResult.Items || [];
-
-        // 3. Calculate counts
-        let presentToday = 0;
-        let activeNow = 0;
-
-        todayAttendance.forEach(record => {
-            if (record.status && record.status.toLowerCase() === 'present') {
-                presentToday++; // Count all present records
-
-                // Count as active if there's clockInTime but NO clockOutTime
-                if (record.clockInTime && !record.clockOutTime) {
-                    activeNow++;
-                }
-            }
-        });
 
-        // 4. Pending leave (placeholder - add your own logic)
-        const pendingLeave = 0;
+// Attendance history for one employee (?from=&to= as YYYY-MM-DD, cursor paginated)
+app.get('/api/attendance/history/:employeeId', authenticate, validateRequest({ params: employeeParams, query: datePageQuery }), requireSelfOrPrivileged(req => req.params.employeeId), async (req, res, next) => {
+    try {
+        const page = parseDatePageQuery(req.query);
+        if (page.error) return invalidQuery(res, page.error, [{ message: page.error }]);
 
-        res.json({
-            success: true,
-            stats: {
-                employees: totalEmployees.toString(),
-                present: presentToday.toString(),
-                active: activeNow.toString(),
-                leave_pending: pendingLeave.toString()
-            }
+        const { items, nextCursor } = await repositories.attendance.queryByEmployee(req.params.employeeId, {
+            ...page,
+            order: 'desc'
         });
 
+        res.json({ success: true, attendance: items, nextCursor });
     } catch (error) {
-        console.error('Error fetching admin stats:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        if (error instanceof InvalidCursorError) return next(error);
+        logger.error('Error fetching attendance history', error);
+        res.status(500).json({ error: error.message });
     }
 });
 
-
 // ==========================================
 // 6. UTILITIES
 // ==========================================
 
 // Seed test data
-app.post('/api/seed-test-data', async (req, res) => {
+app.post('/api/seed-test-data', authenticate, authorize('admin'), auditAs('system.seed-test-data'), async (req, res) => {
     try {
         const now = new Date();
         const testEmployees = [
@@ -648,34 +1136,40 @@ app.post('/api/seed-test-data', async (req, res) => {
         ];
 
         for (const employee of testEmployees) {
-            await dynamodb.put({ TableName: EMPLOYEES_TABLE, Item: employee }).promise();
+            const item = { ...employee, password: await hashPassword(employee.password), passwordSet: false };
+            await repositories.employees.put(item);
         }
+        req.audit.details = { employees: testEmployees.map(employee => employee.employeeId) };
 
         res.json({ success: true, message: 'Test data seeded successfully' });
     } catch (error) {
+        // Employee ids are unique across organisations
+        if (error instanceof ConditionFailedError) return res.status(409).json({ error: 'The test employee ids belong to another organisation' });
         res.status(500).json({ error: error.message });
     }
 });
 
-// Health check
-app.get('/api/health', (req, res) => {
-    res.json({
-        status: 'healthy',
-        timestamp: new Date().toISOString(),
-        service: 'Employee Location Tracker API'
-    });
-});
+// Health checks: /api/health/live (process up), /api/health/ready and /api/health (storage answers)
+app.use('/api/health', require('./routes/health'));
+
+// Prometheus metrics (METRICS_ENABLED=false hides them)
+if (process.env.METRICS_ENABLED !== 'false') {
+    app.use('/metrics', require('./routes/metrics'));
+}
 
 // Error handling
-app.use((err, req, res, next) => {
-    console.error(err.stack);
-    res.status(500).json({ error: err.message });
-});
+app.use('/api', notFound);
+app.use(errorHandler);
+
+// Start server (skipped when required by tests or scripts)
+if (require.main === module) {
+    attendanceService.startAutoClockOut();
+    retention.startArchiveJob();
+    alerts.startAlertJob();
+    visits.startInferenceJob();
+    app.listen(port, () => {
+        logger.info('Employee Location Tracker API started', { port: Number(port), backend: repositories.backend });
+    });
+}
 
-// Start server
-app.listen(port, () => {
-    console.log('========================================');
-    console.log('Employee Location Tracker API (COMPLETE)');
-    console.log(`Server running on port ${port}`);
-    console.log('========================================');
-});
\ No newline at end of file
+module.exports = app;
\ No newline at end of file
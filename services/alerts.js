@@ -0,0 +1,280 @@
+const repositories = require('../repositories');
+const schedules = require('./schedules');
+const liveFeed = require('./liveFeed');
+const notifier = require('./notifier');
+const organisations = require('./organisations');
+const { ruleAppliesTo, alertIdFor, fastestPoint } = require('../lib/alerts');
+const { STATES, stateOf, sessionsOf } = require('../lib/attendanceSessions');
+const { isWorkingDay, shiftWindow, shiftDateFor } = require('../lib/shifts');
+const { addDays, parseTimestamp } = require('../lib/time');
+const { cacheKey } = require('../lib/tenancy');
+const logger = require('../lib/logger');
+
+const { ConditionFailedError } = repositories;
+
+const ALERT_EVALUATION_INTERVAL_MINUTES = parseInt(process.env.ALERT_EVALUATION_INTERVAL_MINUTES || '5', 10);
+// How far back undelivered notifications are still retried by the periodic job
+const DELIVERY_LOOKBACK_DAYS = 7;
+
+// Rules are needed for every incoming point
+const CACHE_TTL_MS = parseInt(process.env.ALERT_RULE_CACHE_SECONDS || '30', 10) * 1000;
+
+// One entry per organisation context (rules are tenant data)
+const cache = new Map();
+
+const listRules = async () => {
+    const key = cacheKey();
+    const cached = cache.get(key);
+    if (!cached || Date.now() - cached.loadedAt > CACHE_TTL_MS) {
+        cache.set(key, { rules: await repositories.alertRules.list(), loadedAt: Date.now() });
+    }
+    return cache.get(key).rules;
+};
+
+// Called after any rule create/update/delete
+const invalidateCache = () => {
+    cache.clear();
+};
+
+// Active rules of `type` that cover the employee
+const rulesFor = async (employee, type) =>
+    (await listRules()).filter(rule => rule.type === type && ruleAppliesTo(rule, employee));
+
+// Stores the alert, broadcasts it and starts notification delivery. `occurrence` identifies the
+// condition (e.g. the shift date for a late clock-in), so re-evaluating it never raises a second
+// alert. Returns the alert, or null when it had already been raised.
+const raise = async (rule, employee, { occurrence, date, message, details = {} }) => {
+    const now = new Date().toISOString();
+    let alert;
+    try {
+        alert = await repositories.alerts.create({
+            alertId: alertIdFor(rule.ruleId, employee.employeeId, occurrence),
+            ruleId: rule.ruleId,
+            ruleName: rule.name,
+            type: rule.type,
+            employeeId: employee.employeeId,
+            employeeName: employee.name || '',
+            department: employee.department || '',
+            date,
+            status: 'open',
+            message,
+            details,
+            triggeredAt: now,
+            deliveries: notifier.deliveriesFor(rule),
+            createdAt: now
+        });
+    } catch (error) {
+        if (error instanceof ConditionFailedError) return null;
+        throw error;
+    }
+
+    logger.info('Alert raised', { alertId: alert.alertId, type: alert.type, employeeId: alert.employeeId });
+    const { deliveries, ...summary } = alert;
+    liveFeed.publish('alert', employee, summary);
+    if (deliveries.length) {
+        notifier.deliver(alert).catch(error => logger.error('Alert delivery failed', { alertId: alert.alertId, err: error }));
+    }
+    return alert;
+};
+
+// Speed and geofence-exit rules for freshly accepted points and the geofence events they produced.
+// Exits only count inside the employee's shift window on a working day.
+const onPoints = async (employee, items, geofenceEvents = []) => {
+    const raised = [];
+
+    for (const rule of await rulesFor(employee, 'speed')) {
+        const point = fastestPoint(items, rule.params.speedKmh);
+        if (!point) continue;
+        const speedKmh = Math.round(point.speed * 3.6);
+        // At most one speeding alert per rule, employee and hour
+        const alert = await raise(rule, employee, {
+            occurrence: `speed#${Math.floor(Number(point.timestamp) / 3600000)}`,
+            date: point.date,
+            message: `${employee.name || employee.employeeId} was moving at ${speedKmh} km/h (limit ${rule.params.speedKmh} km/h)`,
+            details: { speedKmh, latitude: point.latitude, longitude: point.longitude, locationId: point.locationId, recordedAt: point.recordedAt }
+        });
+        if (alert) raised.push(alert);
+    }
+
+    const exits = geofenceEvents.filter(event => event.type === 'exit');
+    const exitRules = exits.length ? await rulesFor(employee, 'geofence-exit') : [];
+    if (exitRules.length) {
+        const { shift, timeZone } = await schedules.scheduleFor(employee);
+        for (const event of exits) {
+            const ms = Number(event.timestamp);
+            const date = shiftDateFor(ms, shift, timeZone);
+            const { start, end } = shiftWindow(shift, date, timeZone);
+            if (!isWorkingDay(date, shift) || ms < start || ms > end) continue;
+
+            for (const rule of exitRules) {
+                const alert = await raise(rule, employee, {
+                    occurrence: event.eventId,
+                    date,
+                    message: `${employee.name || employee.employeeId} left ${event.geofenceName} during their shift`,
+                    details: {
+                        geofenceId: event.geofenceId,
+                        geofenceName: event.geofenceName,
+                        latitude: event.latitude,
+                        longitude: event.longitude,
+                        occurredAt: event.occurredAt
+                    }
+                });
+                if (alert) raised.push(alert);
+            }
+        }
+    }
+    return raised;
+};
+
+// Late-clockin rules for the first clock-in of a shift date. Shares its occurrence key with the
+// scheduled "not clocked in yet" check, so an employee gets at most one such alert per day.
+const onClockIn = async (employee, record) => {
+    const sessions = sessionsOf(record);
+    if (sessions.length !== 1) return [];
+    const rules = await rulesFor(employee, 'late-clockin');
+    if (!rules.length) return [];
+
+    const { shift, timeZone } = await schedules.scheduleFor(employee);
+    const { start } = shiftWindow(shift, record.date, timeZone);
+    const lateMinutes = Math.floor((parseTimestamp(sessions[0].clockIn) - start) / 60000);
+
+    const raised = [];
+    for (const rule of rules.filter(rule => lateMinutes > rule.params.minutes)) {
+        const alert = await raise(rule, employee, {
+            occurrence: record.date,
+            date: record.date,
+            message: `${employee.name || employee.employeeId} clocked in ${lateMinutes} minute(s) late`,
+            details: { shiftId: shift.shiftId, shiftStart: shift.start, clockIn: sessions[0].clockIn, lateMinutes }
+        });
+        if (alert) raised.push(alert);
+    }
+    return raised;
+};
+
+// Clocked in (not on break) with no location for rule.params.minutes. Silence is measured from the
+// later of the last point and the last clock-in; each silent stretch raises one alert.
+const evaluateSilent = async (employeesById, rules, now) => {
+    const today = await schedules.today();
+    const records = [
+        ...(await repositories.attendance.listByDate(today)),
+        ...(await repositories.attendance.listByDate(addDays(today, -1)))
+    ].filter(record => stateOf(record) === STATES.CLOCKED_IN);
+    if (!records.length) return [];
+
+    const latest = Object.fromEntries((await repositories.locations.listLatest()).map(point => [point.employeeId, point]));
+    const raised = [];
+    for (const record of records) {
+        const employee = employeesById[record.employeeId];
+        if (!employee) continue;
+        const sessions = sessionsOf(record);
+        const point = latest[record.employeeId];
+        const lastSeen = Math.max(parseTimestamp(sessions[sessions.length - 1].clockIn) || 0, (point && Number(point.timestamp)) || 0);
+        const silentMinutes = Math.floor((now.getTime() - lastSeen) / 60000);
+
+        for (const rule of rules.filter(rule => ruleAppliesTo(rule, employee) && silentMinutes >= rule.params.minutes)) {
+            const alert = await raise(rule, employee, {
+                occurrence: `${record.date}#${lastSeen}`,
+                date: record.date,
+                message: `${employee.name || employee.employeeId} has sent no location for ${silentMinutes} minute(s) while clocked in`,
+                details: {
+                    silentMinutes,
+                    lastSeenAt: new Date(lastSeen).toISOString(),
+                    ...(point && { lastLatitude: point.latitude, lastLongitude: point.longitude })
+                }
+            });
+            if (alert) raised.push(alert);
+        }
+    }
+    return raised;
+};
+
+// Working-day shifts that started more than rule.params.minutes ago (and have not ended) without a
+// clock-in. Employees on approved leave that day are skipped.
+const evaluateNoClockIn = async (employees, rules, now) => {
+    const raised = [];
+    let approvedLeave = null;
+
+    for (const employee of employees) {
+        const applicable = rules.filter(rule => ruleAppliesTo(rule, employee));
+        if (!applicable.length) continue;
+
+        const { shift, timeZone } = await schedules.scheduleFor(employee);
+        const date = shiftDateFor(now.getTime(), shift, timeZone);
+        const { start, end } = shiftWindow(shift, date, timeZone);
+        if (!isWorkingDay(date, shift) || now.getTime() > end) continue;
+        if (employee.createdAt && Date.parse(employee.createdAt) > start) continue;
+
+        const minutesSinceStart = Math.floor((now.getTime() - start) / 60000);
+        const due = applicable.filter(rule => minutesSinceStart > rule.params.minutes);
+        if (!due.length) continue;
+
+        const record = await repositories.attendance.get(employee.employeeId, date);
+        if (sessionsOf(record).length) continue;
+
+        approvedLeave = approvedLeave || await repositories.leave.listByStatus('approved', { from: addDays(date, -1), to: addDays(date, 1) });
+        if (approvedLeave.some(request => request.employeeId === employee.employeeId && request.startDate <= date && request.endDate >= date)) continue;
+
+        for (const rule of due) {
+            const alert = await raise(rule, employee, {
+                occurrence: date,
+                date,
+                message: `${employee.name || employee.employeeId} has not clocked in (shift started at ${shift.start})`,
+                details: { shiftId: shift.shiftId, shiftStart: shift.start, minutesSinceStart }
+            });
+            if (alert) raised.push(alert);
+        }
+    }
+    return raised;
+};
+
+// Retries notifications whose backoff has elapsed (covers retries lost to a restart)
+const retryDeliveries = async (now) => {
+    const range = { from: addDays(await schedules.today(), -DELIVERY_LOOKBACK_DAYS) };
+    const alerts = [
+        ...(await repositories.alerts.listByStatus('open', range)),
+        ...(await repositories.alerts.listByStatus('acknowledged', range))
+    ].filter(notifier.hasPendingDeliveries);
+
+    for (const alert of alerts) await notifier.deliver(alert, now);
+    return alerts.length;
+};
+
+// Time-based rules (silent, no clock-in) plus pending notification retries. Returns { raised, retried }.
+const evaluateScheduled = async (now = new Date()) => {
+    const rules = (await listRules()).filter(rule => rule.isActive !== false);
+    const silentRules = rules.filter(rule => rule.type === 'silent');
+    const lateRules = rules.filter(rule => rule.type === 'late-clockin');
+
+    const raised = [];
+    if (silentRules.length || lateRules.length) {
+        const employees = (await repositories.employees.list()).filter(employee => employee.isActive !== false);
+        const employeesById = Object.fromEntries(employees.map(employee => [employee.employeeId, employee]));
+        if (silentRules.length) raised.push(...await evaluateSilent(employeesById, silentRules, now));
+        if (lateRules.length) raised.push(...await evaluateNoClockIn(employees, lateRules, now));
+    }
+    const retried = await retryDeliveries(now);
+    return { raised: raised.length, retried };
+};
+
+let timer = null;
+
+// Periodic evaluation of time-based rules while the server runs, one organisation at a time
+const startAlertJob = () => {
+    if (timer || ALERT_EVALUATION_INTERVAL_MINUTES <= 0) return;
+    timer = setInterval(() => {
+        organisations.forEachOrganisation(() => evaluateScheduled())
+            .then(results => results.forEach(({ orgId, result }) =>
+                result.raised && logger.info('Raised scheduled alerts', { orgId, raised: result.raised })))
+            .catch(error => logger.error('Alert evaluation failed', error));
+    }, ALERT_EVALUATION_INTERVAL_MINUTES * 60000);
+    timer.unref();
+};
+
+module.exports = {
+    invalidateCache,
+    raise,
+    onPoints,
+    onClockIn,
+    evaluateScheduled,
+    startAlertJob
+};
@@ -0,0 +1,201 @@
+const repositories = require('../repositories');
+const schedules = require('./schedules');
+const organisations = require('./organisations');
+const tracks = require('./tracks');
+const { loadEmployees, loadApprovedLeave, loadSchedules, buildDays } = require('./attendanceReport');
+const { attendanceTrend, hoursByDepartment, densityGrid, geofenceVisits } = require('../lib/analytics');
+const { DEFAULTS: TRIP_DEFAULTS, filterByAccuracy, summarizeTrack } = require('../lib/trips');
+const { addDays, getDayRange } = require('../lib/time');
+const { cacheKey } = require('../lib/tenancy');
+
+// ==========================================
+// DASHBOARD ANALYTICS
+// ==========================================
+// Results are cached per organisation, query and date range. New attendance, leave, location and
+// geofence data drops the cached results whose range covers its dates (see invalidate()); changes
+// to employees and shifts are picked up when an entry expires.
+// Distance and the heatmap only see trusted, on-duty points (services/tracks.js): flagged points
+// count once a reviewer dismisses the flag, which drops the entries covering that date, and
+// out-of-session points never count.
+
+const ANALYTICS_CACHE_TTL_MS = parseInt(process.env.ANALYTICS_CACHE_SECONDS || '300', 10) * 1000;
+const MAX_CACHE_ENTRIES = 500;
+// Longest range one request may cover, and the default when only part of it is given
+const MAX_ANALYTICS_RANGE_DAYS = parseInt(process.env.ANALYTICS_MAX_RANGE_DAYS || '92', 10);
+const DEFAULT_RANGE_DAYS = 7;
+const PAGE_SIZE = 1000;
+
+// Which data each analysis reads
+const SOURCES = {
+    attendance: 'attendance',
+    hours: 'attendance',
+    distance: 'locations',
+    heatmap: 'locations',
+    geofences: 'geofences'
+};
+
+// key -> { promise, org, source, from, to, expiresAt }. The promise is stored straight away so
+// concurrent identical requests share one computation, and an invalidation during the computation
+// only affects callers that arrive after it.
+const cache = new Map();
+
+const cached = (analysis, range, params, compute) => {
+    const org = cacheKey();
+    const key = JSON.stringify([org, analysis, range.from, range.to, params]);
+    const entry = cache.get(key);
+    if (entry && entry.expiresAt > Date.now()) return entry.promise;
+
+    const promise = compute();
+    cache.delete(key);
+    cache.set(key, { promise, org, source: SOURCES[analysis], from: range.from, to: range.to, expiresAt: Date.now() + ANALYTICS_CACHE_TTL_MS });
+    promise.catch(() => cache.get(key) && cache.get(key).promise === promise && cache.delete(key));
+
+    // Oldest entries go first (Map keeps insertion order)
+    while (cache.size > MAX_CACHE_ENTRIES) cache.delete(cache.keys().next().value);
+    return promise;
+};
+
+// Called when `source` data ('attendance' | 'locations' | 'geofences') changes for the current
+// organisation. Only entries whose range overlaps the span of `dates` are dropped (all when omitted).
+const invalidate = (source, dates) => {
+    const org = cacheKey();
+    const first = dates && dates.reduce((min, date) => (date < min ? date : min));
+    const last = dates && dates.reduce((max, date) => (date > max ? date : max));
+    cache.forEach((entry, key) => {
+        if (entry.source !== source || (org !== '*' && entry.org !== org)) return;
+        if (dates && (first > entry.to || last < entry.from)) return;
+        cache.delete(key);
+    });
+};
+
+// ?from=&to= (YYYY-MM-DD in the organisation's time zone, already validated) into
+// { from, to, dates, fromMs, toMs } or { error }. Defaults to the last week up to today.
+const resolveRange = async (query) => {
+    const to = query.to || (query.from ? addDays(query.from, DEFAULT_RANGE_DAYS - 1) : await schedules.today());
+    const from = query.from || addDays(to, -(DEFAULT_RANGE_DAYS - 1));
+    if (from > to) return { error: 'from must not be after to' };
+
+    const dates = tracks.eachDate(from, to);
+    if (dates.length > MAX_ANALYTICS_RANGE_DAYS) return { error: `Date range may span at most ${MAX_ANALYTICS_RANGE_DAYS} days` };
+
+    const { timezone } = await organisations.currentSettings();
+    return { from, to, dates, fromMs: getDayRange(from, timezone).from, toMs: getDayRange(to, timezone).to };
+};
+
+// Employees (active or not) for location and geofence analyses, optionally one department
+const listEmployees = async (department) => (await repositories.employees.list())
+    .filter(employee => !department || employee.department === department);
+
+// Attendance report rows per date (days after today are skipped)
+const loadRows = async (range, department) => {
+    const today = await schedules.today();
+    const employees = await loadEmployees(department);
+    const { byEmployee } = await loadSchedules(employees);
+    const approvedLeave = await loadApprovedLeave(range.from, range.to);
+
+    const dates = range.dates.filter(date => date <= today);
+    const rowsByDate = Object.fromEntries(dates.map(date => [date, []]));
+    (await buildDays(dates, employees, byEmployee, Date.now(), approvedLeave)).forEach(row => rowsByDate[row.date].push(row));
+    return rowsByDate;
+};
+
+// Daily present / absent / late counts
+const attendance = (range, { department } = {}) => cached('attendance', range, { department }, async () => {
+    const days = attendanceTrend(await loadRows(range, department));
+    const totals = days.reduce((sum, day) => {
+        Object.keys(sum).forEach(name => { sum[name] += day[name]; });
+        return sum;
+    }, { expected: 0, present: 0, absent: 0, late: 0, onLeave: 0 });
+    return { days, totals };
+});
+
+// Average worked hours per department
+const hours = (range, { department } = {}) => cached('hours', range, { department }, async () => {
+    const rows = Object.values(await loadRows(range, department)).flat();
+    return { departments: hoursByDepartment(rows) };
+});
+
+// Distance travelled per employee, using the trip summary rules (accuracy filter, stop jitter)
+const distance = (range, { department, limit } = {}) => cached('distance', range, { department, limit }, async () => {
+    const employees = Object.fromEntries((await listEmployees(department)).map(employee => [employee.employeeId, employee]));
+    const totals = {};
+
+    for (const date of range.dates) {
+        const byEmployee = await tracks.loadDayTracks(date);
+        Object.entries(byEmployee)
+            .filter(([employeeId]) => employees[employeeId])
+            .forEach(([employeeId, points]) => {
+                const summary = summarizeTrack(points);
+                const total = totals[employeeId] = totals[employeeId] || { distanceMeters: 0, movingSeconds: 0, days: 0, points: 0 };
+                total.distanceMeters += summary.distanceMeters;
+                total.movingSeconds += summary.movingSeconds;
+                total.points += summary.pointCount;
+                if (summary.distanceMeters) total.days++;
+            });
+    }
+
+    const ranked = Object.entries(totals)
+        .map(([employeeId, total]) => ({
+            employeeId,
+            name: employees[employeeId].name || '',
+            department: employees[employeeId].department || '',
+            distanceKm: Math.round(total.distanceMeters / 10) / 100,
+            movingHours: Math.round(total.movingSeconds / 36) / 100,
+            daysMoving: total.days,
+            points: total.points
+        }))
+        .sort((a, b) => b.distanceKm - a.distanceKm || a.employeeId.localeCompare(b.employeeId));
+    return {
+        totalDistanceKm: Math.round(ranked.reduce((sum, row) => sum + row.distanceKm, 0) * 100) / 100,
+        employees: limit ? ranked.slice(0, limit) : ranked
+    };
+});
+
+// Location density grid; points less accurate than the trip summary threshold are left out
+const heatmap = (range, { department, cellMeters } = {}) => cached('heatmap', range, { department, cellMeters }, async () => {
+    const employeeIds = department ? new Set((await listEmployees(department)).map(employee => employee.employeeId)) : null;
+    const grid = densityGrid(cellMeters);
+
+    for (const date of range.dates) {
+        const byEmployee = await tracks.loadDayTracks(date);
+        Object.entries(byEmployee)
+            .filter(([employeeId]) => !employeeIds || employeeIds.has(employeeId))
+            .forEach(([, points]) => grid.add(filterByAccuracy(points, TRIP_DEFAULTS.maxAccuracyMeters)));
+    }
+    return grid.result();
+});
+
+// Every geofence event of one employee in [fromMs, toMs], oldest first
+const loadEvents = async (employeeId, { fromMs, toMs }) => {
+    const events = [];
+    let cursor;
+    do {
+        const page = await repositories.geofenceEvents.queryByEmployee(employeeId, {
+            from: fromMs, to: toMs, cursor, limit: PAGE_SIZE, order: 'asc'
+        });
+        events.push(...page.items);
+        cursor = page.nextCursor;
+    } while (cursor);
+    return events;
+};
+
+// Most visited geofences
+const geofences = (range, { department, limit } = {}) => cached('geofences', range, { department, limit }, async () => {
+    const events = [];
+    for (const employee of await listEmployees(department)) {
+        events.push(...await loadEvents(employee.employeeId, range));
+    }
+    const visits = geofenceVisits(events);
+    return { geofences: limit ? visits.slice(0, limit) : visits };
+});
+
+module.exports = {
+    MAX_ANALYTICS_RANGE_DAYS,
+    invalidate,
+    resolveRange,
+    attendance,
+    hours,
+    distance,
+    heatmap,
+    geofences
+};
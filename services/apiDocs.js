@@ -0,0 +1,1428 @@
+const { version } = require('../package.json');
+const { authenticate, authenticateForPasswordChange } = require('../middleware/auth');
+const { buildSpec } = require('../lib/openapi');
+const { ROLES } = require('../lib/employees');
+const { LEAVE_STATUSES } = require('../lib/leave');
+const { FLAG_TYPES } = require('../lib/spoofing');
+const { ALERT_TYPES, ALERT_STATUSES } = require('../lib/alerts');
+const { STATES } = require('../lib/attendanceSessions');
+const { VISIT_SOURCES, VISIT_STATUSES, VERIFICATIONS } = require('../lib/visits');
+const { TRACKING_WINDOWS, OUT_OF_WINDOW_ACTIONS } = require('../lib/tracking');
+const logger = require('../lib/logger');
+
+// ==========================================
+// API DOCUMENTATION (OpenAPI 3.1)
+// ==========================================
+// Paths, parameters and validated request bodies are generated from the app (lib/openapi.js).
+// This module adds what the code cannot say: summaries, response shapes, and bodies of routes
+// that validate with their own helpers (geofences, shifts, alert rules, employee updates).
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const arrayOf = (items) => ({ type: 'array', items });
+const nullable = (type) => ({ type: [type, 'null'] });
+const string = { type: 'string' };
+const number = { type: 'number' };
+const integer = { type: 'integer' };
+const boolean = { type: 'boolean' };
+const date = { type: 'string', format: 'date' };
+const dateTime = { type: 'string', format: 'date-time' };
+const looseObject = { type: 'object' };
+
+const json = (schema, description = 'Success') => ({ description, content: { 'application/json': { schema } } });
+
+// { success: true, ...properties }; every property is required unless listed in `optional`
+const envelope = (properties = {}, optional = []) => ({
+    type: 'object',
+    required: ['success', ...Object.keys(properties).filter(name => !optional.includes(name))],
+    properties: { success: { const: true }, ...properties }
+});
+
+const ok = (properties, optional, description) => ({ 200: json(envelope(properties, optional), description) });
+const created = (properties, optional) => ({ 201: json(envelope(properties, optional), 'Created') });
+const withMessage = (properties = {}, optional) => envelope({ message: string, ...properties }, optional);
+const jsonBody = (schema) => ({ required: true, content: { 'application/json': { schema } } });
+const download = (types, description) => ({
+    200: { description, content: Object.fromEntries(types.map(type => [type, { schema: { type: 'string' } }])) }
+});
+
+const nextCursor = { ...nullable('string'), description: 'Opaque cursor for the next page; null on the last page' };
+const simplified = {
+    type: 'object',
+    description: 'Present when ?simplify=true',
+    properties: { toleranceMeters: number, originalCount: integer, count: integer }
+};
+
+const schemas = {
+    Error: {
+        type: 'object',
+        required: ['error', 'code'],
+        properties: {
+            error: { ...string, description: 'Human-readable message' },
+            code: { ...string, description: 'Stable machine-readable code; branch on this, never on the message' },
+            details: arrayOf(ref('ErrorDetail'))
+        }
+    },
+    ErrorDetail: {
+        type: 'object',
+        required: ['message'],
+        properties: { field: string, location: { enum: ['params', 'query', 'body'] }, message: string }
+    },
+    Tokens: {
+        type: 'object',
+        required: ['accessToken', 'refreshToken', 'tokenType', 'expiresIn'],
+        properties: { accessToken: string, refreshToken: string, tokenType: { const: 'Bearer' }, expiresIn: string }
+    },
+    Employee: {
+        type: 'object',
+        required: ['employeeId'],
+        description: 'Credentials and reset tokens are never returned',
+        properties: {
+            employeeId: string,
+            orgId: string,
+            name: string,
+            email: nullable('string'),
+            phone: nullable('string'),
+            department: nullable('string'),
+            role: { enum: ROLES },
+            managerId: nullable('string'),
+            timezone: nullable('string'),
+            shiftId: nullable('string'),
+            isActive: boolean,
+            deviceId: nullable('string'),
+            createdAt: dateTime,
+            lastUpdated: dateTime
+        }
+    },
+    EmployeeInput: {
+        type: 'object',
+        required: ['employeeId', 'name'],
+        properties: {
+            employeeId: string,
+            name: string,
+            email: string,
+            phone: string,
+            department: string,
+            role: { enum: ROLES },
+            managerId: string,
+            timezone: { ...string, description: 'IANA time zone, e.g. Asia/Kolkata' },
+            shiftId: string,
+            password: { ...string, description: 'Omit to have a temporary password generated' },
+            deviceId: string
+        }
+    },
+    Point: {
+        type: 'object',
+        required: ['latitude', 'longitude'],
+        properties: { latitude: number, longitude: number }
+    },
+    LocationPoint: {
+        type: 'object',
+        required: ['employeeId', 'latitude', 'longitude', 'timestamp'],
+        properties: {
+            locationId: string,
+            pointId: string,
+            employeeId: string,
+            latitude: number,
+            longitude: number,
+            speed: { ...number, description: 'm/s' },
+            accuracy: { ...number, description: 'metres; 0 when not reported' },
+            recordedAt: dateTime,
+            receivedAt: dateTime,
+            date: date,
+            timestamp: { ...string, description: 'Capture time in epoch milliseconds' },
+            flags: arrayOf(looseObject),
+            flagReview: { enum: ['confirmed', 'dismissed'], description: 'Review outcome; flagged points count in summaries and exports only once dismissed' }
+        }
+    },
+    GeofenceEvent: {
+        type: 'object',
+        required: ['employeeId', 'type', 'geofenceId'],
+        properties: {
+            employeeId: string,
+            eventId: string,
+            type: { enum: ['enter', 'exit'] },
+            geofenceId: string,
+            geofenceName: string,
+            site: string,
+            latitude: number,
+            longitude: number,
+            locationId: string,
+            occurredAt: dateTime,
+            timestamp: string
+        }
+    },
+    Session: {
+        type: 'object',
+        required: ['clockIn'],
+        properties: {
+            clockIn: string,
+            clockOut: nullable('string'),
+            breaks: arrayOf({ type: 'object', properties: { start: string, end: nullable('string') } })
+        }
+    },
+    AttendanceRecord: {
+        type: 'object',
+        required: ['employeeId', 'date'],
+        properties: {
+            attendanceId: string,
+            employeeId: string,
+            date: { ...date, description: 'Shift date: the local date the shift starts on' },
+            state: { enum: Object.values(STATES) },
+            sessions: arrayOf(ref('Session')),
+            clockInTime: string,
+            clockOutTime: string,
+            workedMinutes: number,
+            breakMinutes: number,
+            shiftId: string,
+            timezone: string,
+            autoClockedOut: boolean
+        }
+    },
+    Geofence: {
+        type: 'object',
+        required: ['geofenceId', 'name', 'type'],
+        properties: {
+            geofenceId: string,
+            name: string,
+            type: { enum: ['circle', 'polygon'] },
+            center: ref('Point'),
+            radiusMeters: number,
+            vertices: arrayOf(ref('Point')),
+            site: string,
+            departments: arrayOf(string),
+            employeeIds: arrayOf(string),
+            isActive: boolean
+        }
+    },
+    Site: {
+        type: 'object',
+        required: ['siteId', 'name', 'latitude', 'longitude', 'radiusMeters'],
+        properties: {
+            siteId: string,
+            name: string,
+            customer: string,
+            address: string,
+            contactName: string,
+            contactPhone: string,
+            latitude: number,
+            longitude: number,
+            radiusMeters: { ...number, description: 'Check-ins further away are recorded as outside-site' },
+            isActive: boolean,
+            createdBy: string,
+            createdAt: dateTime,
+            lastUpdated: dateTime
+        }
+    },
+    VisitLocation: {
+        type: 'object',
+        required: ['at', 'latitude', 'longitude', 'verification'],
+        properties: {
+            at: { ...dateTime, description: 'Capture time of the point (inferred visits: start or end of the stop)' },
+            pointId: { ...string, description: 'Uploaded location point the check-in/out is tied to (manual visits)' },
+            latitude: number,
+            longitude: number,
+            accuracy: number,
+            distanceMeters: { ...number, description: 'Distance from the site' },
+            verification: { enum: VERIFICATIONS }
+        }
+    },
+    Visit: {
+        type: 'object',
+        required: ['visitId', 'employeeId', 'siteId', 'date', 'source', 'status', 'checkIn'],
+        properties: {
+            visitId: string,
+            employeeId: string,
+            employeeName: string,
+            siteId: string,
+            siteName: string,
+            customer: string,
+            siteLocation: { type: 'object', properties: { latitude: number, longitude: number, radiusMeters: number } },
+            date: { ...date, description: 'Employee-local date of the check-in' },
+            source: { enum: VISIT_SOURCES },
+            status: { enum: VISIT_STATUSES },
+            checkIn: ref('VisitLocation'),
+            checkOut: ref('VisitLocation'),
+            durationMinutes: integer,
+            pointCount: { ...integer, description: 'Points in the detected stop (inferred visits)' },
+            notes: arrayOf({ type: 'object', properties: { text: string, addedBy: string, addedAt: dateTime } }),
+            photos: arrayOf({
+                type: 'object',
+                properties: {
+                    photoId: string,
+                    storageKey: string,
+                    fileName: string,
+                    contentType: string,
+                    sizeBytes: integer,
+                    takenAt: dateTime,
+                    latitude: number,
+                    longitude: number,
+                    caption: string,
+                    addedBy: string,
+                    addedAt: dateTime
+                }
+            }),
+            verified: { ...boolean, description: 'Daily report only: check-in and check-out both verified' },
+            createdAt: dateTime,
+            lastUpdated: dateTime
+        }
+    },
+    TrackingSettings: {
+        type: 'object',
+        required: ['intervalSeconds', 'distanceFilterMeters', 'maxAccuracyMeters', 'window', 'outOfWindow'],
+        properties: {
+            intervalSeconds: { ...integer, description: 'Seconds between fixes' },
+            distanceFilterMeters: { ...number, description: 'Minimum movement before a new fix is reported' },
+            maxAccuracyMeters: { ...number, description: 'Fixes less accurate than this are not sent' },
+            window: { enum: TRACKING_WINDOWS, description: 'When the app tracks and the server accepts points' },
+            outOfWindow: { enum: OUT_OF_WINDOW_ACTIONS, description: 'What the server does with points outside the window' }
+        }
+    },
+    TrackingPolicy: {
+        allOf: [ref('TrackingSettings'), {
+            type: 'object',
+            required: ['policyId', 'name'],
+            properties: {
+                policyId: string,
+                name: string,
+                roles: { ...arrayOf({ enum: ROLES }), description: 'Empty: every role' },
+                departments: { ...arrayOf(string), description: 'Empty: every department' },
+                isActive: boolean,
+                createdBy: string,
+                createdAt: dateTime,
+                lastUpdated: dateTime
+            }
+        }]
+    },
+    Shift: {
+        type: 'object',
+        required: ['shiftId', 'name', 'start', 'end'],
+        properties: {
+            shiftId: string,
+            name: string,
+            start: { ...string, description: 'Local HH:mm' },
+            end: { ...string, description: 'Local HH:mm; at or before start means the shift ends the next day' },
+            graceMinutes: integer,
+            workingDays: arrayOf({ ...integer, minimum: 1, maximum: 7 })
+        }
+    },
+    LeaveRequest: {
+        type: 'object',
+        required: ['requestId', 'employeeId', 'type', 'startDate', 'endDate', 'status'],
+        properties: {
+            requestId: string,
+            employeeId: string,
+            type: string,
+            startDate: date,
+            endDate: date,
+            halfDay: boolean,
+            days: number,
+            reason: string,
+            status: { enum: LEAVE_STATUSES },
+            decidedBy: string,
+            decidedAt: dateTime,
+            decisionComment: string
+        }
+    },
+    Regularization: {
+        type: 'object',
+        required: ['regularizationId', 'employeeId', 'date', 'status'],
+        properties: {
+            regularizationId: string,
+            employeeId: string,
+            date: date,
+            sessions: arrayOf(ref('Session')),
+            reason: string,
+            status: string,
+            requestedBy: string
+        }
+    },
+    LocationFlag: {
+        type: 'object',
+        required: ['flagId', 'employeeId', 'status'],
+        properties: {
+            flagId: string,
+            employeeId: string,
+            status: { enum: ['pending', 'confirmed', 'dismissed'] },
+            flags: arrayOf({ enum: FLAG_TYPES }),
+            source: string,
+            reviewedBy: string,
+            reviewedAt: dateTime,
+            reviewComment: string
+        }
+    },
+    AlertRule: {
+        type: 'object',
+        required: ['ruleId', 'name', 'type', 'params'],
+        properties: {
+            ruleId: string,
+            name: string,
+            type: { enum: Object.keys(ALERT_TYPES) },
+            params: looseObject,
+            departments: arrayOf(string),
+            employeeIds: arrayOf(string),
+            webhookUrls: arrayOf(string),
+            emails: arrayOf(string),
+            isActive: boolean
+        }
+    },
+    Alert: {
+        type: 'object',
+        required: ['alertId', 'ruleId', 'type', 'employeeId', 'status', 'message'],
+        properties: {
+            alertId: string,
+            ruleId: string,
+            ruleName: string,
+            type: { enum: Object.keys(ALERT_TYPES) },
+            employeeId: string,
+            employeeName: string,
+            date: date,
+            status: { enum: ALERT_STATUSES },
+            message: string,
+            details: looseObject,
+            triggeredAt: dateTime,
+            deliveries: arrayOf({
+                type: 'object',
+                properties: {
+                    channel: { enum: ['webhook', 'email'] },
+                    target: string,
+                    status: { enum: ['pending', 'delivered', 'failed'] },
+                    attempts: integer,
+                    lastError: nullable('string'),
+                    nextAttemptAt: nullable('string')
+                }
+            }),
+            acknowledgedBy: string,
+            acknowledgedAt: dateTime
+        }
+    },
+    AuditEntry: {
+        type: 'object',
+        required: ['auditId', 'timestamp', 'action', 'outcome'],
+        properties: {
+            auditId: string,
+            timestamp: dateTime,
+            actorId: nullable('string'),
+            actorRole: nullable('string'),
+            action: string,
+            targetType: nullable('string'),
+            targetId: nullable('string'),
+            changes: looseObject,
+            details: looseObject,
+            status: integer,
+            outcome: { enum: ['success', 'failure'] },
+            request: looseObject
+        }
+    },
+    Organisation: {
+        type: 'object',
+        required: ['orgId', 'name', 'timezone', 'isActive'],
+        description: 'Effective settings; null means the deployment default applies',
+        properties: {
+            orgId: string,
+            name: string,
+            timezone: string,
+            defaultShiftId: nullable('string'),
+            retentionDays: { ...nullable('integer'), description: 'Days of raw location history kept; 0 disables archiving' },
+            allowedOrigins: arrayOf(string),
+            isActive: boolean
+        }
+    },
+    HealthStatus: {
+        type: 'object',
+        required: ['status', 'checks'],
+        properties: {
+            status: { enum: ['healthy', 'unhealthy', 'ready', 'not-ready'] },
+            timestamp: dateTime,
+            service: string,
+            checks: {
+                type: 'object',
+                properties: {
+                    storage: {
+                        type: 'object',
+                        required: ['status', 'backend'],
+                        properties: { status: { enum: ['up', 'down'] }, backend: string, durationMs: integer, error: string }
+                    }
+                }
+            }
+        }
+    },
+    AttendanceTrendDay: {
+        type: 'object',
+        properties: {
+            date,
+            expected: { ...integer, description: 'Employees scheduled to work (not a day off)' },
+            present: integer,
+            absent: integer,
+            late: integer,
+            onLeave: integer
+        }
+    },
+    TripDay: {
+        type: 'object',
+        required: ['date'],
+        description: 'Distance, moving/idle time, stops and speeds for one local day',
+        properties: { date: date, distanceMeters: number, stops: arrayOf(looseObject) }
+    }
+};
+
+const responses = {
+    Error: {
+        description: 'Error',
+        content: { 'application/json': { schema: ref('Error') } }
+    }
+};
+
+const tags = [
+    { name: 'Auth', description: 'Login, tokens and passwords' },
+    { name: 'Employees' },
+    { name: 'Locations', description: 'Ingest and history of GPS points' },
+    { name: 'Attendance' },
+    { name: 'Regularizations', description: 'Corrections to recorded attendance' },
+    { name: 'Leave' },
+    { name: 'Shifts' },
+    { name: 'Geofences' },
+    { name: 'Alerts' },
+    { name: 'Tracking', description: 'Tracking settings served to the apps, set per role and department' },
+    { name: 'Visits', description: 'Customer sites and field visits: check-in/out, notes, photos, inferred stops' },
+    { name: 'Reports', description: 'Attendance reports and track exports' },
+    { name: 'Analytics', description: 'Dashboard aggregates over a date range (cached, refreshed as data arrives)' },
+    { name: 'Organisations', description: 'Tenants and their settings' },
+    { name: 'Admin' },
+    { name: 'System' }
+];
+
+// Legacy routes that answer with a bare array/object instead of the { success, ... } envelope
+const LEGACY_SHAPE = 'Legacy response shape: not wrapped in { success, ... }.';
+
+const attendanceAction = (summary, properties, optional) => ({
+    tags: ['Attendance'],
+    summary,
+    description: 'Must come from the employee\'s registered device (X-Device-Id). employeeId defaults to the caller.',
+    parameters: [{ name: 'X-Device-Id', in: 'header', schema: string }],
+    responses: ok({ message: string, date, state: { enum: Object.values(STATES) }, ...properties }, optional),
+    errors: [[409, 'Not allowed in the current state (CONFLICT; body carries state)']]
+});
+
+const routes = {
+    // System
+    'GET /api/test': { tags: ['System'], summary: 'Connectivity check', responses: { 200: json(looseObject) } },
+    'GET /api/health': {
+        tags: ['System'],
+        summary: 'Health check (probes storage, like /api/health/ready)',
+        responses: { 200: json(ref('HealthStatus'), 'Healthy'), 503: json(ref('HealthStatus'), 'Storage is not reachable') }
+    },
+    'GET /api/health/live': {
+        tags: ['System'],
+        summary: 'Liveness probe',
+        description: 'Checks only that the process serves requests.',
+        responses: {
+            200: json({ type: 'object', required: ['status'], properties: { status: { const: 'alive' }, timestamp: dateTime, uptimeSeconds: integer } })
+        }
+    },
+    'GET /api/health/ready': {
+        tags: ['System'],
+        summary: 'Readiness probe (storage answers)',
+        responses: { 200: json(ref('HealthStatus'), 'Ready'), 503: json(ref('HealthStatus'), 'Storage is not reachable') }
+    },
+    'GET /metrics': {
+        tags: ['System'],
+        summary: 'Prometheus metrics',
+        description: 'Request latency, error counts, location ingest and storage call durations. Requires METRICS_TOKEN as a Bearer token when it is set.',
+        responses: { 200: { description: 'Prometheus text format', content: { 'text/plain': { schema: string } } } },
+        errors: [[401, 'Metrics token required']]
+    },
+    'POST /api/seed-test-data': { tags: ['System'], summary: 'Create two sample employees', responses: ok({ message: string }) },
+    'GET /api/docs/openapi.json': { tags: ['System'], summary: 'This OpenAPI document', responses: { 200: json(looseObject) } },
+    'GET /api/docs': { tags: ['System'], summary: 'Interactive API explorer', responses: { 200: { description: 'HTML page', content: { 'text/html': { schema: string } } } } },
+
+    // Auth
+    'POST /api/login': {
+        tags: ['Auth'],
+        summary: 'Log in with employee ID and password',
+        responses: {
+            200: json({ allOf: [withMessage({ employee: ref('Employee'), requiresPasswordChange: boolean }), ref('Tokens')] })
+        },
+        errors: [
+            [401, 'INVALID_CREDENTIALS'],
+            [403, 'ACCOUNT_DEACTIVATED'],
+            [423, 'ACCOUNT_LOCKED after repeated failures']
+        ]
+    },
+    'POST /api/token/refresh': {
+        tags: ['Auth'],
+        summary: 'Exchange a refresh token for a new token pair',
+        responses: { 200: json({ allOf: [envelope(), ref('Tokens')] }) },
+        errors: [[401, 'INVALID_REFRESH_TOKEN']]
+    },
+    'PUT /api/employees/{employeeId}/password': {
+        tags: ['Auth'],
+        summary: 'Change your own password',
+        description: 'Also accepted with a "must change password" token; returns fresh tokens without that restriction.',
+        responses: { 200: json({ allOf: [withMessage(), ref('Tokens')] }) },
+        forbidden: 'Only for your own account',
+        errors: [[401, 'Old password is incorrect'], [404, 'Employee not found']]
+    },
+    'POST /api/employees/{employeeId}/password/reset': {
+        tags: ['Auth'],
+        summary: 'Issue a one-time password reset token',
+        responses: ok({ message: string, resetToken: string, expiresAt: dateTime }),
+        errors: [[403, 'Target is an admin and the caller is not'], [404, 'Employee not found']]
+    },
+    'POST /api/password/reset': {
+        tags: ['Auth'],
+        summary: 'Redeem a reset token for a new password',
+        responses: ok({ message: string })
+    },
+
+    // Employees
+    'POST /api/employees': {
+        tags: ['Employees'],
+        summary: 'Create an employee',
+        requestBody: jsonBody(ref('EmployeeInput')),
+        responses: { 200: json(withMessage({ employee: ref('Employee'), temporaryPassword: string }, ['temporaryPassword'])) }
+    },
+    'GET /api/employees': {
+        tags: ['Employees'],
+        summary: 'List employees',
+        description: LEGACY_SHAPE,
+        responses: { 200: json(arrayOf(ref('Employee'))) }
+    },
+    'GET /api/employees/{employeeId}': {
+        tags: ['Employees'],
+        summary: 'Get one employee',
+        description: LEGACY_SHAPE,
+        responses: { 200: json(ref('Employee')) },
+        forbidden: 'Employees may only read themselves',
+        errors: [[404, 'Employee not found']]
+    },
+    'PATCH /api/employees/{employeeId}': {
+        tags: ['Employees'],
+        summary: 'Update profile fields',
+        requestBody: jsonBody({ ...ref('EmployeeInput'), description: 'Any subset of the profile fields; employeeId cannot change' }),
+        responses: ok({ message: string, employee: ref('Employee') }),
+        errors: [[404, 'Employee not found'], [409, 'Changed concurrently']]
+    },
+    'POST /api/employees/{employeeId}/deactivate': {
+        tags: ['Employees'],
+        summary: 'Deactivate an employee',
+        responses: ok({ message: string, employee: ref('Employee'), orphanedReports: arrayOf(string) }),
+        errors: [[404, 'Employee not found'], [409, 'Changed concurrently']]
+    },
+    'POST /api/employees/{employeeId}/reactivate': {
+        tags: ['Employees'],
+        summary: 'Reactivate an employee',
+        responses: ok({ message: string, employee: ref('Employee') }),
+        errors: [[404, 'Employee not found'], [409, 'Changed concurrently']]
+    },
+    'POST /api/employees/import': {
+        tags: ['Employees'],
+        summary: 'Bulk import from CSV',
+        description: 'All-or-nothing. Columns: employeeId,name,email,phone,department,role,managerId,timezone,shiftId,deviceId.',
+        requestBody: {
+            required: true,
+            content: {
+                'text/csv': { schema: string },
+                'application/json': { schema: { type: 'object', required: ['csv'], properties: { csv: string } } }
+            }
+        },
+        responses: {
+            200: json(envelope({ dryRun: boolean, total: integer, valid: integer, invalid: integer, created: integer, results: arrayOf(looseObject) }), 'Dry run'),
+            201: json(envelope({ dryRun: boolean, total: integer, valid: integer, invalid: integer, created: integer, results: arrayOf(looseObject) }), 'Imported'),
+            400: json({ type: 'object', properties: { success: { const: false }, results: arrayOf(looseObject) } }, 'Invalid rows, or a malformed file (Error)')
+        },
+        errors: [[409, 'An employee was created concurrently'], [413, 'Too many rows']]
+    },
+    'GET /api/employees/{employeeId}/schedule': {
+        tags: ['Employees'],
+        summary: 'Effective shift, time zone and current shift date',
+        responses: ok({ employeeId: string, timezone: string, shift: ref('Shift'), shiftDate: date }),
+        errors: [[404, 'Employee not found']]
+    },
+    'PUT /api/employees/{employeeId}/schedule': {
+        tags: ['Employees'],
+        summary: 'Assign a time zone and/or shift (null clears)',
+        responses: ok({ message: string, employee: ref('Employee') }),
+        errors: [[404, 'Employee not found']]
+    },
+    'GET /api/employees/{employeeId}/device': {
+        tags: ['Employees'],
+        summary: 'Registered device and the last refused device',
+        responses: ok({
+            employeeId: string,
+            bound: boolean,
+            deviceId: nullable('string'),
+            deviceBoundAt: nullable('string'),
+            deviceBoundBy: nullable('string'),
+            lastRejectedDeviceId: nullable('string'),
+            lastRejectedDeviceAt: nullable('string')
+        }),
+        errors: [[404, 'Employee not found']]
+    },
+    'PUT /api/employees/{employeeId}/device': {
+        tags: ['Employees'],
+        summary: 'Bind the employee to a device',
+        responses: ok({ message: string, employee: ref('Employee') }),
+        errors: [[404, 'Employee not found']]
+    },
+    'DELETE /api/employees/{employeeId}/device': {
+        tags: ['Employees'],
+        summary: 'Unbind the device (the next one used is registered)',
+        responses: ok({ message: string, employee: ref('Employee') }),
+        errors: [[404, 'Employee not found']]
+    },
+    'GET /api/employees/{employeeId}/team': {
+        tags: ['Employees'],
+        summary: 'People reporting to an employee',
+        responses: ok({ managerId: string, count: integer, team: arrayOf(ref('Employee')) }),
+        errors: [[404, 'Employee not found']]
+    },
+
+    // Locations
+    'POST /api/locations': {
+        tags: ['Locations'],
+        summary: 'Upload one live point',
+        description: 'Must come from the employee\'s registered device (X-Device-Id). Re-sending a pointId is answered with duplicate: true. '
+            + 'Points outside the tracking policy\'s window are refused (403) or stored with outOfSession: true, as the policy says. '
+            + 'Stored out-of-session points are left out of every read (history, summaries, exports, analytics, live and latest).',
+        parameters: [{ name: 'X-Device-Id', in: 'header', schema: string }],
+        responses: ok({ pointId: string, duplicate: boolean, outOfSession: boolean, trackingConfigVersion: string }, ['duplicate', 'outOfSession']),
+        errors: [[403, 'Captured outside the tracking window (OUTSIDE_TRACKING_WINDOW)']]
+    },
+    'POST /api/locations/batch': {
+        tags: ['Locations'],
+        summary: 'Upload queued points (offline sync)',
+        description: 'Points are validated one by one; each gets a result of accepted, duplicate or rejected. '
+            + 'Points outside the tracking policy\'s window are rejected (code OUTSIDE_TRACKING_WINDOW) or accepted with outOfSession: true.',
+        parameters: [{ name: 'X-Device-Id', in: 'header', schema: string }],
+        responses: ok({
+            accepted: integer,
+            duplicates: integer,
+            rejected: integer,
+            trackingConfigVersion: string,
+            results: arrayOf({
+                type: 'object',
+                required: ['index', 'status'],
+                properties: {
+                    index: integer,
+                    pointId: string,
+                    status: { enum: ['accepted', 'duplicate', 'rejected'] },
+                    code: string,
+                    outOfSession: boolean,
+                    errors: arrayOf(ref('ErrorDetail'))
+                }
+            })
+        }),
+        errors: [[413, 'Too many points in one batch']]
+    },
+    'GET /api/locations/latest': {
+        tags: ['Locations'],
+        summary: 'Latest point of every employee',
+        description: LEGACY_SHAPE,
+        responses: { 200: json(arrayOf(ref('LocationPoint'))) }
+    },
+    'GET /api/locations/history/{employeeId}': {
+        tags: ['Locations'],
+        summary: 'Points for a day (?date=) or range (?from=&to=), oldest first',
+        responses: ok({ locations: arrayOf(ref('LocationPoint')), simplified, nextCursor }, ['simplified'])
+    },
+    'GET /api/employees/{employeeId}/locations': {
+        tags: ['Locations'],
+        summary: 'Points, newest first',
+        responses: ok({ locations: arrayOf(ref('LocationPoint')), simplified, nextCursor }, ['simplified'])
+    },
+    'GET /api/locations/summary/{employeeId}': {
+        tags: ['Locations'],
+        summary: 'Trip summary per day',
+        responses: ok({ employeeId: string, from: date, to: date, days: arrayOf(ref('TripDay')), totals: looseObject }),
+        errors: [[413, 'Too many points in the range']]
+    },
+    'GET /api/employees/{employeeId}/geofence-events': {
+        tags: ['Locations'],
+        summary: 'Geofence enter/exit events, newest first',
+        responses: ok({ events: arrayOf(ref('GeofenceEvent')), nextCursor })
+    },
+    'GET /api/locations/flags': {
+        tags: ['Locations'],
+        summary: 'Review queue of possibly spoofed points',
+        responses: ok({ count: integer, flags: arrayOf(ref('LocationFlag')) })
+    },
+    'POST /api/locations/flags/{flagId}/review': {
+        tags: ['Locations'],
+        summary: 'Confirm or dismiss a flagged point',
+        description: 'Dismissing a flag lets its point count again in track summaries, exports and analytics.',
+        responses: ok({ message: string, flag: ref('LocationFlag') }),
+        errors: [[404, 'Flag not found'], [409, 'Already reviewed']]
+    },
+
+    // Attendance
+    'POST /api/attendance/clockin': attendanceAction('Clock in (starts a session)', {
+        time: string,
+        session: integer,
+        site: nullable('string')
+    }),
+    'POST /api/attendance/clockout': attendanceAction('Clock out (ends the open session)', {
+        clockOutTime: string,
+        workedMinutes: number,
+        breakMinutes: number
+    }, ['workedMinutes', 'breakMinutes']),
+    'POST /api/attendance/break/start': attendanceAction('Start a break', { breakMinutes: number }, ['breakMinutes']),
+    'POST /api/attendance/break/end': attendanceAction('End a break', { breakMinutes: number }, ['breakMinutes']),
+    'GET /api/attendance/status/{employeeId}': {
+        tags: ['Attendance'],
+        summary: 'Current lifecycle state',
+        responses: ok({
+            date,
+            state: { enum: Object.values(STATES) },
+            isClockedIn: boolean,
+            isOnBreak: boolean,
+            data: { anyOf: [ref('AttendanceRecord'), { type: 'null' }] }
+        }, ['data'])
+    },
+    'GET /api/attendance/today/{employeeId}': {
+        tags: ['Attendance'],
+        summary: 'Record for the current shift date',
+        responses: ok({ attendance: { anyOf: [ref('AttendanceRecord'), { type: 'null' }] } })
+    },
+    'GET /api/attendance/history/{employeeId}': {
+        tags: ['Attendance'],
+        summary: 'Attendance records, newest first',
+        responses: ok({ attendance: arrayOf(ref('AttendanceRecord')), nextCursor })
+    },
+    'POST /api/attendance/auto-clockout': {
+        tags: ['Attendance'],
+        summary: 'Close sessions left open past their shift',
+        responses: ok({ closed: arrayOf(looseObject) })
+    },
+
+    // Regularizations
+    'POST /api/attendance/regularizations': {
+        tags: ['Regularizations'],
+        summary: 'Request corrected sessions for a date',
+        responses: created({ message: string, regularization: ref('Regularization') }),
+        errors: [[404, 'Employee not found'], [409, 'A regularization for this date is already pending']]
+    },
+    'GET /api/attendance/regularizations': {
+        tags: ['Regularizations'],
+        summary: 'List regularizations (employees see their own)',
+        responses: ok({ regularizations: arrayOf(ref('Regularization')) })
+    },
+    'POST /api/attendance/regularizations/{regularizationId}/approve': {
+        tags: ['Regularizations'],
+        summary: 'Approve onto the attendance record',
+        responses: ok({ message: string, regularization: ref('Regularization'), attendance: ref('AttendanceRecord') }),
+        forbidden: 'Your own request, or a manager deciding outside their team',
+        errors: [[404, 'Not found'], [409, 'No longer pending']]
+    },
+    'POST /api/attendance/regularizations/{regularizationId}/reject': {
+        tags: ['Regularizations'],
+        summary: 'Reject a regularization',
+        responses: ok({ message: string, regularization: ref('Regularization') }),
+        forbidden: 'Your own request, or a manager deciding outside their team',
+        errors: [[404, 'Not found'], [409, 'No longer pending']]
+    },
+    'POST /api/attendance/regularizations/{regularizationId}/cancel': {
+        tags: ['Regularizations'],
+        summary: 'Cancel your own pending regularization',
+        responses: ok({ message: string, regularization: ref('Regularization') }),
+        forbidden: 'Only the requester may cancel',
+        errors: [[404, 'Not found'], [409, 'No longer pending']]
+    },
+
+    // Leave
+    'GET /api/leave/types': {
+        tags: ['Leave'],
+        summary: 'Leave types and yearly allowances (null = unlimited)',
+        responses: ok({ types: { type: 'object', additionalProperties: nullable('number') } })
+    },
+    'GET /api/leave/balances/{employeeId}': {
+        tags: ['Leave'],
+        summary: 'Balances per leave type for a year',
+        responses: ok({ employeeId: string, year: integer, balances: looseObject })
+    },
+    'PUT /api/leave/balances/{employeeId}': {
+        tags: ['Leave'],
+        summary: 'Override yearly allowances',
+        responses: ok({ message: string, balances: looseObject })
+    },
+    'POST /api/leave/requests': {
+        tags: ['Leave'],
+        summary: 'Apply for leave',
+        responses: created({ message: string, request: ref('LeaveRequest') }),
+        errors: [[409, 'Overlaps other leave or attendance, or exceeds the balance']]
+    },
+    'GET /api/leave/requests': {
+        tags: ['Leave'],
+        summary: 'List leave requests (employees see their own)',
+        responses: ok({ requests: arrayOf(ref('LeaveRequest')) })
+    },
+    'POST /api/leave/requests/{requestId}/approve': {
+        tags: ['Leave'],
+        summary: 'Approve a pending request',
+        responses: ok({ message: string, request: ref('LeaveRequest') }),
+        forbidden: 'Your own request, or a manager deciding outside their team',
+        errors: [[404, 'Leave request not found'], [409, 'No longer pending, or now conflicts']]
+    },
+    'POST /api/leave/requests/{requestId}/reject': {
+        tags: ['Leave'],
+        summary: 'Reject a pending request',
+        responses: ok({ message: string, request: ref('LeaveRequest') }),
+        forbidden: 'Your own request, or a manager deciding outside their team',
+        errors: [[404, 'Leave request not found'], [409, 'No longer pending']]
+    },
+    'POST /api/leave/requests/{requestId}/cancel': {
+        tags: ['Leave'],
+        summary: 'Cancel your own request',
+        responses: ok({ message: string, request: ref('LeaveRequest') }),
+        forbidden: 'Only the requester may cancel',
+        errors: [[404, 'Leave request not found'], [409, 'Cannot be cancelled']]
+    },
+
+    // Shifts
+    'GET /api/shifts': {
+        tags: ['Shifts'],
+        summary: 'List shifts with the organisation default',
+        responses: ok({ timezone: string, defaultShift: ref('Shift'), shifts: arrayOf(ref('Shift')) })
+    },
+    'GET /api/shifts/{shiftId}': {
+        tags: ['Shifts'],
+        summary: 'Get one shift',
+        responses: ok({ shift: ref('Shift') }),
+        errors: [[404, 'Shift not found']]
+    },
+    'POST /api/shifts': {
+        tags: ['Shifts'],
+        summary: 'Create a shift',
+        description: 'graceMinutes and workingDays default to the built-in shift; an end at or before start runs past midnight.',
+        responses: created({ message: string, shift: ref('Shift') }),
+        errors: [[400, 'Invalid shift']]
+    },
+    'PATCH /api/shifts/{shiftId}': {
+        tags: ['Shifts'],
+        summary: 'Update a shift',
+        responses: ok({ message: string, shift: ref('Shift') }),
+        errors: [[400, 'Invalid shift'], [404, 'Shift not found']]
+    },
+    'DELETE /api/shifts/{shiftId}': {
+        tags: ['Shifts'],
+        summary: 'Delete an unused shift',
+        responses: ok({ message: string }),
+        errors: [[404, 'Shift not found'], [409, 'Shift is still assigned']]
+    },
+
+    // Organisations
+    'GET /api/organisations/current': {
+        tags: ['Organisations'],
+        summary: "The caller's organisation",
+        responses: ok({ organisation: ref('Organisation') })
+    },
+    'PATCH /api/organisations/current': {
+        tags: ['Organisations'],
+        summary: "Update the caller's organisation settings",
+        description: 'null clears defaultShiftId / retentionDays (back to the deployment default).',
+        responses: ok({ message: string, organisation: ref('Organisation') }),
+        errors: [[400, 'Invalid organisation settings']]
+    },
+    'POST /api/organisations/current/webhook-secret': {
+        tags: ['Organisations'],
+        summary: 'Generate a new alert webhook signing secret (replaces the current one)',
+        description: 'The secret is returned only in this response. Receivers verify X-Alert-Signature with it.',
+        responses: ok({ message: string, webhookSecret: string })
+    },
+    'GET /api/organisations': {
+        tags: ['Organisations'],
+        summary: 'List organisations',
+        forbidden: 'Deployment administrators only (admins of the default organisation)',
+        responses: ok({ organisations: arrayOf(ref('Organisation')) })
+    },
+    'POST /api/organisations': {
+        tags: ['Organisations'],
+        summary: 'Create an organisation with its first admin',
+        description: 'Without admin.password a temporary password is returned.',
+        forbidden: 'Deployment administrators only (admins of the default organisation)',
+        responses: created({
+            message: string,
+            organisation: ref('Organisation'),
+            admin: ref('Employee'),
+            webhookSecret: { ...string, description: 'Signs this organisation\'s alert webhooks; shown only here' },
+            temporaryPassword: string
+        }, ['temporaryPassword']),
+        errors: [[400, 'Invalid organisation'], [409, 'Organisation or employee ID already exists']]
+    },
+    'GET /api/organisations/{orgId}': {
+        tags: ['Organisations'],
+        summary: 'Get one organisation',
+        forbidden: 'Deployment administrators only (admins of the default organisation)',
+        responses: ok({ organisation: ref('Organisation') }),
+        errors: [[404, 'Organisation not found']]
+    },
+    'PATCH /api/organisations/{orgId}': {
+        tags: ['Organisations'],
+        summary: 'Update or disable an organisation',
+        description: "null clears defaultShiftId / retentionDays. A disabled organisation's users can no longer log in or use their tokens.",
+        forbidden: 'Deployment administrators only (admins of the default organisation)',
+        responses: ok({ message: string, organisation: ref('Organisation') }),
+        errors: [[400, 'Invalid organisation settings'], [404, 'Organisation not found']]
+    },
+
+    // Geofences
+    'GET /api/geofences': {
+        tags: ['Geofences'],
+        summary: 'List geofences',
+        responses: ok({ geofences: arrayOf(ref('Geofence')) })
+    },
+    'GET /api/geofences/{geofenceId}': {
+        tags: ['Geofences'],
+        summary: 'Get one geofence',
+        responses: ok({ geofence: ref('Geofence') }),
+        errors: [[404, 'Geofence not found']]
+    },
+    'POST /api/geofences': {
+        tags: ['Geofences'],
+        summary: 'Create a circle or polygon geofence',
+        description: 'circle needs center and radiusMeters; polygon needs 3+ vertices. Empty departments and employeeIds assign the fence to everyone.',
+        responses: created({ message: string, geofence: ref('Geofence') }),
+        errors: [[400, 'Invalid geofence']]
+    },
+    'PATCH /api/geofences/{geofenceId}': {
+        tags: ['Geofences'],
+        summary: 'Update a geofence (changing type needs the new shape)',
+        responses: ok({ message: string, geofence: ref('Geofence') }),
+        errors: [[400, 'Invalid geofence'], [404, 'Geofence not found']]
+    },
+    'DELETE /api/geofences/{geofenceId}': {
+        tags: ['Geofences'],
+        summary: 'Delete a geofence',
+        responses: ok({ message: string }),
+        errors: [[404, 'Geofence not found']]
+    },
+
+    // Tracking
+    'GET /api/tracking/config': {
+        tags: ['Tracking'],
+        summary: 'Effective tracking settings for the caller (approvers: ?employeeId=)',
+        description: 'config.version changes whenever the settings do; location uploads echo the current one as trackingConfigVersion. '
+            + 'tracking says whether the app should be tracking now.',
+        responses: ok({
+            employeeId: string,
+            config: {
+                allOf: [ref('TrackingSettings'), {
+                    type: 'object',
+                    properties: { policyId: nullable('string'), policyName: string, version: string }
+                }]
+            },
+            tracking: {
+                type: 'object',
+                required: ['active', 'reason'],
+                properties: {
+                    active: boolean,
+                    reason: { enum: ['always', 'clocked-in', 'not-clocked-in', 'shift-hours', 'outside-shift-hours'] },
+                    nextChangeAt: { ...nullable('string'), format: 'date-time' }
+                }
+            },
+            refreshAfterSeconds: integer
+        }),
+        errors: [[404, 'Employee not found']]
+    },
+    'GET /api/tracking/policies': {
+        tags: ['Tracking'],
+        summary: 'List tracking policies and the defaults used when none applies',
+        responses: ok({ defaults: ref('TrackingSettings'), policies: arrayOf(ref('TrackingPolicy')) })
+    },
+    'GET /api/tracking/policies/{policyId}': {
+        tags: ['Tracking'],
+        summary: 'Get one tracking policy',
+        responses: ok({ policy: ref('TrackingPolicy') }),
+        errors: [[404, 'Tracking policy not found']]
+    },
+    'POST /api/tracking/policies': {
+        tags: ['Tracking'],
+        summary: 'Create a tracking policy',
+        description: 'The most specific active policy applies: department and role, then department, then role, then everyone.',
+        responses: created({ message: string, policy: ref('TrackingPolicy') })
+    },
+    'PATCH /api/tracking/policies/{policyId}': {
+        tags: ['Tracking'],
+        summary: 'Update a tracking policy',
+        responses: ok({ message: string, policy: ref('TrackingPolicy') }),
+        errors: [[404, 'Tracking policy not found']]
+    },
+    'DELETE /api/tracking/policies/{policyId}': {
+        tags: ['Tracking'],
+        summary: 'Delete a tracking policy',
+        responses: ok({ message: string }),
+        errors: [[404, 'Tracking policy not found']]
+    },
+
+    // Sites and visits
+    'GET /api/sites': {
+        tags: ['Visits'],
+        summary: 'List customer sites',
+        responses: ok({ count: integer, sites: arrayOf(ref('Site')) })
+    },
+    'GET /api/sites/{siteId}': {
+        tags: ['Visits'],
+        summary: 'Get one site',
+        responses: ok({ site: ref('Site') }),
+        errors: [[404, 'Site not found']]
+    },
+    'POST /api/sites': {
+        tags: ['Visits'],
+        summary: 'Create a site',
+        responses: created({ message: string, site: ref('Site') })
+    },
+    'PATCH /api/sites/{siteId}': {
+        tags: ['Visits'],
+        summary: 'Update a site',
+        responses: ok({ message: string, site: ref('Site') }),
+        errors: [[404, 'Site not found']]
+    },
+    'DELETE /api/sites/{siteId}': {
+        tags: ['Visits'],
+        summary: 'Delete a site (recorded visits keep its details)',
+        responses: ok({ message: string }),
+        errors: [[404, 'Site not found']]
+    },
+    'POST /api/visits/check-in': {
+        tags: ['Visits'],
+        summary: 'Check in at a site with an uploaded location point',
+        parameters: [{ name: 'X-Device-Id', in: 'header', schema: string }],
+        responses: created({ message: string, visit: ref('Visit') }),
+        errors: [
+            [403, 'Location could not be verified at the site (REQUIRE_VERIFIED_VISITS)'],
+            [404, 'Site or location point not found'],
+            [409, 'Another visit is still open (body carries its visitId), or the site is inactive']
+        ]
+    },
+    'POST /api/visits/{visitId}/check-out': {
+        tags: ['Visits'],
+        summary: 'Check out of an open visit with a later location point',
+        parameters: [{ name: 'X-Device-Id', in: 'header', schema: string }],
+        responses: ok({ message: string, visit: ref('Visit') }),
+        errors: [
+            [400, 'Point captured before the check-in'],
+            [403, 'Location could not be verified at the site (REQUIRE_VERIFIED_VISITS)'],
+            [404, 'Visit or location point not found'],
+            [409, 'Visit is already checked out']
+        ]
+    },
+    'GET /api/visits': {
+        tags: ['Visits'],
+        summary: 'List visits (own, one employee\'s, or everyone\'s on a date)',
+        responses: ok({ count: integer, visits: arrayOf(ref('Visit')) })
+    },
+    'GET /api/visits/report/{employeeId}': {
+        tags: ['Visits'],
+        summary: 'Daily visit report for one employee (?format=json|csv|xlsx)',
+        parameters: [{ name: 'format', in: 'query', schema: { enum: ['json', 'csv', 'xlsx'], default: 'json' } }],
+        responses: {
+            200: {
+                description: 'Summary and visits as JSON, or one row per visit as CSV / XLSX',
+                content: {
+                    'application/json': {
+                        schema: envelope({
+                            employeeId: string,
+                            name: string,
+                            date,
+                            summary: {
+                                type: 'object',
+                                properties: {
+                                    visits: integer,
+                                    completed: integer,
+                                    open: integer,
+                                    manual: integer,
+                                    inferred: integer,
+                                    verified: integer,
+                                    sitesVisited: integer,
+                                    totalMinutes: integer,
+                                    firstCheckIn: nullable('string'),
+                                    lastCheckOut: nullable('string')
+                                }
+                            },
+                            visits: arrayOf(ref('Visit'))
+                        })
+                    },
+                    'text/csv': { schema: string },
+                    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': { schema: string }
+                }
+            }
+        },
+        errors: [[404, 'Employee not found']]
+    },
+    'GET /api/visits/{visitId}': {
+        tags: ['Visits'],
+        summary: 'Get one visit',
+        responses: ok({ visit: ref('Visit') }),
+        errors: [[404, 'Visit not found']]
+    },
+    'POST /api/visits/{visitId}/notes': {
+        tags: ['Visits'],
+        summary: 'Add a note to a visit',
+        responses: created({ message: string, note: looseObject, visit: ref('Visit') }),
+        errors: [[404, 'Visit not found'], [409, 'Too many notes, or a concurrent change']]
+    },
+    'POST /api/visits/{visitId}/photos': {
+        tags: ['Visits'],
+        summary: 'Attach photo metadata to a visit',
+        responses: created({ message: string, photo: looseObject, visit: ref('Visit') }),
+        errors: [[404, 'Visit not found'], [409, 'Too many photos, or a concurrent change']]
+    },
+
+    // Alerts
+    'GET /api/alerts/rules': {
+        tags: ['Alerts'],
+        summary: 'List alert rules and the parameters of each type',
+        responses: ok({ types: looseObject, rules: arrayOf(ref('AlertRule')) })
+    },
+    'GET /api/alerts/rules/{ruleId}': {
+        tags: ['Alerts'],
+        summary: 'Get one alert rule',
+        responses: ok({ rule: ref('AlertRule') }),
+        errors: [[404, 'Alert rule not found']]
+    },
+    'POST /api/alerts/rules': {
+        tags: ['Alerts'],
+        summary: 'Create an alert rule',
+        responses: created({ message: string, rule: ref('AlertRule') }),
+        errors: [[400, 'Invalid alert rule']]
+    },
+    'PATCH /api/alerts/rules/{ruleId}': {
+        tags: ['Alerts'],
+        summary: 'Update an alert rule',
+        responses: ok({ message: string, rule: ref('AlertRule') }),
+        errors: [[400, 'Invalid alert rule'], [404, 'Alert rule not found']]
+    },
+    'DELETE /api/alerts/rules/{ruleId}': {
+        tags: ['Alerts'],
+        summary: 'Delete an alert rule (raised alerts are kept)',
+        responses: ok({ message: string }),
+        errors: [[404, 'Alert rule not found']]
+    },
+    'POST /api/alerts/evaluate': {
+        tags: ['Alerts'],
+        summary: 'Run the time-based rules and due notification retries now',
+        responses: ok({ raised: integer, retried: integer })
+    },
+    'GET /api/alerts': {
+        tags: ['Alerts'],
+        summary: 'Alert history, newest first',
+        responses: ok({ count: integer, alerts: arrayOf(ref('Alert')) })
+    },
+    'GET /api/alerts/{alertId}': {
+        tags: ['Alerts'],
+        summary: 'Get one alert with its notification state',
+        responses: ok({ alert: ref('Alert') }),
+        errors: [[404, 'Alert not found']]
+    },
+    'POST /api/alerts/{alertId}/acknowledge': {
+        tags: ['Alerts'],
+        summary: 'Acknowledge an open alert',
+        responses: ok({ message: string, alert: ref('Alert') }),
+        errors: [[404, 'Alert not found'], [409, 'Already acknowledged']]
+    },
+
+    // Reports and exports
+    'GET /api/reports/attendance/daily': {
+        tags: ['Reports'],
+        summary: 'Daily attendance (?format=json|csv|xlsx)',
+        parameters: [{ name: 'format', in: 'query', schema: { enum: ['json', 'csv', 'xlsx'], default: 'json' } }],
+        responses: {
+            200: {
+                description: 'Rows as JSON, CSV or XLSX',
+                content: {
+                    'application/json': { schema: envelope({ date, shift: ref('Shift'), rows: arrayOf(looseObject) }) },
+                    'text/csv': { schema: string },
+                    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': { schema: string }
+                }
+            }
+        }
+    },
+    'GET /api/reports/attendance/monthly': {
+        tags: ['Reports'],
+        summary: 'Monthly per-employee totals (?format=json|csv|xlsx)',
+        parameters: [{ name: 'format', in: 'query', schema: { enum: ['json', 'csv', 'xlsx'], default: 'json' } }],
+        responses: {
+            200: {
+                description: 'Rows as JSON, CSV or XLSX',
+                content: {
+                    'application/json': { schema: envelope({ month: string, shift: ref('Shift'), days: integer, rows: arrayOf(looseObject) }) },
+                    'text/csv': { schema: string },
+                    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': { schema: string }
+                }
+            }
+        }
+    },
+    'GET /api/exports/tracks': {
+        tags: ['Reports'],
+        summary: 'Every employee\'s track for a day',
+        parameters: [{ name: 'format', in: 'query', schema: { enum: ['gpx', 'kml', 'geojson'], default: 'gpx' } }],
+        responses: download(['application/gpx+xml', 'application/vnd.google-earth.kml+xml', 'application/geo+json'], 'Track file'),
+        errors: [[413, 'Too many points']]
+    },
+    'GET /api/exports/tracks/{employeeId}': {
+        tags: ['Reports'],
+        summary: 'One employee\'s track for a day or range',
+        parameters: [{ name: 'format', in: 'query', schema: { enum: ['gpx', 'kml', 'geojson'], default: 'gpx' } }],
+        responses: download(['application/gpx+xml', 'application/vnd.google-earth.kml+xml', 'application/geo+json'], 'Track file'),
+        errors: [[413, 'Too many points']]
+    },
+    'GET /api/live/stream': {
+        tags: ['Locations'],
+        summary: 'Server-Sent Events of points, attendance changes and alerts',
+        description: 'EventSource cannot set headers, so the token may be passed as ?access_token=. Resume with Last-Event-ID or ?since=. '
+            + 'The stream ends with an "expired" event when the access token expires; reconnect with a fresh one.',
+        parameters: [
+            { name: 'employeeIds', in: 'query', schema: { ...string, description: 'Comma-separated' } },
+            { name: 'departments', in: 'query', schema: { ...string, description: 'Comma-separated' } },
+            { name: 'since', in: 'query', schema: string },
+            { name: 'access_token', in: 'query', schema: string }
+        ],
+        responses: { 200: { description: 'Event stream', content: { 'text/event-stream': { schema: string } } } }
+    },
+
+    // Admin
+    // Analytics
+    'GET /api/admin/analytics/attendance': {
+        tags: ['Analytics'],
+        summary: 'Daily present / absent / late trend',
+        description: 'Dates default to the last 7 days; days after today are left out.',
+        responses: ok({
+            from: date,
+            to: date,
+            days: arrayOf(ref('AttendanceTrendDay')),
+            totals: { type: 'object', properties: { expected: integer, present: integer, absent: integer, late: integer, onLeave: integer } }
+        }),
+        errors: [[400, 'Invalid date range']]
+    },
+    'GET /api/admin/analytics/hours': {
+        tags: ['Analytics'],
+        summary: 'Average worked hours per department',
+        description: 'Averages over completed (clocked-out) employee-days.',
+        responses: ok({
+            from: date,
+            to: date,
+            departments: arrayOf({
+                type: 'object',
+                properties: { department: string, employees: integer, days: integer, totalHours: number, averageHours: number }
+            })
+        }),
+        errors: [[400, 'Invalid date range']]
+    },
+    'GET /api/admin/analytics/distance': {
+        tags: ['Analytics'],
+        summary: 'Distance travelled per employee',
+        responses: ok({
+            from: date,
+            to: date,
+            totalDistanceKm: number,
+            employees: arrayOf({
+                type: 'object',
+                properties: {
+                    employeeId: string, name: string, department: string, distanceKm: number,
+                    movingHours: number, daysMoving: integer, points: integer
+                }
+            })
+        }),
+        errors: [[400, 'Invalid date range'], [413, 'Too many points in one day']]
+    },
+    'GET /api/admin/analytics/heatmap': {
+        tags: ['Analytics'],
+        summary: 'Location density grid for heatmaps',
+        description: 'Cells are about cellMeters square; latitude / longitude are cell centres.',
+        responses: ok({
+            from: date,
+            to: date,
+            cellMeters: number,
+            points: integer,
+            maxCount: integer,
+            cells: arrayOf({ type: 'object', properties: { latitude: number, longitude: number, count: integer, employees: integer } })
+        }),
+        errors: [[400, 'Invalid date range'], [413, 'Too many points in one day']]
+    },
+    'GET /api/admin/analytics/geofences': {
+        tags: ['Analytics'],
+        summary: 'Most visited geofences',
+        description: 'A visit is an enter event; dwell times count visits whose exit falls in the range.',
+        responses: ok({
+            from: date,
+            to: date,
+            geofences: arrayOf({
+                type: 'object',
+                properties: {
+                    geofenceId: string, name: string, site: string, visits: integer, visitors: integer,
+                    totalDwellMinutes: integer, averageDwellMinutes: nullable('integer')
+                }
+            })
+        }),
+        errors: [[400, 'Invalid date range']]
+    },
+    'GET /api/admin/stats': {
+        tags: ['Admin'],
+        summary: 'Dashboard counters',
+        responses: ok({
+            stats: {
+                type: 'object',
+                description: 'Counts as decimal strings',
+                properties: { employees: string, present: string, active: string, leave_pending: string }
+            }
+        })
+    },
+    'GET /api/admin/audit': {
+        tags: ['Admin'],
+        summary: 'Query or export the audit trail',
+        responses: {
+            200: {
+                description: 'Entries as JSON, CSV or XLSX',
+                content: {
+                    'application/json': { schema: envelope({ from: date, to: date, count: integer, truncated: boolean, entries: arrayOf(ref('AuditEntry')) }) },
+                    'text/csv': { schema: string },
+                    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': { schema: string }
+                }
+            }
+        }
+    },
+    'GET /api/admin/retention': {
+        tags: ['Admin'],
+        summary: 'Retention policy and last archive run',
+        responses: ok({ retention: looseObject })
+    },
+    'POST /api/admin/retention/run': {
+        tags: ['Admin'],
+        summary: 'Archive points outside the retention window now',
+        responses: ok({ from: date, to: date, cutoffDate: date, dryRun: boolean, archivedPoints: integer, files: integer, dates: arrayOf(looseObject) }),
+        errors: [[409, 'ARCHIVE_RUNNING']]
+    },
+    'GET /api/admin/retention/archive/{employeeId}/{date}': {
+        tags: ['Admin'],
+        summary: 'Read one archived employee-day',
+        responses: ok({ employeeId: string, date, locations: arrayOf(ref('LocationPoint')), simplified }, ['simplified']),
+        errors: [[404, 'Nothing archived for that employee and date']]
+    }
+};
+
+// Bearer-token middleware, as opposed to the role and ownership checks that follow it
+const isAuthentication = (handler) => handler === authenticate || handler === authenticateForPasswordChange;
+
+// Routes are all registered once the app has started handling requests, so the document is built
+// on first use and kept
+const cache = new WeakMap();
+
+const specFor = (app) => {
+    if (!cache.has(app)) {
+        const { spec, undocumented } = buildSpec(app, {
+            info: {
+                title: 'Employee Location Tracker API',
+                version,
+                description: 'Errors always have the shape { error, code, details? }. Authenticate with a Bearer access token from POST /api/login.'
+            },
+            tags,
+            components: { schemas, responses },
+            routes,
+            isAuthentication
+        });
+        if (undocumented.length) logger.warn('Routes without API docs', { routes: undocumented });
+        cache.set(app, spec);
+    }
+    return cache.get(app);
+};
+
+module.exports = { specFor };
@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+// ==========================================
+// LOCATION ARCHIVE STORAGE
+// ==========================================
+// One gzipped NDJSON file per employee per day: <prefix>/<employeeId>/<YYYY-MM-DD>.ndjson.gz
+// LOCATION_ARCHIVE_TARGET=disk (default, under LOCATION_ARCHIVE_DIR) | s3 (any S3-compatible store;
+// set LOCATION_ARCHIVE_S3_ENDPOINT for MinIO, R2, ...)
+
+const ARCHIVE_TARGETS = ['disk', 's3'];
+const target = (process.env.LOCATION_ARCHIVE_TARGET || 'disk').toLowerCase();
+const ARCHIVE_DIR = path.resolve(process.env.LOCATION_ARCHIVE_DIR || 'archive');
+const ARCHIVE_BUCKET = process.env.LOCATION_ARCHIVE_BUCKET;
+const ARCHIVE_PREFIX = (process.env.LOCATION_ARCHIVE_PREFIX || 'locations').replace(/^\/+|\/+$/g, '');
+
+if (!ARCHIVE_TARGETS.includes(target)) {
+    throw new Error(`Unknown LOCATION_ARCHIVE_TARGET "${target}" (expected one of: ${ARCHIVE_TARGETS.join(', ')})`);
+}
+
+const keyFor = (employeeId, date) => [ARCHIVE_PREFIX, employeeId, `${date}.ndjson.gz`].filter(Boolean).join('/');
+
+const encode = (points) => gzip(points.map(point => JSON.stringify(point)).join('\n') + '\n');
+
+const decode = async (buffer) => (await gunzip(buffer)).toString('utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line));
+
+const disk = {
+    describe: () => ({ target: 'disk', location: ARCHIVE_DIR }),
+    read: async (key) => {
+        try {
+            return await fs.promises.readFile(path.join(ARCHIVE_DIR, key));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    },
+    // Written to a temp file first so a crash never leaves a truncated archive behind
+    write: async (key, body) => {
+        const file = path.join(ARCHIVE_DIR, key);
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(`${file}.tmp`, body);
+        await fs.promises.rename(`${file}.tmp`, file);
+    }
+};
+
+// The SDK is only loaded when the S3 target is in use
+let s3Client;
+const getS3Client = () => {
+    if (!s3Client) {
+        if (!ARCHIVE_BUCKET) throw new Error('LOCATION_ARCHIVE_BUCKET must be set for the s3 archive target');
+        const AWS = require('aws-sdk');
+        const endpoint = process.env.LOCATION_ARCHIVE_S3_ENDPOINT;
+        s3Client = new AWS.S3({
+            region: process.env.AWS_REGION || 'ap-south-1',
+            ...(endpoint && { endpoint, s3ForcePathStyle: true })
+        });
+    }
+    return s3Client;
+};
+
+const s3 = {
+    describe: () => ({ target: 's3', location: `s3://${ARCHIVE_BUCKET || '?'}/${ARCHIVE_PREFIX}` }),
+    read: async (key) => {
+        try {
+            const result = await getS3Client().getObject({ Bucket: ARCHIVE_BUCKET, Key: key }).promise();
+            return result.Body;
+        } catch (error) {
+            if (error.code === 'NoSuchKey' || error.statusCode === 404) return null;
+            throw error;
+        }
+    },
+    write: (key, body) => getS3Client().putObject({
+        Bucket: ARCHIVE_BUCKET,
+        Key: key,
+        Body: body,
+        ContentType: 'application/gzip'
+    }).promise()
+};
+
+const backend = target === 's3' ? s3 : disk;
+
+// Archived points for one employee-day (oldest first), or [] if nothing was archived
+const readDay = async (employeeId, date) => {
+    const body = await backend.read(keyFor(employeeId, date));
+    return body ? decode(body) : [];
+};
+
+// Adds points to an employee-day file. Anything already archived is merged by locationId, so a
+// re-run after a partial failure (or late uploads for an archived day) never duplicates or loses points.
+// Returns { key, count } with the file's total point count.
+const appendDay = async (employeeId, date, points) => {
+    const key = keyFor(employeeId, date);
+    const merged = new Map((await readDay(employeeId, date)).map(point => [point.locationId, point]));
+    points.forEach(point => merged.set(point.locationId, point));
+
+    const all = [...merged.values()].sort((a, b) => Number(a.timestamp) - Number(b.timestamp));
+    await backend.write(key, await encode(all));
+    return { key, count: all.length };
+};
+
+module.exports = { describe: backend.describe, readDay, appendDay };
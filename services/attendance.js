@@ -0,0 +1,142 @@
+const repositories = require('../repositories');
+const schedules = require('./schedules');
+const organisations = require('./organisations');
+const analytics = require('./analytics');
+const { addDays, getTimestamp, parseTimestamp } = require('../lib/time');
+const { shiftDateFor, shiftWindow } = require('../lib/shifts');
+const {
+    STATES,
+    stateOf,
+    isOpen,
+    sessionsOf,
+    checkTransition,
+    applyTransition,
+    recordChanges
+} = require('../lib/attendanceSessions');
+const logger = require('../lib/logger');
+
+const { ConditionFailedError } = repositories;
+
+// Sessions still open this long after their shift ended are closed at the shift end
+const AUTO_CLOCKOUT_AFTER_MINUTES = parseInt(process.env.AUTO_CLOCKOUT_AFTER_MINUTES || '240', 10);
+const AUTO_CLOCKOUT_INTERVAL_MINUTES = parseInt(process.env.AUTO_CLOCKOUT_INTERVAL_MINUTES || '15', 10);
+
+// The record an action at `now` applies to: an open session on the current or previous shift date
+// (overnight shift, or the schedule changed mid-shift), else the current shift date's record.
+// Returns { record, date, shift, timeZone } where record may be null.
+const findCurrentRecord = async (employee, now = new Date()) => {
+    const { shift, timeZone } = await schedules.scheduleFor(employee);
+    const date = shiftDateFor(now.getTime(), shift, timeZone);
+
+    const [current, previous] = await Promise.all([
+        repositories.attendance.get(employee.employeeId, date),
+        repositories.attendance.get(employee.employeeId, addDays(date, -1))
+    ]);
+    const record = [current, previous].find(isOpen) || current;
+    return { record, date: record ? record.date : date, shift, timeZone };
+};
+
+// Applies a lifecycle action (clockIn | breakStart | breakEnd | clockOut) for `employee`.
+// `details` is stored on the session being opened/closed and mirrored on the day record
+// (e.g. clockInLocation, clockInSite). Returns { record } or { status, error }.
+const transition = async (employee, action, { now = new Date(), details = {} } = {}) => {
+    const { record: target, date, shift, timeZone } = await findCurrentRecord(employee, now);
+
+    const invalid = checkTransition(target, action);
+    if (invalid) return { status: 409, error: invalid, state: stateOf(target) };
+
+    const at = getTimestamp(now, (target && target.timezone) || timeZone);
+    const { sessions, state } = applyTransition(target, action, at, details);
+    const { set, remove } = recordChanges(sessions, state, now.getTime());
+    const isFirstClockIn = action === 'clockIn' && sessionsOf(target).length === 0;
+
+    try {
+        if (!target) {
+            const created = await repositories.attendance.create({
+                attendanceId: `${employee.employeeId}_${date}`,
+                employeeId: employee.employeeId,
+                date,
+                shiftId: shift.shiftId,
+                timezone: timeZone,
+                ...details,
+                ...set
+            });
+            analytics.invalidate('attendance', [date]);
+            return { record: created };
+        }
+
+        const updated = await repositories.attendance.update(employee.employeeId, target.date, {
+            // Day-level location fields describe the first clock-in and the last clock-out
+            set: { ...set, ...(action === 'clockOut' || isFirstClockIn ? details : {}) },
+            remove
+        }, { expect: target.state ? { state: target.state } : {} });
+        analytics.invalidate('attendance', [target.date]);
+        return { record: updated };
+    } catch (error) {
+        if (error instanceof ConditionFailedError) {
+            return { status: 409, error: 'Attendance changed concurrently; please retry' };
+        }
+        throw error;
+    }
+};
+
+// Closes sessions left open well past their shift end. The session is closed at the shift end
+// (or at the clock-in, for sessions begun after it) and flagged autoClockedOut for review.
+const autoClockOut = async (now = new Date()) => {
+    const today = await schedules.today();
+    const dates = [today, addDays(today, -1), addDays(today, -2)];
+    const shifts = await schedules.shiftsById();
+    const closed = [];
+
+    for (const date of dates) {
+        const open = (await repositories.attendance.listByDate(date)).filter(isOpen);
+        for (const record of open) {
+            const employee = (await repositories.employees.get(record.employeeId)) || { employeeId: record.employeeId };
+            const shift = shifts[record.shiftId] || (await schedules.scheduleFor(employee)).shift;
+            const timeZone = record.timezone || await schedules.timeZoneFor(employee);
+            const { end } = shiftWindow(shift, record.date, timeZone);
+            if (now.getTime() < end + AUTO_CLOCKOUT_AFTER_MINUTES * 60000) continue;
+
+            const sessions = sessionsOf(record);
+            const lastClockIn = parseTimestamp(sessions[sessions.length - 1].clockIn);
+            const closeAt = new Date(Math.max(end, lastClockIn));
+            const { sessions: next, state } = applyTransition(record, 'clockOut', getTimestamp(closeAt, timeZone), { autoClockedOut: true });
+            const { set, remove } = recordChanges(next, state, closeAt.getTime());
+
+            try {
+                await repositories.attendance.update(record.employeeId, record.date, {
+                    set: { ...set, autoClockedOut: true, lastUpdated: now.toISOString() },
+                    remove
+                }, { expect: record.state ? { state: record.state } : {} });
+                closed.push({ employeeId: record.employeeId, date: record.date, clockOutTime: set.clockOutTime });
+                analytics.invalidate('attendance', [record.date]);
+            } catch (error) {
+                // Someone clocked out (or back in) meanwhile; the next run will look again
+                if (!(error instanceof ConditionFailedError)) throw error;
+            }
+        }
+    }
+    return closed;
+};
+
+let timer = null;
+
+// Periodic auto clock-out while the server runs, one organisation at a time
+const startAutoClockOut = () => {
+    if (timer || AUTO_CLOCKOUT_INTERVAL_MINUTES <= 0) return;
+    timer = setInterval(() => {
+        organisations.forEachOrganisation(() => autoClockOut())
+            .then(results => results.forEach(({ orgId, result: closed }) =>
+                closed.length && logger.info('Auto clocked out sessions', { orgId, sessions: closed.length })))
+            .catch(error => logger.error('Auto clock-out failed', error));
+    }, AUTO_CLOCKOUT_INTERVAL_MINUTES * 60000);
+    timer.unref();
+};
+
+module.exports = {
+    STATES,
+    findCurrentRecord,
+    transition,
+    autoClockOut,
+    startAutoClockOut
+};
@@ -0,0 +1,77 @@
+const repositories = require('../repositories');
+const schedules = require('./schedules');
+const { getDateString } = require('../lib/time');
+const { resolveShift, hasShiftOverrides } = require('../lib/shifts');
+const { buildDailyRow } = require('../lib/attendanceReport');
+
+// Active employees, optionally limited to one department
+const loadEmployees = async (department) => {
+    const employees = await repositories.employees.list();
+    return employees
+        .filter(employee => employee.isActive !== false)
+        .filter(employee => !department || employee.department === department)
+        .sort((a, b) => a.employeeId.localeCompare(b.employeeId));
+};
+
+// Approved leave overlapping [from, to]
+const loadApprovedLeave = (from, to) => repositories.leave.listByStatus('approved', { from, to });
+
+// Each employee's assigned shift and time zone. ?shiftStart=&shiftEnd=&graceMinutes= in `query`
+// override every shift for what-if reports. Returns { byEmployee, shift } or { error }.
+const loadSchedules = async (employees, query = {}) => {
+    const base = await schedules.defaultShift();
+    const { shift, error } = resolveShift(query, base);
+    if (error) return { error };
+
+    const overrides = hasShiftOverrides(query);
+    const byEmployee = {};
+    for (const employee of employees) {
+        const { shift: assigned, timeZone } = await schedules.scheduleFor(employee);
+        byEmployee[employee.employeeId] = {
+            shift: overrides ? (resolveShift(query, assigned).shift || shift) : assigned,
+            timeZone
+        };
+    }
+    return { byEmployee, shift: overrides ? shift : base };
+};
+
+// Attendance is looked up through the date index, which is partitioned by date: a range of dates
+// takes one query per date. They run this many at a time.
+const DAY_QUERY_CONCURRENCY = 4;
+
+// Daily rows for every listed employee from one date's records; employees without a record come out
+// as absent/leave/off. Attendance is keyed by shift date. Days before an employee was created are
+// skipped rather than counted as absences (unless a record exists, e.g. a night shift begun the
+// evening before).
+const buildDay = (date, records, employees, scheduleByEmployee, now, approvedLeave) => {
+    const byEmployee = Object.fromEntries(records.map(record => [record.employeeId, record]));
+    const leaveFor = (employeeId) => approvedLeave.find(leave =>
+        leave.employeeId === employeeId && leave.startDate <= date && leave.endDate >= date
+    );
+    return employees
+        .filter(employee => {
+            const { timeZone } = scheduleByEmployee[employee.employeeId];
+            return !employee.createdAt || byEmployee[employee.employeeId] ||
+                getDateString(new Date(employee.createdAt), timeZone) <= date;
+        })
+        .map(employee => buildDailyRow(employee, date, byEmployee[employee.employeeId], {
+            ...scheduleByEmployee[employee.employeeId],
+            now,
+            leave: leaveFor(employee.employeeId)
+        }));
+};
+
+// Daily rows (see buildDay) for each of `dates`, in date order
+const buildDays = async (dates, employees, scheduleByEmployee, now, approvedLeave) => {
+    const rows = [];
+    for (let start = 0; start < dates.length; start += DAY_QUERY_CONCURRENCY) {
+        const batch = dates.slice(start, start + DAY_QUERY_CONCURRENCY);
+        const recordsByDate = await Promise.all(batch.map(date => repositories.attendance.listByDate(date)));
+        batch.forEach((date, index) => {
+            rows.push(...buildDay(date, recordsByDate[index], employees, scheduleByEmployee, now, approvedLeave));
+        });
+    }
+    return rows;
+};
+
+module.exports = { loadEmployees, loadApprovedLeave, loadSchedules, buildDays };
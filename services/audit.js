@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+const repositories = require('../repositories');
+const { diffRecords } = require('../lib/audit');
+const { DEPLOYMENT_ORG_ID } = require('../lib/tenancy');
+
+// Query parameters never copied into an entry
+const HIDDEN_QUERY_PARAMS = ['access_token'];
+
+const requestMetadata = (req) => {
+    const query = { ...req.query };
+    HIDDEN_QUERY_PARAMS.forEach(name => delete query[name]);
+    return {
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        ...(Object.keys(query).length && { query }),
+        ip: req.ip,
+        userAgent: req.get('User-Agent') || null,
+        requestId: req.id || req.get('X-Request-Id') || null
+    };
+};
+
+// Route pattern of the matched handler ("/api/leave/requests/:requestId/approve"), else the raw path
+const routeOf = (req) => (req.route ? `${req.baseUrl}${req.route.path}` : req.originalUrl.split('?')[0]);
+
+// Builds the entry for a finished request from what the route recorded on req.audit
+const buildEntry = (req, res, now = new Date()) => {
+    const audit = req.audit || {};
+    const timestamp = now.toISOString();
+    const auditId = crypto.randomUUID();
+    const params = req.params || {};
+    const hasChanges = audit.before !== undefined || audit.after !== undefined;
+    // Anonymous requests (login, password reset) name the organisation once the employee is known;
+    // the rest stay out of every organisation's trail rather than falling into the default one
+    const orgId = (req.user && req.user.orgId) || audit.orgId || DEPLOYMENT_ORG_ID;
+
+    return {
+        auditId,
+        orgId,
+        date: timestamp.slice(0, 10),
+        eventKey: `${timestamp}#${auditId}`,
+        timestamp,
+        actorId: (req.user && req.user.employeeId) || audit.actorId || null,
+        actorRole: (req.user && req.user.role) || null,
+        action: audit.action || `${req.method} ${routeOf(req)}`,
+        targetType: audit.targetType || null,
+        targetId: audit.targetId || params.employeeId || Object.values(params)[0] || null,
+        ...(hasChanges && { changes: diffRecords(audit.before || null, audit.after || null) }),
+        ...(audit.details && { details: audit.details }),
+        status: res.statusCode,
+        outcome: res.statusCode < 400 ? 'success' : 'failure',
+        request: requestMetadata(req)
+    };
+};
+
+const record = (entry) => repositories.auditLog.append(entry);
+
+module.exports = { buildEntry, record };
@@ -0,0 +1,92 @@
+const repositories = require('../repositories');
+const { DEVICE_ID_PATTERN } = require('../lib/employees');
+const logger = require('../lib/logger');
+
+const { ConditionFailedError } = repositories;
+
+// DEVICE_BINDING=enforce (default) | off. When enforced, location and attendance requests must come
+// from the device registered to the employee (X-Device-Id header or `deviceId` in the body).
+const DEVICE_BINDING = (process.env.DEVICE_BINDING || 'enforce').toLowerCase();
+
+const DEVICE_MISMATCH = { status: 403, code: 'DEVICE_MISMATCH', error: 'This device is not registered for your account' };
+
+const deviceIdFrom = (req) => req.get('X-Device-Id') || (req.body && req.body.deviceId);
+
+// An employee is bound once a device was registered by an admin or claimed on first use.
+// Accounts created without an explicit deviceId only hold a placeholder and are unbound.
+const isBound = (employee) => Boolean(employee && employee.deviceBoundAt);
+
+// Checks the request's device against the employee's registration, binding the first device an
+// unbound employee uses. Returns { employee } (refreshed if it was just bound) or { status, code, error }.
+const verifyDevice = async (employee, deviceId, { now = new Date() } = {}) => {
+    if (DEVICE_BINDING === 'off') return { employee };
+
+    if (!deviceId) return { status: 400, code: 'DEVICE_ID_REQUIRED', error: 'Device ID is required (X-Device-Id header)' };
+    if (!DEVICE_ID_PATTERN.test(String(deviceId))) return { status: 400, code: 'DEVICE_ID_INVALID', error: 'Device ID is malformed' };
+
+    if (!isBound(employee)) {
+        try {
+            const bound = await repositories.employees.update(employee.employeeId, {
+                set: { deviceId: String(deviceId), deviceBoundAt: now.toISOString(), deviceBoundBy: 'first-use' }
+            }, { expect: employee.deviceId ? { deviceId: employee.deviceId } : {} });
+            logger.info('Device bound on first use', { employeeId: employee.employeeId });
+            return { employee: bound };
+        } catch (error) {
+            // Another request bound a device first; verify against that one
+            if (!(error instanceof ConditionFailedError)) throw error;
+            const current = await repositories.employees.get(employee.employeeId);
+            return current && current.deviceId === String(deviceId)
+                ? { employee: current }
+                : DEVICE_MISMATCH;
+        }
+    }
+
+    if (employee.deviceId === String(deviceId)) return { employee };
+
+    // Kept on the profile so an admin re-binding a replaced phone can see which device was refused
+    await repositories.employees.update(employee.employeeId, {
+        set: { lastRejectedDeviceId: String(deviceId), lastRejectedDeviceAt: now.toISOString() }
+    }).catch(error => logger.error('Could not record device mismatch', { employeeId: employee.employeeId, err: error }));
+
+    return DEVICE_MISMATCH;
+};
+
+// Express middleware for self-service location/attendance endpoints (after requireSelfBody):
+// loads the employee, verifies the device and exposes the employee as req.employee.
+const requireRegisteredDevice = async (req, res, next) => {
+    try {
+        const employee = await repositories.employees.get(req.body.employeeId);
+        if (!employee) return res.status(404).json({ error: 'Employee not found' });
+
+        const { employee: verified, status, code, error } = await verifyDevice(employee, deviceIdFrom(req));
+        if (error) return res.status(status).json({ error, code });
+
+        req.employee = verified;
+        next();
+    } catch (error) {
+        logger.error('Error verifying device', error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Admin re-bind (replaced or lost phone). A null deviceId unbinds, so the next device used is bound.
+const bindDevice = (employeeId, deviceId, { boundBy, now = new Date() }) => {
+    const cleared = ['lastRejectedDeviceId', 'lastRejectedDeviceAt'];
+    const changes = deviceId
+        ? {
+            set: { deviceId, deviceBoundAt: now.toISOString(), deviceBoundBy: boundBy, lastUpdated: now.toISOString() },
+            remove: cleared
+        }
+        : {
+            set: { deviceId: `DEVICE_${employeeId}`, lastUpdated: now.toISOString() },
+            remove: ['deviceBoundAt', 'deviceBoundBy', ...cleared]
+        };
+    return repositories.employees.update(employeeId, changes);
+};
+
+module.exports = {
+    isBound,
+    verifyDevice,
+    requireRegisteredDevice,
+    bindDevice
+};
@@ -0,0 +1,60 @@
+const repositories = require('../repositories');
+const schedules = require('./schedules');
+const { createsCycle } = require('../lib/employees');
+const { hashPassword, generateTemporaryPassword } = require('../lib/passwords');
+
+// Confirms managerId/shiftId references for one employee. `employeesById` may be passed in when
+// the caller already loaded (or is about to add) employees, e.g. during a bulk import.
+// Returns an error message or null.
+const checkReferences = async ({ employeeId, managerId, shiftId }, { employeesById } = {}) => {
+    if (managerId) {
+        const byId = employeesById || Object.fromEntries(
+            (await repositories.employees.list()).map(employee => [employee.employeeId, employee])
+        );
+        const manager = byId[managerId];
+        if (!manager) return `Manager ${managerId} does not exist`;
+        if (manager.isActive === false) return `Manager ${managerId} is deactivated`;
+        if (employeeId && createsCycle(byId, employeeId, managerId)) {
+            return `Reporting to ${managerId} would create a reporting loop`;
+        }
+    }
+    if (shiftId && !(await schedules.shiftsById())[shiftId]) return 'Unknown shiftId';
+    return null;
+};
+
+// Stores a new employee from validated fields. Without a password a random one is issued once;
+// either way the employee must change it on first login. An explicit deviceId registers that device;
+// otherwise a placeholder is stored and the first device used is bound. Returns { employee, temporaryPassword }.
+const createEmployee = async (fields, { password, deviceId } = {}) => {
+    const now = new Date().toISOString();
+    const temporaryPassword = password ? null : generateTemporaryPassword();
+    const registeredDevice = deviceId ? String(deviceId).trim() : '';
+
+    const employee = await repositories.employees.create({
+        email: '',
+        phone: '',
+        department: '',
+        role: 'employee',
+        ...fields,
+        deviceId: registeredDevice || `DEVICE_${fields.employeeId}`,
+        ...(registeredDevice && { deviceBoundAt: now, deviceBoundBy: 'registration' }),
+        password: await hashPassword(password || temporaryPassword),
+        passwordSet: false,
+        failedLoginAttempts: 0,
+        status: 'active',
+        createdAt: now,
+        lastUpdated: now,
+        isActive: true
+    });
+    return { employee, temporaryPassword };
+};
+
+// Whether `user` may approve or reject a request filed by `employeeId`: admins and HR for anyone,
+// managers only for their direct reports. Whether it is the user's own request is checked separately.
+const canDecideFor = async (user, employeeId) => {
+    if (user.role !== 'manager') return true;
+    const employee = await repositories.employees.get(employeeId);
+    return Boolean(employee) && employee.managerId === user.employeeId;
+};
+
+module.exports = { checkReferences, createEmployee, canDecideFor };
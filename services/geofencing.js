@@ -0,0 +1,113 @@
+const repositories = require('../repositories');
+const { assignedFences, matchingFences, diffMembership } = require('../lib/geofences');
+const { isValidCoordinate } = require('../lib/geo');
+const { cacheKey } = require('../lib/tenancy');
+
+// When set, clock-in/clock-out must carry coordinates inside one of the employee's assigned fences
+const REQUIRE_GEOFENCE_FOR_ATTENDANCE = process.env.REQUIRE_GEOFENCE_FOR_ATTENDANCE === 'true';
+
+// Fence definitions change rarely but are needed for every incoming point
+const CACHE_TTL_MS = parseInt(process.env.GEOFENCE_CACHE_SECONDS || '30', 10) * 1000;
+
+// One entry per organisation context (fences are tenant data)
+const cache = new Map();
+
+const listFences = async () => {
+    const key = cacheKey();
+    const cached = cache.get(key);
+    if (!cached || Date.now() - cached.loadedAt > CACHE_TTL_MS) {
+        cache.set(key, { fences: await repositories.geofences.list(), loadedAt: Date.now() });
+    }
+    return cache.get(key).fences;
+};
+
+// Called after any geofence create/update/delete
+const invalidateCache = () => {
+    cache.clear();
+};
+
+// Evaluates accepted points (any order) against the employee's fences and stores enter/exit events.
+// Points older than the last evaluated one are skipped so replayed batches cannot flip state backwards.
+const processPoints = async (employee, items) => {
+    const fences = assignedFences(await listFences(), employee);
+    const state = (await repositories.geofenceEvents.getState(employee.employeeId)) ||
+        { employeeId: employee.employeeId, insideGeofenceIds: [], timestamp: '0' };
+
+    const ordered = [...items]
+        .filter(item => item.timestamp > state.timestamp)
+        .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    if (!ordered.length) return [];
+
+    const fencesById = Object.fromEntries(fences.map(fence => [fence.geofenceId, fence]));
+    let inside = state.insideGeofenceIds.filter(id => fencesById[id]);
+    const events = [];
+
+    ordered.forEach(item => {
+        const current = matchingFences(fences, item).map(fence => fence.geofenceId);
+        const { entered, exited } = diffMembership(inside, current);
+        const record = (type) => (geofenceId) => events.push({
+            employeeId: employee.employeeId,
+            eventId: `${item.timestamp}#${geofenceId}`,
+            type,
+            geofenceId,
+            geofenceName: fencesById[geofenceId].name,
+            site: fencesById[geofenceId].site || '',
+            latitude: item.latitude,
+            longitude: item.longitude,
+            locationId: item.locationId,
+            occurredAt: item.recordedAt,
+            timestamp: item.timestamp
+        });
+        exited.forEach(record('exit'));
+        entered.forEach(record('enter'));
+        inside = current;
+    });
+
+    const last = ordered[ordered.length - 1];
+    if (events.length) await repositories.geofenceEvents.addMany(events);
+    await repositories.geofenceEvents.putState({
+        employeeId: employee.employeeId,
+        insideGeofenceIds: inside,
+        timestamp: last.timestamp,
+        updatedAt: new Date().toISOString()
+    });
+
+    return events;
+};
+
+// First assigned fence containing the point, or null
+const findAttendanceFence = async (employee, point) => {
+    const fences = assignedFences(await listFences(), employee);
+    return matchingFences(fences, point)[0] || null;
+};
+
+// Checks clock-in/clock-out coordinates. Returns { error, status } on rejection,
+// otherwise { point, fence } (either may be null when enforcement is off).
+const checkAttendanceLocation = async (employee, body) => {
+    const hasCoordinates = body.latitude !== undefined && body.longitude !== undefined;
+    const point = hasCoordinates ? { latitude: Number(body.latitude), longitude: Number(body.longitude) } : null;
+
+    if (point && !isValidCoordinate(point)) {
+        return { status: 400, error: 'latitude/longitude are out of range' };
+    }
+    if (!point) {
+        return REQUIRE_GEOFENCE_FOR_ATTENDANCE
+            ? { status: 400, error: 'Location is required to clock in or out' }
+            : { point: null, fence: null };
+    }
+
+    const fence = await findAttendanceFence(employee, point);
+    if (!fence && REQUIRE_GEOFENCE_FOR_ATTENDANCE) {
+        return { status: 403, error: 'You are not inside an assigned work location' };
+    }
+    return { point, fence };
+};
+
+module.exports = {
+    REQUIRE_GEOFENCE_FOR_ATTENDANCE,
+    listFences,
+    invalidateCache,
+    processPoints,
+    findAttendanceFence,
+    checkAttendanceLocation
+};
@@ -0,0 +1,80 @@
+const { EventEmitter } = require('events');
+const { orgOf } = require('../lib/tenancy');
+
+// In-process broadcast of accepted points and clock-in/out events to dashboard streams.
+// A short replay buffer lets reconnecting clients resume from the last event they saw.
+// Note: each API instance has its own feed; run a single instance (or sticky sessions) for live maps.
+
+const BUFFER_SIZE = parseInt(process.env.LIVE_BUFFER_SIZE || '5000', 10);
+const BUFFER_MS = parseInt(process.env.LIVE_BUFFER_MINUTES || '15', 10) * 60 * 1000;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // one listener per connected dashboard
+
+const buffer = [];
+let seq = 0;
+
+// Event ids are "<publishedMs>-<seq>" so they order correctly even across restarts
+const parseEventId = (id) => {
+    const match = /^(\d+)-(\d+)$/.exec(String(id || ''));
+    return match ? { ms: Number(match[1]), seq: Number(match[2]) } : null;
+};
+
+const isAfter = (event, position) =>
+    event.publishedMs > position.ms || (event.publishedMs === position.ms && event.seq > position.seq);
+
+const trim = (now) => {
+    while (buffer.length > BUFFER_SIZE || (buffer.length && buffer[0].publishedMs < now - BUFFER_MS)) {
+        buffer.shift();
+    }
+};
+
+// type: 'location' | 'clockin' | 'clockout' | 'breakstart' | 'breakend' | 'alert' | 'visit'; employee supplies orgId/employeeId/department for filtering
+const publish = (type, employee, data) => {
+    const now = Date.now();
+    seq += 1;
+    const event = {
+        id: `${now}-${seq}`,
+        publishedMs: now,
+        seq,
+        type,
+        orgId: orgOf(employee),
+        employeeId: employee.employeeId,
+        department: employee.department || '',
+        data
+    };
+    buffer.push(event);
+    trim(now);
+    emitter.emit('event', event);
+    return event;
+};
+
+// Filters: { orgId, employeeIds: [], departments: [] }; empty lists match the whole organisation
+const matches = (event, { orgId, employeeIds = [], departments = [] }) => {
+    if (event.orgId !== orgId) return false;
+    if (!employeeIds.length && !departments.length) return true;
+    return employeeIds.includes(event.employeeId) || departments.includes(event.department);
+};
+
+// Buffered events after a Last-Event-ID or a `since` epoch ms.
+// `complete` is false when the requested position is older than the buffer (client should resync).
+const replay = ({ lastEventId, since }, filters) => {
+    const position = parseEventId(lastEventId) || (since !== undefined ? { ms: since, seq: Infinity } : null);
+    if (!position) return { events: [], complete: true };
+
+    const complete = !buffer.length || buffer[0].publishedMs <= position.ms;
+    const events = buffer.filter(event => isAfter(event, position) && matches(event, filters));
+    return { events, complete };
+};
+
+const subscribe = (filters, listener) => {
+    const handler = (event) => {
+        if (matches(event, filters)) listener(event);
+    };
+    emitter.on('event', handler);
+    return () => emitter.off('event', handler);
+};
+
+const subscriberCount = () => emitter.listenerCount('event');
+
+module.exports = { publish, replay, subscribe, subscriberCount };
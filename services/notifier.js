@@ -0,0 +1,210 @@
+const dns = require('dns').promises;
+const http = require('http');
+const https = require('https');
+const repositories = require('../repositories');
+const { signPayload, backoffDelay, isAllowedWebhookHost, isBlockedAddress, webhookUrlProblem } = require('../lib/alerts');
+const { orgOf } = require('../lib/tenancy');
+const organisations = require('./organisations');
+const logger = require('../lib/logger');
+
+// ==========================================
+// ALERT NOTIFICATIONS (webhooks + SMTP)
+// ==========================================
+// Each alert carries one delivery per webhook URL / email address of its rule:
+//   { channel, target, status: pending | delivered | failed, attempts, lastError, nextAttemptAt, ... }
+// Failed attempts are retried with exponential backoff until ALERT_DELIVERY_MAX_ATTEMPTS; the state
+// lives on the alert, so the periodic alert job picks up retries after a restart.
+// Webhooks are signed with the alert's organisation's own secret (services/organisations.js).
+
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.ALERT_WEBHOOK_TIMEOUT_MS || '10000', 10);
+const MAX_ATTEMPTS = parseInt(process.env.ALERT_DELIVERY_MAX_ATTEMPTS || '6', 10);
+const RETRY_BASE_MS = parseInt(process.env.ALERT_RETRY_BASE_SECONDS || '30', 10) * 1000;
+const RETRY_MAX_MS = parseInt(process.env.ALERT_RETRY_MAX_MINUTES || '60', 10) * 60000;
+const EMAIL_FROM = process.env.ALERT_EMAIL_FROM || 'alerts@localhost';
+// Redirects a webhook delivery follows (307/308 only: they keep the POST and its signed body)
+const MAX_REDIRECTS = 3;
+
+// What receivers get; internal delivery bookkeeping stays out of it
+const payloadFor = (alert) => ({
+    event: 'alert',
+    alert: {
+        alertId: alert.alertId,
+        type: alert.type,
+        ruleId: alert.ruleId,
+        ruleName: alert.ruleName,
+        employeeId: alert.employeeId,
+        employeeName: alert.employeeName,
+        date: alert.date,
+        message: alert.message,
+        details: alert.details,
+        triggeredAt: alert.triggeredAt
+    }
+});
+
+// Rules only hold public-looking URLs (lib/alerts.js), but a name can resolve to an internal address,
+// and may have been changed to since the rule was saved: it is resolved and checked before every
+// attempt. The returned `lookup` hands the connection only the addresses checked here, so a second
+// resolution cannot swap in another one (DNS rebinding).
+const resolveWebhookTarget = async (url) => {
+    const addresses = await dns.lookup(url.hostname.replace(/^\[|\]$/g, ''), { all: true });
+    if (!isAllowedWebhookHost(url.hostname) && addresses.some(({ address }) => isBlockedAddress(address))) {
+        throw new Error(`Webhook host ${url.hostname} resolves to a private address`);
+    }
+    return (hostname, options, callback) => {
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    };
+};
+
+// One POST; resolves to { status, location } without reading the body
+const post = (url, { headers, body, lookup }) => new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const request = client.request(url, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup,
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    }, (response) => {
+        response.resume();
+        resolve({ status: response.statusCode, location: response.headers.location });
+    });
+    request.on('error', reject);
+    request.end(body);
+});
+
+const sendWebhook = async (url, alert) => {
+    const secret = await organisations.webhookSecretFor(orgOf(alert));
+    if (!secret) throw new Error('The organisation has no webhook secret (POST /api/organisations/current/webhook-secret)');
+
+    const body = JSON.stringify(payloadFor(alert));
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': 'employee-location-tracker-alerts',
+        'X-Alert-Id': alert.alertId,
+        'X-Alert-Timestamp': timestamp,
+        'X-Alert-Signature': signPayload(secret, timestamp, body)
+    };
+
+    // A redirect could lead anywhere, including to an internal address: every hop is checked like
+    // the rule's own URL. Any other 3xx counts as a failure.
+    let target = new URL(url);
+    for (let redirects = 0; ; redirects++) {
+        const { status, location } = await post(target, { headers, body, lookup: await resolveWebhookTarget(target) });
+        if (status >= 200 && status < 300) return;
+        if (![307, 308].includes(status) || !location) throw new Error(`Webhook responded ${status}`);
+        if (redirects === MAX_REDIRECTS) throw new Error(`Webhook redirected more than ${MAX_REDIRECTS} times`);
+
+        target = new URL(location, target);
+        const problem = webhookUrlProblem(target.href);
+        if (problem) throw new Error(`Webhook redirected to ${target.host}: ${problem}`);
+    }
+};
+
+// SMTP_URL (smtp[s]://user:pass@host:port) or SMTP_HOST/SMTP_PORT/SMTP_SECURE/SMTP_USER/SMTP_PASS.
+// nodemailer is only loaded once an email is actually sent.
+let transport;
+const getTransport = () => {
+    if (!transport) {
+        const { SMTP_URL, SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS } = process.env;
+        if (!SMTP_URL && !SMTP_HOST) throw new Error('SMTP is not configured (set SMTP_URL or SMTP_HOST)');
+        const nodemailer = require('nodemailer');
+        transport = nodemailer.createTransport(SMTP_URL || {
+            host: SMTP_HOST,
+            port: parseInt(SMTP_PORT || '587', 10),
+            secure: SMTP_SECURE === 'true',
+            ...(SMTP_USER && { auth: { user: SMTP_USER, pass: SMTP_PASS } })
+        });
+    }
+    return transport;
+};
+
+const sendEmail = async (to, alert) => {
+    const { alert: summary } = payloadFor(alert);
+    await getTransport().sendMail({
+        from: EMAIL_FROM,
+        to,
+        subject: `[Alert] ${alert.ruleName}: ${alert.employeeName || alert.employeeId}`,
+        text: [
+            alert.message,
+            '',
+            `Rule: ${alert.ruleName} (${alert.type})`,
+            `Employee: ${alert.employeeName || ''} (${alert.employeeId})`,
+            `Triggered at: ${alert.triggeredAt}`,
+            '',
+            JSON.stringify(summary.details || {}, null, 2)
+        ].join('\n')
+    });
+};
+
+const SENDERS = { webhook: sendWebhook, email: sendEmail };
+
+// Initial delivery list for an alert raised by `rule`
+const deliveriesFor = (rule) => [
+    ...(rule.webhookUrls || []).map(target => ({ channel: 'webhook', target })),
+    ...(rule.emails || []).map(target => ({ channel: 'email', target }))
+].map(delivery => ({ ...delivery, status: 'pending', attempts: 0 }));
+
+// Alerts with an attempt in progress in this process
+const inFlight = new Set();
+const timers = new Map();
+
+// Attempts every due pending delivery of the alert, stores the outcome and schedules the next retry.
+// Returns the updated alert.
+const deliver = async (alert, now = new Date()) => {
+    if (inFlight.has(alert.alertId)) return alert;
+    inFlight.add(alert.alertId);
+    try {
+        const deliveries = await Promise.all((alert.deliveries || []).map(async (delivery) => {
+            const due = delivery.status === 'pending' && (!delivery.nextAttemptAt || delivery.nextAttemptAt <= now.toISOString());
+            if (!due) return delivery;
+
+            const attempts = delivery.attempts + 1;
+            try {
+                await SENDERS[delivery.channel](delivery.target, alert);
+                return { ...delivery, status: 'delivered', attempts, lastAttemptAt: now.toISOString(), deliveredAt: new Date().toISOString(), lastError: null, nextAttemptAt: null };
+            } catch (error) {
+                const exhausted = attempts >= MAX_ATTEMPTS;
+                logger.warn('Alert notification failed', { alertId: alert.alertId, channel: delivery.channel, target: delivery.target, attempts, error: error.message });
+                return {
+                    ...delivery,
+                    status: exhausted ? 'failed' : 'pending',
+                    attempts,
+                    lastAttemptAt: now.toISOString(),
+                    lastError: String(error.message).slice(0, 500),
+                    nextAttemptAt: exhausted ? null : new Date(now.getTime() + backoffDelay(attempts, { baseMs: RETRY_BASE_MS, maxMs: RETRY_MAX_MS })).toISOString()
+                };
+            }
+        }));
+
+        const updated = await repositories.alerts.update(alert.alertId, { set: { deliveries, lastUpdated: new Date().toISOString() } });
+        scheduleRetry(updated);
+        return updated;
+    } finally {
+        inFlight.delete(alert.alertId);
+    }
+};
+
+// In-process retry at the earliest nextAttemptAt (the periodic job covers restarts)
+const scheduleRetry = (alert) => {
+    const next = (alert.deliveries || [])
+        .filter(delivery => delivery.status === 'pending' && delivery.nextAttemptAt)
+        .map(delivery => Date.parse(delivery.nextAttemptAt))
+        .sort((a, b) => a - b)[0];
+    clearTimeout(timers.get(alert.alertId));
+    timers.delete(alert.alertId);
+    if (next === undefined) return;
+
+    const timer = setTimeout(() => {
+        timers.delete(alert.alertId);
+        repositories.alerts.get(alert.alertId)
+            .then(current => current && deliver(current))
+            .catch(error => logger.error('Alert notification retry failed', { alertId: alert.alertId, err: error }));
+    }, Math.max(0, next - Date.now()));
+    timer.unref();
+    timers.set(alert.alertId, timer);
+};
+
+const hasPendingDeliveries = (alert) => (alert.deliveries || []).some(delivery => delivery.status === 'pending');
+
+module.exports = { MAX_ATTEMPTS, deliveriesFor, deliver, hasPendingDeliveries };
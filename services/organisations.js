@@ -0,0 +1,118 @@
+const repositories = require('../repositories');
+const { DEFAULT_TIMEZONE } = require('../lib/time');
+const { DEFAULT_ORG_ID, runAs, currentOrgId } = require('../lib/tenancy');
+const logger = require('../lib/logger');
+
+// Origins every organisation may call from: the existing dashboard deployments, the mobile app and
+// local development. Production only admits these plus the calling organisation's own
+// allowedOrigins; elsewhere CORS stays permissive. Setting CORS_ALLOWED_ORIGINS replaces the list.
+const CORS_ALLOWED_ORIGINS = (process.env.CORS_ALLOWED_ORIGINS || [
+    'https://api.greenchilliestechnology.com',
+    'http://localhost:3000',
+    'http://localhost:61547',
+    'http://192.168.50.105:3000',
+    'http://localhost:60642',
+    'capacitor://localhost',
+    'http://localhost'
+].join(',')).split(',').map(origin => origin.trim().toLowerCase()).filter(Boolean);
+const STRICT_ORIGINS = process.env.NODE_ENV === 'production';
+
+// Organisations are read on every authenticated request
+const CACHE_TTL_MS = parseInt(process.env.ORGANISATION_CACHE_SECONDS || '60', 10) * 1000;
+
+// Until an admin saves its settings, the default organisation (all data from before tenants
+// existed) only lives here
+const DEFAULT_ORGANISATION = {
+    orgId: DEFAULT_ORG_ID,
+    name: process.env.ORG_NAME || 'Default organisation',
+    isActive: true
+};
+
+let cache = { organisations: null, loadedAt: 0 };
+
+const list = async () => {
+    if (!cache.organisations || Date.now() - cache.loadedAt > CACHE_TTL_MS) {
+        const stored = await repositories.organisations.list();
+        const organisations = stored.some(org => org.orgId === DEFAULT_ORG_ID) ? stored : [DEFAULT_ORGANISATION, ...stored];
+        cache = { organisations, loadedAt: Date.now() };
+    }
+    return cache.organisations;
+};
+
+// Called after any organisation create/update
+const invalidateCache = () => {
+    cache = { organisations: null, loadedAt: 0 };
+};
+
+const get = async (orgId) => (await list()).find(org => org.orgId === orgId) || null;
+
+// Effective settings of an organisation: { orgId, name, timezone, defaultShiftId, retentionDays,
+// allowedOrigins, isActive }. defaultShiftId / retentionDays are null when the deployment default applies.
+const settingsFor = async (orgId) => {
+    const org = (await get(orgId)) || { orgId, name: orgId, isActive: false };
+    return {
+        orgId: org.orgId,
+        name: org.name,
+        timezone: org.timezone || DEFAULT_TIMEZONE,
+        defaultShiftId: org.defaultShiftId || null,
+        retentionDays: org.retentionDays === undefined ? null : org.retentionDays,
+        allowedOrigins: org.allowedOrigins || [],
+        isActive: org.isActive !== false
+    };
+};
+
+// Key the organisation's alert webhooks are signed with (never part of its settings). The default
+// organisation keeps using ALERT_WEBHOOK_SECRET until it generates its own; null when there is none.
+const webhookSecretFor = async (orgId) => {
+    const org = await get(orgId);
+    if (org && org.webhookSecret) return org.webhookSecret;
+    return orgId === DEFAULT_ORG_ID ? process.env.ALERT_WEBHOOK_SECRET || null : null;
+};
+
+// Settings of the organisation the current request / job runs as
+const currentSettings = () => settingsFor(currentOrgId() || DEFAULT_ORG_ID);
+
+// CORS: an origin any active organisation (or the deployment) allows
+const isOriginAllowed = async (origin) => {
+    if (!STRICT_ORIGINS || CORS_ALLOWED_ORIGINS.includes(origin.toLowerCase())) return true;
+    return (await list()).some(org => org.isActive !== false && (org.allowedOrigins || []).includes(origin.toLowerCase()));
+};
+
+// Whether a user of `orgId` may be served: the organisation must be active and, in production, a
+// browser origin must be one this organisation allows. Returns an error body or null.
+const admit = async (orgId, origin) => {
+    const settings = await settingsFor(orgId);
+    if (!settings.isActive) return { error: 'This organisation is disabled', code: 'ORGANISATION_DISABLED' };
+    if (STRICT_ORIGINS && origin && !CORS_ALLOWED_ORIGINS.includes(origin.toLowerCase()) && !settings.allowedOrigins.includes(origin.toLowerCase())) {
+        return { error: 'Origin not allowed for this organisation', code: 'ORIGIN_NOT_ALLOWED' };
+    }
+    return null;
+};
+
+// Runs fn(organisation) as each active organisation in turn (background jobs). A failure in one
+// organisation is logged and the others still run. Returns [{ orgId, result }].
+const forEachOrganisation = async (fn) => {
+    const results = [];
+    for (const org of (await list()).filter(each => each.isActive !== false)) {
+        try {
+            results.push({ orgId: org.orgId, result: await runAs(org.orgId, () => fn(org)) });
+        } catch (error) {
+            logger.error('Job failed for organisation', { orgId: org.orgId, err: error });
+        }
+    }
+    return results;
+};
+
+module.exports = {
+    CORS_ALLOWED_ORIGINS,
+    DEFAULT_ORGANISATION,
+    list,
+    get,
+    invalidateCache,
+    settingsFor,
+    webhookSecretFor,
+    currentSettings,
+    isOriginAllowed,
+    admit,
+    forEachOrganisation
+};
@@ -0,0 +1,146 @@
+const repositories = require('../repositories');
+const archiveStore = require('./archiveStore');
+const organisations = require('./organisations');
+const schedules = require('./schedules');
+const analytics = require('./analytics');
+const { eachDate } = require('./tracks');
+const { addDays } = require('../lib/time');
+const { cacheKey } = require('../lib/tenancy');
+const logger = require('../lib/logger');
+
+// ==========================================
+// LOCATION RETENTION
+// ==========================================
+
+// Raw points are kept this many days (by their reporting date); 0 keeps them forever.
+// An organisation's retentionDays setting overrides it for that organisation.
+const LOCATION_RETENTION_DAYS = parseInt(process.env.LOCATION_RETENTION_DAYS || '0', 10);
+// How far behind the cutoff a scheduled run looks for dates still holding points
+const ARCHIVE_LOOKBACK_DAYS = parseInt(process.env.LOCATION_ARCHIVE_LOOKBACK_DAYS || '30', 10);
+const ARCHIVE_INTERVAL_MINUTES = parseInt(process.env.LOCATION_ARCHIVE_INTERVAL_MINUTES || '1440', 10);
+// Longest range one manual run may cover (backfills go in chunks)
+const MAX_ARCHIVE_RANGE_DAYS = 366;
+const PAGE_SIZE = 1000;
+
+// Retention of the current organisation
+const retentionDays = async () => {
+    const { retentionDays: days } = await organisations.currentSettings();
+    return days === null ? LOCATION_RETENTION_DAYS : days;
+};
+
+// First date whose points are still kept; everything before it is archived
+const cutoffDate = (today, days) => addDays(today, -days);
+
+const policy = async () => {
+    const days = await retentionDays();
+    return {
+        retentionDays: days,
+        enabled: days > 0,
+        cutoffDate: days > 0 ? cutoffDate(await schedules.today(), days) : null,
+        lookbackDays: ARCHIVE_LOOKBACK_DAYS,
+        intervalMinutes: ARCHIVE_INTERVAL_MINUTES,
+        archive: archiveStore.describe()
+    };
+};
+
+// Every point reported on `date`, grouped by employee
+const loadDay = async (date) => {
+    const byEmployee = {};
+    let cursor;
+    do {
+        const page = await repositories.locations.queryByDate(date, { cursor, limit: PAGE_SIZE, order: 'asc' });
+        page.items.forEach(point => {
+            (byEmployee[point.employeeId] = byEmployee[point.employeeId] || []).push(point);
+        });
+        cursor = page.nextCursor;
+    } while (cursor);
+    return byEmployee;
+};
+
+// Archives then deletes the points of each date in [from, to], one employee-day file at a time.
+// Points are only deleted once their file is written, so an interrupted run is simply run again.
+// Returns { from, to, dryRun, archivedPoints, files, dates: [{ date, employees, points }] } or { error }.
+const archiveRange = async ({ from, to, dryRun = false } = {}) => {
+    const days = await retentionDays();
+    if (days <= 0) return { error: 'Location retention is disabled (set LOCATION_RETENTION_DAYS or the organisation\'s retentionDays)', disabled: true };
+
+    const cutoff = cutoffDate(await schedules.today(), days);
+    const last = to || addDays(cutoff, -1);
+    const first = from || addDays(cutoff, -ARCHIVE_LOOKBACK_DAYS);
+    if (last >= cutoff) return { error: `Only dates before ${cutoff} are outside the retention window` };
+    if (first > last) return { error: 'from must not be after to' };
+
+    const dates = eachDate(first, last);
+    if (dates.length > MAX_ARCHIVE_RANGE_DAYS) return { error: `A run may cover at most ${MAX_ARCHIVE_RANGE_DAYS} days` };
+
+    const result = { from: first, to: last, cutoffDate: cutoff, dryRun, archivedPoints: 0, files: 0, dates: [] };
+    for (const date of dates) {
+        const byEmployee = await loadDay(date);
+        const employees = Object.keys(byEmployee);
+        if (!employees.length) continue;
+
+        let points = 0;
+        for (const employeeId of employees) {
+            const items = byEmployee[employeeId];
+            if (!dryRun) {
+                await archiveStore.appendDay(employeeId, date, items);
+                await repositories.locations.deleteMany(items.map(item => item.locationId));
+            }
+            points += items.length;
+        }
+        if (!dryRun) analytics.invalidate('locations', [date]);
+        result.dates.push({ date, employees: employees.length, points });
+        result.archivedPoints += points;
+        result.files += employees.length;
+    }
+    return result;
+};
+
+// One run at a time across organisations; each organisation's last outcome is kept for the admin
+// status endpoint
+let running = null;
+const lastRuns = new Map();
+
+const runArchive = (options = {}) => {
+    if (running) return Promise.resolve({ error: 'An archive run is already in progress', busy: true });
+
+    const key = cacheKey();
+    const startedAt = new Date().toISOString();
+    running = archiveRange(options)
+        .then(result => {
+            if (!result.error && !result.dryRun) lastRuns.set(key, { startedAt, finishedAt: new Date().toISOString(), ...result });
+            return result;
+        })
+        .catch(error => {
+            lastRuns.set(key, { startedAt, finishedAt: new Date().toISOString(), failed: true });
+            throw error;
+        })
+        .finally(() => { running = null; });
+    return running;
+};
+
+const status = async () => ({ ...(await policy()), running: Boolean(running), lastRun: lastRuns.get(cacheKey()) || null });
+
+let timer = null;
+
+// Periodic archive of points that fell out of each organisation's retention window
+const startArchiveJob = () => {
+    if (timer || ARCHIVE_INTERVAL_MINUTES <= 0) return;
+    timer = setInterval(() => {
+        organisations.forEachOrganisation(() => runArchive())
+            .then(results => results.forEach(({ orgId, result }) =>
+                result.archivedPoints && logger.info('Archived location points', { orgId, archivedPoints: result.archivedPoints, files: result.files })))
+            .catch(error => logger.error('Location archive failed', error));
+    }, ARCHIVE_INTERVAL_MINUTES * 60000);
+    timer.unref();
+};
+
+module.exports = {
+    LOCATION_RETENTION_DAYS,
+    MAX_ARCHIVE_RANGE_DAYS,
+    cutoffDate,
+    status,
+    runArchive,
+    readArchivedDay: archiveStore.readDay,
+    startArchiveJob
+};
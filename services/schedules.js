@@ -0,0 +1,71 @@
+const repositories = require('../repositories');
+const organisations = require('./organisations');
+const { getTodayDateString } = require('../lib/time');
+const { DEFAULT_SHIFT, shiftDateFor } = require('../lib/shifts');
+const { orgOf, cacheKey } = require('../lib/tenancy');
+
+// Shift definitions change rarely but are needed for every clock-in and report
+const CACHE_TTL_MS = parseInt(process.env.SHIFT_CACHE_SECONDS || '60', 10) * 1000;
+
+// One entry per organisation context (shifts are tenant data)
+const cache = new Map();
+
+const listShifts = async () => {
+    const key = cacheKey();
+    const cached = cache.get(key);
+    if (!cached || Date.now() - cached.loadedAt > CACHE_TTL_MS) {
+        cache.set(key, { shifts: await repositories.shifts.list(), loadedAt: Date.now() });
+    }
+    return cache.get(key).shifts;
+};
+
+// Called after any shift create/update/delete
+const invalidateCache = () => {
+    cache.clear();
+};
+
+// Employee time zone, else their organisation's
+const timeZoneFor = async (employee) =>
+    (employee && employee.timezone) || (await organisations.settingsFor(orgOf(employee))).timezone;
+
+// Today's date in the current organisation's time zone
+const today = async () => getTodayDateString((await organisations.currentSettings()).timezone);
+
+// { shiftId: shift } including the built-in default
+const shiftsById = async () => {
+    const shifts = await listShifts();
+    return { [DEFAULT_SHIFT.shiftId]: DEFAULT_SHIFT, ...Object.fromEntries(shifts.map(shift => [shift.shiftId, shift])) };
+};
+
+// The organisation's default shift (its defaultShiftId, else the built-in one)
+const defaultShiftOf = (settings, shifts) => shifts[settings.defaultShiftId] || DEFAULT_SHIFT;
+
+// Default shift of the current organisation
+const defaultShift = async () => defaultShiftOf(await organisations.currentSettings(), await shiftsById());
+
+// Resolves { shift, timeZone } for an employee; unknown or missing shiftIds fall back to the
+// organisation's default shift
+const scheduleFor = async (employee) => {
+    const shifts = await shiftsById();
+    const settings = await organisations.settingsFor(orgOf(employee));
+    return {
+        shift: (employee && shifts[employee.shiftId]) || defaultShiftOf(settings, shifts),
+        timeZone: (employee && employee.timezone) || settings.timezone
+    };
+};
+
+// Shift date (attendance key) for an employee at `now`
+const currentShiftDate = async (employee, now = new Date()) => {
+    const { shift, timeZone } = await scheduleFor(employee);
+    return shiftDateFor(now.getTime(), shift, timeZone);
+};
+
+module.exports = {
+    invalidateCache,
+    timeZoneFor,
+    today,
+    shiftsById,
+    defaultShift,
+    scheduleFor,
+    currentShiftDate
+};
@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const repositories = require('../repositories');
+const { detectAnomalies } = require('../lib/spoofing');
+const logger = require('../lib/logger');
+
+// Mock-location clock-ins defeat the geofence check, so they are refused unless this is 'false'
+const REJECT_MOCK_ATTENDANCE = process.env.REJECT_MOCK_ATTENDANCE !== 'false';
+
+// The employee's last stored point captured before `ms`, for speed/duplicate comparison
+const previousPoint = async (employeeId, ms) => {
+    const { items } = await repositories.locations.queryByEmployee(employeeId, { to: ms - 1, order: 'desc', limit: 1 });
+    return items[0] || null;
+};
+
+// Checks normalized points (in any order) against each other and the employee's stored track.
+// `entries` are { item, raw } pairs; flagged items get `flags` ([{ type, ...details }]).
+// Returns the flagged items.
+const inspectPoints = async (employeeId, entries) => {
+    if (!entries.length) return [];
+    const sorted = [...entries].sort((a, b) => Number(a.item.timestamp) - Number(b.item.timestamp));
+
+    let previous = await previousPoint(employeeId, Number(sorted[0].item.timestamp));
+    const flagged = [];
+    sorted.forEach(({ item, raw }) => {
+        const anomalies = detectAnomalies(item, previous, raw);
+        if (anomalies.length) {
+            item.flags = anomalies;
+            flagged.push(item);
+        }
+        previous = item;
+    });
+    return flagged;
+};
+
+// Clock-in/out coordinates get the same checks against the stored track.
+// Returns { anomalies } or { status, error } when the location is refused.
+const checkAttendancePoint = async (employeeId, point, raw, now = new Date()) => {
+    const item = { ...point, accuracy: Number(raw.accuracy) || 0, timestamp: String(now.getTime()) };
+    const anomalies = detectAnomalies(item, await previousPoint(employeeId, now.getTime() + 1), raw);
+
+    if (REJECT_MOCK_ATTENDANCE && anomalies.some(anomaly => anomaly.type === 'mock-location')) {
+        return { status: 403, error: 'Mock locations cannot be used to clock in or out' };
+    }
+    return { anomalies };
+};
+
+// Stores review entries for flagged points. `source` is location | clockin | clockout.
+// Review bookkeeping must never fail an upload or clock-in that is already stored.
+const recordFlags = async (employee, items, source) => {
+    for (const item of items) {
+        try {
+            await repositories.locationFlags.create({
+                flagId: crypto.randomUUID(),
+                employeeId: employee.employeeId,
+                employeeName: employee.name || null,
+                date: item.date,
+                source,
+                flags: item.flags.map(flag => flag.type),
+                details: item.flags,
+                point: {
+                    ...(item.pointId && { pointId: item.pointId }),
+                    latitude: item.latitude,
+                    longitude: item.longitude,
+                    accuracy: item.accuracy || 0,
+                    speed: item.speed || 0,
+                    recordedAt: item.recordedAt
+                },
+                status: 'pending',
+                createdAt: new Date().toISOString()
+            });
+        } catch (error) {
+            logger.error('Could not store spoofing flag', { employeeId: employee.employeeId, err: error });
+        }
+    }
+};
+
+module.exports = { inspectPoints, checkAttendancePoint, recordFlags };
@@ -0,0 +1,114 @@
+const repositories = require('../repositories');
+const schedules = require('./schedules');
+const attendanceService = require('./attendance');
+const {
+    resolvePolicy,
+    sessionIntervals,
+    inIntervals,
+    inShiftHours,
+    nextShiftChange,
+    OUTSIDE_REASONS
+} = require('../lib/tracking');
+const { isOpen } = require('../lib/attendanceSessions');
+const { shiftDateFor } = require('../lib/shifts');
+const { addDays } = require('../lib/time');
+const { cacheKey } = require('../lib/tenancy');
+
+// How often the app should re-read its config when nothing tells it to sooner
+const TRACKING_CONFIG_REFRESH_SECONDS = parseInt(process.env.TRACKING_CONFIG_REFRESH_SECONDS || '900', 10);
+
+// Policies change rarely but are needed for every upload
+const CACHE_TTL_MS = parseInt(process.env.TRACKING_POLICY_CACHE_SECONDS || '30', 10) * 1000;
+
+// One entry per organisation context (policies are tenant data)
+const cache = new Map();
+
+const listPolicies = async () => {
+    const key = cacheKey();
+    const cached = cache.get(key);
+    if (!cached || Date.now() - cached.loadedAt > CACHE_TTL_MS) {
+        cache.set(key, { policies: await repositories.trackingPolicies.list(), loadedAt: Date.now() });
+    }
+    return cache.get(key).policies;
+};
+
+// Called after any policy create/update/delete
+const invalidateCache = () => {
+    cache.clear();
+};
+
+const policyFor = async (employee) => resolvePolicy(await listPolicies(), employee);
+
+// Builds `inside(ms)` for the policy's window. For clocked-in, the attendance records of every
+// shift date the points fall on (and the day before, for sessions still open from it) are loaded once.
+const windowCheck = async (employee, policy, times) => {
+    if (policy.window === 'always') return () => true;
+
+    const { shift, timeZone } = await schedules.scheduleFor(employee);
+    if (policy.window === 'shift-hours') return (ms) => inShiftHours(ms, shift, timeZone);
+
+    const dates = new Set();
+    times.forEach(ms => {
+        const date = shiftDateFor(ms, shift, timeZone);
+        dates.add(date);
+        dates.add(addDays(date, -1));
+    });
+    const records = await Promise.all([...dates].map(date => repositories.attendance.get(employee.employeeId, date)));
+    const intervals = sessionIntervals(records.filter(Boolean));
+    return (ms) => inIntervals(ms, intervals);
+};
+
+// Applies the employee's policy to normalized points before they are stored. Points outside the
+// window are either returned in `rejected` (reject) or marked outOfSession (tag, in place).
+// Returns { policy, rejected, reason }.
+const applyPolicy = async (employee, items) => {
+    const policy = await policyFor(employee);
+    if (!items.length || policy.window === 'always') return { policy, rejected: [], reason: null };
+
+    const inside = await windowCheck(employee, policy, items.map(item => Number(item.timestamp)));
+    const outside = items.filter(item => !inside(Number(item.timestamp)));
+    const reason = `Point captured ${OUTSIDE_REASONS[policy.window]}`;
+
+    if (policy.outOfWindow === 'reject') return { policy, rejected: outside, reason };
+    outside.forEach(item => { item.outOfSession = true; });
+    return { policy, rejected: [], reason };
+};
+
+// Whether the app should be tracking right now, why, and (for shift hours) when that changes
+const currentStatus = async (employee, policy, now = new Date()) => {
+    if (policy.window === 'always') return { active: true, reason: 'always', nextChangeAt: null };
+
+    if (policy.window === 'shift-hours') {
+        const { shift, timeZone } = await schedules.scheduleFor(employee);
+        const next = nextShiftChange(now.getTime(), shift, timeZone);
+        const active = inShiftHours(now.getTime(), shift, timeZone);
+        return {
+            active,
+            reason: active ? 'shift-hours' : 'outside-shift-hours',
+            nextChangeAt: next === null ? null : new Date(next).toISOString()
+        };
+    }
+
+    const { record } = await attendanceService.findCurrentRecord(employee, now);
+    const active = isOpen(record);
+    return { active, reason: active ? 'clocked-in' : 'not-clocked-in', nextChangeAt: null };
+};
+
+// What GET /api/tracking/config sends the app
+const configFor = async (employee) => {
+    const policy = await policyFor(employee);
+    return {
+        config: policy,
+        tracking: await currentStatus(employee, policy),
+        refreshAfterSeconds: TRACKING_CONFIG_REFRESH_SECONDS
+    };
+};
+
+module.exports = {
+    listPolicies,
+    invalidateCache,
+    policyFor,
+    applyPolicy,
+    currentStatus,
+    configFor
+};
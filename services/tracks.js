@@ -0,0 +1,90 @@
+const repositories = require('../repositories');
+const { isTrusted } = require('../lib/spoofing');
+const { isOnDuty } = require('../lib/tracking');
+const { DATE_PATTERN } = require('../lib/pagination');
+const { DEFAULT_TIMEZONE, getDayRange } = require('../lib/time');
+
+// Upper bound on points pulled into memory for one summary/export request
+const MAX_TRACK_POINTS = parseInt(process.env.MAX_TRACK_POINTS || '50000', 10);
+const PAGE_SIZE = 1000;
+// Longest date range a single summary/export request may cover
+const MAX_TRACK_RANGE_DAYS = 31;
+
+// Both loaders return only trusted, on-duty points (see isTrusted and isOnDuty): summaries, exports
+// and analytics are built from them. One spoofed fix would otherwise add a teleport to every figure,
+// and out-of-session points must not be shown at all.
+const usable = (point) => isTrusted(point) && isOnDuty(point);
+
+// Follows cursors until the whole [from, to] range for one employee is loaded (oldest first)
+const loadTrack = async (employeeId, { from, to }) => {
+    const points = [];
+    let cursor;
+    do {
+        const page = await repositories.locations.queryByEmployee(employeeId, {
+            from, to, cursor, limit: PAGE_SIZE, order: 'asc'
+        });
+        points.push(...page.items.filter(usable));
+        cursor = page.nextCursor;
+        if (points.length > MAX_TRACK_POINTS) {
+            throw new RangeError(`Track exceeds ${MAX_TRACK_POINTS} points; narrow the date range`);
+        }
+    } while (cursor);
+    return points;
+};
+
+// Every point recorded on one date, all employees, grouped by employeeId
+const loadDayTracks = async (date) => {
+    const byEmployee = {};
+    let total = 0;
+    let cursor;
+    do {
+        const page = await repositories.locations.queryByDate(date, { cursor, limit: PAGE_SIZE, order: 'asc' });
+        page.items.filter(usable).forEach(point => {
+            (byEmployee[point.employeeId] = byEmployee[point.employeeId] || []).push(point);
+        });
+        total += page.items.length;
+        cursor = page.nextCursor;
+        if (total > MAX_TRACK_POINTS) {
+            throw new RangeError(`Day exceeds ${MAX_TRACK_POINTS} points; export employees individually`);
+        }
+    } while (cursor);
+    return byEmployee;
+};
+
+// Splits points into { [date]: points[] } using the stored reporting date (employee-local at ingest)
+const groupByDate = (points) => points.reduce((groups, point) => {
+    (groups[point.date] = groups[point.date] || []).push(point);
+    return groups;
+}, {});
+
+// Inclusive list of YYYY-MM-DD dates
+const eachDate = (from, to) => {
+    const dates = [];
+    for (let d = new Date(`${from}T00:00:00Z`); d <= new Date(`${to}T00:00:00Z`); d.setUTCDate(d.getUTCDate() + 1)) {
+        dates.push(d.toISOString().split('T')[0]);
+    }
+    return dates;
+};
+
+// Resolves ?date= or ?from=&to= (YYYY-MM-DD, local to `timeZone`) into { from, to, dates, fromMs, toMs } or { error }
+const parseDateRange = (query, timeZone = DEFAULT_TIMEZONE) => {
+    const from = query.date || query.from;
+    const to = query.date || query.to || from;
+    if (!from) return { error: 'date or from/to (YYYY-MM-DD) is required' };
+    if (!DATE_PATTERN.test(from) || !DATE_PATTERN.test(to)) return { error: 'Dates must be YYYY-MM-DD' };
+    if (from > to) return { error: 'from must not be after to' };
+
+    const dates = eachDate(from, to);
+    if (dates.length > MAX_TRACK_RANGE_DAYS) return { error: `Date range may span at most ${MAX_TRACK_RANGE_DAYS} days` };
+    return { from, to, dates, fromMs: getDayRange(from, timeZone).from, toMs: getDayRange(to, timeZone).to };
+};
+
+module.exports = {
+    MAX_TRACK_POINTS,
+    MAX_TRACK_RANGE_DAYS,
+    loadTrack,
+    loadDayTracks,
+    groupByDate,
+    eachDate,
+    parseDateRange
+};
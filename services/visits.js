@@ -0,0 +1,297 @@
+const crypto = require('crypto');
+const repositories = require('../repositories');
+const schedules = require('./schedules');
+const organisations = require('./organisations');
+const tracks = require('./tracks');
+const liveFeed = require('./liveFeed');
+const {
+    minutesBetween,
+    locationRecord,
+    isVerified,
+    matchStopsToSites,
+    planInferredVisits,
+    summarizeVisits
+} = require('../lib/visits');
+const { DEFAULTS: TRIP_DEFAULTS, filterByAccuracy, detectStops } = require('../lib/trips');
+const { isTrusted } = require('../lib/spoofing');
+const { isOnDuty } = require('../lib/tracking');
+const { addDays, getDayRange } = require('../lib/time');
+const { cacheKey } = require('../lib/tenancy');
+const logger = require('../lib/logger');
+
+const { ConditionFailedError } = repositories;
+
+// Check-in/out points less accurate than this (metres) are recorded as "low-accuracy"
+const VISIT_MAX_ACCURACY_METERS = parseFloat(process.env.VISIT_MAX_ACCURACY_METERS || '100');
+// When set, check-in/out points that do not verify against the site are refused
+const REQUIRE_VERIFIED_VISITS = process.env.REQUIRE_VERIFIED_VISITS === 'true';
+// How often today's and yesterday's tracks are scanned for stops at known sites (0 disables)
+const VISIT_INFERENCE_INTERVAL_MINUTES = parseInt(process.env.VISIT_INFERENCE_INTERVAL_MINUTES || '30', 10);
+// An open visit older than this no longer blocks a new check-in
+const OPEN_VISIT_LOOKBACK_DAYS = 2;
+const MAX_NOTES = 50;
+const MAX_PHOTOS = 20;
+
+const CACHE_TTL_MS = parseInt(process.env.SITE_CACHE_SECONDS || '30', 10) * 1000;
+
+// One entry per organisation context (sites are tenant data)
+const cache = new Map();
+
+const listSites = async () => {
+    const key = cacheKey();
+    const cached = cache.get(key);
+    if (!cached || Date.now() - cached.loadedAt > CACHE_TTL_MS) {
+        cache.set(key, { sites: await repositories.sites.list(), loadedAt: Date.now() });
+    }
+    return cache.get(key).sites;
+};
+
+// Called after any site create/update/delete
+const invalidateCache = () => {
+    cache.clear();
+};
+
+const verifyOptions = { maxAccuracyMeters: VISIT_MAX_ACCURACY_METERS };
+
+// The stored point a check-in/out is tied to, or { status, error }
+const findPoint = async (employeeId, pointId) => {
+    const point = await repositories.locations.get(`${employeeId}#${pointId}`);
+    if (!point) return { status: 404, error: 'Location point not found; upload it before checking in or out' };
+    return { point };
+};
+
+const refuseUnverified = (record) => (REQUIRE_VERIFIED_VISITS && record.verification !== 'verified'
+    ? { status: 403, error: `Location could not be verified at the site (${record.verification})` }
+    : null);
+
+// The employee's manual visit that is still open, if any
+const findOpenVisit = async (employeeId) => {
+    const from = addDays(await schedules.today(), -OPEN_VISIT_LOOKBACK_DAYS);
+    const visits = await repositories.visits.listByEmployee(employeeId, { from });
+    return visits.find(visit => visit.status === 'open') || null;
+};
+
+// Starts a visit at `site` from a point the employee has already uploaded.
+// Returns { visit } or { status, error }.
+const checkIn = async (employee, site, { pointId, note }) => {
+    if (site.isActive === false) return { status: 409, error: 'Site is inactive' };
+
+    const open = await findOpenVisit(employee.employeeId);
+    if (open) return { status: 409, error: `Check out of ${open.siteName} first`, visitId: open.visitId };
+
+    const { point, status, error } = await findPoint(employee.employeeId, pointId);
+    if (error) return { status, error };
+
+    const record = locationRecord(site, point, verifyOptions);
+    const refused = refuseUnverified(record);
+    if (refused) return refused;
+
+    const now = new Date().toISOString();
+    const visit = await repositories.visits.create({
+        visitId: crypto.randomUUID(),
+        employeeId: employee.employeeId,
+        employeeName: employee.name || '',
+        siteId: site.siteId,
+        siteName: site.name,
+        customer: site.customer || '',
+        // Check-out is verified against the site as it was at check-in
+        siteLocation: { latitude: site.latitude, longitude: site.longitude, radiusMeters: site.radiusMeters },
+        date: point.date,
+        source: 'manual',
+        status: 'open',
+        checkIn: record,
+        notes: note ? [{ text: note, addedBy: employee.employeeId, addedAt: now }] : [],
+        photos: [],
+        createdAt: now,
+        lastUpdated: now
+    });
+    liveFeed.publish('visit', employee, visit);
+    return { visit };
+};
+
+// Ends an open manual visit at a later point. Returns { visit } or { status, error }.
+const checkOut = async (employee, visit, { pointId, note }) => {
+    if (visit.status !== 'open') return { status: 409, error: 'Visit is already checked out' };
+
+    const { point, status, error } = await findPoint(employee.employeeId, pointId);
+    if (error) return { status, error };
+    if (point.recordedAt < visit.checkIn.at) return { status: 400, error: 'The check-out point was captured before the check-in' };
+
+    const record = locationRecord(visit.siteLocation, point, verifyOptions);
+    const refused = refuseUnverified(record);
+    if (refused) return refused;
+
+    const now = new Date().toISOString();
+    const notes = note ? [...visit.notes, { text: note, addedBy: employee.employeeId, addedAt: now }] : visit.notes;
+    try {
+        const updated = await repositories.visits.update(visit.visitId, {
+            set: {
+                status: 'completed',
+                checkOut: record,
+                durationMinutes: minutesBetween(visit.checkIn.at, record.at),
+                notes,
+                lastUpdated: now
+            }
+        }, { expect: { status: 'open' } });
+        liveFeed.publish('visit', employee, updated);
+        return { visit: updated };
+    } catch (error) {
+        if (error instanceof ConditionFailedError) return { status: 409, error: 'Visit is already checked out' };
+        throw error;
+    }
+};
+
+// Appends to a visit's notes or photos; concurrent additions are refused rather than lost
+const append = async (visit, listName, entry, max) => {
+    const list = visit[listName] || [];
+    if (list.length >= max) return { status: 409, error: `A visit may have at most ${max} ${listName}` };
+    try {
+        const updated = await repositories.visits.update(visit.visitId, {
+            set: { [listName]: [...list, entry], lastUpdated: entry.addedAt }
+        }, { expect: { lastUpdated: visit.lastUpdated } });
+        return { visit: updated, entry };
+    } catch (error) {
+        if (error instanceof ConditionFailedError) return { status: 409, error: 'Visit was changed by someone else; retry' };
+        throw error;
+    }
+};
+
+const addNote = (visit, text, addedBy) =>
+    append(visit, 'notes', { text, addedBy, addedAt: new Date().toISOString() }, MAX_NOTES);
+
+// Photo metadata only; the image itself lives in the app's file storage under `storageKey`
+const addPhoto = (visit, metadata, addedBy) =>
+    append(visit, 'photos', { photoId: crypto.randomUUID(), ...metadata, addedBy, addedAt: new Date().toISOString() }, MAX_PHOTOS);
+
+// Records inferred visits for the stops in one employee-day's track (any order). Flagged and
+// inaccurate points are left out, as in trip summaries, and so are out-of-session points. Returns { created, extended }.
+const inferFromTrack = async (employee, date, rawPoints) => {
+    const sites = await listSites();
+    if (!sites.length || !rawPoints.length) return { created: 0, extended: 0 };
+
+    const points = filterByAccuracy(rawPoints.filter(point => isTrusted(point) && isOnDuty(point)), TRIP_DEFAULTS.maxAccuracyMeters)
+        .sort((a, b) => Number(a.timestamp) - Number(b.timestamp));
+    const matches = matchStopsToSites(detectStops(points, TRIP_DEFAULTS), sites);
+    if (!matches.length) return { created: 0, extended: 0 };
+
+    const visits = await repositories.visits.listByEmployee(employee.employeeId, { from: date, to: date });
+    const plan = planInferredVisits(matches, visits);
+    const now = new Date().toISOString();
+    const stopRecord = (match, at) => ({
+        at,
+        latitude: match.stop.latitude,
+        longitude: match.stop.longitude,
+        distanceMeters: match.distanceMeters,
+        verification: 'verified'
+    });
+
+    for (const match of plan.create) {
+        const { stop, site } = match;
+        await repositories.visits.create({
+            visitId: crypto.randomUUID(),
+            employeeId: employee.employeeId,
+            employeeName: employee.name || '',
+            siteId: site.siteId,
+            siteName: site.name,
+            customer: site.customer || '',
+            siteLocation: { latitude: site.latitude, longitude: site.longitude, radiusMeters: site.radiusMeters },
+            date,
+            source: 'inferred',
+            status: 'completed',
+            checkIn: stopRecord(match, stop.startedAt),
+            checkOut: stopRecord(match, stop.endedAt),
+            durationMinutes: minutesBetween(stop.startedAt, stop.endedAt),
+            pointCount: stop.pointCount,
+            notes: [],
+            photos: [],
+            createdAt: now,
+            lastUpdated: now
+        });
+    }
+
+    for (const { visit, match } of plan.extend) {
+        const startedAt = match.stop.startedAt < visit.checkIn.at ? match.stop.startedAt : visit.checkIn.at;
+        const endedAt = match.stop.endedAt > visit.checkOut.at ? match.stop.endedAt : visit.checkOut.at;
+        await repositories.visits.update(visit.visitId, {
+            set: {
+                checkIn: { ...visit.checkIn, at: startedAt },
+                checkOut: { ...visit.checkOut, at: endedAt },
+                durationMinutes: minutesBetween(startedAt, endedAt),
+                pointCount: Math.max(visit.pointCount || 0, match.stop.pointCount),
+                lastUpdated: now
+            }
+        });
+    }
+
+    return { created: plan.create.length, extended: plan.extend.length };
+};
+
+// Same, loading the employee's track for the date (employee-local day)
+const inferVisits = async (employee, date) => {
+    const timeZone = await schedules.timeZoneFor(employee);
+    const points = await tracks.loadTrack(employee.employeeId, getDayRange(date, timeZone));
+    return inferFromTrack(employee, date, points.filter(point => point.date === date));
+};
+
+// One employee's visits on one date with headline numbers. Inference runs first so the report
+// includes stops made since the last background pass; if it fails the recorded visits are still shown.
+const dailyReport = async (employee, date) => {
+    if (date <= await schedules.today()) {
+        await inferVisits(employee, date)
+            .catch(error => logger.error('Visit inference failed', { employeeId: employee.employeeId, date, err: error }));
+    }
+
+    const visits = (await repositories.visits.listByEmployee(employee.employeeId, { from: date, to: date }))
+        .sort((a, b) => a.checkIn.at.localeCompare(b.checkIn.at));
+    return {
+        summary: summarizeVisits(visits),
+        visits: visits.map(visit => ({ ...visit, verified: isVerified(visit) }))
+    };
+};
+
+// Background pass for the current organisation: yesterday's and today's tracks
+const inferRecent = async () => {
+    if (!(await listSites()).length) return { created: 0, extended: 0 };
+
+    const today = await schedules.today();
+    const totals = { created: 0, extended: 0 };
+    for (const date of [addDays(today, -1), today]) {
+        const byEmployee = await tracks.loadDayTracks(date);
+        for (const [employeeId, points] of Object.entries(byEmployee)) {
+            const employee = await repositories.employees.get(employeeId);
+            if (!employee) continue;
+            const result = await inferFromTrack(employee, date, points);
+            totals.created += result.created;
+            totals.extended += result.extended;
+        }
+    }
+    return totals;
+};
+
+let timer = null;
+
+// Periodic visit inference while the server runs, one organisation at a time
+const startInferenceJob = () => {
+    if (timer || VISIT_INFERENCE_INTERVAL_MINUTES <= 0) return;
+    timer = setInterval(() => {
+        organisations.forEachOrganisation(() => inferRecent())
+            .then(results => results.forEach(({ orgId, result }) =>
+                result.created && logger.info('Inferred site visits', { orgId, ...result })))
+            .catch(error => logger.error('Visit inference failed', error));
+    }, VISIT_INFERENCE_INTERVAL_MINUTES * 60000);
+    timer.unref();
+};
+
+module.exports = {
+    REQUIRE_VERIFIED_VISITS,
+    listSites,
+    invalidateCache,
+    checkIn,
+    checkOut,
+    addNote,
+    addPhoto,
+    inferVisits,
+    dailyReport,
+    inferRecent,
+    startInferenceJob
+};
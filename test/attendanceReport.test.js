@@ -0,0 +1,141 @@
+// Daily attendance rows and their monthly roll-up (lib/attendanceReport.js)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildDailyRow, buildMonthlyTotals } = require('../lib/attendanceReport');
+
+const timeZone = 'Asia/Kolkata';
+const dayShift = { shiftId: 'day', start: '09:30', end: '18:30', graceMinutes: 10, workingDays: [1, 2, 3, 4, 5] };
+const nightShift = { shiftId: 'night', start: '22:00', end: '06:00', graceMinutes: 10, workingDays: [1, 2, 3, 4, 5] };
+const employee = { employeeId: 'E1', name: 'Worker One', department: 'Ops' };
+
+// 2026-03-02 is a Monday, 2026-03-07 a Saturday
+const MONDAY = '2026-03-02';
+const SATURDAY = '2026-03-07';
+const LATER = Date.parse('2026-04-01T00:00:00+05:30');
+
+const at = (date, time) => `${date}T${time}:00.000+05:30`;
+const record = (clockIn, clockOut, extra = {}) => ({ clockInTime: clockIn, ...(clockOut && { clockOutTime: clockOut }), ...extra });
+const row = (date, attendance, options = {}) =>
+    buildDailyRow(employee, date, attendance, { shift: dayShift, timeZone, now: LATER, ...options });
+
+test('a worked day measures hours, lateness and early departure against the shift', () => {
+    assert.deepEqual(row(MONDAY, record(at(MONDAY, '09:35'), at(MONDAY, '18:30'))), {
+        date: MONDAY,
+        employeeId: 'E1',
+        name: 'Worker One',
+        department: 'Ops',
+        clockIn: at(MONDAY, '09:35'),
+        clockOut: at(MONDAY, '18:30'),
+        workedHours: 8.92,
+        breakMinutes: 0,
+        sessions: 1,
+        status: 'present',
+        leaveType: '',
+        lateMinutes: 0,
+        earlyDepartureMinutes: 0
+    });
+
+    const late = row(MONDAY, record(at(MONDAY, '10:00'), at(MONDAY, '17:00')));
+    assert.equal(late.lateMinutes, 30);
+    assert.equal(late.earlyDepartureMinutes, 90);
+});
+
+test('days off are not absences, even under leave', () => {
+    assert.equal(row(SATURDAY).status, 'off');
+    assert.equal(row(MONDAY).status, 'absent');
+
+    const covered = row(SATURDAY, undefined, { leave: { type: 'casual', halfDay: false } });
+    assert.equal(covered.status, 'off');
+    assert.equal(covered.leaveType, '');
+});
+
+test('full-day leave replaces the absence; half-day leave still expects attendance', () => {
+    const full = row(MONDAY, undefined, { leave: { type: 'casual', halfDay: false } });
+    assert.equal(full.status, 'leave');
+    assert.equal(full.leaveType, 'casual');
+
+    const halfDay = { type: 'sick', halfDay: true };
+    const missing = row(MONDAY, undefined, { leave: halfDay });
+    assert.equal(missing.status, 'absent');
+    assert.equal(missing.leaveType, 'sick (half day)');
+
+    const worked = row(MONDAY, record(at(MONDAY, '14:00'), at(MONDAY, '18:30')), { leave: halfDay });
+    assert.equal(worked.status, 'present');
+    assert.equal(worked.leaveType, 'sick (half day)');
+    assert.equal(worked.workedHours, 4.5);
+});
+
+test('an open session is working until its shift day ends, then a missed clock-out', () => {
+    const open = record(at(MONDAY, '09:30'));
+    assert.equal(row(MONDAY, open, { now: Date.parse(at(MONDAY, '23:59')) }).status, 'working');
+    assert.equal(row(MONDAY, open, { now: Date.parse(at('2026-03-03', '00:01')) }).status, 'missed-clockout');
+
+    const autoClosed = row(MONDAY, record(at(MONDAY, '09:30'), at(MONDAY, '23:59'), { autoClockedOut: true }));
+    assert.equal(autoClosed.status, 'missed-clockout');
+    assert.equal(autoClosed.clockOut, at(MONDAY, '23:59'));
+});
+
+test('an overnight shift is judged against the window ending the next morning', () => {
+    const night = (attendance, options = {}) => row(MONDAY, attendance, { shift: nightShift, ...options });
+    const TUESDAY = '2026-03-03';
+
+    const onTime = night(record(at(MONDAY, '22:05'), at(TUESDAY, '06:00')));
+    assert.equal(onTime.status, 'present');
+    assert.equal(onTime.workedHours, 7.92);
+    assert.equal(onTime.lateMinutes, 0);
+    assert.equal(onTime.earlyDepartureMinutes, 0);
+
+    const short = night(record(at(MONDAY, '22:30'), at(TUESDAY, '05:00')));
+    assert.equal(short.lateMinutes, 30);
+    assert.equal(short.earlyDepartureMinutes, 60);
+
+    const open = record(at(MONDAY, '22:00'));
+    assert.equal(night(open, { now: Date.parse(at(TUESDAY, '05:00')) }).status, 'working');
+    assert.equal(night(open, { now: Date.parse(at(TUESDAY, '23:00')) }).status, 'working');
+    assert.equal(night(open, { now: Date.parse(at('2026-03-04', '00:01')) }).status, 'missed-clockout');
+});
+
+test('monthly totals count each kind of day once per employee', () => {
+    const other = { employeeId: 'E2', name: 'Worker Two', department: 'Ops' };
+    const rows = [
+        row(MONDAY, record(at(MONDAY, '10:00'), at(MONDAY, '18:30'))),
+        row('2026-03-03', record(at('2026-03-03', '09:30'), at('2026-03-03', '17:30'))),
+        row('2026-03-04', undefined, { leave: { type: 'casual', halfDay: false } }),
+        row('2026-03-05', undefined, { leave: { type: 'sick', halfDay: true } }),
+        row('2026-03-06', record(at('2026-03-06', '09:30'), at('2026-03-06', '23:59'), { autoClockedOut: true })),
+        row(SATURDAY),
+        buildDailyRow(other, SATURDAY, undefined, { shift: dayShift, timeZone, now: LATER })
+    ];
+
+    assert.deepEqual(buildMonthlyTotals(rows), [
+        {
+            employeeId: 'E1',
+            name: 'Worker One',
+            department: 'Ops',
+            workingDays: 5,
+            daysPresent: 3,
+            daysAbsent: 1,
+            daysOnLeave: 1,
+            totalWorkedHours: 30.98,
+            averageWorkedHours: 10.33,
+            lateArrivals: 1,
+            earlyDepartures: 1,
+            missedClockOuts: 1
+        },
+        {
+            employeeId: 'E2',
+            name: 'Worker Two',
+            department: 'Ops',
+            workingDays: 0,
+            daysPresent: 0,
+            daysAbsent: 0,
+            daysOnLeave: 0,
+            totalWorkedHours: 0,
+            averageWorkedHours: 0,
+            lateArrivals: 0,
+            earlyDepartures: 0,
+            missedClockOuts: 0
+        }
+    ]);
+});
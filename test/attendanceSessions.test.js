@@ -0,0 +1,150 @@
+// Attendance lifecycle: transitions, session totals and regularized sessions (lib/attendanceSessions.js)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    STATES,
+    sessionsOf,
+    stateOf,
+    isOpen,
+    checkTransition,
+    applyTransition,
+    summarizeSessions,
+    recordChanges,
+    validateSessions
+} = require('../lib/attendanceSessions');
+
+const at = (time) => `2026-03-02T${time}:00.000+05:30`;
+const ms = (time) => Date.parse(at(time));
+
+// Plays `actions` ([action, time]) from no record, as the attendance service stores them
+const play = (actions) => actions.reduce((record, [action, time]) => {
+    assert.equal(checkTransition(record, action), null, `${action} at ${time}`);
+    return applyTransition(record, action, at(time));
+}, null);
+
+test('only the lifecycle transitions are allowed', () => {
+    assert.equal(checkTransition(null, 'clockIn'), null);
+    assert.equal(checkTransition(null, 'clockOut'), 'Not clocked in');
+    assert.equal(checkTransition(null, 'breakStart'), 'Not clocked in or already on a break');
+
+    const working = play([['clockIn', '09:30']]);
+    assert.equal(checkTransition(working, 'clockIn'), 'Already clocked in');
+    assert.equal(checkTransition(working, 'breakEnd'), 'Not on a break');
+
+    const onBreak = play([['clockIn', '09:30'], ['breakStart', '13:00']]);
+    assert.equal(checkTransition(onBreak, 'breakStart'), 'Not clocked in or already on a break');
+    assert.equal(checkTransition(onBreak, 'clockOut'), null);
+});
+
+test('a day with a break and a second session', () => {
+    const record = play([
+        ['clockIn', '09:30'],
+        ['breakStart', '13:00'],
+        ['breakEnd', '13:45'],
+        ['clockOut', '17:00'],
+        ['clockIn', '19:00'],
+        ['clockOut', '20:30']
+    ]);
+
+    assert.equal(record.state, STATES.CLOCKED_OUT);
+    assert.deepEqual(record.sessions, [
+        { clockIn: at('09:30'), clockOut: at('17:00'), breaks: [{ start: at('13:00'), end: at('13:45') }] },
+        { clockIn: at('19:00'), clockOut: at('20:30'), breaks: [] }
+    ]);
+    assert.deepEqual(summarizeSessions(record.sessions), { workedMinutes: 405 + 90, breakMinutes: 45 });
+});
+
+test('clocking out during a break closes the break', () => {
+    const record = play([['clockIn', '09:30'], ['breakStart', '17:30'], ['clockOut', '18:00']]);
+    assert.deepEqual(record.sessions[0].breaks, [{ start: at('17:30'), end: at('18:00') }]);
+    assert.equal(record.state, STATES.CLOCKED_OUT);
+});
+
+test('details are attached to the session being opened or closed', () => {
+    const opened = applyTransition(null, 'clockIn', at('09:30'), { site: 'HQ' });
+    const closed = applyTransition(opened, 'clockOut', at('23:59'), { autoClockedOut: true });
+    assert.deepEqual(closed.sessions, [{ clockIn: at('09:30'), clockOut: at('23:59'), breaks: [], site: 'HQ', autoClockedOut: true }]);
+    // The input record is left untouched
+    assert.equal(opened.sessions[0].clockOut, null);
+});
+
+test('sessions and breaks are capped per day', () => {
+    const full = { state: STATES.CLOCKED_OUT, sessions: Array.from({ length: 20 }, () => ({ clockIn: at('09:00'), clockOut: at('09:01'), breaks: [] })) };
+    assert.equal(checkTransition(full, 'clockIn'), 'At most 20 sessions per day');
+
+    const breaks = Array.from({ length: 20 }, () => ({ start: at('10:00'), end: at('10:01') }));
+    const busy = { state: STATES.CLOCKED_IN, sessions: [{ clockIn: at('09:00'), clockOut: null, breaks }] };
+    assert.equal(checkTransition(busy, 'breakStart'), 'At most 20 breaks per session');
+});
+
+test('open sessions and breaks count up to now', () => {
+    const sessions = [{ clockIn: at('09:30'), clockOut: null, breaks: [{ start: at('12:00'), end: null }] }];
+    assert.deepEqual(summarizeSessions(sessions, ms('12:30')), { workedMinutes: 150, breakMinutes: 30 });
+});
+
+test('legacy records without sessions read as a single session', () => {
+    const legacy = { clockInTime: '2026-03-02 09:30:00', clockOutTime: '2026-03-02 18:30:00' };
+    assert.deepEqual(sessionsOf(legacy), [{ clockIn: legacy.clockInTime, clockOut: legacy.clockOutTime, breaks: [] }]);
+    assert.equal(stateOf(legacy), STATES.CLOCKED_OUT);
+    assert.equal(stateOf({ clockInTime: legacy.clockInTime }), STATES.CLOCKED_IN);
+    assert.equal(isOpen({ clockInTime: legacy.clockInTime }), true);
+    assert.deepEqual(sessionsOf({ status: 'absent' }), []);
+    assert.equal(stateOf(null), null);
+});
+
+test('record changes mirror the first clock-in and the final clock-out', () => {
+    const { sessions } = play([['clockIn', '09:30'], ['clockOut', '12:00'], ['clockIn', '13:00']]);
+    const open = recordChanges(sessions, STATES.CLOCKED_IN, ms('14:00'));
+    assert.equal(open.set.clockInTime, at('09:30'));
+    assert.equal(open.set.workedMinutes, 210);
+    assert.equal(open.set.clockOutTime, undefined);
+    assert.deepEqual(open.remove, ['clockOutTime']);
+
+    const closed = recordChanges(applyTransition({ sessions, state: STATES.CLOCKED_IN }, 'clockOut', at('18:00')).sessions, STATES.CLOCKED_OUT);
+    assert.equal(closed.set.clockOutTime, at('18:00'));
+    assert.deepEqual(closed.remove, []);
+});
+
+test('regularized sessions are rewritten in the employee time zone', () => {
+    const { sessions, errors } = validateSessions([
+        { clockIn: '2026-03-02T04:00:00Z', clockOut: '2026-03-02T08:00:00Z', breaks: [{ start: '2026-03-02T06:00:00Z', end: '2026-03-02T06:30:00Z' }] },
+        { clockIn: '2026-03-02T09:00:00+00:00', clockOut: '2026-03-02T12:30:00+0000' }
+    ], 'Asia/Kolkata');
+    assert.deepEqual(errors, []);
+    assert.deepEqual(sessions, [
+        { clockIn: at('09:30'), clockOut: at('13:30'), breaks: [{ start: at('11:30'), end: at('12:00') }] },
+        { clockIn: at('14:30'), clockOut: at('18:00'), breaks: [] }
+    ]);
+});
+
+test('regularized sessions must be closed, ordered and not overlap', () => {
+    const check = (input) => validateSessions(input, 'Asia/Kolkata').errors;
+
+    assert.deepEqual(check([]), ['sessions must be an array of 1 to 20 items']);
+    assert.deepEqual(check([{ clockIn: '2026-03-02T09:30:00', clockOut: at('18:00') }]), ['sessions[0].clockIn must be an ISO timestamp with offset']);
+    assert.deepEqual(check([{ clockIn: at('09:30') }]), ['sessions[0].clockOut must be an ISO timestamp with offset']);
+    assert.deepEqual(check([{ clockIn: at('18:00'), clockOut: at('09:30') }]), ['sessions[0].clockOut must be after clockIn']);
+    assert.deepEqual(check([
+        { clockIn: at('09:30'), clockOut: at('13:00') },
+        { clockIn: at('12:00'), clockOut: at('18:00') }
+    ]), ['sessions[1] overlaps the previous session']);
+    // Back to back is not an overlap
+    assert.deepEqual(check([
+        { clockIn: at('09:30'), clockOut: at('13:00') },
+        { clockIn: at('13:00'), clockOut: at('18:00') }
+    ]), []);
+});
+
+test('breaks must be ordered and inside their session', () => {
+    const session = (breaks) => [{ clockIn: at('09:30'), clockOut: at('18:00'), breaks }];
+    const check = (breaks) => validateSessions(session(breaks), 'Asia/Kolkata').errors;
+
+    assert.deepEqual(check([{ start: at('09:00'), end: at('10:00') }]), ['sessions[0].breaks[0] must be ordered and inside its session']);
+    assert.deepEqual(check([{ start: at('17:30'), end: at('18:30') }]), ['sessions[0].breaks[0] must be ordered and inside its session']);
+    assert.deepEqual(check([
+        { start: at('13:00'), end: at('14:00') },
+        { start: at('13:30'), end: at('15:00') }
+    ]), ['sessions[0].breaks[1] must be ordered and inside its session']);
+    assert.deepEqual(check('lunch'), ['sessions[0].breaks must be an array of at most 20 items']);
+});
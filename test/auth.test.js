@@ -0,0 +1,58 @@
+// Access tokens only carry what was true when they were issued: every request re-reads the account,
+// and live streams end when their token expires (middleware/auth.js, routes/live.js).
+
+process.env.JWT_SECRET = 'test-access-secret';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { startApi, createAdmin, login, createEmployee } = require('./helpers');
+const { DEFAULT_ORG_ID } = require('../lib/tenancy');
+
+let api;
+let admin;
+
+before(async () => {
+    api = await startApi();
+    await createAdmin('ADM1');
+    admin = await login(api.request, 'ADM1');
+});
+
+after(() => api && api.close());
+
+test('a deactivated employee is refused with a token issued before', async () => {
+    const { token } = await createEmployee(api.request, admin, { employeeId: 'E1', name: 'Worker One' });
+    assert.equal((await api.request('GET', '/api/employees/E1', { token })).status, 200);
+
+    assert.equal((await api.request('POST', '/api/employees/E1/deactivate', { token: admin, body: {} })).status, 200);
+    const { status, body } = await api.request('GET', '/api/employees/E1', { token });
+    assert.equal(status, 403);
+    assert.equal(body.code, 'ACCOUNT_DEACTIVATED');
+
+    assert.equal((await api.request('POST', '/api/employees/E1/reactivate', { token: admin, body: {} })).status, 200);
+    assert.equal((await api.request('GET', '/api/employees/E1', { token })).status, 200);
+});
+
+test('a role change applies to tokens issued before it', async () => {
+    const { token } = await createEmployee(api.request, admin, { employeeId: 'HR1', name: 'HR One', role: 'hr' });
+    assert.equal((await api.request('GET', '/api/employees', { token })).status, 200);
+
+    assert.equal((await api.request('PATCH', '/api/employees/HR1', { token: admin, body: { role: 'employee' } })).status, 200);
+    assert.equal((await api.request('GET', '/api/employees', { token })).status, 403);
+});
+
+test('a token for an employee that no longer exists is invalid', async () => {
+    const token = jwt.sign({ employeeId: 'GONE', role: 'admin', orgId: DEFAULT_ORG_ID, type: 'access' }, process.env.JWT_SECRET);
+    const { status, body } = await api.request('GET', '/api/employees', { token });
+    assert.equal(status, 401);
+    assert.equal(body.code, 'INVALID_TOKEN');
+});
+
+test('a live stream ends with an "expired" event when its token expires', async () => {
+    const token = jwt.sign({ employeeId: 'ADM1', role: 'admin', orgId: DEFAULT_ORG_ID, type: 'access' }, process.env.JWT_SECRET, { expiresIn: 1 });
+    // Without the expiry the stream would stay open until the request gives up
+    const { status, body } = await api.request('GET', `/api/live/stream?access_token=${token}`, { signal: AbortSignal.timeout(10000) });
+    assert.equal(status, 200);
+    assert.match(body, /^retry: \d+\n\n/);
+    assert.match(body, /event: expired\ndata: \{"reason":"access token expired"\}\n\n$/);
+});
@@ -0,0 +1,99 @@
+// ==========================================
+// API TEST HARNESS
+// ==========================================
+// Runs the app in-process on the in-memory backend (nothing persisted) on a free port, and drives
+// it over HTTP like a client would. Set any other environment before requiring this file.
+
+process.env.STORAGE_BACKEND = 'memory';
+delete process.env.MEMORY_STORE_FILE;
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { once } = require('events');
+const app = require('../server');
+const repositories = require('../repositories');
+const { hashPassword } = require('../lib/passwords');
+const { DEFAULT_ORG_ID, runAs } = require('../lib/tenancy');
+
+const PASSWORD = 'Str0ng-Passw0rd!';
+
+// Starts the server; returns { request, close }. request(method, path, { token, body, headers, signal })
+// resolves to { status, headers, body } with JSON bodies parsed.
+const startApi = async () => {
+    const server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const request = async (method, path, { token, body, headers = {}, signal } = {}) => {
+        const response = await fetch(`${baseUrl}${path}`, {
+            method,
+            headers: {
+                ...(body !== undefined && { 'Content-Type': 'application/json' }),
+                ...(token && { Authorization: `Bearer ${token}` }),
+                ...headers
+            },
+            body: body === undefined ? undefined : JSON.stringify(body),
+            signal
+        });
+        const type = response.headers.get('content-type') || '';
+        return {
+            status: response.status,
+            headers: response.headers,
+            body: type.includes('json') ? await response.json() : await response.text()
+        };
+    };
+
+    const close = () => new Promise(resolve => server.close(resolve));
+    return { request, close };
+};
+
+// Stores a ready-to-use admin directly, as scripts/create-admin.js does
+const createAdmin = (employeeId, orgId = DEFAULT_ORG_ID) => runAs(orgId, async () => {
+    const now = new Date().toISOString();
+    await repositories.employees.put({
+        employeeId,
+        name: employeeId,
+        role: 'admin',
+        password: await hashPassword(PASSWORD),
+        passwordSet: true,
+        failedLoginAttempts: 0,
+        status: 'active',
+        isActive: true,
+        deviceId: `DEVICE_${employeeId}`,
+        createdAt: now,
+        lastUpdated: now
+    });
+});
+
+const login = async (request, employeeId, password = PASSWORD) => {
+    const { status, body } = await request('POST', '/api/login', { body: { employeeId, password } });
+    if (status !== 200) throw new Error(`Login as ${employeeId} failed (${status}): ${JSON.stringify(body)}`);
+    return body.accessToken;
+};
+
+// First login with a temporary password: sets PASSWORD and returns the unrestricted token
+const activate = async (request, employeeId, temporaryPassword) => {
+    const token = await login(request, employeeId, temporaryPassword);
+    const { status, body } = await request('PUT', `/api/employees/${employeeId}/password`, {
+        token,
+        body: { oldPassword: temporaryPassword, newPassword: PASSWORD }
+    });
+    if (status !== 200) throw new Error(`Password change for ${employeeId} failed (${status}): ${JSON.stringify(body)}`);
+    return body.accessToken;
+};
+
+// Creates an employee as `adminToken` and signs them in; returns { employeeId, token, deviceId }
+const createEmployee = async (request, adminToken, fields) => {
+    const temporaryPassword = `Temp-${PASSWORD}`;
+    const { status, body } = await request('POST', '/api/employees', {
+        token: adminToken,
+        body: { password: temporaryPassword, ...fields }
+    });
+    if (status !== 200) throw new Error(`Creating ${fields.employeeId} failed (${status}): ${JSON.stringify(body)}`);
+    return {
+        employeeId: fields.employeeId,
+        token: await activate(request, fields.employeeId, temporaryPassword),
+        deviceId: body.employee.deviceId
+    };
+};
+
+module.exports = { PASSWORD, startApi, createAdmin, login, activate, createEmployee };
@@ -0,0 +1,60 @@
+// Leave day counting and balances (lib/leave.js)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { LEAVE_TYPES, leaveDates, countLeaveDays, rangesOverlap, computeBalances } = require('../lib/leave');
+
+const monToFri = { workingDays: [1, 2, 3, 4, 5] };
+const sunToThu = { workingDays: [7, 1, 2, 3, 4] };
+
+// 2026-03-06 is a Friday, 2026-03-08 a Sunday
+const request = (fields) => ({ type: 'casual', halfDay: false, status: 'approved', ...fields });
+
+test('only the working days of the employee shift are charged', () => {
+    const weekend = request({ startDate: '2026-03-06', endDate: '2026-03-09' });
+    assert.deepEqual(leaveDates(weekend, monToFri), ['2026-03-06', '2026-03-09']);
+    assert.deepEqual(leaveDates(weekend, sunToThu), ['2026-03-08', '2026-03-09']);
+
+    const saturday = request({ startDate: '2026-03-07', endDate: '2026-03-07' });
+    assert.equal(countLeaveDays(saturday, monToFri), 0);
+    assert.equal(countLeaveDays(request({ startDate: '2026-03-08', endDate: '2026-03-08' }), sunToThu), 1);
+});
+
+test('a half day counts as half whatever the range', () => {
+    assert.equal(countLeaveDays(request({ startDate: '2026-03-09', endDate: '2026-03-09', halfDay: true }), monToFri), 0.5);
+});
+
+test('ranges overlap when they share any date', () => {
+    const march = { startDate: '2026-03-02', endDate: '2026-03-06' };
+    assert.equal(rangesOverlap(march, { startDate: '2026-03-06', endDate: '2026-03-10' }), true);
+    assert.equal(rangesOverlap(march, { startDate: '2026-02-20', endDate: '2026-03-02' }), true);
+    assert.equal(rangesOverlap(march, { startDate: '2026-03-07', endDate: '2026-03-08' }), false);
+});
+
+test('balances add up the stored days of pending and approved requests', () => {
+    const requests = [
+        request({ startDate: '2026-03-08', endDate: '2026-03-09', days: 2 }),
+        request({ startDate: '2026-04-01', endDate: '2026-04-01', days: 0.5, halfDay: true, status: 'pending' }),
+        request({ startDate: '2026-05-04', endDate: '2026-05-05', days: 2, status: 'rejected' }),
+        request({ startDate: '2026-05-11', endDate: '2026-05-11', days: 1, status: 'cancelled' }),
+        request({ type: 'sick', startDate: '2026-06-01', endDate: '2026-06-03', days: 3 }),
+        request({ type: 'unpaid', startDate: '2026-07-01', endDate: '2026-07-10', days: 8 })
+    ];
+    const balances = computeBalances({ casual: 20 }, requests, 2026);
+
+    assert.deepEqual(balances.casual, { allowance: 20, used: 2, pending: 0.5, remaining: 17.5 });
+    assert.deepEqual(balances.sick, { allowance: LEAVE_TYPES.sick, used: 3, pending: 0, remaining: LEAVE_TYPES.sick - 3 });
+    assert.deepEqual(balances.unpaid, { allowance: null, used: 8, pending: 0, remaining: null });
+    assert.deepEqual(Object.keys(balances), Object.keys(LEAVE_TYPES));
+});
+
+test('a request spanning new year counts against the year it starts in', () => {
+    const newYear = [request({ startDate: '2026-12-30', endDate: '2027-01-02', days: 4 })];
+    assert.equal(computeBalances(undefined, newYear, 2026).casual.used, 4);
+    assert.equal(computeBalances(undefined, newYear, 2027).casual.used, 0);
+});
+
+test('an override of null makes a type unlimited', () => {
+    const balances = computeBalances({ casual: null }, [request({ startDate: '2026-03-09', endDate: '2026-03-09', days: 1 })], 2026);
+    assert.deepEqual(balances.casual, { allowance: null, used: 1, pending: 0, remaining: null });
+});
@@ -0,0 +1,57 @@
+// The in-memory backend's emulation of DynamoDB queries and cursors (repositories/memory/query.js)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { queryRows } = require('../repositories/memory/query');
+const { InvalidCursorError } = require('../repositories/errors');
+
+const rows = [
+    { id: 'c', at: 3 },
+    { id: 'a', at: 1 },
+    { id: 'b2', at: 2 },
+    { id: 'b1', at: 2 },
+    { id: 'd', at: 4 }
+];
+const ids = (page) => page.items.map(item => item.id);
+const query = (options) => queryRows(rows, { sortKey: 'at', idKey: 'id', ...options });
+
+// Follows every cursor; returns the pages' ids
+const allPages = (options) => {
+    const pages = [];
+    let cursor;
+    do {
+        const page = query({ ...options, cursor });
+        pages.push(ids(page));
+        cursor = page.nextCursor;
+    } while (cursor);
+    return pages;
+};
+
+test('rows come back in sort key order, ties broken by id', () => {
+    assert.deepEqual(ids(query({})), ['a', 'b1', 'b2', 'c', 'd']);
+    assert.deepEqual(ids(query({ order: 'desc' })), ['d', 'c', 'b2', 'b1', 'a']);
+});
+
+test('from and to are inclusive bounds on the sort key', () => {
+    assert.deepEqual(ids(query({ from: 2, to: 3 })), ['b1', 'b2', 'c']);
+    assert.deepEqual(ids(query({ from: 5 })), []);
+});
+
+test('cursors page through every row exactly once, in either order', () => {
+    assert.deepEqual(allPages({ limit: 2 }), [['a', 'b1'], ['b2', 'c'], ['d']]);
+    assert.deepEqual(allPages({ limit: 2, order: 'desc' }), [['d', 'c'], ['b2', 'b1'], ['a']]);
+    assert.deepEqual(allPages({ limit: 5 }), [['a', 'b1', 'b2', 'c', 'd']]);
+    assert.equal(query({}).nextCursor, null);
+});
+
+test('a page resumes after its cursor even when that row is gone', () => {
+    const first = query({ limit: 2 });
+    const remaining = rows.filter(row => row.id !== 'b1');
+    const next = queryRows(remaining, { sortKey: 'at', idKey: 'id', limit: 2, cursor: first.nextCursor });
+    assert.deepEqual(ids(next), ['b2', 'c']);
+});
+
+test('a cursor that does not decode is rejected', () => {
+    assert.throws(() => query({ cursor: 'zzz' }), InvalidCursorError);
+    assert.throws(() => query({ cursor: Buffer.from('"text"').toString('base64url') }), InvalidCursorError);
+});
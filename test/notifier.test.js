@@ -0,0 +1,106 @@
+// Webhook delivery only connects to addresses it has checked (services/notifier.js). Host names are
+// answered by a stubbed resolver; "receiver.test" is an allowed internal receiver on this machine.
+
+process.env.STORAGE_BACKEND = 'memory';
+delete process.env.MEMORY_STORE_FILE;
+process.env.LOG_LEVEL = 'error';
+process.env.ALERT_WEBHOOK_SECRET = 'test-webhook-secret';
+process.env.ALERT_WEBHOOK_ALLOWED_HOSTS = 'receiver.test';
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('dns');
+const http = require('http');
+const { once } = require('events');
+const repositories = require('../repositories');
+const { DEFAULT_ORG_ID, runAs } = require('../lib/tenancy');
+const notifier = require('../services/notifier');
+
+const ADDRESSES = {
+    'receiver.test': '127.0.0.1',
+    'metadata.test': '169.254.169.254'
+};
+const lookups = [];
+mock.method(dns.promises, 'lookup', async (hostname) => {
+    lookups.push(hostname);
+    if (!ADDRESSES[hostname]) throw Object.assign(new Error(`getaddrinfo ENOTFOUND ${hostname}`), { code: 'ENOTFOUND' });
+    return [{ address: ADDRESSES[hostname], family: 4 }];
+});
+
+let server;
+let base;
+const received = [];
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        received.push(req.url);
+        const redirects = {
+            '/moved': `${base}/ok`,
+            '/to-metadata': 'http://metadata.test/latest/meta-data/',
+            '/to-loopback': 'http://127.0.0.1/admin',
+            '/loop': '/loop'
+        };
+        if (req.url === '/ok') return res.writeHead(204).end();
+        if (req.url === '/gone') return res.writeHead(301, { Location: '/ok' }).end();
+        if (redirects[req.url]) return res.writeHead(307, { Location: redirects[req.url] }).end();
+        res.writeHead(404).end();
+    });
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    base = `http://receiver.test:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+// Delivers a fresh alert to `url`; returns its one delivery
+let sequence = 0;
+const deliverTo = (url) => runAs(DEFAULT_ORG_ID, async () => {
+    lookups.length = 0;
+    received.length = 0;
+    const alert = await repositories.alerts.create({
+        alertId: `alert-${++sequence}`,
+        type: 'speed',
+        ruleName: 'Too fast',
+        employeeId: 'E1',
+        date: '2026-03-02',
+        status: 'open',
+        deliveries: notifier.deliveriesFor({ webhookUrls: [url] })
+    });
+    const delivered = await notifier.deliver(alert);
+    return delivered.deliveries[0];
+});
+
+test('connects to the address the host name was checked against', async () => {
+    const delivery = await deliverTo(`${base}/ok`);
+    assert.equal(delivery.status, 'delivered', delivery.lastError);
+    // receiver.test only exists in the stubbed resolver, so the connection used the checked address
+    assert.deepEqual(lookups, ['receiver.test']);
+    assert.deepEqual(received, ['/ok']);
+});
+
+test('refuses a name that resolves to a private address without connecting', async () => {
+    const delivery = await deliverTo('http://metadata.test/hook');
+    assert.equal(delivery.status, 'pending');
+    assert.equal(delivery.lastError, 'Webhook host metadata.test resolves to a private address');
+    assert.deepEqual(received, []);
+});
+
+test('follows a 307 after checking the new host again', async () => {
+    const delivery = await deliverTo(`${base}/moved`);
+    assert.equal(delivery.status, 'delivered', delivery.lastError);
+    assert.deepEqual(lookups, ['receiver.test', 'receiver.test']);
+    assert.deepEqual(received, ['/moved', '/ok']);
+});
+
+test('refuses redirects to private addresses, other 3xx and endless redirects', async () => {
+    const metadata = await deliverTo(`${base}/to-metadata`);
+    assert.equal(metadata.lastError, 'Webhook host metadata.test resolves to a private address');
+    assert.deepEqual(received, ['/to-metadata']);
+
+    const loopback = await deliverTo(`${base}/to-loopback`);
+    assert.match(loopback.lastError, /^Webhook redirected to 127\.0\.0\.1: .*loopback/);
+
+    assert.equal((await deliverTo(`${base}/gone`)).lastError, 'Webhook responded 301');
+    assert.equal((await deliverTo(`${base}/loop`)).lastError, 'Webhook redirected more than 3 times');
+    assert.equal(received.length, 4);
+});
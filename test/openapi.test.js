@@ -0,0 +1,283 @@
+// Every JSON response must match the OpenAPI document. The spec checker (middleware/specCheck.js)
+// is switched on and its warnings, which it only logs, fail the request that caused them.
+
+process.env.OPENAPI_CHECK_RESPONSES = 'true';
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+// First: the harness sets the environment (storage, log level) the app modules read when loaded
+const { PASSWORD, startApi, createAdmin, login, createEmployee } = require('./helpers');
+const logger = require('../lib/logger');
+const { getDateString, addDays } = require('../lib/time');
+
+// Warnings of the spec checker and of the document build (routes without docs)
+const SPEC_WARNINGS = /^(OpenAPI|Routes without API docs)/;
+const problems = [];
+mock.method(logger, 'warn', (message, meta) => {
+    if (SPEC_WARNINGS.test(message)) problems.push({ message, ...meta });
+});
+
+let api;
+let date;
+let yesterday;
+const tokens = {};
+const devices = {};
+
+// Sends a request as `who` (a key of tokens, or none), checks the status and that the response
+// conformed; returns the body
+const call = async (who, method, path, body, expectedStatus = 200) => {
+    const seen = problems.length;
+    const headers = devices[who] ? { 'X-Device-Id': devices[who] } : {};
+    const response = await api.request(method, path, { token: tokens[who], body, headers });
+    assert.equal(response.status, expectedStatus, `${method} ${path}: ${JSON.stringify(response.body)}`);
+    assert.deepEqual(problems.slice(seen), [], `${method} ${path} does not match the API docs`);
+    return response.body;
+};
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+before(async () => {
+    api = await startApi();
+    await createAdmin('ADM1');
+    tokens.admin = await login(api.request, 'ADM1');
+
+    const people = [
+        ['manager', { employeeId: 'MGR1', name: 'Manager One', role: 'manager', department: 'Ops' }],
+        ['hr', { employeeId: 'HR1', name: 'HR One', role: 'hr' }],
+        ['worker', { employeeId: 'E1', name: 'Worker One', department: 'Ops', managerId: 'MGR1' }],
+        ['other', { employeeId: 'E2', name: 'Worker Two', department: 'Ops', managerId: 'MGR1' }]
+    ];
+    for (const [who, fields] of people) {
+        const { token, deviceId } = await createEmployee(api.request, tokens.admin, fields);
+        tokens[who] = token;
+        devices[who] = deviceId;
+    }
+
+    const { organisation } = await call('admin', 'GET', '/api/organisations/current');
+    date = getDateString(new Date(), organisation.timezone);
+    yesterday = addDays(date, -1);
+});
+
+after(() => api && api.close());
+
+test('system and authentication', async () => {
+    await call(null, 'GET', '/api/test');
+    await call(null, 'GET', '/api/health');
+    await call(null, 'GET', '/api/health/live');
+    await call(null, 'GET', '/api/docs/openapi.json');
+
+    await call(null, 'POST', '/api/login', { employeeId: 'ADM1', password: 'wrong-password' }, 401);
+    await call(null, 'POST', '/api/login', { employeeId: 'ADM1' }, 400);
+    const { refreshToken } = await call(null, 'POST', '/api/login', { employeeId: 'ADM1', password: PASSWORD });
+    await call(null, 'POST', '/api/token/refresh', { refreshToken });
+    await call(null, 'POST', '/api/token/refresh', { refreshToken: 'not-a-token' }, 401);
+    await call(null, 'GET', '/api/employees', undefined, 401);
+});
+
+test('employees', async () => {
+    await call('admin', 'GET', '/api/employees');
+    await call('admin', 'GET', '/api/employees/E1');
+    await call('admin', 'GET', '/api/employees/NOBODY', undefined, 404);
+    await call('admin', 'POST', '/api/employees', { name: 'No id' }, 400);
+    await call('admin', 'PATCH', '/api/employees/E1', { phone: '+91 98765 43210' });
+    await call('admin', 'GET', '/api/employees/E1/schedule');
+    await call('admin', 'PUT', '/api/employees/E1/schedule', { timezone: 'Asia/Kolkata' });
+    await call('admin', 'GET', '/api/employees/E1/device');
+    await call('admin', 'GET', '/api/employees/MGR1/team');
+    await call('worker', 'GET', '/api/employees/MGR1/team', undefined, 403);
+
+    const { resetToken } = await call('hr', 'POST', '/api/employees/E2/password/reset');
+    await call('hr', 'POST', '/api/employees/ADM1/password/reset', undefined, 403);
+    await call(null, 'POST', '/api/password/reset', { employeeId: 'E2', token: resetToken, newPassword: `New-${PASSWORD}` });
+
+    await call('admin', 'POST', '/api/employees/E2/deactivate');
+    await call('admin', 'POST', '/api/employees/E2/reactivate');
+});
+
+test('locations and attendance', async () => {
+    await call('worker', 'POST', '/api/attendance/clockin', { latitude: 12.97, longitude: 77.59, accuracy: 10 });
+    await call('worker', 'GET', '/api/attendance/status/E1');
+
+    const point = { pointId: 'live-1', latitude: 12.971, longitude: 77.591, accuracy: 10, capturedAt: minutesAgo(20) };
+    await call('worker', 'POST', '/api/locations', point);
+    await call('worker', 'POST', '/api/locations', point);
+    await call('worker', 'POST', '/api/locations', { latitude: 100, longitude: 0 }, 400);
+    await call('worker', 'POST', '/api/locations', { ...point, pointId: 'live-2', employeeId: 'E2' }, 403);
+    await call('worker', 'POST', '/api/locations/batch', {
+        points: [
+            { pointId: 'batch-1', latitude: 12.975, longitude: 77.595, accuracy: 10, capturedAt: minutesAgo(15) },
+            { pointId: 'batch-2', latitude: 12.98, longitude: 77.6, accuracy: 10, capturedAt: minutesAgo(10) },
+            { pointId: 'batch-mock', latitude: 12.981, longitude: 77.601, accuracy: 10, isMock: true, capturedAt: minutesAgo(5) }
+        ]
+    });
+
+    await call('worker', 'POST', '/api/attendance/break/start', {});
+    await call('worker', 'POST', '/api/attendance/break/end', {});
+    await call('worker', 'POST', '/api/attendance/clockout', { latitude: 12.98, longitude: 77.6 });
+    await call('worker', 'POST', '/api/attendance/clockout', {}, 409);
+
+    await call('admin', 'GET', '/api/locations/latest');
+    await call('admin', 'GET', `/api/locations/history/E1?date=${date}`);
+    await call('worker', 'GET', '/api/locations/history/E2', undefined, 403);
+    await call('admin', 'GET', '/api/employees/E1/locations?simplify=true');
+    await call('admin', 'GET', `/api/locations/summary/E1?date=${date}`);
+    await call('admin', 'GET', '/api/employees/E1/geofence-events');
+    await call('worker', 'GET', '/api/attendance/today/E1');
+    await call('admin', 'GET', '/api/attendance/history/E1');
+    for (const path of [`/api/locations/history/E1?date=${date}&`, '/api/employees/E1/locations?', '/api/employees/E1/geofence-events?', '/api/attendance/history/E1?']) {
+        assert.equal((await call('admin', 'GET', `${path}cursor=zzz`, undefined, 400)).code, 'INVALID_CURSOR');
+    }
+    const reversed = await call('admin', 'GET', `/api/attendance/history/E1?from=${date}&to=${yesterday}`, undefined, 400);
+    assert.equal(reversed.code, 'VALIDATION_FAILED');
+    await call('admin', 'POST', '/api/attendance/auto-clockout', {});
+
+    const { flags } = await call('manager', 'GET', '/api/locations/flags');
+    assert.ok(flags.length > 0);
+    await call('manager', 'POST', `/api/locations/flags/${flags[0].flagId}/review`, { decision: 'dismissed' });
+    await call('manager', 'POST', `/api/locations/flags/${flags[0].flagId}/review`, { decision: 'confirmed' }, 409);
+});
+
+test('regularizations and leave', async () => {
+    const sessions = [{ clockIn: `${yesterday}T09:30:00+05:30`, clockOut: `${yesterday}T18:30:00+05:30` }];
+    const submit = () => call('worker', 'POST', '/api/attendance/regularizations', { date: yesterday, sessions, reason: 'Forgot to clock in' }, 201);
+
+    const { regularization } = await submit();
+    await call('worker', 'GET', '/api/attendance/regularizations');
+    await call('worker', 'POST', `/api/attendance/regularizations/${regularization.regularizationId}/approve`, {}, 403);
+    await call('manager', 'POST', `/api/attendance/regularizations/${regularization.regularizationId}/approve`, { comment: 'ok' });
+    await call('manager', 'POST', `/api/attendance/regularizations/${regularization.regularizationId}/reject`, {}, 409);
+    const rejected = (await submit()).regularization;
+    await call('manager', 'POST', `/api/attendance/regularizations/${rejected.regularizationId}/reject`, { comment: 'no' });
+    const cancelled = (await submit()).regularization;
+    await call('worker', 'POST', `/api/attendance/regularizations/${cancelled.regularizationId}/cancel`);
+    // HR1 has no manager: MGR1 may not decide for them, an admin may
+    const outsider = (await call('hr', 'POST', '/api/attendance/regularizations', { date: yesterday, sessions, reason: 'Site visit' }, 201)).regularization;
+    await call('manager', 'POST', `/api/attendance/regularizations/${outsider.regularizationId}/approve`, {}, 403);
+    await call('manager', 'POST', `/api/attendance/regularizations/${outsider.regularizationId}/reject`, {}, 403);
+    await call('admin', 'POST', `/api/attendance/regularizations/${outsider.regularizationId}/reject`, {});
+
+    await call('worker', 'GET', '/api/leave/types');
+    await call('worker', 'GET', '/api/leave/balances/E1');
+    await call('hr', 'PUT', '/api/leave/balances/E1', { year: 2099, allowances: { casual: 20, unpaid: null } });
+    await call('hr', 'PUT', '/api/leave/balances/E1', { year: 2099, allowances: { holiday: 3 } }, 400);
+
+    const apply = (startDate) => call('worker', 'POST', '/api/leave/requests', { type: 'casual', startDate }, 201);
+    const { request: approved } = await apply('2099-03-02');
+    await call('worker', 'POST', '/api/leave/requests', { type: 'casual', startDate: '2099-03-02' }, 409);
+    await call('manager', 'GET', '/api/leave/requests');
+    await call('manager', 'POST', `/api/leave/requests/${approved.requestId}/approve`, { comment: 'enjoy' });
+    await call('manager', 'POST', `/api/leave/requests/${approved.requestId}/reject`, {}, 409);
+    const { request: rejected2 } = await apply('2099-03-03');
+    await call('manager', 'POST', `/api/leave/requests/${rejected2.requestId}/reject`, {});
+    const { request: cancelled2 } = await apply('2099-03-04');
+    await call('worker', 'POST', `/api/leave/requests/${cancelled2.requestId}/cancel`);
+    const { request: outsider2 } = await call('hr', 'POST', '/api/leave/requests', { type: 'unpaid', startDate: '2099-03-05' }, 201);
+    await call('manager', 'POST', `/api/leave/requests/${outsider2.requestId}/approve`, {}, 403);
+    await call('manager', 'POST', `/api/leave/requests/${outsider2.requestId}/reject`, {}, 403);
+    await call('admin', 'POST', `/api/leave/requests/${outsider2.requestId}/approve`, {});
+});
+
+test('shifts, geofences, tracking policies', async () => {
+    await call('hr', 'GET', '/api/shifts');
+    await call('hr', 'GET', '/api/shifts/default');
+    await call('hr', 'POST', '/api/shifts', { name: 'Night', start: '22:00', end: '22:00' }, 400);
+    const { shift } = await call('hr', 'POST', '/api/shifts', { name: 'Night', start: '22:00', end: '06:00', workingDays: [1, 2, 3] }, 201);
+    await call('hr', 'PATCH', `/api/shifts/${shift.shiftId}`, { graceMinutes: 5 });
+    await call('hr', 'PATCH', '/api/shifts/nope', { graceMinutes: 5 }, 404);
+    await call('hr', 'DELETE', `/api/shifts/${shift.shiftId}`);
+
+    const circle = { name: 'Office', type: 'circle', center: { latitude: 12.97, longitude: 77.59 }, radiusMeters: 200 };
+    await call('manager', 'POST', '/api/geofences', { name: 'Office', type: 'circle' }, 400);
+    const { geofence } = await call('manager', 'POST', '/api/geofences', circle, 201);
+    await call('manager', 'GET', '/api/geofences');
+    await call('manager', 'GET', `/api/geofences/${geofence.geofenceId}`);
+    await call('manager', 'PATCH', `/api/geofences/${geofence.geofenceId}`, {
+        type: 'polygon',
+        vertices: [{ latitude: 12.96, longitude: 77.58 }, { latitude: 12.96, longitude: 77.6 }, { latitude: 12.98, longitude: 77.6 }]
+    });
+    await call('manager', 'DELETE', `/api/geofences/${geofence.geofenceId}`);
+    await call('manager', 'GET', `/api/geofences/${geofence.geofenceId}`, undefined, 404);
+
+    await call('worker', 'GET', '/api/tracking/config');
+    await call('manager', 'GET', '/api/tracking/config?employeeId=E1');
+    const { policy } = await call('hr', 'POST', '/api/tracking/policies', { name: 'Field staff', departments: ['Ops'], intervalSeconds: 30 }, 201);
+    await call('hr', 'GET', '/api/tracking/policies');
+    await call('hr', 'GET', `/api/tracking/policies/${policy.policyId}`);
+    await call('hr', 'PATCH', `/api/tracking/policies/${policy.policyId}`, { window: 'clocked-in' });
+    await call('hr', 'DELETE', `/api/tracking/policies/${policy.policyId}`);
+});
+
+test('sites and visits', async () => {
+    const { site } = await call('manager', 'POST', '/api/sites', { name: 'Customer HQ', latitude: 12.9, longitude: 77.5, radiusMeters: 100 }, 201);
+    await call('manager', 'GET', '/api/sites');
+    await call('manager', 'GET', `/api/sites/${site.siteId}`);
+    await call('manager', 'PATCH', `/api/sites/${site.siteId}`, { customer: 'Acme' });
+
+    await call('worker', 'POST', '/api/locations', { pointId: 'site-1', latitude: 12.9, longitude: 77.5, accuracy: 10, capturedAt: minutesAgo(3) });
+    await call('worker', 'POST', '/api/locations', { pointId: 'site-2', latitude: 12.9001, longitude: 77.5001, accuracy: 10, capturedAt: minutesAgo(1) });
+    const { visit } = await call('worker', 'POST', '/api/visits/check-in', { siteId: site.siteId, pointId: 'site-1' }, 201);
+    await call('worker', 'POST', `/api/visits/${visit.visitId}/notes`, { text: 'Met the facilities team' }, 201);
+    await call('worker', 'POST', `/api/visits/${visit.visitId}/photos`, { storageKey: 'visits/1.jpg', contentType: 'image/jpeg' }, 201);
+    await call('worker', 'POST', `/api/visits/${visit.visitId}/check-out`, { pointId: 'site-2' });
+    await call('manager', 'GET', '/api/visits');
+    await call('manager', 'GET', `/api/visits/${visit.visitId}`);
+    await call('manager', 'GET', `/api/visits/report/E1?date=${date}`);
+
+    await call('manager', 'DELETE', `/api/sites/${site.siteId}`);
+});
+
+test('alerts', async () => {
+    await call('manager', 'POST', '/api/alerts/rules', { name: 'Too fast', type: 'speed', params: { speedKmh: 5000 } }, 400);
+    const { rule } = await call('manager', 'POST', '/api/alerts/rules', { name: 'Too fast', type: 'speed', params: { speedKmh: 10 } }, 201);
+    await call('manager', 'GET', '/api/alerts/rules');
+    await call('manager', 'GET', `/api/alerts/rules/${rule.ruleId}`);
+    await call('manager', 'PATCH', `/api/alerts/rules/${rule.ruleId}`, { emails: ['ops@example.com'] });
+
+    await call('worker', 'POST', '/api/locations', { pointId: 'fast-1', latitude: 12.9003, longitude: 77.5003, speed: 30, accuracy: 10, capturedAt: minutesAgo(0.5) });
+    const { alerts } = await call('manager', 'GET', '/api/alerts');
+    assert.ok(alerts.length > 0);
+    await call('manager', 'GET', `/api/alerts/${alerts[0].alertId}`);
+    await call('manager', 'POST', `/api/alerts/${alerts[0].alertId}/acknowledge`, { comment: 'Called them' });
+    await call('manager', 'POST', `/api/alerts/${alerts[0].alertId}/acknowledge`, {}, 409);
+
+    await call('admin', 'POST', '/api/alerts/evaluate');
+    await call('manager', 'DELETE', `/api/alerts/rules/${rule.ruleId}`);
+    await call('manager', 'GET', '/api/alerts/nope', undefined, 404);
+});
+
+test('organisations', async () => {
+    await call('admin', 'PATCH', '/api/organisations/current', { retentionDays: 90 });
+    await call('admin', 'PATCH', '/api/organisations/current', { retentionDays: null });
+    await call('admin', 'PATCH', '/api/organisations/current', { isActive: false }, 403);
+    await call('admin', 'POST', '/api/organisations/current/webhook-secret');
+    await call('admin', 'GET', '/api/organisations');
+
+    await call('admin', 'POST', '/api/organisations', { orgId: 'beta', name: 'Beta' }, 400);
+    await call('admin', 'POST', '/api/organisations', { orgId: 'beta', name: 'Beta', admin: { employeeId: 'BADM', name: 'Beta Admin' } }, 201);
+    await call('admin', 'GET', '/api/organisations/beta');
+    await call('admin', 'PATCH', '/api/organisations/beta', { isActive: false });
+    await call('admin', 'PATCH', '/api/organisations/default', { isActive: false }, 400);
+    await call('admin', 'GET', '/api/organisations/missing', undefined, 404);
+    await call('manager', 'GET', '/api/organisations', undefined, 403);
+});
+
+test('reports, analytics and administration', async () => {
+    await call('manager', 'GET', `/api/reports/attendance/daily?date=${date}`);
+    await call('manager', 'GET', `/api/reports/attendance/monthly?month=${date.slice(0, 7)}`);
+
+    const range = `from=${yesterday}&to=${date}`;
+    await call('admin', 'GET', `/api/admin/analytics/attendance?${range}`);
+    await call('admin', 'GET', `/api/admin/analytics/hours?${range}`);
+    await call('admin', 'GET', `/api/admin/analytics/distance?${range}`);
+    await call('admin', 'GET', `/api/admin/analytics/heatmap?${range}`);
+    await call('admin', 'GET', `/api/admin/analytics/geofences?${range}`);
+    await call('admin', 'GET', `/api/admin/analytics/distance?from=${date}&to=${yesterday}`, undefined, 400);
+
+    await call('admin', 'GET', '/api/admin/stats');
+    await call('admin', 'GET', '/api/admin/audit?limit=50');
+    await call('admin', 'POST', '/api/admin/retention/run', { dryRun: true }, 400);
+    await call('admin', 'PATCH', '/api/organisations/current', { retentionDays: 3650 });
+    await call('admin', 'GET', '/api/admin/retention');
+    await call('admin', 'POST', '/api/admin/retention/run', { dryRun: true });
+    await call('manager', 'GET', '/api/admin/audit', undefined, 403);
+});
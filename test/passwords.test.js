@@ -0,0 +1,28 @@
+// Password hashing and verification (lib/passwords.js)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { DUMMY_PASSWORD_HASH, hashPassword, isHashed, verifyPassword } = require('../lib/passwords');
+
+test('a hash verifies its own password only', async () => {
+    const stored = await hashPassword('Corr3ct-horse');
+    assert.ok(isHashed(stored));
+    assert.deepEqual(await verifyPassword(stored, 'Corr3ct-horse'), { ok: true, needsRehash: false });
+    assert.deepEqual(await verifyPassword(stored, 'corr3ct-horse'), { ok: false, needsRehash: false });
+});
+
+test('legacy plaintext verifies and asks for a rehash', async () => {
+    assert.deepEqual(await verifyPassword('plain-old', 'plain-old'), { ok: true, needsRehash: true });
+    assert.deepEqual(await verifyPassword('plain-old', 'plain-new'), { ok: false, needsRehash: false });
+});
+
+test('the dummy hash costs a real verification and matches nothing', async () => {
+    const real = (await hashPassword('x')).split('$');
+    const dummy = DUMMY_PASSWORD_HASH.split('$');
+    // Same scheme and work factor as a stored hash, so verifying it takes as long
+    assert.deepEqual(dummy.slice(0, 4), real.slice(0, 4));
+    assert.equal(Buffer.from(dummy[5], 'base64').length, Buffer.from(real[5], 'base64').length);
+    for (const candidate of ['', 'password', DUMMY_PASSWORD_HASH]) {
+        assert.equal((await verifyPassword(DUMMY_PASSWORD_HASH, candidate)).ok, false);
+    }
+});
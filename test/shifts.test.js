@@ -0,0 +1,91 @@
+// Shift windows, shift dates and shift settings (lib/shifts.js)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    DEFAULT_SHIFT,
+    spansMidnight,
+    isWorkingDay,
+    shiftWindow,
+    shiftDateFor,
+    validateShift,
+    resolveShift,
+    hasShiftOverrides
+} = require('../lib/shifts');
+
+const timeZone = 'Asia/Kolkata';
+const dayShift = { start: '09:30', end: '18:30', graceMinutes: 10, workingDays: [1, 2, 3, 4, 5] };
+const nightShift = { start: '22:00', end: '06:00', graceMinutes: 10, workingDays: [1, 2, 3, 4, 5] };
+const local = (date, time) => Date.parse(`${date}T${time}:00+05:30`);
+
+test('a shift ending at or before its start runs past midnight', () => {
+    assert.equal(spansMidnight(dayShift), false);
+    assert.equal(spansMidnight(nightShift), true);
+    assert.equal(spansMidnight({ start: '00:00', end: '00:00' }), true);
+});
+
+test('the window of an overnight shift ends the next morning', () => {
+    assert.deepEqual(shiftWindow(dayShift, '2026-03-02', timeZone), {
+        start: local('2026-03-02', '09:30'),
+        end: local('2026-03-02', '18:30')
+    });
+    assert.deepEqual(shiftWindow(nightShift, '2026-03-31', timeZone), {
+        start: local('2026-03-31', '22:00'),
+        end: local('2026-04-01', '06:00')
+    });
+});
+
+test('the window follows DST in the shift time zone', () => {
+    const { start, end } = shiftWindow(nightShift, '2026-03-07', 'America/New_York');
+    assert.equal(new Date(start).toISOString(), '2026-03-08T03:00:00.000Z');
+    assert.equal(new Date(end).toISOString(), '2026-03-08T10:00:00.000Z');
+    assert.equal((end - start) / 3600000, 7);
+});
+
+test('day shifts take the local date', () => {
+    assert.equal(shiftDateFor(local('2026-03-02', '00:30'), dayShift, timeZone), '2026-03-02');
+    assert.equal(shiftDateFor(local('2026-03-02', '23:30'), dayShift, timeZone), '2026-03-02');
+    // 20:00 UTC is already the next day in India
+    assert.equal(shiftDateFor(Date.parse('2026-03-02T20:00:00Z'), dayShift, timeZone), '2026-03-03');
+});
+
+test('overnight shifts flip to the new date halfway through the off-duty gap', () => {
+    // 22:00-06:00: the gap is 06:00-22:00, so the cutover is 14:00
+    assert.equal(shiftDateFor(local('2026-03-03', '01:00'), nightShift, timeZone), '2026-03-02');
+    assert.equal(shiftDateFor(local('2026-03-03', '06:30'), nightShift, timeZone), '2026-03-02');
+    assert.equal(shiftDateFor(local('2026-03-03', '13:59'), nightShift, timeZone), '2026-03-02');
+    assert.equal(shiftDateFor(local('2026-03-03', '14:00'), nightShift, timeZone), '2026-03-03');
+    assert.equal(shiftDateFor(local('2026-03-03', '21:45'), nightShift, timeZone), '2026-03-03');
+    // Across a month end
+    assert.equal(shiftDateFor(local('2026-04-01', '02:00'), nightShift, timeZone), '2026-03-31');
+});
+
+test('working days are judged on the shift date', () => {
+    // 2026-03-06 is a Friday, 2026-03-07 a Saturday, 2026-03-08 a Sunday
+    assert.equal(isWorkingDay('2026-03-06', nightShift), true);
+    assert.equal(isWorkingDay('2026-03-07', nightShift), false);
+    assert.equal(isWorkingDay('2026-03-08', { ...dayShift, workingDays: [7, 1, 2, 3, 4] }), true);
+});
+
+test('validateShift keeps known fields, fills defaults and rejects a zero-length shift', () => {
+    assert.deepEqual(validateShift({ name: 'Night', start: '22:00', end: '06:00', workingDays: [5, 1, 1, 3], extra: true }), {
+        fields: { name: 'Night', start: '22:00', end: '06:00', graceMinutes: DEFAULT_SHIFT.graceMinutes, workingDays: [1, 3, 5] },
+        errors: []
+    });
+    assert.deepEqual(validateShift({ name: 'Never', start: '09:00', end: '09:00' }).errors, [
+        { field: 'end', message: 'start and end must differ' }
+    ]);
+    assert.deepEqual(validateShift({ graceMinutes: 0 }).fields.graceMinutes, 0);
+});
+
+test('report overrides are merged onto the base shift and checked', () => {
+    assert.deepEqual(resolveShift({ shiftStart: '08:00', graceMinutes: '5' }, dayShift), {
+        shift: { ...dayShift, start: '08:00', graceMinutes: 5 }
+    });
+    assert.deepEqual(resolveShift({ shiftStart: '8am' }, dayShift), { error: 'shiftStart/shiftEnd must be HH:mm' });
+    assert.deepEqual(resolveShift({ shiftEnd: '09:30' }, dayShift), { error: 'shiftStart and shiftEnd must differ' });
+    assert.deepEqual(resolveShift({ graceMinutes: '-1' }, dayShift), { error: 'graceMinutes must be a non-negative integer' });
+
+    assert.equal(hasShiftOverrides({ department: 'Ops' }), false);
+    assert.equal(hasShiftOverrides({ graceMinutes: '0' }), true);
+});
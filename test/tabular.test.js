@@ -0,0 +1,71 @@
+// CSV output for reports and CSV input for imports (lib/tabular.js)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { toCsv, parseCsv, parseCsvRecords } = require('../lib/tabular');
+
+const columns = [{ key: 'name', header: 'Name' }, { key: 'note', header: 'Note' }];
+
+test('cells with commas, quotes or line breaks are quoted', () => {
+    assert.equal(toCsv(columns, [
+        { name: 'Rao, Anil', note: 'said "hi"' },
+        { name: 'Two\nlines', note: 3.5 },
+        { name: null }
+    ]), 'Name,Note\r\n"Rao, Anil","said ""hi"""\r\n"Two\nlines",3.5\r\n,\r\n');
+});
+
+test('text that a spreadsheet would run as a formula is escaped', () => {
+    const csv = toCsv([{ key: 'value', header: 'Value' }], [
+        { value: '=HYPERLINK("http://evil.example")' },
+        { value: '+91 98765 43210' },
+        { value: '-2+3' },
+        { value: '@SUM(A1)' },
+        { value: '\tcmd' },
+        { value: -5 },
+        { value: 'a=b' }
+    ]);
+    assert.deepEqual(csv.split('\r\n').slice(1, -1), [
+        '"\'=HYPERLINK(""http://evil.example"")"',
+        '\'+91 98765 43210',
+        '\'-2+3',
+        '\'@SUM(A1)',
+        '\'\tcmd',
+        '-5',
+        'a=b'
+    ]);
+});
+
+test('parses quoted fields, doubled quotes and embedded line breaks', () => {
+    assert.deepEqual(parseCsv('a,"b, c","say ""hi""","two\r\nlines"\n'), [
+        ['a', 'b, c', 'say "hi"', 'two\r\nlines']
+    ]);
+});
+
+test('rows may end with CRLF, LF or nothing; blank lines are skipped', () => {
+    assert.deepEqual(parseCsv('a,b\r\n\r\nc,d\n\ne,f'), [['a', 'b'], ['c', 'd'], ['e', 'f']]);
+    assert.deepEqual(parseCsv('a,\n,b\n'), [['a', ''], ['', 'b']]);
+    assert.deepEqual(parseCsv(''), []);
+});
+
+test('quotes only open a field at its start', () => {
+    assert.deepEqual(parseCsv('5" pipe,"quoted"tail'), [['5" pipe', 'quotedtail']]);
+});
+
+test('an unterminated quoted field is an error', () => {
+    assert.throws(() => parseCsv('a,"never closed\nb,c'), { name: 'SyntaxError', message: 'Unterminated quoted field' });
+});
+
+test('records take trimmed headers and values, with missing cells empty', () => {
+    assert.deepEqual(parseCsvRecords('\uFEFF employeeId , name ,email\nE1, Anil \nE2,"Rao, B",b@example.com,extra\n'), {
+        headers: ['employeeId', 'name', 'email'],
+        records: [
+            { employeeId: 'E1', name: 'Anil', email: '' },
+            { employeeId: 'E2', name: 'Rao, B', email: 'b@example.com' }
+        ]
+    });
+});
+
+test('what toCsv writes, parseCsv reads back', () => {
+    const rows = [{ name: 'Rao, Anil', note: 'line one\nline "two"' }];
+    assert.deepEqual(parseCsvRecords(toCsv([{ key: 'name', header: 'name' }, { key: 'note', header: 'note' }], rows)).records, rows);
+});
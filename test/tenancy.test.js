@@ -0,0 +1,130 @@
+// An organisation's admin must not see, through any read, the data of another organisation.
+// Every read is made twice: by the first organisation's admin (the data is there) and by the
+// second organisation's admin (it is not, or the employee is not found).
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { getDateString } = require('../lib/time');
+const { startApi, createAdmin, login, activate, createEmployee } = require('./helpers');
+
+let api;
+let adminA;
+let adminB;
+let date;
+let leaveRequestId;
+
+before(async () => {
+    api = await startApi();
+    const { request } = api;
+
+    await createAdmin('ADM1');
+    adminA = await login(request, 'ADM1');
+
+    await createEmployee(request, adminA, { employeeId: 'MGR1', name: 'Manager One', role: 'manager', department: 'Ops' });
+    const worker = await createEmployee(request, adminA, { employeeId: 'E1', name: 'Worker One', department: 'Ops', managerId: 'MGR1' });
+    const asWorker = { token: worker.token, headers: { 'X-Device-Id': worker.deviceId } };
+
+    // A short track, plus one mock-location point for the spoofing review queue
+    const start = Date.now() - 30 * 60 * 1000;
+    const points = [0, 1, 2].map(step => ({
+        pointId: `p${step}`,
+        latitude: 12.97 + step * 0.01,
+        longitude: 77.59,
+        accuracy: 10,
+        capturedAt: new Date(start + step * 5 * 60 * 1000).toISOString()
+    }));
+    points.push({ pointId: 'mock', latitude: 12.99, longitude: 77.6, accuracy: 10, isMock: true, capturedAt: new Date(start + 20 * 60 * 1000).toISOString() });
+    const upload = await request('POST', '/api/locations/batch', { ...asWorker, body: { points } });
+    assert.equal(upload.status, 200, JSON.stringify(upload.body));
+
+    const leave = await request('POST', '/api/leave/requests', { ...asWorker, body: { type: 'unpaid', startDate: '2099-03-02' } });
+    assert.equal(leave.status, 201, JSON.stringify(leave.body));
+    leaveRequestId = leave.body.request.requestId;
+
+    const created = await request('POST', '/api/organisations', {
+        token: adminA,
+        body: { orgId: 'beta', name: 'Beta', admin: { employeeId: 'BADM', name: 'Beta Admin', password: 'Beta-Temp-Passw0rd!' } }
+    });
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+    adminB = await activate(request, 'BADM', 'Beta-Temp-Passw0rd!');
+
+    const { body } = await request('GET', '/api/organisations/current', { token: adminA });
+    date = getDateString(new Date(), body.organisation.timezone);
+});
+
+after(() => api && api.close());
+
+const byE1 = (item) => item.employeeId === 'E1';
+
+// [description, path, whether the response shows the first organisation's data]
+const reads = () => [
+    ['location history', `/api/locations/history/E1?date=${date}`, body => body.locations.length > 0],
+    ['employee locations', '/api/employees/E1/locations', body => body.locations.length > 0],
+    ['latest locations', '/api/locations/latest', body => body.some(byE1)],
+    ['track summary', `/api/locations/summary/E1?date=${date}`, body => body.days.some(day => day.pointCount > 0)],
+    ['day track export', `/api/exports/tracks?date=${date}&format=geojson`, body => body.features.some(feature => byE1(feature.properties))],
+    ['employee track export', `/api/exports/tracks/E1?date=${date}&format=geojson`, body => body.features.length > 0],
+    ['distance analytics', `/api/admin/analytics/distance?from=${date}&to=${date}`, body => body.employees.some(byE1)],
+    ['heatmap analytics', `/api/admin/analytics/heatmap?from=${date}&to=${date}`, body => body.cells.length > 0],
+    ['audit trail', '/api/admin/audit', body => body.entries.some(entry => ['ADM1', 'E1'].includes(entry.actorId))],
+    ['spoofing review queue', '/api/locations/flags', body => body.flags.some(byE1)],
+    ['employee flags', '/api/locations/flags?employeeId=E1', body => body.flags.length > 0],
+    ['pending leave', '/api/leave/requests', body => body.requests.some(byE1)],
+    ['employee leave', '/api/leave/requests?employeeId=E1', body => body.requests.length > 0],
+    ['team', '/api/employees/MGR1/team', body => body.team.some(byE1)],
+    ['employee profile', '/api/employees/E1', byE1]
+];
+
+test('the owning organisation sees its own data', async () => {
+    for (const [description, path, shows] of reads()) {
+        const { status, body } = await api.request('GET', path, { token: adminA });
+        assert.equal(status, 200, `${description}: ${JSON.stringify(body)}`);
+        assert.ok(shows(body), `${description} should show the employee's data`);
+    }
+});
+
+test("another organisation's admin sees none of it", async () => {
+    for (const [description, path, shows] of reads()) {
+        const { status, body } = await api.request('GET', path, { token: adminB });
+        if (status === 404) continue;
+        assert.equal(status, 200, `${description}: ${JSON.stringify(body)}`);
+        assert.ok(!shows(body), `${description} leaked the other organisation's data`);
+    }
+});
+
+test("another organisation's admin cannot decide on its requests", async () => {
+    const { status } = await api.request('POST', `/api/leave/requests/${leaveRequestId}/approve`, { token: adminB, body: {} });
+    assert.equal(status, 404);
+
+    const { body } = await api.request('GET', '/api/leave/requests?employeeId=E1', { token: adminA });
+    assert.equal(body.requests[0].status, 'pending');
+});
+
+test('an import cannot reuse an employee ID taken in another organisation', async () => {
+    const csv = 'employeeId,name\nN1,New One\nE1,Worker Elsewhere\n';
+    for (const path of ['/api/employees/import?dryRun=true', '/api/employees/import']) {
+        const { status, body } = await api.request('POST', path, { token: adminB, body: { csv } });
+        assert.equal(status, 400, `${path}: ${JSON.stringify(body)}`);
+        assert.deepEqual(body.results.map(result => result.status), ['valid', 'error']);
+        assert.deepEqual(body.results[1].errors, ['Employee ID is already taken']);
+    }
+
+    const { status } = await api.request('GET', '/api/employees/N1', { token: adminB });
+    assert.equal(status, 404);
+});
+
+test('failed logins are audited in the organisation of the employee, unknown IDs only for the deployment', async () => {
+    for (const employeeId of ['BADM', 'NOBODY']) {
+        const { status } = await api.request('POST', '/api/login', { body: { employeeId, password: 'Wrong-Passw0rd!' } });
+        assert.equal(status, 401);
+    }
+    // Entries are written once the response has gone out
+    await new Promise(resolve => setImmediate(resolve));
+
+    const failedLogins = async (token) => {
+        const { body } = await api.request('GET', '/api/admin/audit?action=auth.login&outcome=failure', { token });
+        return body.entries.map(entry => entry.actorId).sort();
+    };
+    assert.deepEqual(await failedLogins(adminB), ['BADM']);
+    assert.deepEqual(await failedLogins(adminA), ['NOBODY']);
+});
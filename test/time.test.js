@@ -0,0 +1,93 @@
+// Time zone arithmetic (lib/time.js). New York switches to daylight time on 2026-03-08 at 02:00
+// and back on 2026-11-01 at 02:00; India has no DST.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    isValidTimeZone,
+    offsetMinutes,
+    toZonedISOString,
+    getDateString,
+    minutesOfDay,
+    addDays,
+    zonedTimeToMs,
+    getDayRange,
+    parseTimestamp
+} = require('../lib/time');
+
+const NEW_YORK = 'America/New_York';
+const iso = (ms) => new Date(ms).toISOString();
+
+test('wall-clock times convert with the offset in effect that day', () => {
+    assert.equal(iso(zonedTimeToMs('2026-01-31', '09:30', 'Asia/Kolkata')), '2026-01-31T04:00:00.000Z');
+    assert.equal(iso(zonedTimeToMs('2026-01-15', '09:00', NEW_YORK)), '2026-01-15T14:00:00.000Z');
+    assert.equal(iso(zonedTimeToMs('2026-07-15', '09:00', NEW_YORK)), '2026-07-15T13:00:00.000Z');
+});
+
+test('a time skipped by the spring DST jump is read with the pre-jump offset', () => {
+    assert.equal(iso(zonedTimeToMs('2026-03-08', '01:30', NEW_YORK)), '2026-03-08T06:30:00.000Z');
+    assert.equal(iso(zonedTimeToMs('2026-03-08', '02:30', NEW_YORK)), '2026-03-08T07:30:00.000Z');
+    assert.equal(iso(zonedTimeToMs('2026-03-08', '03:30', NEW_YORK)), '2026-03-08T07:30:00.000Z');
+    // London jumps at 01:00 UTC
+    assert.equal(iso(zonedTimeToMs('2026-03-29', '01:30', 'Europe/London')), '2026-03-29T01:30:00.000Z');
+});
+
+test('a time repeated when DST ends resolves to its first occurrence', () => {
+    assert.equal(iso(zonedTimeToMs('2026-11-01', '00:30', NEW_YORK)), '2026-11-01T04:30:00.000Z');
+    assert.equal(iso(zonedTimeToMs('2026-11-01', '01:30', NEW_YORK)), '2026-11-01T05:30:00.000Z');
+    assert.equal(iso(zonedTimeToMs('2026-11-01', '02:30', NEW_YORK)), '2026-11-01T07:30:00.000Z');
+});
+
+test('local days are 23 or 25 hours long across DST changes', () => {
+    const hours = (date) => {
+        const { from, to } = getDayRange(date, NEW_YORK);
+        return (to + 1 - from) / 3600000;
+    };
+    assert.equal(hours('2026-03-07'), 24);
+    assert.equal(hours('2026-03-08'), 23);
+    assert.equal(hours('2026-11-01'), 25);
+    assert.deepEqual(getDayRange('2026-01-31', 'Asia/Kolkata'), {
+        from: Date.parse('2026-01-30T18:30:00Z'),
+        to: Date.parse('2026-01-31T18:30:00Z') - 1
+    });
+});
+
+test('instants format in the zone with the offset then in effect', () => {
+    const winter = Date.parse('2026-01-01T12:00:00.250Z');
+    const summer = Date.parse('2026-07-01T12:00:00Z');
+    assert.equal(toZonedISOString(winter, NEW_YORK), '2026-01-01T07:00:00.250-05:00');
+    assert.equal(toZonedISOString(summer, NEW_YORK), '2026-07-01T08:00:00.000-04:00');
+    assert.equal(toZonedISOString(summer, 'Asia/Kolkata'), '2026-07-01T17:30:00.000+05:30');
+    assert.equal(offsetMinutes(summer, NEW_YORK), -240);
+    assert.equal(offsetMinutes(summer, 'Asia/Kathmandu'), 345);
+});
+
+test('local dates and minutes follow the zone, not UTC', () => {
+    const lateEvening = new Date('2026-01-31T20:00:00Z');
+    assert.equal(getDateString(lateEvening, 'Asia/Kolkata'), '2026-02-01');
+    assert.equal(getDateString(lateEvening, NEW_YORK), '2026-01-31');
+    assert.equal(minutesOfDay(lateEvening.getTime(), 'Asia/Kolkata'), 90);
+});
+
+test('addDays crosses month, year and leap-day boundaries', () => {
+    assert.equal(addDays('2026-01-31', 1), '2026-02-01');
+    assert.equal(addDays('2026-01-01', -1), '2025-12-31');
+    assert.equal(addDays('2028-02-28', 1), '2028-02-29');
+    assert.equal(addDays('2026-03-08', 1), '2026-03-09');
+});
+
+test('stored timestamps parse with their offset; legacy ones are IST wall-clock time', () => {
+    assert.equal(parseTimestamp('2026-01-31T09:30:00.000+05:30'), Date.parse('2026-01-31T04:00:00Z'));
+    assert.equal(parseTimestamp('2026-01-31T04:00:00Z'), Date.parse('2026-01-31T04:00:00Z'));
+    assert.equal(parseTimestamp('2026-01-31 09:30:00'), Date.parse('2026-01-31T04:00:00Z'));
+    assert.equal(parseTimestamp('not a time'), null);
+    assert.equal(parseTimestamp(''), null);
+    assert.equal(parseTimestamp(undefined), null);
+});
+
+test('time zones must be IANA names', () => {
+    assert.equal(isValidTimeZone('Asia/Kolkata'), true);
+    assert.equal(isValidTimeZone('Mars/Olympus'), false);
+    assert.equal(isValidTimeZone(''), false);
+    assert.equal(isValidTimeZone(330), false);
+});
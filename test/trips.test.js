@@ -0,0 +1,103 @@
+// Trip summaries: distance, moving/idle time and stops from a day's points (lib/trips.js)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { filterByAccuracy, detectStops, summarizeTrack, combineSummaries } = require('../lib/trips');
+
+const START = Date.parse('2026-03-02T04:00:00Z');
+// 0.001 degrees of latitude is about 111 m
+const STEP_METERS = 111.195;
+
+// A point `minute` minutes into the track, `steps` thousandths of a degree north of the start
+const point = (minute, steps, extra = {}) => {
+    const timestamp = START + minute * 60000;
+    return { timestamp, recordedAt: new Date(timestamp).toISOString(), latitude: 12.97 + steps * 0.001, longitude: 77.59, accuracy: 10, ...extra };
+};
+
+// Five minutes parked, three minutes driving north (111 m a minute), a 20 minute signal gap, one more minute
+const track = [
+    ...[0, 1, 2, 3, 4, 5].map(minute => point(minute, 0)),
+    point(6, 1),
+    point(7, 2),
+    point(8, 3),
+    point(28, 4),
+    point(29, 5)
+];
+
+test('a day with a stop, a drive and a gap in the signal', () => {
+    const summary = summarizeTrack(track);
+
+    assert.equal(summary.pointCount, 11);
+    assert.equal(summary.usedPointCount, 11);
+    assert.equal(summary.startedAt, track[0].recordedAt);
+    assert.equal(summary.endedAt, track[10].recordedAt);
+    // Moving: the three drive minutes and the last one. Idle: the stop. The gap counts as neither
+    assert.equal(summary.distanceMeters, Math.round(4 * STEP_METERS));
+    assert.equal(summary.movingSeconds, 240);
+    assert.equal(summary.idleSeconds, 300);
+    assert.equal(summary.untrackedSeconds, 1200);
+    assert.equal(summary.maxSpeedKmh, 6.7);
+    assert.equal(summary.avgSpeedKmh, 6.7);
+    assert.deepEqual(summary.stops, [{
+        startedAt: track[0].recordedAt,
+        endedAt: track[5].recordedAt,
+        durationSeconds: 300,
+        latitude: 12.97,
+        longitude: 77.59,
+        pointCount: 6
+    }]);
+});
+
+test('points arrive in any order', () => {
+    assert.deepEqual(summarizeTrack([...track].reverse()), summarizeTrack(track));
+});
+
+test('inaccurate points are dropped, unreported accuracy is kept', () => {
+    const points = [point(0, 0, { accuracy: 0 }), point(1, 0, { accuracy: 49 }), point(2, 40, { accuracy: 1500 })];
+    assert.equal(filterByAccuracy(points, 50).length, 2);
+
+    const summary = summarizeTrack(points);
+    assert.equal(summary.pointCount, 3);
+    assert.equal(summary.usedPointCount, 2);
+    assert.equal(summary.distanceMeters, 0);
+});
+
+test('a dwell shorter than the minimum is not a stop', () => {
+    const brief = [point(0, 0), point(2, 0), point(4, 0), point(5, 1)];
+    assert.deepEqual(detectStops(brief, { stopRadiusMeters: 75, stopMinSeconds: 300 }), []);
+    assert.equal(detectStops(brief, { stopRadiusMeters: 75, stopMinSeconds: 240 }).length, 1);
+});
+
+test('slow drift is idle time and adds no distance', () => {
+    // 30 m a minute is 0.5 m/s, under the moving speed
+    const drift = [0, 1, 2, 3].map(minute => ({ ...point(minute, 0), latitude: 12.97 + minute * 0.00027 }));
+    const summary = summarizeTrack(drift, { stopMinSeconds: 3600 });
+    assert.equal(summary.distanceMeters, 0);
+    assert.equal(summary.idleSeconds, 180);
+    assert.equal(summary.movingSeconds, 0);
+});
+
+test('fewer than two usable points give an empty summary', () => {
+    assert.equal(summarizeTrack([]).startedAt, null);
+    const single = summarizeTrack([point(0, 0)]);
+    assert.equal(single.usedPointCount, 1);
+    assert.equal(single.distanceMeters, 0);
+    assert.deepEqual(single.stops, []);
+});
+
+test('days combine into range totals', () => {
+    const day = summarizeTrack(track);
+    const totals = combineSummaries([day, day, summarizeTrack([])]);
+    assert.deepEqual(totals, {
+        pointCount: 22,
+        usedPointCount: 22,
+        distanceMeters: 2 * day.distanceMeters,
+        movingSeconds: 480,
+        idleSeconds: 600,
+        untrackedSeconds: 2400,
+        stopCount: 2,
+        maxSpeedKmh: 6.7,
+        avgSpeedKmh: 6.7
+    });
+    assert.equal(combineSummaries([]).avgSpeedKmh, 0);
+});